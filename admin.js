@@ -0,0 +1,121 @@
+/**
+ * admin.js - Admin console: user search input, the admin view of a user, and the audit log
+ * Every change an admin makes goes through recordAdminAction. Validators return
+ * { values, errors } like validateRegistration.
+ *
+ * Admins are made from the command line (there is no API for it):
+ *   npm run admin -- grant <user_id or email>
+ *   npm run admin -- revoke <user_id or email>
+ */
+// The CLI below needs .env loaded before the store picks its backend
+if (require.main === module) require('dotenv').config();
+
+const store = require('./store');
+
+const USER_STATUSES = ['active', 'disabled'];
+const ADMIN_PAGE_SIZE = parseInt(process.env.ADMIN_PAGE_SIZE || '20', 10);
+const SEARCH_MAX_LENGTH = 100;
+
+// Audit log actions
+const AUDIT_ACTIONS = {
+  disable: 'user.disable',
+  enable: 'user.enable',
+  passwordReset: 'user.password_reset',
+  delete: 'user.delete',
+};
+
+function validatePage(input) {
+  const page = input === undefined || input === '' ? 1 : Number(input);
+  if (!Number.isInteger(page) || page < 1) return { error: 'Page must be a positive number.' };
+  return { value: page };
+}
+
+/**
+ * Validates the user list query ({ q, status, page }); q and status are optional.
+ */
+function validateUserSearch(query) {
+  const values = {};
+  const errors = {};
+
+  if (query.q !== undefined && query.q !== '') {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    if (q.length > SEARCH_MAX_LENGTH) errors.q = `Search text must be at most ${SEARCH_MAX_LENGTH} characters.`;
+    else if (q) values.q = q;
+  }
+
+  if (query.status !== undefined && query.status !== '') {
+    if (!USER_STATUSES.includes(query.status)) errors.status = `Status must be one of: ${USER_STATUSES.join(', ')}.`;
+    else values.status = query.status;
+  }
+
+  const page = validatePage(query.page);
+  if (page.error) errors.page = page.error;
+  else values.page = page.value;
+
+  return { values, errors };
+}
+
+/**
+ * limit / offset for a 1-based page, plus has_more for the response.
+ */
+function pageWindow(page) {
+  return { limit: ADMIN_PAGE_SIZE, offset: (page - 1) * ADMIN_PAGE_SIZE };
+}
+
+function pageInfo(page, total) {
+  return { page, page_size: ADMIN_PAGE_SIZE, total, has_more: page * ADMIN_PAGE_SIZE < total };
+}
+
+// Admin view of a user row (never includes the password hash)
+function toAdminUser(user) {
+  const { id, user_id, name, email, phone, role, email_verified_at, pending_email, disabled_at, created_at } = user;
+  return { id, user_id, name, email, phone, role, email_verified_at, pending_email, disabled_at, created_at };
+}
+
+/**
+ * Writes an audit entry for a change `admin` (req.user) made to `target` (a user row).
+ */
+function recordAdminAction(admin, action, target, details = null) {
+  return store.adminAudit.record({
+    adminId: admin.id,
+    adminUserId: admin.user_id,
+    action,
+    targetId: target.id,
+    targetUserId: target.user_id,
+    details,
+  });
+}
+
+async function main(argv) {
+  const [command, loginId] = argv;
+  const roles = { grant: 'admin', revoke: 'member' };
+  if (!roles[command] || !loginId) throw new Error('Usage: npm run admin -- grant|revoke <user_id or email>');
+
+  await store.init();
+  try {
+    const user = await store.users.findByLoginId(loginId.trim());
+    if (!user) throw new Error(`No user matches "${loginId}".`);
+    await store.users.setRole(user.id, roles[command]);
+    console.log(`${user.user_id} is now ${roles[command] === 'admin' ? 'an admin' : 'a member'}.`);
+  } finally {
+    if (store.name === 'postgres') await require('./db').pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ADMIN_PAGE_SIZE,
+  AUDIT_ACTIONS,
+  validateUserSearch,
+  validatePage,
+  pageWindow,
+  pageInfo,
+  toAdminUser,
+  recordAdminAction,
+};
@@ -1,7 +1,9 @@
 /**
- * db.js - Database connection and table setup for Aiven PostgreSQL
+ * db.js - Database connection and schema setup for Aiven PostgreSQL
  */
 const { Pool } = require('pg');
+const { migrateUp } = require('./migrate');
+const logger = require('./logger');
 
 // ============================================
 // AIVEN POSTGRESQL CREDENTIALS
@@ -12,10 +14,14 @@ const DB_USER = process.env.DB_USER;
 const DB_NAME = process.env.DB_NAME;
 const DB_PASSWORD = process.env.DB_PASSWORD;
 
+// A connection string replaces the settings above, e.g. a local database for
+// test/store.test.js; its sslmode parameter decides on SSL (?sslmode=no-verify for Aiven)
+const DATABASE_URL = process.env.DATABASE_URL;
+
 /**
- * Connection pool with SSL for Aiven PostgreSQL.
+ * Connection pool with SSL for Aiven PostgreSQL (or as DATABASE_URL says).
  */
-const pool = new Pool({
+const pool = new Pool(DATABASE_URL ? { connectionString: DATABASE_URL, connectionTimeoutMillis: 10000 } : {
   host: DB_HOST,
   port: DB_PORT,
   user: DB_USER,
@@ -28,32 +34,18 @@ const pool = new Pool({
 });
 
 /**
- * Users table schema for PostgreSQL.
- */
-const CREATE_USERS_TABLE_SQL = `
-  CREATE TABLE IF NOT EXISTS users (
-    id SERIAL PRIMARY KEY,
-    user_id VARCHAR(255) NOT NULL UNIQUE,
-    name VARCHAR(255) NOT NULL,
-    email VARCHAR(255) NOT NULL UNIQUE,
-    phone VARCHAR(255) NOT NULL,
-    password VARCHAR(255) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )
-`;
-
-/**
- * Initializes DB: verifies connection, then creates users table if missing.
+ * Initializes DB: verifies connection, then applies pending migrations (see migrate.js).
  */
 async function initDatabase() {
   let client;
   try {
     client = await pool.connect();
-    console.log('Connected to PostgreSQL');
-    await client.query(CREATE_USERS_TABLE_SQL);
-    console.log('Table ready');
+    logger.info('Connected to PostgreSQL');
+    const applied = await migrateUp(client);
+    if (applied.length > 0) logger.info('Applied migrations', { versions: applied });
+    logger.info('Tables ready');
   } catch (err) {
-    console.error('Database initialization failed:', err.message);
+    logger.error('Database initialization failed', { err });
     throw err;
   } finally {
     if (client) client.release();
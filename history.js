@@ -0,0 +1,61 @@
+/**
+ * history.js - Viewing history: how far each viewer profile got in a title
+ * Playback is simulated on browse.html, which reports positions to POST /api/history.
+ * Like validation.js, validators return { value } or { error }.
+ */
+
+// Longest duration accepted (a day), to keep made-up values in check
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+
+// A title counts as watched once this share of it has been played (the credits are skipped)
+const COMPLETED_RATIO = 0.95;
+
+function validateSeconds(input, { min, label }) {
+  if (!Number.isInteger(input) || input < min || input > MAX_DURATION_SECONDS) {
+    return { error: `${label} must be a whole number of seconds from ${min} to ${MAX_DURATION_SECONDS}.` };
+  }
+  return { value: input };
+}
+
+/**
+ * Validates { progress_seconds, duration_seconds }. Returns { values, errors } like validateRegistration.
+ */
+function validateProgress(body) {
+  const input = body || {};
+  const values = {};
+  const errors = {};
+
+  const progress = validateSeconds(input.progress_seconds, { min: 0, label: 'Progress' });
+  if (progress.error) errors.progress_seconds = progress.error;
+  else values.progress_seconds = progress.value;
+
+  const duration = validateSeconds(input.duration_seconds, { min: 1, label: 'Duration' });
+  if (duration.error) errors.duration_seconds = duration.error;
+  else values.duration_seconds = duration.value;
+
+  if (!errors.progress_seconds && !errors.duration_seconds && values.progress_seconds > values.duration_seconds) {
+    errors.progress_seconds = 'Progress cannot be past the end of the title.';
+  }
+  return { values, errors };
+}
+
+// Public view of a history row, flagging titles that were watched to the end
+function toHistoryItem(row) {
+  const { imdb_id, title, year, type, poster, progress_seconds, duration_seconds, watched_at } = row;
+  return {
+    imdb_id,
+    title,
+    year,
+    type,
+    poster,
+    progress_seconds,
+    duration_seconds,
+    completed: progress_seconds >= duration_seconds * COMPLETED_RATIO,
+    watched_at,
+  };
+}
+
+module.exports = {
+  validateProgress,
+  toHistoryItem,
+};
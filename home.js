@@ -0,0 +1,161 @@
+/**
+ * home.js - Rows on the browse page ("Trending Now", "Action & Adventure", ...)
+ * Rows are configured in home-rows.json (or the file named by HOME_ROWS_FILE), in display order:
+ *   { id, title, source?, query, type?, year_from?, year_to? }
+ * A "search" row (the default) is an OMDB search (see omdb.js). A single year is passed to OMDB;
+ * a wider range is applied to the first HOME_ROW_PAGES pages of results, since OMDB only filters
+ * by one year. A "top-rated" row lists the titles members rated best and takes no query.
+ */
+const fs = require('fs');
+const path = require('path');
+const omdb = require('./omdb');
+const store = require('./store');
+const { TOP_RATED_MIN_RATINGS, TOP_RATED_LIMIT } = require('./ratings');
+
+const DEFAULT_ROWS_FILE = path.join(__dirname, 'home-rows.json');
+const HOME_ROW_PAGES = parseInt(process.env.HOME_ROW_PAGES || '3', 10);
+
+const ROW_SOURCES = ['search', 'top-rated'];
+const ROW_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const MIN_YEAR = 1870;
+
+// Error code for a rows file that is missing or invalid
+const HOME_ROWS_INVALID = 'HOME_ROWS_INVALID';
+
+function isYear(value) {
+  return Number.isInteger(value) && value >= MIN_YEAR && value <= 9999;
+}
+
+/**
+ * Checks a parsed rows file. Returns a list of problems (empty when the rows are usable).
+ */
+function validateHomeRows(rows) {
+  if (!Array.isArray(rows)) return ['Rows must be a JSON array.'];
+
+  const problems = [];
+  const ids = new Set();
+  rows.forEach((row, index) => {
+    const where = `Row ${index + 1}`;
+    if (!row || typeof row !== 'object') {
+      problems.push(`${where} must be an object.`);
+      return;
+    }
+    if (typeof row.id !== 'string' || !ROW_ID_PATTERN.test(row.id)) {
+      problems.push(`${where}: id must be lowercase letters, digits and dashes.`);
+    } else if (ids.has(row.id)) {
+      problems.push(`${where}: id "${row.id}" is used twice.`);
+    } else {
+      ids.add(row.id);
+    }
+    if (typeof row.title !== 'string' || !row.title.trim()) problems.push(`${where}: title is required.`);
+
+    if (row.source !== undefined && !ROW_SOURCES.includes(row.source)) {
+      problems.push(`${where}: source must be one of: ${ROW_SOURCES.join(', ')}.`);
+      return;
+    }
+    if (row.source === 'top-rated') return;
+
+    const { errors } = omdb.validateSearch({ q: row.query, type: row.type });
+    if (errors.q) problems.push(`${where}: query must be 2-100 characters.`);
+    if (errors.type) problems.push(`${where}: ${errors.type}`);
+
+    if (row.year_from !== undefined && !isYear(row.year_from)) problems.push(`${where}: year_from must be a year.`);
+    if (row.year_to !== undefined && !isYear(row.year_to)) problems.push(`${where}: year_to must be a year.`);
+    if (isYear(row.year_from) && isYear(row.year_to) && row.year_from > row.year_to) {
+      problems.push(`${where}: year_from must not be after year_to.`);
+    }
+  });
+  return problems;
+}
+
+// Parsed rows per file, so the file is read once per instance
+const loaded = new Map();
+
+/**
+ * The configured rows, in display order: [{ id, title, source, query, type, year_from, year_to }].
+ * Throws an error with code HOME_ROWS_INVALID if the file can't be read or fails validation.
+ */
+function getHomeRows() {
+  // Read at call time so tests can point HOME_ROWS_FILE at a fixture
+  const file = process.env.HOME_ROWS_FILE || DEFAULT_ROWS_FILE;
+  if (loaded.has(file)) return loaded.get(file);
+
+  let problems;
+  let rows;
+  try {
+    rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+    problems = validateHomeRows(rows);
+  } catch (err) {
+    problems = [err.message];
+  }
+  if (problems.length > 0) {
+    const err = new Error(`Invalid home rows in ${file}: ${problems.join(' ')}`);
+    err.code = HOME_ROWS_INVALID;
+    throw err;
+  }
+
+  const normalized = rows.map((row) => ({
+    id: row.id,
+    title: row.title.trim(),
+    source: row.source || 'search',
+    query: row.query ?? null,
+    type: row.type || null,
+    year_from: row.year_from ?? null,
+    year_to: row.year_to ?? null,
+  }));
+  loaded.set(file, normalized);
+  return normalized;
+}
+
+// First year of an OMDB year ("2008", "2015–2018", "2019–")
+function startYear(year) {
+  const parsed = parseInt(year, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Titles for one row. Returns { results, stale } in search result shape.
+ */
+async function getRowTitles(row) {
+  if (row.source === 'top-rated') {
+    const titles = await store.ratings.topRated({ minCount: TOP_RATED_MIN_RATINGS, limit: TOP_RATED_LIMIT });
+    return {
+      results: titles.map(({ imdb_id, title, year, type, poster }) => ({ imdb_id, title, year, type, poster })),
+      stale: false,
+    };
+  }
+
+  const base = { q: row.query, type: row.type || undefined };
+
+  if (row.year_from !== null && row.year_from === row.year_to) {
+    const { results, stale } = await omdb.searchTitles({ ...base, year: row.year_from });
+    return { results, stale };
+  }
+
+  const first = await omdb.searchTitles({ ...base, page: 1 });
+  const pages = [first];
+  if (row.year_from !== null || row.year_to !== null) {
+    const more = [];
+    for (let page = 2; page <= HOME_ROW_PAGES && (page - 1) * omdb.SEARCH_PAGE_SIZE < first.total_results; page++) {
+      more.push(omdb.searchTitles({ ...base, page }));
+    }
+    pages.push(...(await Promise.all(more)));
+  }
+
+  const results = pages
+    .flatMap((page) => page.results)
+    .filter((title) => {
+      const year = startYear(title.year);
+      if (row.year_from !== null && (year === null || year < row.year_from)) return false;
+      if (row.year_to !== null && (year === null || year > row.year_to)) return false;
+      return true;
+    });
+  return { results, stale: pages.some((page) => page.stale) };
+}
+
+module.exports = {
+  HOME_ROWS_INVALID,
+  validateHomeRows,
+  getHomeRows,
+  getRowTitles,
+};
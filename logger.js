@@ -0,0 +1,55 @@
+/**
+ * logger.js - Structured JSON logs, one line per entry
+ *   { "time": "...", "level": "error", "msg": "Login error", "request_id": "...", "err": { message, code, stack } }
+ * Every request gets a child logger as req.log carrying its request_id (see server.js), so
+ * all lines written while handling it can be found together. Errors anywhere in the fields
+ * are reduced to { message, code, stack } plus pg's errno / sqlState when present.
+ *
+ * LOG_LEVEL: debug, info (default), warn, error or silent. It is read on every call, so
+ * tests can change it at runtime. info and debug go to stdout, warn and error to stderr.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function enabled(level) {
+  const threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+  return LEVELS[level] >= threshold;
+}
+
+function serializeError(err) {
+  const serialized = { message: err.message, code: err.code, stack: err.stack };
+  if (err.errno !== undefined) serialized.errno = err.errno;
+  if (err.sqlState !== undefined) serialized.sqlState = err.sqlState;
+  return serialized;
+}
+
+function serialize(fields) {
+  const entry = {};
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return entry;
+}
+
+/**
+ * Logger whose entries all carry `context` (e.g. { request_id }).
+ * Methods: debug / info / warn / error(msg, fields?), and child(extraContext).
+ */
+function createLogger(context = {}) {
+  const write = (level, msg, fields = {}) => {
+    if (!enabled(level)) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...context, ...serialize(fields) });
+    if (LEVELS[level] >= LEVELS.warn) console.error(line);
+    else console.log(line);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (extra) => createLogger({ ...context, ...extra }),
+  };
+}
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
@@ -0,0 +1,104 @@
+/**
+ * loginThrottle.js - Brute-force protection for /api/login (and profile PINs, two-factor codes)
+ * Failed attempts are counted per client IP and per account in the login_attempts
+ * table (loginAttempts repository), so every serverless instance sees the same counters.
+ * PIN-locked profiles get their own key with the per-account limits, and so do two-factor
+ * codes: a correct password clears the account key, so it must not reset wrong codes too.
+ *
+ * After a few free failures each further one doubles the wait before the next
+ * attempt is allowed (exponential backoff), and reaching the lockout threshold
+ * blocks the key for LOGIN_LOCKOUT_MINUTES. Counters reset after a successful
+ * login or once a key has been quiet for the lockout period.
+ */
+const store = require('./store');
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3', 10);
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS || '1', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+
+// An IP legitimately serves many accounts (offices, mobile carriers), so it gets more room
+const LIMITS = {
+  account: { freeAttempts: FREE_ATTEMPTS, lockoutAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCKOUT_AFTER || '10', 10) },
+  ip: { freeAttempts: FREE_ATTEMPTS * 5, lockoutAfter: parseInt(process.env.LOGIN_IP_LOCKOUT_AFTER || '50', 10) },
+};
+
+function accountKey(userId, loginId) {
+  // Known users are keyed by id so switching between User ID and email doesn't reset the count
+  return userId ? `account:${userId}` : `account:${String(loginId).trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+function profileKey(profileId) {
+  return `profile:${profileId}`;
+}
+
+function mfaKey(userId) {
+  return `mfa:${userId}`;
+}
+
+function scopeOf(key) {
+  return key.startsWith('ip:') ? LIMITS.ip : LIMITS.account;
+}
+
+/**
+ * Seconds to wait after `failures` consecutive failures (0 while still free).
+ */
+function backoffSeconds(failures, freeAttempts) {
+  if (failures < freeAttempts) return 0;
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (failures - freeAttempts), LOCKOUT_MINUTES * 60);
+}
+
+/**
+ * Returns how many seconds the caller must wait before another attempt
+ * for any of the given keys (0 if allowed now).
+ */
+async function getRetryAfter(keys, now = new Date()) {
+  const rows = await store.loginAttempts.findMany(keys);
+
+  // Backoff is capped at the lockout period, so stale counters never produce a wait
+  let waitMs = 0;
+  for (const row of rows) {
+    if (row.locked_until) {
+      waitMs = Math.max(waitMs, new Date(row.locked_until).getTime() - now.getTime());
+    }
+    const backoff = backoffSeconds(row.failures, scopeOf(row.attempt_key).freeAttempts) * 1000;
+    waitMs = Math.max(waitMs, new Date(row.last_failure_at).getTime() + backoff - now.getTime());
+  }
+  return Math.max(0, Math.ceil(waitMs / 1000));
+}
+
+/**
+ * Counts a failed attempt against each key, locking keys that reach their threshold.
+ */
+async function recordFailure(keys, now = new Date()) {
+  const windowStart = new Date(now.getTime() - LOCKOUT_MINUTES * 60 * 1000);
+
+  for (const key of keys) {
+    const failures = await store.loginAttempts.recordFailure(key, now, windowStart);
+
+    if (failures >= scopeOf(key).lockoutAfter) {
+      await store.loginAttempts.lock(key, new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000));
+    }
+  }
+}
+
+/**
+ * Clears the counter for a key after a successful login.
+ */
+async function clearFailures(key) {
+  await store.loginAttempts.clear(key);
+}
+
+module.exports = {
+  accountKey,
+  ipKey,
+  profileKey,
+  mfaKey,
+  backoffSeconds,
+  getRetryAfter,
+  recordFailure,
+  clearFailures,
+};
@@ -0,0 +1,191 @@
+/**
+ * mailer.js - Outgoing email through a pluggable transport
+ * A transport is any object with `send({ to, subject, text, html })` returning a promise.
+ * MAIL_TRANSPORT selects one: "smtp" for real delivery, "file" to write each message
+ * to MAIL_FILE_DIR, or "console" (default) to print it, so the flows that send mail
+ * can be exercised locally without a mail server.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Netflix <no-reply@localhost>';
+
+/**
+ * SMTP delivery via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD, SMTP_SECURE).
+ */
+function createSmtpTransport() {
+  // Loaded lazily so console/file setups never need SMTP settings
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail({ from: MAIL_FROM, ...message }),
+  };
+}
+
+/**
+ * Writes each message as a JSON file, e.g. mail-outbox/1700000000000-user@example.com.json
+ */
+function createFileTransport(dir = process.env.MAIL_FILE_DIR || path.join(__dirname, 'mail-outbox')) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^A-Za-z0-9@._-]/g, '_');
+      const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ from: MAIL_FROM, ...message }, null, 2));
+      return { file };
+    },
+  };
+}
+
+/**
+ * Prints each message to the server log instead of sending it.
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      logger.info('Email (console transport)', {
+        from: MAIL_FROM,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+      return {};
+    },
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Replaces the active transport (e.g. with an in-memory outbox in tests).
+ */
+function setTransport(custom) {
+  transport = custom;
+}
+
+function sendMail(message) {
+  return getTransport().send(message);
+}
+
+/**
+ * Email with the single-use link that activates a new account.
+ */
+function sendVerificationEmail(user, link, ttlHours) {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\n`
+      + `Please confirm your email address to activate your account:\n${link}\n\n`
+      + `This link expires in ${ttlHours} hours. If you did not create an account, you can ignore this email.`,
+  });
+}
+
+/**
+ * Email to a new address requested on the account page; the change applies once the link is opened.
+ */
+function sendEmailChangeEmail(user, newEmail, link, ttlHours) {
+  return sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: `Hi ${user.name},\n\n`
+      + `Please confirm ${newEmail} as the new email address for your account:\n${link}\n\n`
+      + `This link expires in ${ttlHours} hours. Until then your account keeps using ${user.email}.`,
+  });
+}
+
+/**
+ * Email with the single-use link to choose a new password.
+ */
+function sendPasswordResetEmail(user, link, ttlMinutes) {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\n`
+      + `We received a request to reset your password. Choose a new one here:\n${link}\n\n`
+      + `This link expires in ${ttlMinutes} minutes. If you did not ask for this, you can ignore this email.`,
+  });
+}
+
+/**
+ * Email sent when an admin forces a password reset: the old password no longer works.
+ */
+function sendForcedPasswordResetEmail(user, link, ttlMinutes) {
+  return sendMail({
+    to: user.email,
+    subject: 'Please choose a new password',
+    text: `Hi ${user.name},\n\n`
+      + `For your security, our support team has reset the password of your account and signed you out.\n`
+      + `Choose a new password here:\n${link}\n\n`
+      + `This link expires in ${ttlMinutes} minutes. After that, use "Forgot password" on the login page.`,
+  });
+}
+
+/**
+ * Email with the link that confirms an account erasure request (step two of two).
+ */
+function sendErasureConfirmationEmail(user, link, ttlHours) {
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm the erasure of your account',
+    text: `Hi ${user.name},\n\n`
+      + `We received a request to erase your account and all data stored about you. Confirm it here:\n${link}\n\n`
+      + `This link expires in ${ttlHours} hours. If you did not ask for this, ignore this email and change your password.`,
+  });
+}
+
+/**
+ * Email sent once an erasure is confirmed, with the date the grace period ends.
+ */
+function sendErasureScheduledEmail(user, purgeAfter) {
+  return sendMail({
+    to: user.email,
+    subject: 'Your account will be erased',
+    text: `Hi ${user.name},\n\n`
+      + `Your account and all data stored about you will be erased on ${purgeAfter.toUTCString()}.\n`
+      + 'Your membership will not renew. Changed your mind? Log in before then and cancel the erasure on the account page.',
+  });
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+  sendPasswordResetEmail,
+  sendForcedPasswordResetEmail,
+  sendErasureConfirmationEmail,
+  sendErasureScheduledEmail,
+};
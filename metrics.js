@@ -0,0 +1,103 @@
+/**
+ * metrics.js - In-process metrics in the Prometheus text format (served by GET /api/metrics)
+ *   http_requests_total{method,route,status}            counter
+ *   http_request_duration_seconds{method,route}         histogram
+ *   login_attempts_total{result,reason}                 counter (result "success", "failure" or "mfa_required")
+ * route is the Express route pattern (e.g. /api/ratings/:imdbID), never the raw URL, so
+ * the number of series stays bounded. Values are per process: on Vercel each instance
+ * reports its own, like any multi-process Prometheus target.
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+let requestCounts;
+let requestDurations;
+let loginCounts;
+
+function reset() {
+  requestCounts = new Map();
+  requestDurations = new Map();
+  loginCounts = new Map();
+}
+reset();
+
+// Label values are escaped as the exposition format requires
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${name}="${escaped}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their formatted labels
+function increment(series, labels, by = 1) {
+  const key = formatLabels(labels);
+  const entry = series.get(key) || { labels, value: 0 };
+  entry.value += by;
+  series.set(key, entry);
+}
+
+/**
+ * Counts one finished HTTP request and its duration.
+ */
+function observeRequest({ method, route, status, durationSeconds }) {
+  increment(requestCounts, { method, route, status });
+
+  const key = formatLabels({ method, route });
+  let histogram = requestDurations.get(key);
+  if (!histogram) {
+    histogram = { labels: { method, route }, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    requestDurations.set(key, histogram);
+  }
+  DURATION_BUCKETS.forEach((bound, i) => {
+    if (durationSeconds <= bound) histogram.buckets[i] += 1;
+  });
+  histogram.sum += durationSeconds;
+  histogram.count += 1;
+}
+
+/**
+ * Counts a login attempt. reason says why a failure failed (e.g. "invalid_credentials").
+ */
+function recordLogin(result, reason = 'none') {
+  increment(loginCounts, { result, reason });
+}
+
+function counterLines(name, help, series) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+  for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+  return lines;
+}
+
+function histogramLines(name, help, series) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+  for (const { labels, buckets, sum, count } of series.values()) {
+    DURATION_BUCKETS.forEach((bound, i) => {
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`);
+    });
+    lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+  }
+  return lines;
+}
+
+/**
+ * Everything collected so far, in the Prometheus text exposition format.
+ */
+function render() {
+  return [
+    ...counterLines('http_requests_total', 'HTTP requests by method, route and status.', requestCounts),
+    ...histogramLines('http_request_duration_seconds', 'HTTP request duration in seconds.', requestDurations),
+    ...counterLines('login_attempts_total', 'Login attempts by result and failure reason.', loginCounts),
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  observeRequest,
+  recordLogin,
+  render,
+  reset,
+};
@@ -0,0 +1,192 @@
+/**
+ * mfa.js - Opt-in two-factor authentication with authenticator apps (TOTP, RFC 6238)
+ * Enrollment stores a new secret on the user; it only takes effect once the user confirms
+ * a first code, which also issues single-use recovery codes (stored as SHA-256 hashes).
+ *
+ * Login for an enrolled user is two steps: /api/login checks the password and returns a
+ * short-lived challenge token (mfaChallenges repository, hashed like every other token),
+ * then /api/login/mfa trades it plus a code for the session. A TOTP time step is accepted
+ * only once per user, so a code seen over someone's shoulder cannot be replayed.
+ */
+const crypto = require('crypto');
+const store = require('./store');
+const { generateToken, hashToken } = require('./tokens');
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted, to allow for clock drift
+const TOTP_WINDOW = 1;
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Netflix';
+const MFA_CHALLENGE_TTL_MINUTES = parseInt(process.env.MFA_CHALLENGE_TTL_MINUTES || '5', 10);
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+// Ignores case, spaces and padding, as authenticator apps do
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character.');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new 160-bit secret, base32-encoded for authenticator apps.
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * The code for one time step (HOTP with the step as counter, HMAC-SHA1).
+ */
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Returns the time step `code` belongs to (within the drift window around `now`), or null.
+ */
+function matchTotp(secret, code, now = Date.now()) {
+  const candidate = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== TOTP_DIGITS) return null;
+
+  const current = timeStep(now);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for the secret; authenticator apps read it from a QR code or a tap on mobile.
+ */
+function otpauthUri(secret, accountName) {
+  const label = `${encodeURIComponent(MFA_ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Recovery codes are compared without case or separators, so "ABCDE-23456" matches "abcde23456"
+function hashRecoveryCode(code) {
+  return hashToken(String(code).toLowerCase().replace(/[\s-]/g, ''));
+}
+
+/**
+ * Replaces the user's recovery codes with a fresh set. Returns the raw codes, which are
+ * shown once and never stored.
+ */
+async function issueRecoveryCodes(userId) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  await store.mfaRecoveryCodes.replace(userId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+/**
+ * Checks a login code for an enrolled user: a TOTP code (each time step once) or an
+ * unused recovery code (used up by this call). Returns 'totp', 'recovery' or null.
+ */
+async function verifyMfaCode(user, code, now = Date.now()) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+
+  if (/^[\d\s]+$/.test(code)) {
+    const step = matchTotp(user.mfa_secret, code, now);
+    return step !== null && await store.users.useMfaStep(user.id, step) ? 'totp' : null;
+  }
+  return await store.mfaRecoveryCodes.consume(user.id, hashRecoveryCode(code)) ? 'recovery' : null;
+}
+
+/**
+ * Starts the second login step after a correct password. Returns the raw challenge token.
+ */
+async function createMfaChallenge(userId, remember) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + MFA_CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+  await store.mfaChallenges.replace({ tokenHash: hashToken(token), userId, expiresAt, remember });
+  return token;
+}
+
+/**
+ * The still-valid challenge for a token, without using it up: { user_id, remember, expires_at } | null.
+ */
+async function findMfaChallenge(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const row = await store.mfaChallenges.find(hashToken(token));
+  return row && new Date(row.expires_at) > new Date() ? row : null;
+}
+
+/**
+ * Uses the challenge up; false if another request got there first.
+ */
+async function consumeMfaChallenge(token) {
+  return Boolean(await store.mfaChallenges.consume(hashToken(token)));
+}
+
+module.exports = {
+  TOTP_PERIOD_SECONDS,
+  MFA_CHALLENGE_TTL_MINUTES,
+  RECOVERY_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  totpCode,
+  matchTotp,
+  otpauthUri,
+  issueRecoveryCodes,
+  verifyMfaCode,
+  createMfaChallenge,
+  findMfaChallenge,
+  consumeMfaChallenge,
+};
@@ -0,0 +1,180 @@
+/**
+ * migrate.js - Versioned schema migrations for PostgreSQL
+ * Migrations live in migrations/ as numbered pairs of SQL files:
+ *   001_create_users.up.sql / 001_create_users.down.sql
+ * Applied versions are recorded in schema_migrations. Every run holds a Postgres
+ * advisory lock, so concurrent serverless cold starts (ensureDb) apply each
+ * migration exactly once instead of racing.
+ *
+ * CLI: npm run migrate [up | down [steps] | status]
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary, app-wide key for pg_advisory_lock
+const MIGRATION_LOCK_ID = 727163001;
+
+const CREATE_SCHEMA_MIGRATIONS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+/**
+ * Reads migrations/ into [{ version, name, up, down }] sorted by version.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = /^(\d+)_(.+)\.(up|down)\.sql$/.exec(file);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const migration = byVersion.get(version) || { version, name: match[2] };
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${match[2]}`);
+    }
+    migration[match[3]] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+  }
+  return migrations;
+}
+
+/**
+ * Runs fn(client) while holding the migration advisory lock.
+ */
+async function withMigrationLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  try {
+    await client.query(CREATE_SCHEMA_MIGRATIONS_TABLE_SQL);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+}
+
+async function appliedVersions(client) {
+  const res = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(res.rows.map((row) => row.version));
+}
+
+/**
+ * Runs one migration file and records (or removes) its version in one transaction.
+ */
+async function runMigration(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await client.query(migration[direction]);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    err.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Applies every pending migration in order. Returns the versions applied.
+ */
+async function migrateUp(client, migrations = loadMigrations()) {
+  return withMigrationLock(client, async () => {
+    const applied = await appliedVersions(client);
+    const ran = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+      await runMigration(client, migration, 'up');
+      ran.push(migration.version);
+    }
+    return ran;
+  });
+}
+
+/**
+ * Reverts the most recent `steps` applied migrations. Returns the versions reverted.
+ */
+async function migrateDown(client, steps = 1, migrations = loadMigrations()) {
+  return withMigrationLock(client, async () => {
+    const applied = await appliedVersions(client);
+    const toRevert = migrations.filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+    const ran = [];
+    for (const migration of toRevert) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql file`);
+      }
+      await runMigration(client, migration, 'down');
+      ran.push(migration.version);
+    }
+    return ran;
+  });
+}
+
+/**
+ * Lists every known migration with whether (and when) it was applied.
+ */
+async function migrationStatus(client, migrations = loadMigrations()) {
+  await client.query(CREATE_SCHEMA_MIGRATIONS_TABLE_SQL);
+  const res = await client.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(res.rows.map((row) => [row.version, row.applied_at]));
+  return migrations.map((m) => ({
+    version: m.version,
+    name: m.name,
+    applied: appliedAt.has(m.version),
+    appliedAt: appliedAt.get(m.version) || null,
+  }));
+}
+
+async function main(argv) {
+  require('dotenv').config();
+  const { pool } = require('./db');
+  const [command = 'up', arg] = argv;
+
+  const client = await pool.connect();
+  try {
+    if (command === 'up') {
+      const ran = await migrateUp(client);
+      console.log(ran.length ? `Applied migrations: ${ran.join(', ')}` : 'Database is up to date.');
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!(steps > 0)) throw new Error('Usage: npm run migrate down [steps]');
+      const ran = await migrateDown(client, steps);
+      console.log(ran.length ? `Reverted migrations: ${ran.join(', ')}` : 'Nothing to revert.');
+    } else if (command === 'status') {
+      for (const m of await migrationStatus(client)) {
+        const label = String(m.version).padStart(3, '0') + '_' + m.name;
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${label}${m.applied ? `  (applied ${new Date(m.appliedAt).toISOString()})` : ''}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus };
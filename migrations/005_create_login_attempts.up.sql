@@ -0,0 +1,8 @@
+-- Failed login counters per client IP ("ip:<address>") and per account ("account:<id>"),
+-- shared by all serverless instances. See loginThrottle.js.
+CREATE TABLE IF NOT EXISTS login_attempts (
+  attempt_key VARCHAR(320) PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMP NOT NULL,
+  locked_until TIMESTAMP
+);
@@ -0,0 +1,5 @@
+-- Email changes from the account page are applied only after the new address is verified.
+-- pending_email holds the requested address until then; each verification token records
+-- which address it verifies (NULL on older tokens means the user's current email).
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255);
+ALTER TABLE email_verification_tokens ADD COLUMN IF NOT EXISTS email VARCHAR(255);
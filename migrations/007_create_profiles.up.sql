@@ -0,0 +1,21 @@
+-- Viewer profiles: one account has up to PROFILE_LIMIT profiles ("Who's watching?").
+-- pin_hash is a bcrypt hash of an optional 4-digit PIN that locks the profile.
+CREATE TABLE IF NOT EXISTS profiles (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  avatar VARCHAR(20) NOT NULL,
+  is_kids BOOLEAN NOT NULL DEFAULT FALSE,
+  pin_hash VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS profiles_user_id_idx ON profiles (user_id);
+
+-- Existing accounts start with one profile named after the account holder
+INSERT INTO profiles (user_id, name, avatar)
+SELECT id, LEFT(SPLIT_PART(name, ' ', 1), 50), 'red' FROM users;
+
+-- The profile picked on profiles.html, kept with the session
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS profile_id INTEGER REFERENCES profiles(id) ON DELETE SET NULL;
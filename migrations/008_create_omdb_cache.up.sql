@@ -0,0 +1,8 @@
+-- Cached OMDB responses shared by all serverless instances (see omdb.js).
+-- Expired rows are kept: they are served as a fallback while OMDB is unreachable.
+CREATE TABLE IF NOT EXISTS omdb_cache (
+  cache_key VARCHAR(255) PRIMARY KEY,
+  payload JSONB NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,14 @@
+-- "My List": titles saved by a viewer profile. Title, year, type and poster are a
+-- snapshot from OMDB so the list renders without looking every title up again.
+CREATE TABLE IF NOT EXISTS watchlist (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profile_id INTEGER NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  imdb_id VARCHAR(12) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  year VARCHAR(20),
+  type VARCHAR(20),
+  poster TEXT,
+  added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (profile_id, imdb_id)
+);
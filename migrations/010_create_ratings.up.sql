@@ -0,0 +1,21 @@
+-- Star ratings (1-5) with an optional written review, one per viewer profile and title.
+-- Title, year, type and poster are an OMDB snapshot like in watchlist, so the
+-- "Top rated by members" row renders without looking titles up again.
+CREATE TABLE IF NOT EXISTS ratings (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profile_id INTEGER NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  imdb_id VARCHAR(12) NOT NULL,
+  stars SMALLINT NOT NULL CHECK (stars BETWEEN 1 AND 5),
+  review TEXT,
+  title VARCHAR(255) NOT NULL,
+  year VARCHAR(20),
+  type VARCHAR(20),
+  poster TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (profile_id, imdb_id)
+);
+
+-- Aggregates are computed per title
+CREATE INDEX IF NOT EXISTS ratings_imdb_id_idx ON ratings (imdb_id);
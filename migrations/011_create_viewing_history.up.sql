@@ -0,0 +1,18 @@
+-- Playback position per viewer profile and title (browse.html simulates playback).
+-- One row per title; watching it again updates the row and moves it to the top.
+-- Title, year, type and poster are an OMDB snapshot like in watchlist.
+CREATE TABLE IF NOT EXISTS viewing_history (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profile_id INTEGER NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  imdb_id VARCHAR(12) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  year VARCHAR(20),
+  type VARCHAR(20),
+  poster TEXT,
+  progress_seconds INTEGER NOT NULL CHECK (progress_seconds >= 0),
+  duration_seconds INTEGER NOT NULL CHECK (duration_seconds > 0),
+  watched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (profile_id, imdb_id),
+  CHECK (progress_seconds <= duration_seconds)
+);
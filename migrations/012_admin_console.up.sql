@@ -0,0 +1,20 @@
+-- Admin console: a role per user, a way to disable accounts without deleting them,
+-- and an audit log of every change an admin makes.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member'
+  CHECK (role IN ('member', 'admin'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+
+-- Admin and target are also kept by user_id, so entries stay readable after either
+-- account is deleted (the ids then go NULL / point nowhere).
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  admin_user_id VARCHAR(255) NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  target_id INTEGER,
+  target_user_id VARCHAR(255),
+  details JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_target_id_idx ON admin_audit_log (target_id);
@@ -0,0 +1,16 @@
+-- Accounts signed in through OpenID Connect providers ("Sign in with ..."). subject is the
+-- provider's stable id for the person (the "sub" claim); email is the address it reported.
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(32) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, subject)
+);
+
+CREATE INDEX IF NOT EXISTS user_identities_user_id_idx ON user_identities (user_id);
+
+-- Accounts created through a provider have no password until they set one with a reset link.
+ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
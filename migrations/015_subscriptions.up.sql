@@ -0,0 +1,34 @@
+-- Membership plans and each account's subscription to one of them.
+CREATE TABLE IF NOT EXISTS plans (
+  id VARCHAR(20) PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  price_cents INTEGER NOT NULL CHECK (price_cents >= 0),
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  screens INTEGER NOT NULL CHECK (screens > 0),
+  quality VARCHAR(20) NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO plans (id, name, price_cents, currency, screens, quality) VALUES
+  ('basic', 'Basic', 699, 'USD', 1, '720p'),
+  ('standard', 'Standard', 1549, 'USD', 2, '1080p'),
+  ('premium', 'Premium', 2299, 'USD', 4, '4K + HDR')
+ON CONFLICT (id) DO NOTHING;
+
+-- One subscription per account. It is paid up to current_period_end, when it renews
+-- (or ends, if cancel_at_period_end is set); a declined renewal leaves it past_due.
+-- Only the payment provider's reference to the card is kept, plus what the UI shows.
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  plan_id VARCHAR(20) NOT NULL REFERENCES plans(id),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('active', 'past_due', 'canceled')),
+  current_period_end TIMESTAMP NOT NULL,
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+  payment_provider VARCHAR(32) NOT NULL,
+  payment_method_id VARCHAR(255) NOT NULL,
+  card_brand VARCHAR(20),
+  card_last4 CHAR(4),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS privacy_log;
+DROP TABLE IF EXISTS erasure_requests;
@@ -0,0 +1,26 @@
+-- Account erasure requests: pending until the emailed link confirms them, then
+-- scheduled for purge_after (the grace period, during which the user can cancel).
+CREATE TABLE IF NOT EXISTS erasure_requests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'scheduled')),
+  token_hash CHAR(64) UNIQUE,
+  token_expires_at TIMESTAMP,
+  requested_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  confirmed_at TIMESTAMP,
+  purge_after TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS erasure_requests_purge_after_idx ON erasure_requests (purge_after);
+
+-- Record of every data export and erasure step. user_id has no foreign key: the
+-- entries outlive the account, and hold no other personal data.
+CREATE TABLE IF NOT EXISTS privacy_log (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS privacy_log_user_id_idx ON privacy_log (user_id);
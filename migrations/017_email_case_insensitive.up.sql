@@ -0,0 +1,25 @@
+-- Emails are unique and looked up regardless of case. The app stores them in lower case
+-- from now on, and older rows are lowered here. Accounts whose emails differ only in case
+-- cannot be told apart any more, so the migration stops and lists their ids instead of
+-- guessing which one to keep: change the email of (or delete) all but one account in each
+-- group, then run the migrations again.
+DO $$
+DECLARE
+  clashes TEXT;
+BEGIN
+  SELECT string_agg(ids, '; ') INTO clashes
+    FROM (SELECT string_agg(id::TEXT, ', ' ORDER BY id) AS ids
+            FROM users
+           GROUP BY lower(email)
+          HAVING count(*) > 1) AS duplicates;
+  IF clashes IS NOT NULL THEN
+    RAISE EXCEPTION 'Emails that differ only in case belong to more than one account (user ids %). Give all but one account in each group another email, then migrate again.', clashes;
+  END IF;
+END $$;
+
+UPDATE users SET email = lower(email) WHERE email <> lower(email);
+
+-- The index takes over the name of the plain unique constraint, which registration
+-- relies on to point a duplicate at the email field.
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_key;
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_key ON users (lower(email));
@@ -0,0 +1 @@
+DROP INDEX IF EXISTS omdb_cache_expires_at_idx;
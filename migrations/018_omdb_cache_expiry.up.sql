@@ -0,0 +1,2 @@
+-- The daily cache purge (see omdb.js) deletes entries by how long ago they expired.
+CREATE INDEX IF NOT EXISTS omdb_cache_expires_at_idx ON omdb_cache (expires_at);
@@ -0,0 +1,357 @@
+/**
+ * oidc.js - "Sign in with ..." through OpenID Connect providers (authorization code flow with PKCE)
+ * /api/auth/:provider/start keeps a random state, nonce and PKCE verifier in a short-lived signed
+ * cookie and sends the browser to the provider; /callback checks the state, trades the code (plus
+ * the verifier) for an ID token at the token endpoint and verifies its signature against the
+ * provider's published keys. The person is then matched to an account (see resolveUser).
+ *
+ * Providers come from the environment and are read on every call, so tests can point them at a
+ * local mock provider after loading the app:
+ *   OIDC_PROVIDERS                 comma-separated provider ids, e.g. "google,okta"
+ *   OIDC_<ID>_CLIENT_ID            client registered with the provider (required)
+ *   OIDC_<ID>_CLIENT_SECRET        its secret (omit for public clients)
+ *   OIDC_<ID>_ISSUER               issuer URL; discovery is <issuer>/.well-known/openid-configuration
+ *   OIDC_<ID>_DISCOVERY_URL        discovery document URL, when it lives elsewhere
+ *   OIDC_<ID>_TOKEN_URL            token endpoint to use instead of the discovered one
+ *   OIDC_<ID>_NAME                 button label (default: the id)
+ *   OIDC_<ID>_SCOPES               requested scopes (default "openid email profile")
+ */
+const crypto = require('crypto');
+const store = require('./store');
+const { validateEmail, validateName } = require('./validation');
+const { AVATARS, defaultProfileName } = require('./profiles');
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const DEFAULT_SCOPES = 'openid email profile';
+const TIMEOUT_MS = parseInt(process.env.OIDC_TIMEOUT_MS || '5000', 10);
+const OIDC_LOGIN_TTL_MINUTES = 10;
+// Discovery documents and signing keys change rarely; unknown key ids refetch the keys
+const METADATA_TTL_MS = 60 * 60 * 1000;
+// Allowed difference between our clock and the provider's when checking ID token times
+const CLOCK_SKEW_SECONDS = 60;
+
+const OIDC_COOKIE = 'oidc';
+
+// Error code for a failed sign-in at the protocol level (provider down, bad token, ...)
+const OIDC_FAILED = 'OIDC_FAILED';
+
+function oidcError(message) {
+  const err = new Error(message);
+  err.code = OIDC_FAILED;
+  return err;
+}
+
+// ID token signature algorithms we accept, by JWS "alg"
+const ALGORITHMS = {
+  RS256: { kty: 'RSA', hash: 'sha256' },
+  ES256: { kty: 'EC', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+};
+
+function providerIds() {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter((id) => PROVIDER_ID_PATTERN.test(id));
+}
+
+/**
+ * Configuration of a provider by id, or null if it is not configured (or incompletely).
+ */
+function getProvider(id) {
+  if (!providerIds().includes(id)) return null;
+
+  const prefix = `OIDC_${id.toUpperCase().replace(/-/g, '_')}_`;
+  const env = (name) => (process.env[prefix + name] || '').trim();
+  const issuer = env('ISSUER').replace(/\/+$/, '');
+  const discoveryUrl = env('DISCOVERY_URL') || (issuer && `${issuer}/.well-known/openid-configuration`);
+  if (!env('CLIENT_ID') || !discoveryUrl) return null;
+
+  return {
+    id,
+    name: env('NAME') || id,
+    issuer: issuer || null,
+    discoveryUrl,
+    tokenUrl: env('TOKEN_URL') || null,
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET') || null,
+    scopes: env('SCOPES') || DEFAULT_SCOPES,
+  };
+}
+
+/**
+ * The configured providers as { id, name }, for the sign-in buttons.
+ */
+function listProviders() {
+  return providerIds()
+    .map(getProvider)
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64url');
+}
+
+function randomValue() {
+  return base64url(crypto.randomBytes(32));
+}
+
+// PKCE S256 challenge for a verifier (RFC 7636)
+function codeChallenge(verifier) {
+  return base64url(crypto.createHash('sha256').update(verifier).digest());
+}
+
+async function fetchJson(url, options = {}) {
+  let res;
+  try {
+    res = await fetch(url, { ...options, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch (err) {
+    throw oidcError(`Request to ${url} failed: ${err.message}`);
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body) {
+    const detail = body && body.error ? `: ${body.error}` : '';
+    throw oidcError(`${url} answered ${res.status}${detail}`);
+  }
+  return body;
+}
+
+const metadataCache = new Map();
+
+async function cachedJson(url, { refresh = false } = {}) {
+  const entry = metadataCache.get(url);
+  if (!refresh && entry && entry.expiresAt > Date.now()) return entry.value;
+
+  const value = await fetchJson(url);
+  metadataCache.set(url, { value, expiresAt: Date.now() + METADATA_TTL_MS });
+  return value;
+}
+
+async function discover(provider) {
+  const doc = await cachedJson(provider.discoveryUrl);
+  for (const field of ['issuer', 'authorization_endpoint', 'jwks_uri']) {
+    if (typeof doc[field] !== 'string') throw oidcError(`Discovery document has no ${field}`);
+  }
+  if (!provider.tokenUrl && typeof doc.token_endpoint !== 'string') {
+    throw oidcError('Discovery document has no token_endpoint');
+  }
+  if (provider.issuer && doc.issuer.replace(/\/+$/, '') !== provider.issuer) {
+    throw oidcError(`Discovery document is for issuer ${doc.issuer}, not ${provider.issuer}`);
+  }
+  return doc;
+}
+
+/**
+ * Starts a sign-in. Resolves to { url, pending }: send the browser to url, and keep pending
+ * ({ provider, state, nonce, verifier }) for the callback with savePendingLogin.
+ */
+async function startLogin(provider, redirectUri) {
+  const doc = await discover(provider);
+  const pending = { provider: provider.id, state: randomValue(), nonce: randomValue(), verifier: randomValue() };
+
+  const url = new URL(doc.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', pending.state);
+  url.searchParams.set('nonce', pending.nonce);
+  url.searchParams.set('code_challenge', codeChallenge(pending.verifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+  return { url: url.toString(), pending };
+}
+
+// Client authentication at the token endpoint: HTTP Basic unless the provider only takes form fields
+function tokenRequest(provider, doc, params) {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const body = new URLSearchParams({ ...params, client_id: provider.clientId });
+  if (provider.clientSecret) {
+    const methods = doc.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (!methods.includes('client_secret_basic') && methods.includes('client_secret_post')) {
+      body.set('client_secret', provider.clientSecret);
+    } else {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+  }
+  return { method: 'POST', headers, body };
+}
+
+function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw oidcError('ID token is not a JWT');
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString()),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString()),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch (err) {
+    throw oidcError('ID token is not a JWT');
+  }
+}
+
+function findKey(jwks, header, algorithm) {
+  const keys = Array.isArray(jwks && jwks.keys) ? jwks.keys : [];
+  return keys.find((key) => key.kty === algorithm.kty
+    && (!header.kid || key.kid === header.kid)
+    && (!key.use || key.use === 'sig')
+    && (!key.alg || key.alg === header.alg)) || null;
+}
+
+async function verifySignature(jwt, doc) {
+  const algorithm = ALGORITHMS[jwt.header.alg];
+  if (!algorithm) throw oidcError(`ID token algorithm ${jwt.header.alg} is not accepted`);
+
+  let key = findKey(await cachedJson(doc.jwks_uri), jwt.header, algorithm);
+  // The provider may have rotated its keys since we cached them
+  if (!key) key = findKey(await cachedJson(doc.jwks_uri, { refresh: true }), jwt.header, algorithm);
+  if (!key) throw oidcError('No signing key matches the ID token');
+
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(jwt.signingInput),
+    { key: crypto.createPublicKey({ key, format: 'jwk' }), dsaEncoding: algorithm.dsaEncoding },
+    jwt.signature
+  );
+  if (!valid) throw oidcError('ID token signature is invalid');
+}
+
+function checkClaims(claims, { issuer, clientId, nonce }) {
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = [].concat(claims.aud);
+
+  if (claims.iss !== issuer) throw oidcError(`ID token issuer ${claims.iss} is not ${issuer}`);
+  if (!audiences.includes(clientId)) throw oidcError('ID token is for another client');
+  if (audiences.length > 1 && claims.azp !== clientId) throw oidcError('ID token is for another client');
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) throw oidcError('ID token has expired');
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) throw oidcError('ID token is from the future');
+  if (claims.nonce !== nonce) throw oidcError('ID token nonce does not match');
+  if (typeof claims.sub !== 'string' || !claims.sub) throw oidcError('ID token has no subject');
+}
+
+/**
+ * Finishes a sign-in: trades the authorization code for an ID token and verifies it.
+ * Resolves to the token's claims ({ sub, email, email_verified, name, ... }); throws an
+ * error with code OIDC_FAILED when anything about the exchange or the token is wrong.
+ */
+async function finishLogin(provider, { code, redirectUri, pending }) {
+  if (typeof code !== 'string' || !code) throw oidcError('Callback has no authorization code');
+
+  const doc = await discover(provider);
+  const tokens = await fetchJson(provider.tokenUrl || doc.token_endpoint, tokenRequest(provider, doc, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: pending.verifier,
+  }));
+
+  const jwt = decodeJwt(tokens.id_token);
+  await verifySignature(jwt, doc);
+  checkClaims(jwt.payload, { issuer: doc.issuer, clientId: provider.clientId, nonce: pending.nonce });
+  return jwt.payload;
+}
+
+// Some providers send email_verified as a string
+function verifiedEmail(claims) {
+  if (claims.email_verified !== true && claims.email_verified !== 'true') return null;
+  return validateEmail(claims.email).value || null;
+}
+
+// A free User ID based on the email's local part, e.g. "jane.doe" or "jane.doe-4f2a"
+async function availableUserId(email) {
+  let base = email.split('@')[0].replace(/[^A-Za-z0-9_.-]/g, '').replace(/^[^A-Za-z0-9]+/, '').slice(0, 24);
+  if (base.length < 3) base = `user${base}`;
+
+  let candidate = base;
+  while (await store.users.findByLoginId(candidate)) {
+    candidate = `${base}-${crypto.randomBytes(2).toString('hex')}`;
+  }
+  return candidate;
+}
+
+async function createUser(claims, email) {
+  const fullName = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+  const name = validateName(fullName).value || validateName(email.split('@')[0]).value || 'Member';
+
+  const user = await store.users.createUser({
+    user_id: await availableUserId(email), name, email, phone: '', password: null,
+  });
+  await store.users.markEmailVerified(user.id);
+  await store.profiles.create({ userId: user.id, name: defaultProfileName(user.name), avatar: AVATARS[0] });
+  return store.users.findById(user.id);
+}
+
+/**
+ * Matches a verified sign-in to an account. Resolves to { user, created } or { error }:
+ * 1. A provider account linked before signs in to its user.
+ * 2. Otherwise the email must be verified by the provider. An account with that email is
+ *    linked, but only if the account's email is verified as well; otherwise whoever
+ *    registered the address (perhaps not its owner) could share the account with it.
+ * 3. Without such an account, a new one is created (verified, without a password).
+ * error is "email_required" (no verified email from the provider) or "account_unverified".
+ */
+async function resolveUser(providerId, claims) {
+  const identity = await store.userIdentities.find(providerId, claims.sub);
+  if (identity) return { user: await store.users.findById(identity.user_id), created: false };
+
+  const email = verifiedEmail(claims);
+  if (!email) return { error: 'email_required' };
+
+  let user = await store.users.findByLoginId(email);
+  if (user && !user.email_verified_at) return { error: 'account_unverified' };
+  const created = !user;
+  if (created) user = await createUser(claims, email);
+
+  try {
+    await store.userIdentities.link({ userId: user.id, provider: providerId, subject: claims.sub, email });
+  } catch (err) {
+    // A concurrent callback for the same provider account linked it first
+    if (err.code !== '23505') throw err;
+  }
+  return { user, created };
+}
+
+function pendingCookieOptions() {
+  return {
+    httpOnly: true,
+    signed: true,
+    // Lax: the provider sends the browser back with a top-level GET from its own site
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/api/auth',
+  };
+}
+
+/**
+ * Keeps a started sign-in for the callback, in a signed cookie that lasts OIDC_LOGIN_TTL_MINUTES.
+ */
+function savePendingLogin(res, pending) {
+  res.cookie(OIDC_COOKIE, pending, { ...pendingCookieOptions(), maxAge: OIDC_LOGIN_TTL_MINUTES * 60 * 1000 });
+}
+
+/**
+ * Returns the pending sign-in from the cookie (or null) and clears it, so it is used once.
+ */
+function takePendingLogin(req, res) {
+  const pending = req.signedCookies && req.signedCookies[OIDC_COOKIE];
+  if (pending !== undefined) res.clearCookie(OIDC_COOKIE, pendingCookieOptions());
+  return pending && typeof pending === 'object' ? pending : null;
+}
+
+function clearMetadataCache() {
+  metadataCache.clear();
+}
+
+module.exports = {
+  OIDC_FAILED,
+  getProvider,
+  listProviders,
+  startLogin,
+  finishLogin,
+  resolveUser,
+  savePendingLogin,
+  takePendingLogin,
+  clearMetadataCache,
+};
@@ -0,0 +1,297 @@
+/**
+ * omdb.js - Server-side access to the OMDB API (https://www.omdbapi.com/)
+ * The API key stays on the server (OMDB_API_KEY). Responses are cached twice:
+ * in a per-instance LRU for hot lookups, and in the omdb_cache table (omdbCache
+ * repository) so every serverless instance shares them. When OMDB is down or
+ * slow, an expired cached copy is served instead of an error where one exists.
+ * Expired rows stay OMDB_CACHE_KEEP_DAYS for that; purgeCache, a daily job
+ * (GET /api/jobs/purge-omdb-cache or `npm run omdb -- purge`), then deletes them.
+ *
+ * OMDB_BASE_URL points at another server speaking the OMDB protocol,
+ * e.g. the fixture server the tests start locally.
+ */
+// The CLI below needs .env loaded before the store picks its backend
+if (require.main === module) require('dotenv').config();
+
+const store = require('./store');
+const logger = require('./logger');
+
+const OMDB_DEFAULT_BASE_URL = 'https://www.omdbapi.com/';
+const CACHE_TTL_MINUTES = parseInt(process.env.OMDB_CACHE_TTL_MINUTES || '360', 10);
+const CACHE_MAX_ENTRIES = parseInt(process.env.OMDB_CACHE_MAX_ENTRIES || '500', 10);
+const CACHE_KEEP_DAYS = parseInt(process.env.OMDB_CACHE_KEEP_DAYS || '7', 10);
+const TIMEOUT_MS = parseInt(process.env.OMDB_TIMEOUT_MS || '5000', 10);
+
+const SEARCH_TYPES = ['movie', 'series', 'episode'];
+const SEARCH_PAGE_SIZE = 10; // fixed by OMDB
+const YEAR_PATTERN = /^\d{4}$/;
+const IMDB_ID_PATTERN = /^tt\d{7,10}$/;
+
+// OMDB answers these with Response "False"; they are real answers and get cached
+const NOT_FOUND_ERRORS = ['Movie not found!', 'Series not found!', 'Incorrect IMDb ID.', 'Too many results.'];
+
+// Error code for OMDB being unreachable (or rejecting our key) with nothing cached
+const OMDB_UNAVAILABLE = 'OMDB_UNAVAILABLE';
+
+function unavailable(message) {
+  const err = new Error(message);
+  err.code = OMDB_UNAVAILABLE;
+  return err;
+}
+
+/**
+ * Least-recently-used cache on a Map (iteration order is insertion order,
+ * so re-inserting on read moves an entry to the end).
+ */
+function createLruCache(maxEntries) {
+  const entries = new Map();
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+const memoryCache = createLruCache(CACHE_MAX_ENTRIES);
+
+// Read at call time so tests can point OMDB_BASE_URL at a fixture server after loading the app
+function upstreamUrl(params) {
+  const url = new URL(process.env.OMDB_BASE_URL || OMDB_DEFAULT_BASE_URL);
+  url.searchParams.set('apikey', process.env.OMDB_API_KEY || '');
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined) url.searchParams.set(name, String(value));
+  }
+  return url;
+}
+
+async function fetchUpstream(params) {
+  if (!process.env.OMDB_API_KEY) throw unavailable('OMDB_API_KEY is not set');
+
+  let res;
+  try {
+    res = await fetch(upstreamUrl(params), { signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch (err) {
+    throw unavailable(`OMDB request failed: ${err.message}`);
+  }
+
+  const body = await res.json().catch(() => null);
+  if (!body || typeof body.Response !== 'string') {
+    throw unavailable(`OMDB answered ${res.status} without a valid body`);
+  }
+  if (body.Response === 'False' && !NOT_FOUND_ERRORS.includes(body.Error)) {
+    // e.g. "Invalid API key!" or "Request limit reached!"
+    throw unavailable(`OMDB error: ${body.Error}`);
+  }
+  return body;
+}
+
+/**
+ * Raw OMDB body for params: LRU, then omdb_cache, then OMDB itself.
+ * Returns { body, stale } where stale marks an expired copy served because OMDB failed.
+ */
+async function cachedRequest(key, params) {
+  const now = Date.now();
+
+  const hot = memoryCache.get(key);
+  if (hot && hot.expiresAt > now) return { body: hot.body, stale: false };
+
+  const row = await store.omdbCache.get(key);
+  if (row && new Date(row.expires_at).getTime() > now) {
+    memoryCache.set(key, { body: row.payload, expiresAt: new Date(row.expires_at).getTime() });
+    return { body: row.payload, stale: false };
+  }
+
+  try {
+    const body = await fetchUpstream(params);
+    const expiresAt = now + CACHE_TTL_MINUTES * 60 * 1000;
+    memoryCache.set(key, { body, expiresAt });
+    // A failed cache write should not cost the caller the answer we already have
+    await store.omdbCache.set(key, body, new Date(expiresAt)).catch((cacheErr) => {
+      logger.error('OMDB cache write failed', { key, err: cacheErr });
+    });
+    return { body, stale: false };
+  } catch (err) {
+    const fallback = (row && row.payload) || (hot && hot.body);
+    if (err.code === OMDB_UNAVAILABLE && fallback) {
+      logger.warn('Serving stale OMDB cache entry', { key, reason: err.message });
+      return { body: fallback, stale: true };
+    }
+    throw err;
+  }
+}
+
+// OMDB uses "N/A" for missing values
+function value(input) {
+  return input && input !== 'N/A' ? input : null;
+}
+
+function list(input) {
+  const text = value(input);
+  return text ? text.split(',').map((item) => item.trim()).filter(Boolean) : [];
+}
+
+function number(input) {
+  const text = value(input);
+  const parsed = text ? parseFloat(text.replace(/,/g, '')) : NaN;
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// e.g. [{ Source: 'Rotten Tomatoes', Value: '91%' }] -> [{ source: 'Rotten Tomatoes', value: '91%' }]
+function ratings(input) {
+  if (!Array.isArray(input)) return [];
+  return input
+    .filter((rating) => rating && value(rating.Source) && value(rating.Value))
+    .map((rating) => ({ source: rating.Source, value: rating.Value }));
+}
+
+// Search result entry in our API shape
+function toTitleSummary(item) {
+  return {
+    imdb_id: item.imdbID,
+    title: item.Title,
+    year: value(item.Year),
+    type: item.Type,
+    poster: value(item.Poster),
+  };
+}
+
+// Full title in our API shape
+function toTitle(body) {
+  return {
+    ...toTitleSummary(body),
+    rated: value(body.Rated),
+    released: value(body.Released),
+    runtime: value(body.Runtime),
+    genres: list(body.Genre),
+    director: value(body.Director),
+    writers: list(body.Writer),
+    actors: list(body.Actors),
+    plot: value(body.Plot),
+    language: value(body.Language),
+    country: value(body.Country),
+    awards: value(body.Awards),
+    ratings: ratings(body.Ratings),
+    metascore: number(body.Metascore),
+    imdb_rating: number(body.imdbRating),
+    imdb_votes: number(body.imdbVotes),
+    total_seasons: number(body.totalSeasons),
+  };
+}
+
+/**
+ * Validates search input ({ q, type, year, page } from the query string).
+ * Returns { values, errors } like the other validators.
+ */
+function validateSearch(query) {
+  const values = {};
+  const errors = {};
+
+  const q = typeof query.q === 'string' ? query.q.trim().replace(/\s+/g, ' ') : '';
+  if (q.length < 2 || q.length > 100) errors.q = 'Search text must be 2-100 characters.';
+  else values.q = q;
+
+  if (query.type !== undefined && query.type !== '') {
+    if (!SEARCH_TYPES.includes(query.type)) errors.type = `Type must be one of: ${SEARCH_TYPES.join(', ')}.`;
+    else values.type = query.type;
+  }
+
+  if (query.year !== undefined && query.year !== '') {
+    const year = Number(query.year);
+    if (!YEAR_PATTERN.test(query.year) || year < 1870 || year > new Date().getFullYear() + 10) {
+      errors.year = 'Year must be a four-digit year.';
+    } else {
+      values.year = year;
+    }
+  }
+
+  const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1 || page > 100) errors.page = 'Page must be a number from 1 to 100.';
+  else values.page = page;
+
+  return { values, errors };
+}
+
+/**
+ * Searches titles, one OMDB page (10 results) at a time.
+ * Returns { results, total_results, page, has_more, stale }.
+ */
+async function searchTitles({ q, type, year, page = 1 }) {
+  const key = `search:${type || 'any'}:${year || 'any'}:${page}:${q.toLowerCase()}`;
+  const { body, stale } = await cachedRequest(key, { s: q, type, y: year, page });
+
+  const found = body.Response === 'True';
+  const totalResults = found ? parseInt(body.totalResults, 10) || 0 : 0;
+  return {
+    results: found ? body.Search.map(toTitleSummary) : [],
+    total_results: totalResults,
+    page,
+    has_more: page * SEARCH_PAGE_SIZE < totalResults,
+    stale,
+  };
+}
+
+/**
+ * Looks up one title by IMDb ID. Returns { title, stale }; title is null if OMDB has no such ID.
+ */
+async function getTitle(imdbId) {
+  const { body, stale } = await cachedRequest(`title:${imdbId}`, { i: imdbId, plot: 'full' });
+  return { title: body.Response === 'True' ? toTitle(body) : null, stale };
+}
+
+/**
+ * Empties the in-process LRU (tests; the omdb_cache table is left alone).
+ */
+function clearMemoryCache() {
+  memoryCache.clear();
+}
+
+/**
+ * The scheduled job: deletes omdb_cache rows that expired more than OMDB_CACHE_KEEP_DAYS
+ * before `now`, so every search ever typed does not stay in the table. Resolves to the count.
+ */
+async function purgeCache(now = new Date()) {
+  return store.omdbCache.deleteExpired(new Date(now.getTime() - CACHE_KEEP_DAYS * 24 * 60 * 60 * 1000));
+}
+
+async function main(argv) {
+  if (argv[0] !== 'purge') throw new Error('Usage: npm run omdb -- purge');
+
+  await store.init();
+  try {
+    console.log(`Deleted ${await purgeCache()} expired OMDB cache entry(s).`);
+  } finally {
+    if (store.name === 'postgres') await require('./db').pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SEARCH_PAGE_SIZE,
+  IMDB_ID_PATTERN,
+  OMDB_UNAVAILABLE,
+  CACHE_KEEP_DAYS,
+  createLruCache,
+  validateSearch,
+  searchTitles,
+  getTitle,
+  clearMemoryCache,
+  purgeCache,
+};
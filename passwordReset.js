@@ -0,0 +1,61 @@
+/**
+ * passwordReset.js - Hashed, time-limited password reset tokens
+ * The emailed link carries the raw token; the passwordResetTokens repository stores its hash.
+ */
+const bcrypt = require('bcrypt');
+const store = require('./store');
+const { generateToken, hashToken } = require('./tokens');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
+/**
+ * Issues a new reset token for the user, replacing any earlier unused ones.
+ * Returns the raw token to put in the link.
+ */
+async function createPasswordResetToken(userId) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  await store.passwordResetTokens.replace({ tokenHash: hashToken(token), userId, expiresAt });
+  return token;
+}
+
+/**
+ * Looks up the user a still-valid token belongs to, without using it up.
+ * Returns { id, user_id } or null.
+ */
+async function findPasswordResetUser(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const row = await store.passwordResetTokens.find(hashToken(token));
+  if (!row || new Date(row.expires_at) <= new Date()) return null;
+
+  const user = await store.users.findById(row.user_id);
+  return user ? { id: user.id, user_id: user.user_id } : null;
+}
+
+/**
+ * Consumes the token and sets the new password. Every existing session of the
+ * user is deleted so a stolen cookie stops working. Receiving the email also
+ * proves ownership of the address, so an unverified email becomes verified.
+ * Returns false if the token was already used or has expired.
+ */
+async function resetPassword(token, newPassword) {
+  const row = await store.passwordResetTokens.consume(hashToken(token));
+  if (!row || new Date(row.expires_at) <= new Date()) return false;
+
+  const userId = row.user_id;
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  await store.users.updatePassword(userId, hashedPassword);
+  await store.users.markEmailVerified(userId);
+  await store.sessions.deleteByUserId(userId);
+  return true;
+}
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  createPasswordResetToken,
+  findPasswordResetUser,
+  resetPassword,
+};
@@ -0,0 +1,46 @@
+/**
+ * payments/fake.js - Simulated payment provider (see payments/index.js)
+ * Nothing is charged. The card number decides the outcome, like a real provider's test cards:
+ *   4000 0000 0000 0002   declined
+ *   4000 0000 0000 0341   the checkout payment goes through, renewals are declined
+ *   any other valid number succeeds (e.g. 4242 4242 4242 4242)
+ * The outcome is kept in the payment method id, so it works across restarts and serverless instances.
+ */
+const crypto = require('crypto');
+
+const DECLINED_CARD = '4000000000000002';
+const RENEWAL_DECLINED_CARD = '4000000000000341';
+
+function declined(message) {
+  const err = new Error(message);
+  err.code = 'PAYMENT_DECLINED';
+  return err;
+}
+
+function cardBrand(number) {
+  if (/^4/.test(number)) return 'visa';
+  if (/^(5[1-5]|2[2-7])/.test(number)) return 'mastercard';
+  if (/^3[47]/.test(number)) return 'amex';
+  return 'card';
+}
+
+async function createPaymentMethod({ number }) {
+  if (number === DECLINED_CARD) throw declined('Your card was declined.');
+
+  const outcome = number === RENEWAL_DECLINED_CARD ? 'renewaldecline' : 'ok';
+  return {
+    id: `pm_fake_${outcome}_${crypto.randomBytes(8).toString('hex')}`,
+    brand: cardBrand(number),
+    last4: number.slice(-4),
+  };
+}
+
+async function charge({ paymentMethodId, reason }) {
+  if (!/^pm_fake_/.test(paymentMethodId)) throw declined('This payment method is not valid.');
+  if (reason === 'renewal' && paymentMethodId.startsWith('pm_fake_renewaldecline_')) {
+    throw declined('Your card was declined.');
+  }
+  return { id: `ch_fake_${crypto.randomBytes(8).toString('hex')}` };
+}
+
+module.exports = { name: 'fake', createPaymentMethod, charge };
@@ -0,0 +1,29 @@
+/**
+ * payments/index.js - Payment provider selected by PAYMENT_PROVIDER
+ *   fake (default) - payments/fake.js, simulated checkout: nothing is charged
+ *
+ * Every provider exposes the same interface; subscriptions.js only talks to this:
+ *
+ *   name                                   stored with each subscription (payment_provider)
+ *   createPaymentMethod({ number, exp_month, exp_year, cvc })
+ *                                          -> { id, brand, last4 }; the card must already be validated.
+ *                                          Card details go no further than the provider.
+ *   charge({ paymentMethodId, amountCents, currency, description, reason, idempotencyKey })
+ *                                          -> { id } of the payment. reason is 'checkout' or 'renewal';
+ *                                          a repeated idempotencyKey must not charge twice.
+ *
+ * Both methods throw an error with code PAYMENT_DECLINED (and a message for the user) when the
+ * card or payment is refused; any other error means the provider could not be reached.
+ */
+const PAYMENT_DECLINED = 'PAYMENT_DECLINED';
+
+const providers = {
+  fake: () => require('./fake'),
+};
+
+const providerName = (process.env.PAYMENT_PROVIDER || 'fake').toLowerCase();
+if (!providers[providerName]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${providerName}". Use "fake".`);
+}
+
+module.exports = { PAYMENT_DECLINED, provider: providers[providerName]() };
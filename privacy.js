@@ -0,0 +1,244 @@
+/**
+ * privacy.js - Personal data export and account erasure
+ * The export is one JSON document with everything stored about the user: account details,
+ * sign-in providers, sessions, profiles with their lists, ratings and viewing history, the
+ * subscription, admin actions about the account and the privacy log. Secrets stay out:
+ * password and PIN hashes, the two-factor secret, token hashes and the payment method id.
+ *
+ * Erasure takes two steps and a grace period:
+ *   1. requestErasure issues a link (valid ERASURE_CONFIRM_TTL_HOURS) that the route emails.
+ *   2. confirmErasure, behind that link, schedules the erasure ERASURE_GRACE_DAYS ahead and
+ *      stops the subscription from renewing. Until then the user can log in and cancel.
+ * purgeErasures is the scheduled job (GET /api/jobs/purge-erasures for Vercel Cron, or
+ * `npm run privacy -- purge`): it erases accounts whose grace period is over and drops
+ * requests whose link expired unconfirmed. eraseUser deletes the user row, which cascades
+ * to every table with their data, after anonymizing the admin audit log.
+ *
+ * Every export and erasure step goes to privacy_log and the structured log.
+ */
+// The CLI below needs .env loaded before the store picks its backend
+if (require.main === module) require('dotenv').config();
+
+const store = require('./store');
+const logger = require('./logger');
+const { generateToken, hashToken } = require('./tokens');
+const { profileKey, mfaKey, accountKey } = require('./loginThrottle');
+const { toSubscription } = require('./subscriptions');
+
+const ERASURE_GRACE_DAYS = parseInt(process.env.ERASURE_GRACE_DAYS || '14', 10);
+const ERASURE_CONFIRM_TTL_HOURS = parseInt(process.env.ERASURE_CONFIRM_TTL_HOURS || '24', 10);
+const EXPORT_FORMAT_VERSION = 1;
+
+// privacy_log events
+const PRIVACY_EVENTS = {
+  export: 'data.export',
+  erasureRequested: 'erasure.requested',
+  erasureScheduled: 'erasure.scheduled',
+  erasureCanceled: 'erasure.canceled',
+  erasureExpired: 'erasure.expired',
+  erasureCompleted: 'erasure.completed',
+};
+
+/**
+ * Writes a privacy_log entry and the matching log line. `log` is req.log inside requests.
+ */
+async function recordPrivacyEvent(userId, event, details = null, log = logger) {
+  await store.privacyLog.record({ userId, event, details });
+  log.info('Privacy event', { event, user_id: userId, ...details });
+}
+
+// Admin actions about the user, without who made them (other people's data)
+async function adminActionsAbout(userId) {
+  const { total } = await store.adminAudit.list({ targetId: userId, limit: 0 });
+  const { entries } = await store.adminAudit.list({ targetId: userId, limit: total });
+  return entries.map(({ action, details, created_at }) => ({ action, details, created_at }));
+}
+
+async function exportProfile(profile) {
+  const { id, name, avatar, is_kids, pin_hash, created_at } = profile;
+  const [watchlist, ratings, viewingHistory] = await Promise.all([
+    store.watchlist.list(id),
+    store.ratings.listByProfile(id),
+    store.viewingHistory.list(id),
+  ]);
+  return {
+    name,
+    avatar,
+    is_kids,
+    has_pin: Boolean(pin_hash),
+    created_at,
+    watchlist,
+    ratings,
+    viewing_history: viewingHistory,
+  };
+}
+
+/**
+ * Everything stored about `user` (a user row), as a plain object for JSON.stringify.
+ */
+async function buildExport(user, now = new Date()) {
+  const [identities, sessions, profiles, subscription, recoveryCodesLeft, erasure, adminActions, privacyEvents] =
+    await Promise.all([
+      store.userIdentities.listByUserId(user.id),
+      store.sessions.listByUserId(user.id),
+      store.profiles.listByUserId(user.id),
+      store.subscriptions.findByUserId(user.id),
+      store.mfaRecoveryCodes.count(user.id),
+      store.erasureRequests.findByUserId(user.id),
+      adminActionsAbout(user.id),
+      store.privacyLog.listByUserId(user.id),
+    ]);
+  const plan = subscription && await store.plans.findById(subscription.plan_id);
+
+  return {
+    format: 'account-data-export',
+    version: EXPORT_FORMAT_VERSION,
+    exported_at: now,
+    account: {
+      user_id: user.user_id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      email_verified_at: user.email_verified_at,
+      pending_email: user.pending_email,
+      disabled_at: user.disabled_at,
+      created_at: user.created_at,
+      has_password: Boolean(user.password),
+    },
+    two_factor: {
+      enabled_at: user.mfa_enabled_at,
+      recovery_codes_left: user.mfa_enabled_at ? recoveryCodesLeft : 0,
+    },
+    sign_in_providers: identities.map(({ provider, subject, email, created_at }) => ({ provider, subject, email, created_at })),
+    sessions,
+    profiles: await Promise.all(profiles.map(exportProfile)),
+    subscription: subscription ? toSubscription(subscription, plan) : null,
+    erasure_request: erasure && toErasure(erasure),
+    admin_actions: adminActions,
+    privacy_log: privacyEvents.map(({ event, details, created_at }) => ({ event, details, created_at })),
+  };
+}
+
+// Download name, e.g. account-data-jane_doe-2026-10-19.json
+function exportFilename(user, now = new Date()) {
+  return `account-data-${user.user_id}-${now.toISOString().slice(0, 10)}.json`;
+}
+
+// Public view of an erasure request
+function toErasure(request) {
+  const { status, requested_at, confirmed_at, purge_after } = request;
+  return { status, requested_at, confirmed_at, purge_after };
+}
+
+/**
+ * Starts (or restarts) an erasure request for the user. Returns the raw token for the
+ * confirmation link; the request only stores its hash.
+ */
+async function requestErasure(userId, log = logger) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + ERASURE_CONFIRM_TTL_HOURS * 60 * 60 * 1000);
+
+  await store.erasureRequests.request({ userId, tokenHash: hashToken(token), expiresAt });
+  await recordPrivacyEvent(userId, PRIVACY_EVENTS.erasureRequested, null, log);
+  return token;
+}
+
+/**
+ * Confirms the request behind a link token: the account is erased once ERASURE_GRACE_DAYS
+ * have passed, and an active subscription ends with its current period instead of renewing.
+ * Returns the scheduled request, or null if the token is unknown, used or expired.
+ */
+async function confirmErasure(token, log = logger) {
+  if (!token || typeof token !== 'string') return null;
+
+  const now = new Date();
+  const purgeAfter = new Date(now.getTime() + ERASURE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  const request = await store.erasureRequests.schedule(hashToken(token), now, purgeAfter);
+  if (!request) return null;
+
+  const subscription = await store.subscriptions.findByUserId(request.user_id);
+  if (subscription && subscription.status === 'active') {
+    await store.subscriptions.update(request.user_id, { cancel_at_period_end: true });
+  }
+  await recordPrivacyEvent(request.user_id, PRIVACY_EVENTS.erasureScheduled, { purge_after: purgeAfter }, log);
+  return request;
+}
+
+/**
+ * Cancels the user's pending or scheduled erasure. Returns false if there was none.
+ */
+async function cancelErasure(userId, log = logger) {
+  const canceled = await store.erasureRequests.cancel(userId);
+  if (canceled) await recordPrivacyEvent(userId, PRIVACY_EVENTS.erasureCanceled, null, log);
+  return canceled;
+}
+
+/**
+ * Removes the user and all their data. The admin audit log keeps its entries without the
+ * user's name or details; login throttling state for the account and its profiles is cleared.
+ * `reason` ends up in the privacy log: 'account_deleted' (right away), 'admin_deleted' or
+ * 'grace_period_ended'.
+ */
+async function eraseUser(userId, reason, log = logger) {
+  const profiles = await store.profiles.listByUserId(userId);
+
+  await store.adminAudit.anonymize(userId);
+  await store.users.deleteUser(userId);
+  for (const key of [accountKey(userId), mfaKey(userId), ...profiles.map((profile) => profileKey(profile.id))]) {
+    await store.loginAttempts.clear(key);
+  }
+  await recordPrivacyEvent(userId, PRIVACY_EVENTS.erasureCompleted, { reason }, log);
+}
+
+/**
+ * The scheduled job: erases the accounts whose grace period ended by `now` and deletes
+ * requests whose confirmation link expired. Resolves to { erased, expired } counts.
+ */
+async function purgeErasures(now = new Date(), log = logger) {
+  const due = await store.erasureRequests.listDue(now);
+  for (const request of due) {
+    await eraseUser(request.user_id, 'grace_period_ended', log);
+  }
+
+  const expired = await store.erasureRequests.deleteExpired(now);
+  for (const request of expired) {
+    await recordPrivacyEvent(request.user_id, PRIVACY_EVENTS.erasureExpired, null, log);
+  }
+
+  return { erased: due.length, expired: expired.length };
+}
+
+async function main(argv) {
+  if (argv[0] !== 'purge') throw new Error('Usage: npm run privacy -- purge');
+
+  await store.init();
+  try {
+    const { erased, expired } = await purgeErasures();
+    console.log(`Erased ${erased} account(s); dropped ${expired} expired request(s).`);
+  } finally {
+    if (store.name === 'postgres') await require('./db').pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ERASURE_GRACE_DAYS,
+  ERASURE_CONFIRM_TTL_HOURS,
+  PRIVACY_EVENTS,
+  recordPrivacyEvent,
+  buildExport,
+  exportFilename,
+  toErasure,
+  requestErasure,
+  confirmErasure,
+  cancelErasure,
+  eraseUser,
+  purgeErasures,
+};
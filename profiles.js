@@ -0,0 +1,110 @@
+/**
+ * profiles.js - Viewer profiles within an account ("Who's watching?")
+ * Validation for profile input, optional PIN hashing, and the public view of a profile row.
+ * Like validation.js, validators return { value } or { error }.
+ */
+const bcrypt = require('bcrypt');
+
+const PROFILE_LIMIT = parseInt(process.env.PROFILE_LIMIT || '5', 10);
+const PROFILE_NAME_MAX_LENGTH = 50;
+
+// Avatar keys; profiles.html renders each as a coloured tile (.avatar-<key> in style.css)
+const AVATARS = ['red', 'blue', 'green', 'yellow', 'purple', 'teal'];
+
+const PIN_PATTERN = /^\d{4}$/;
+
+function validateProfileName(input) {
+  const value = typeof input === 'string' ? input.trim().replace(/\s+/g, ' ') : '';
+  if (!value) return { error: 'Profile name is required.' };
+  if (value.length > PROFILE_NAME_MAX_LENGTH) {
+    return { error: `Profile name must be at most ${PROFILE_NAME_MAX_LENGTH} characters.` };
+  }
+  return { value };
+}
+
+function validateAvatar(input) {
+  if (!AVATARS.includes(input)) return { error: 'Please choose one of the avatars.' };
+  return { value: input };
+}
+
+function validateIsKids(input) {
+  if (typeof input !== 'boolean') return { error: 'Kids must be true or false.' };
+  return { value: input };
+}
+
+// null (or '') removes the PIN
+function validatePin(input) {
+  if (input === null || input === '') return { value: null };
+  if (typeof input !== 'string' || !PIN_PATTERN.test(input)) return { error: 'PIN must be exactly 4 digits.' };
+  return { value: input };
+}
+
+const PROFILE_VALIDATORS = {
+  name: validateProfileName,
+  avatar: validateAvatar,
+  is_kids: validateIsKids,
+  pin: validatePin,
+};
+
+/**
+ * Validates the profile fields present in body. With `partial` (updates) missing fields are
+ * skipped; otherwise name is required and avatar / is_kids / pin get defaults.
+ * Returns { values, errors } like validateRegistration.
+ */
+function validateProfile(body, { partial = false } = {}) {
+  const input = { ...(body || {}) };
+  if (!partial) {
+    if (input.avatar === undefined) input.avatar = AVATARS[0];
+    if (input.is_kids === undefined) input.is_kids = false;
+    if (input.pin === undefined) input.pin = null;
+  }
+
+  const values = {};
+  const errors = {};
+  for (const [field, validate] of Object.entries(PROFILE_VALIDATORS)) {
+    if (input[field] === undefined && (partial || field !== 'name')) continue;
+    const result = validate(input[field]);
+    if (result.error) errors[field] = result.error;
+    else values[field] = result.value;
+  }
+  return { values, errors };
+}
+
+/**
+ * bcrypt hash of a PIN, or null when the PIN is being removed.
+ */
+async function hashPin(pin) {
+  return pin === null ? null : bcrypt.hash(pin, 10);
+}
+
+/**
+ * True if the profile has no PIN or `pin` matches it.
+ */
+async function checkPin(profile, pin) {
+  if (!profile.pin_hash) return true;
+  if (typeof pin !== 'string' || !pin) return false;
+  return bcrypt.compare(pin, profile.pin_hash);
+}
+
+/**
+ * Name for the profile every new account starts with: the holder's first name.
+ */
+function defaultProfileName(accountName) {
+  return accountName.split(' ')[0].slice(0, PROFILE_NAME_MAX_LENGTH);
+}
+
+// Public view of a profile row (never includes the PIN hash)
+function toProfile(profile) {
+  const { id, name, avatar, is_kids, pin_hash, created_at } = profile;
+  return { id, name, avatar, is_kids, has_pin: !!pin_hash, created_at };
+}
+
+module.exports = {
+  PROFILE_LIMIT,
+  AVATARS,
+  validateProfile,
+  hashPin,
+  checkPin,
+  defaultProfileName,
+  toProfile,
+};
@@ -0,0 +1,233 @@
+/**
+ * admin.js - Admin console (admin.html)
+ * Searches and pages through users, shows one user with the actions an admin can take
+ * (disable / enable, force a password reset, delete) and lists the audit log.
+ * Uses the message helpers from script.js.
+ */
+
+const adminPage = {
+  search: { q: '', status: '', page: 1 },
+  auditPage: 1,
+  selected: null, // user shown in the detail card
+};
+
+const AUDIT_LABELS = {
+  'user.disable': 'disabled',
+  'user.enable': 'enabled',
+  'user.password_reset': 'forced a password reset for',
+  'user.delete': 'deleted',
+};
+
+/**
+ * Our API, sending the session to login. Non-admins never get this page, but a role
+ * revoked while it is open shows up as admin_required.
+ */
+async function adminFetch(path, options = {}) {
+  const res = await fetch(API_BASE + path, options);
+  const data = await res.json();
+  if (res.status === 401) window.location.href = '/login.html';
+  else if (data.code === 'admin_required') window.location.href = '/profiles.html';
+  return data;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : '—';
+}
+
+function userStatus(user) {
+  if (user.disabled_at) return 'Disabled';
+  if (!user.email_verified_at) return 'Unverified';
+  return user.role === 'admin' ? 'Admin' : 'Active';
+}
+
+function renderPager(prefix, data) {
+  const pages = Math.max(1, Math.ceil(data.total / data.page_size));
+  document.getElementById(`${prefix}-page`).textContent = `Page ${data.page} of ${pages}`;
+  document.getElementById(`${prefix}-prev`).disabled = data.page <= 1;
+  document.getElementById(`${prefix}-next`).disabled = !data.has_more;
+}
+
+function createUserRow(user) {
+  const row = document.createElement('tr');
+  if (adminPage.selected && adminPage.selected.id === user.id) row.className = 'selected';
+
+  const link = document.createElement('button');
+  link.type = 'button';
+  link.className = 'link-button';
+  link.textContent = user.user_id;
+  link.addEventListener('click', () => loadUser(user.id));
+
+  const cells = [link, user.name, user.email, userStatus(user), formatDate(user.created_at)];
+  for (const content of cells) {
+    const cell = document.createElement('td');
+    if (typeof content === 'string') cell.textContent = content;
+    else cell.appendChild(content);
+    row.appendChild(cell);
+  }
+  return row;
+}
+
+async function loadUsers() {
+  const params = new URLSearchParams({ page: String(adminPage.search.page) });
+  if (adminPage.search.q) params.set('q', adminPage.search.q);
+  if (adminPage.search.status) params.set('status', adminPage.search.status);
+
+  try {
+    const data = await adminFetch(`/api/admin/users?${params}`);
+    if (!data.success) {
+      showMessage('admin-message', data.message || 'Could not load users.');
+      return;
+    }
+    document.getElementById('user-rows').replaceChildren(...data.users.map(createUserRow));
+    document.getElementById('users-empty').hidden = data.users.length > 0;
+    renderPager('users', data);
+  } catch (err) {
+    showMessage('admin-message', 'Network error. Please reload the page.');
+  }
+}
+
+function createAuditEntry(entry) {
+  const item = document.createElement('li');
+  const when = document.createElement('span');
+  when.className = 'admin-audit-time';
+  when.textContent = new Date(entry.created_at).toLocaleString();
+  const what = document.createElement('span');
+  what.textContent = `${entry.admin_user_id} ${AUDIT_LABELS[entry.action] || entry.action} ${entry.target_user_id || (entry.target_id ? `#${entry.target_id}` : '')}`;
+  item.append(when, what);
+  return item;
+}
+
+function renderAudit(listId, emptyId, entries) {
+  document.getElementById(listId).replaceChildren(...entries.map(createAuditEntry));
+  document.getElementById(emptyId).hidden = entries.length > 0;
+}
+
+async function loadAudit() {
+  try {
+    const data = await adminFetch(`/api/admin/audit?page=${adminPage.auditPage}`);
+    if (!data.success) return;
+    renderAudit('audit-entries', 'audit-empty', data.entries);
+    renderPager('audit', data);
+  } catch (err) {
+    showMessage('admin-message', 'Network error. Please reload the page.');
+  }
+}
+
+function renderUser(data) {
+  const { user, profiles } = data;
+  adminPage.selected = user;
+
+  document.getElementById('detail-title').textContent = user.name;
+  document.getElementById('detail-subtitle').textContent = `${user.user_id} · ${userStatus(user)}`;
+
+  const facts = [
+    ['Email', user.pending_email ? `${user.email} (changing to ${user.pending_email})` : user.email],
+    ['Phone', user.phone],
+    ['Role', user.role],
+    ['Joined', formatDate(user.created_at)],
+    ['Email verified', formatDate(user.email_verified_at)],
+    ['Disabled', formatDate(user.disabled_at)],
+    ['Profiles', profiles.map((profile) => profile.name).join(', ') || '—'],
+  ];
+  document.getElementById('detail-facts').replaceChildren(...facts.flatMap(([term, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    return [dt, dd];
+  }));
+
+  document.getElementById('toggle-disabled').textContent = user.disabled_at ? 'Enable user' : 'Disable user';
+  renderAudit('detail-audit', 'detail-audit-empty', data.audit);
+  document.getElementById('user-detail').hidden = false;
+}
+
+async function loadUser(id) {
+  hideMessage('detail-message');
+  try {
+    const data = await adminFetch(`/api/admin/users/${id}`);
+    if (data.success) {
+      renderUser(data);
+      document.getElementById('user-detail').scrollIntoView({ behavior: 'smooth' });
+    } else {
+      showMessage('admin-message', data.message || 'Could not load the user.');
+    }
+  } catch (err) {
+    showMessage('admin-message', 'Network error. Please try again.');
+  }
+}
+
+/**
+ * Runs one action on the selected user, then refreshes the list, the audit log and
+ * (unless the user was deleted) the detail card.
+ */
+async function runUserAction(button, path, method = 'POST') {
+  const user = adminPage.selected;
+  hideMessage('detail-message');
+  button.disabled = true;
+
+  try {
+    const data = await adminFetch(path, { method });
+    if (data.success) {
+      if (method === 'DELETE') {
+        adminPage.selected = null;
+        document.getElementById('user-detail').hidden = true;
+        showMessage('admin-message', data.message, false);
+      } else {
+        await loadUser(user.id);
+        showMessage('detail-message', data.message, false);
+      }
+      await Promise.all([loadUsers(), loadAudit()]);
+    } else {
+      showMessage('detail-message', data.message || 'Could not update the user.');
+    }
+  } catch (err) {
+    showMessage('detail-message', 'Network error. Please try again.');
+  }
+  button.disabled = false;
+}
+
+function initUserActions() {
+  document.getElementById('toggle-disabled').addEventListener('click', (e) => {
+    const user = adminPage.selected;
+    runUserAction(e.currentTarget, `/api/admin/users/${user.id}/${user.disabled_at ? 'enable' : 'disable'}`);
+  });
+
+  document.getElementById('force-reset').addEventListener('click', (e) => {
+    const user = adminPage.selected;
+    if (!window.confirm(`Sign ${user.user_id} out and make them choose a new password?`)) return;
+    runUserAction(e.currentTarget, `/api/admin/users/${user.id}/password-reset`);
+  });
+
+  document.getElementById('delete-user').addEventListener('click', (e) => {
+    const user = adminPage.selected;
+    if (!window.confirm(`Delete ${user.user_id} and all of their profiles and data? This cannot be undone.`)) return;
+    runUserAction(e.currentTarget, `/api/admin/users/${user.id}`, 'DELETE');
+  });
+}
+
+function initAdminPage() {
+  if (!document.getElementById('user-rows')) return;
+
+  const form = document.getElementById('user-search');
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    hideMessage('admin-message');
+    adminPage.search = { q: form.q.value.trim(), status: form.status.value, page: 1 };
+    loadUsers();
+  });
+
+  const pagers = [
+    ['users-prev', () => { adminPage.search.page -= 1; loadUsers(); }],
+    ['users-next', () => { adminPage.search.page += 1; loadUsers(); }],
+    ['audit-prev', () => { adminPage.auditPage -= 1; loadAudit(); }],
+    ['audit-next', () => { adminPage.auditPage += 1; loadAudit(); }],
+  ];
+  for (const [id, handler] of pagers) document.getElementById(id).addEventListener('click', handler);
+
+  initUserActions();
+  loadUsers();
+  loadAudit();
+}
+
+document.addEventListener('DOMContentLoaded', initAdminPage);
@@ -1,44 +1,729 @@
 /**
- * browse.js - Movie fetching and display logic using OMDB API
+ * browse.js - Movie fetching and display logic
+ * Movie data comes from our /api/titles routes, which proxy and cache OMDB on the server.
  */
 
-const OMDB_API_KEY = '51a9739a';
-const API_URL = `https://www.omdbapi.com/?apikey=${OMDB_API_KEY}`;
+// The profile's "My List", newest first, and the listed IMDb IDs for quick lookups
+const myList = { items: [], ids: new Set() };
+
+let toastTimer = null;
+
+/**
+ * Show a short message at the bottom of the page
+ */
+function showToast(text) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+    toast.textContent = text;
+    toast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => { toast.hidden = true; }, 3500);
+}
+
+/**
+ * Bring every toggle for imdbId (the same title can be in several rows) in line with myList
+ */
+function updateWatchlistToggles(imdbId) {
+    const listed = myList.ids.has(imdbId);
+    document.querySelectorAll(`.watchlist-toggle[data-imdb-id="${CSS.escape(imdbId)}"]`).forEach((button) => {
+        button.setAttribute('aria-pressed', String(listed));
+        button.setAttribute('aria-label', listed ? 'Remove from My List' : 'Add to My List');
+        button.title = listed ? 'Remove from My List' : 'Add to My List';
+        button.textContent = listed ? '✓' : '+';
+    });
+}
+
+// Member rating summaries by IMDb ID: { average, count, mine }
+const ratingSummaries = new Map();
+
+// GET /api/ratings/summary takes at most this many IDs per request
+const RATING_SUMMARY_BATCH = 50;
+
+function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(5 - stars);
+}
+
+/**
+ * Member average and this profile's own rating as shown on cards, e.g. "★ 4.2 (3) · You: 5★"
+ */
+function showCardRating(el, imdbId) {
+    const summary = ratingSummaries.get(imdbId);
+    const parts = [];
+    if (summary && summary.count > 0) parts.push(`★ ${summary.average.toFixed(1)} (${summary.count})`);
+    if (summary && summary.mine) parts.push(`You: ${summary.mine}★`);
+    el.textContent = parts.join(' · ');
+    el.hidden = parts.length === 0;
+}
+
+function updateCardRatings(imdbId) {
+    document.querySelectorAll(`.movie-card[data-imdb-id="${CSS.escape(imdbId)}"] .movie-rating`).forEach((el) => {
+        showCardRating(el, imdbId);
+    });
+}
 
 /**
- * Fetch movies by search term
+ * Fetch rating summaries for cards that were just rendered
  */
-async function fetchMovies(searchTerm, type = 'movie') {
+async function loadRatingSummaries(movies) {
+    const ids = [...new Set(movies.map((movie) => movie.imdb_id))];
+    for (let i = 0; i < ids.length; i += RATING_SUMMARY_BATCH) {
+        const batch = ids.slice(i, i + RATING_SUMMARY_BATCH);
+        try {
+            const response = await apiFetch(`/api/ratings/summary?ids=${batch.join(',')}`);
+            const data = await response.json();
+            if (!data.success) continue;
+            Object.entries(data.summaries).forEach(([imdbId, summary]) => {
+                ratingSummaries.set(imdbId, summary);
+                updateCardRatings(imdbId);
+            });
+        } catch (error) {
+            console.error('Error loading ratings:', error);
+        }
+    }
+}
+
+function renderMyList() {
+    const section = document.getElementById('my-list-section');
+    if (!section) return;
+    section.hidden = myList.items.length === 0;
+    displayMovies(myList.items, 'my-list');
+}
+
+function setMyList(items) {
+    myList.items = items;
+    myList.ids = new Set(items.map((item) => item.imdb_id));
+}
+
+async function loadMyList() {
     try {
-        const response = await fetch(`${API_URL}&s=${encodeURIComponent(searchTerm)}&type=${type}`);
+        const response = await apiFetch('/api/watchlist');
         const data = await response.json();
-        return data.Response === 'True' ? data.Search : [];
+        if (data.success) setMyList(data.items);
     } catch (error) {
-        console.error('Error fetching movies:', error);
-        return [];
+        console.error('Error loading My List:', error);
     }
+    renderMyList();
 }
 
 /**
- * Create a movie card element
+ * Add or remove a title. The UI changes right away; if the request fails
+ * the previous list is restored and a message is shown.
  */
-function createMovieCard(movie) {
+async function toggleWatchlist(movie) {
+    const previous = myList.items;
+    const listed = myList.ids.has(movie.imdb_id);
+
+    if (listed) {
+        setMyList(previous.filter((item) => item.imdb_id !== movie.imdb_id));
+    } else {
+        const { imdb_id, title, year, type, poster } = movie;
+        setMyList([{ imdb_id, title, year, type, poster }, ...previous]);
+    }
+    renderMyList();
+    updateWatchlistToggles(movie.imdb_id);
+
+    try {
+        const response = listed
+            ? await apiFetch(`/api/watchlist/${movie.imdb_id}`, { method: 'DELETE' })
+            : await apiFetch('/api/watchlist', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imdb_id: movie.imdb_id }),
+            });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || 'Request failed');
+    } catch (error) {
+        console.error('Error updating My List:', error);
+        setMyList(previous);
+        renderMyList();
+        updateWatchlistToggles(movie.imdb_id);
+        showToast(listed ? 'Could not remove from My List. Please try again.' : 'Could not add to My List. Please try again.');
+    }
+}
+
+function createWatchlistToggle(movie) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'watchlist-toggle';
+    button.dataset.imdbId = movie.imdb_id;
+    button.addEventListener('click', (e) => {
+        e.stopPropagation(); // don't open the details
+        toggleWatchlist(movie);
+    });
+    button.addEventListener('keydown', (e) => e.stopPropagation());
+    return button;
+}
+
+// The profile's viewing history, most recently watched first, and the entries by IMDb ID
+const viewing = { items: [], byId: new Map() };
+
+function setHistory(items) {
+    viewing.items = items;
+    viewing.byId = new Map(items.map((item) => [item.imdb_id, item]));
+}
+
+/**
+ * "Continue Watching": unfinished titles as a carousel with progress bars; hidden when there are none
+ */
+function renderContinueWatching() {
+    const container = document.getElementById('continue-watching');
+    if (!container) return;
+
+    const items = viewing.items.filter((item) => !item.completed);
+    if (items.length === 0) {
+        container.replaceChildren();
+        return;
+    }
+
+    const section = createHomeRow({ id: 'continue-watching', title: 'Continue Watching' });
+    const track = section.querySelector('.carousel-track');
+    track.replaceChildren(...items.map((item) => createMovieCard(item, {
+        progress: item.progress_seconds / item.duration_seconds,
+        onRemove: removeFromHistory,
+    })));
+    container.replaceChildren(section);
+    items.forEach((item) => updateWatchlistToggles(item.imdb_id));
+    updateCarouselButtons(section.querySelector('.carousel'));
+    loadRatingSummaries(items);
+}
+
+async function loadHistory() {
+    try {
+        const response = await apiFetch('/api/history');
+        const data = await response.json();
+        if (data.success) setHistory(data.items);
+    } catch (error) {
+        console.error('Error loading viewing history:', error);
+    }
+    renderContinueWatching();
+}
+
+/**
+ * Remove a title from the history (and so from "Continue Watching"). Like My List,
+ * the row changes right away and is restored if the request fails.
+ */
+async function removeFromHistory(movie) {
+    const previous = viewing.items;
+    setHistory(previous.filter((item) => item.imdb_id !== movie.imdb_id));
+    renderContinueWatching();
+
+    try {
+        const response = await apiFetch(`/api/history/${movie.imdb_id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || 'Request failed');
+    } catch (error) {
+        console.error('Error updating viewing history:', error);
+        setHistory(previous);
+        renderContinueWatching();
+        showToast('Could not remove from Continue Watching. Please try again.');
+    }
+}
+
+/**
+ * Create a movie card element. Options: progress (0-1) adds a progress bar,
+ * onRemove(movie) a remove button (used by "Continue Watching").
+ */
+function createMovieCard(movie, options = {}) {
     const card = document.createElement('div');
     card.className = 'movie-card';
+    card.tabIndex = 0;
+    card.setAttribute('role', 'button');
+    card.setAttribute('aria-label', `${movie.title} details`);
+    card.dataset.imdbId = movie.imdb_id;
+
+    // OMDB text goes in through textContent and properties only, never as markup
+    const poster = document.createElement('img');
+    poster.className = 'movie-poster';
+    poster.src = movie.poster || 'https://via.placeholder.com/300x450?text=No+Poster';
+    poster.alt = movie.title;
 
-    const poster = movie.Poster !== 'N/A' ? movie.Poster : 'https://via.placeholder.com/300x450?text=No+Poster';
+    const info = document.createElement('div');
+    info.className = 'movie-info';
+    const title = document.createElement('h3');
+    title.className = 'movie-title';
+    title.textContent = movie.title;
+    const year = document.createElement('p');
+    year.className = 'movie-year';
+    year.textContent = movie.year || '';
+    const rating = document.createElement('p');
+    rating.className = 'movie-rating';
+    info.append(title, year, rating);
 
-    card.innerHTML = `
-        <img src="${poster}" alt="${movie.Title}" class="movie-poster">
-        <div class="movie-info">
-            <h3 class="movie-title">${movie.Title}</h3>
-            <p class="movie-year">${movie.Year}</p>
-        </div>
-    `;
+    showCardRating(rating, movie.imdb_id);
+    card.append(poster, info, createWatchlistToggle(movie));
+
+    if (options.progress !== undefined) {
+        const percent = Math.round(options.progress * 100);
+        const bar = document.createElement('div');
+        bar.className = 'movie-progress';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-label', `${percent}% watched`);
+        bar.setAttribute('aria-valuenow', String(percent));
+        const fill = document.createElement('span');
+        fill.style.width = `${percent}%`;
+        bar.appendChild(fill);
+        card.appendChild(bar);
+    }
+
+    if (options.onRemove) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'card-remove';
+        remove.setAttribute('aria-label', 'Remove from Continue Watching');
+        remove.title = 'Remove from Continue Watching';
+        remove.textContent = '×';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation(); // don't open the details
+            options.onRemove(movie);
+        });
+        remove.addEventListener('keydown', (e) => e.stopPropagation());
+        card.appendChild(remove);
+    }
+
+    // Opening goes through the URL, so details are deep-linkable and the back button closes them
+    const open = () => {
+        titleOpenedFromPage = true;
+        window.location.hash = `title/${movie.imdb_id}`;
+    };
+    card.addEventListener('click', open);
+    card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            open();
+        }
+    });
 
     return card;
 }
 
+const TITLE_HASH_PATTERN = /^#title\/(tt\d{7,10})$/;
+
+// True when the open modal was pushed onto history by a card click (not a deep link)
+let titleOpenedFromPage = false;
+let titleReturnFocus = null;
+
+/**
+ * Append a <dt>/<dd> pair to a details list when there is a value
+ */
+function addDetail(list, label, value) {
+    if (!value || (Array.isArray(value) && value.length === 0)) return;
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = Array.isArray(value) ? value.join(', ') : value;
+    list.append(term, description);
+}
+
+/**
+ * Fill the modal with a title's details
+ */
+function renderTitle(title) {
+    const content = document.getElementById('title-content');
+
+    const poster = document.createElement('img');
+    poster.className = 'title-poster';
+    poster.src = title.poster || 'https://via.placeholder.com/300x450?text=No+Poster';
+    poster.alt = `${title.title} poster`;
+
+    const info = document.createElement('div');
+
+    const heading = document.createElement('h2');
+    heading.id = 'title-heading';
+    heading.className = 'title-heading';
+    heading.textContent = title.title;
+
+    const facts = document.createElement('div');
+    facts.className = 'title-facts';
+    [
+        { text: title.year },
+        { text: title.rated, className: 'title-rated' },
+        { text: title.runtime },
+        { text: title.total_seasons && `${title.total_seasons} seasons` },
+    ].filter((fact) => fact.text).forEach((fact) => {
+        const item = document.createElement('span');
+        if (fact.className) item.className = fact.className;
+        item.textContent = fact.text;
+        facts.appendChild(item);
+    });
+
+    const playback = createPlayback(title);
+
+    const plot = document.createElement('p');
+    plot.className = 'title-plot';
+    plot.textContent = title.plot || 'No plot summary available.';
+
+    const details = document.createElement('dl');
+    details.className = 'title-details';
+    addDetail(details, 'Genre', title.genres);
+    addDetail(details, 'Director', title.director);
+    addDetail(details, 'Cast', title.actors);
+    addDetail(details, 'Writers', title.writers);
+    addDetail(details, 'Released', title.released);
+    addDetail(details, 'Language', title.language);
+    addDetail(details, 'Awards', title.awards);
+
+    const ratings = document.createElement('ul');
+    ratings.className = 'title-ratings';
+    title.ratings.forEach((rating) => {
+        const item = document.createElement('li');
+        const score = document.createElement('strong');
+        score.textContent = rating.value;
+        item.append(score, rating.source);
+        ratings.appendChild(item);
+    });
+
+    const memberRatings = document.createElement('section');
+    memberRatings.id = 'member-ratings';
+    memberRatings.className = 'member-ratings';
+    memberRatings.setAttribute('aria-label', 'Member ratings');
+
+    info.append(heading, facts, playback, plot, details, ratings, memberRatings);
+    content.replaceChildren(poster, info);
+}
+
+/**
+ * Member ratings in the modal: the aggregate, this profile's stars and review
+ * (editable), and the latest written reviews
+ */
+function renderMemberRatings(imdbId, data) {
+    const section = document.getElementById('member-ratings');
+    if (!section) return;
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Member ratings';
+
+    const summary = document.createElement('p');
+    summary.className = 'member-summary';
+    summary.textContent = data.summary.count > 0
+        ? `★ ${data.summary.average.toFixed(1)} from ${data.summary.count} ${data.summary.count === 1 ? 'rating' : 'ratings'}`
+        : 'No member ratings yet.';
+
+    const form = document.createElement('form');
+    form.className = 'rating-form';
+    let selected = data.mine ? data.mine.stars : 0;
+
+    const stars = document.createElement('div');
+    stars.className = 'star-input';
+    stars.setAttribute('role', 'radiogroup');
+    stars.setAttribute('aria-label', 'Your rating');
+    const showSelected = () => {
+        stars.querySelectorAll('button').forEach((button, index) => {
+            button.classList.toggle('active', index < selected);
+            button.setAttribute('aria-checked', String(index + 1 === selected));
+        });
+    };
+    for (let value = 1; value <= 5; value++) {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.setAttribute('role', 'radio');
+        star.setAttribute('aria-label', `${value} ${value === 1 ? 'star' : 'stars'}`);
+        star.textContent = '★';
+        star.addEventListener('click', () => {
+            selected = value;
+            showSelected();
+        });
+        stars.appendChild(star);
+    }
+    showSelected();
+
+    const review = document.createElement('textarea');
+    review.name = 'review';
+    review.maxLength = 2000;
+    review.placeholder = 'Add a review (optional)';
+    review.setAttribute('aria-label', 'Your review');
+    review.value = data.mine && data.mine.review ? data.mine.review : '';
+
+    const actions = document.createElement('div');
+    actions.className = 'rating-actions';
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'btn btn-primary';
+    save.textContent = data.mine ? 'Update rating' : 'Rate';
+    actions.appendChild(save);
+
+    if (data.mine) {
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'btn btn-outline';
+        clear.textContent = 'Clear rating';
+        clear.addEventListener('click', () => saveRating(imdbId, null));
+        actions.appendChild(clear);
+    }
+
+    form.append(stars, review, actions);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!selected) {
+            showToast('Pick 1 to 5 stars first.');
+            return;
+        }
+        saveRating(imdbId, { stars: selected, review: review.value });
+    });
+
+    const reviews = document.createElement('ul');
+    reviews.className = 'review-list';
+    data.reviews.forEach((item) => {
+        const entry = document.createElement('li');
+        const author = document.createElement('span');
+        author.className = 'review-author';
+        author.textContent = item.author;
+        const itemStars = document.createElement('span');
+        itemStars.className = 'review-stars';
+        itemStars.setAttribute('aria-label', `${item.stars} of 5 stars`);
+        itemStars.textContent = formatStars(item.stars);
+        const text = document.createElement('p');
+        text.textContent = item.review;
+        entry.append(author, itemStars, text);
+        reviews.appendChild(entry);
+    });
+
+    section.replaceChildren(heading, summary, form, reviews);
+}
+
+async function loadMemberRatings(imdbId) {
+    try {
+        const response = await apiFetch(`/api/titles/${imdbId}/ratings`);
+        const data = await response.json();
+        if (data.success && document.getElementById('title-modal').dataset.imdbId === imdbId) {
+            renderMemberRatings(imdbId, data);
+        }
+    } catch (error) {
+        console.error('Error loading member ratings:', error);
+    }
+}
+
+/**
+ * Save this profile's rating (null clears it), then refresh the modal and the cards
+ */
+async function saveRating(imdbId, rating) {
+    try {
+        const response = rating
+            ? await apiFetch(`/api/ratings/${imdbId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(rating),
+            })
+            : await apiFetch(`/api/ratings/${imdbId}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!data.success) {
+            const errors = data.errors ? Object.values(data.errors).join(' ') : '';
+            showToast(errors || data.message || 'Could not save your rating. Please try again.');
+            return;
+        }
+
+        ratingSummaries.set(imdbId, { ...data.summary, mine: rating ? rating.stars : null });
+        updateCardRatings(imdbId);
+        await loadMemberRatings(imdbId);
+    } catch (error) {
+        console.error('Error saving rating:', error);
+        showToast('Could not save your rating. Please try again.');
+    }
+}
+
+// Simulated playback: each second of real time plays PLAYBACK_SPEED seconds of the title,
+// and the position is reported to the viewing history every PLAYBACK_SAVE_TICKS seconds
+const PLAYBACK_SPEED = 60;
+const PLAYBACK_SAVE_TICKS = 5;
+const player = { imdbId: null, position: 0, duration: 0, timer: null, ticks: 0 };
+
+// Length to simulate: OMDB's runtime ("126 min"), else a typical film or episode
+function runtimeSeconds(title) {
+    const minutes = parseInt(title.runtime, 10);
+    if (minutes > 0) return minutes * 60;
+    return title.type === 'movie' ? 2 * 60 * 60 : 45 * 60;
+}
+
+function formatMinutes(seconds) {
+    return `${Math.floor(seconds / 60)} min`;
+}
+
+function updatePlayback(root = document) {
+    const button = root.querySelector('.playback .btn');
+    if (!button) return;
+
+    const entry = viewing.byId.get(player.imdbId);
+    if (player.timer) button.textContent = 'Pause';
+    else if (player.position > 0) button.textContent = 'Resume';
+    else button.textContent = entry && entry.completed ? 'Play again' : 'Play';
+
+    root.querySelector('.playback-bar span').style.width = `${(player.position / player.duration) * 100}%`;
+    root.querySelector('.playback-time').textContent =
+        `${formatMinutes(player.position)} of ${formatMinutes(player.duration)}`;
+}
+
+/**
+ * Play button, progress bar and time for the title in the modal, resuming from the history
+ */
+function createPlayback(title) {
+    const entry = viewing.byId.get(title.imdb_id);
+    player.imdbId = title.imdb_id;
+    player.duration = entry ? entry.duration_seconds : runtimeSeconds(title);
+    player.position = entry && !entry.completed ? entry.progress_seconds : 0;
+    player.ticks = 0;
+
+    const playback = document.createElement('div');
+    playback.className = 'playback';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-primary';
+    button.addEventListener('click', () => {
+        if (player.timer) stopPlayback();
+        else startPlayback();
+    });
+
+    const bar = document.createElement('div');
+    bar.className = 'playback-bar';
+    bar.setAttribute('aria-hidden', 'true');
+    bar.appendChild(document.createElement('span'));
+
+    const time = document.createElement('span');
+    time.className = 'playback-time';
+
+    playback.append(button, bar, time);
+    updatePlayback(playback);
+    return playback;
+}
+
+function startPlayback() {
+    if (player.position >= player.duration) player.position = 0;
+    player.timer = setInterval(() => {
+        player.position = Math.min(player.duration, player.position + PLAYBACK_SPEED);
+        player.ticks += 1;
+        if (player.position >= player.duration) {
+            stopPlayback();
+            return;
+        }
+        if (player.ticks % PLAYBACK_SAVE_TICKS === 0) saveProgress();
+        updatePlayback();
+    }, 1000);
+    updatePlayback();
+}
+
+/**
+ * Pause (also on closing the modal) and report where playback stopped
+ */
+function stopPlayback() {
+    if (!player.timer) return;
+    clearInterval(player.timer);
+    player.timer = null;
+    saveProgress();
+    updatePlayback();
+}
+
+async function saveProgress() {
+    const imdbId = player.imdbId;
+    try {
+        const response = await apiFetch('/api/history', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                imdb_id: imdbId,
+                progress_seconds: player.position,
+                duration_seconds: player.duration,
+            }),
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || 'Request failed');
+
+        setHistory([data.item, ...viewing.items.filter((item) => item.imdb_id !== imdbId)]);
+        renderContinueWatching();
+        if (player.imdbId === imdbId) updatePlayback();
+    } catch (error) {
+        console.error('Error saving progress:', error);
+    }
+}
+
+function showTitleStatus(text) {
+    const status = document.createElement('p');
+    status.className = 'title-status';
+    status.textContent = text;
+    document.getElementById('title-content').replaceChildren(status);
+}
+
+/**
+ * Open the modal and load the full record for imdbId
+ */
+async function openTitle(imdbId) {
+    const modal = document.getElementById('title-modal');
+    if (modal.hidden) titleReturnFocus = document.activeElement;
+    stopPlayback();
+    modal.hidden = false;
+    modal.dataset.imdbId = imdbId;
+    document.body.classList.add('modal-open');
+    showTitleStatus('Loading...');
+    modal.querySelector('.title-dialog').focus();
+
+    try {
+        const response = await apiFetch(`/api/titles/${imdbId}`);
+        const data = await response.json();
+        if (modal.dataset.imdbId !== imdbId) return; // another title was opened meanwhile
+
+        if (data.success) {
+            renderTitle(data.title);
+            loadMemberRatings(imdbId);
+        } else {
+            showTitleStatus(data.message || 'Could not load this title.');
+        }
+    } catch (error) {
+        console.error('Error loading title:', error);
+        showTitleStatus('Could not load this title. Please try again.');
+    }
+}
+
+function hideTitle() {
+    const modal = document.getElementById('title-modal');
+    if (modal.hidden) return;
+    stopPlayback();
+    modal.hidden = true;
+    delete modal.dataset.imdbId;
+    document.body.classList.remove('modal-open');
+    if (titleReturnFocus) titleReturnFocus.focus();
+    titleReturnFocus = null;
+}
+
+/**
+ * Close button / Escape / backdrop: step back in history if a card click opened the
+ * modal, otherwise (deep link) drop the hash without leaving the page.
+ */
+function closeTitle() {
+    if (titleOpenedFromPage) {
+        titleOpenedFromPage = false;
+        history.back();
+    } else {
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        hideTitle();
+    }
+}
+
+/**
+ * Show or hide the modal to match the URL hash
+ */
+function routeFromHash() {
+    const match = TITLE_HASH_PATTERN.exec(window.location.hash);
+    if (match) {
+        openTitle(match[1]);
+    } else {
+        titleOpenedFromPage = false;
+        hideTitle();
+    }
+}
+
+function initTitleModal() {
+    const modal = document.getElementById('title-modal');
+    if (!modal) return;
+
+    document.getElementById('title-close').addEventListener('click', closeTitle);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeTitle();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.hidden) closeTitle();
+    });
+    window.addEventListener('hashchange', routeFromHash);
+    routeFromHash();
+}
+
 /**
  * Display movies in a container
  */
@@ -46,50 +731,432 @@ function displayMovies(movies, containerId) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    container.innerHTML = '';
+    if (movies === null || movies.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'movies-empty';
+        empty.textContent = movies === null
+            ? 'Movies are unavailable right now. Please try again later.'
+            : 'No movies found.';
+        container.replaceChildren(empty);
+        return;
+    }
+
+    container.replaceChildren(...movies.map((movie) => createMovieCard(movie)));
+    movies.forEach((movie) => updateWatchlistToggles(movie.imdb_id));
+    loadRatingSummaries(movies);
+}
+
+// Search state: the query and filters in use, the last page loaded and the request in flight
+const search = {
+    q: '',
+    type: '',
+    year: '',
+    page: 0,
+    hasMore: false,
+    controller: null,
+    sentinelVisible: false,
+};
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+function setSearchStatus(text) {
+    document.getElementById('search-status').textContent = text;
+}
+
+/**
+ * Mirror the search in the query string (?q=&type=&year=) so it survives a reload
+ * and can be shared. Replaces the entry, so typing doesn't fill the history.
+ */
+function syncSearchUrl() {
+    const params = new URLSearchParams();
+    if (search.q) params.set('q', search.q);
+    if (search.type) params.set('type', search.type);
+    if (search.year) params.set('year', search.year);
+    const query = params.toString();
+    history.replaceState(history.state, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+}
+
+/**
+ * Load one page of the current search. Page 1 replaces the results, later pages are appended.
+ */
+async function loadSearchPage(page) {
+    const controller = new AbortController();
+    search.controller = controller;
+    setSearchStatus('Loading...');
+
+    try {
+        const params = new URLSearchParams({ q: search.q, page });
+        if (search.type) params.set('type', search.type);
+        if (search.year) params.set('year', search.year);
+        const response = await apiFetch(`/api/titles/search?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        if (controller.signal.aborted) return;
+
+        if (!data.success) {
+            search.hasMore = false;
+            if (data.errors) {
+                displayMovies([], 'search-results');
+                setSearchStatus(Object.values(data.errors).join(' '));
+            } else {
+                if (page === 1) displayMovies(null, 'search-results');
+                setSearchStatus(page === 1 ? '' : 'Could not load more results. Please try again later.');
+            }
+            return;
+        }
+
+        if (page === 1) {
+            displayMovies(data.results, 'search-results');
+        } else {
+            const container = document.getElementById('search-results');
+            data.results.forEach(movie => {
+                container.appendChild(createMovieCard(movie));
+                updateWatchlistToggles(movie.imdb_id);
+            });
+            loadRatingSummaries(data.results);
+        }
+        search.page = page;
+        search.hasMore = data.has_more;
+        setSearchStatus(!data.has_more && page > 1 ? `All ${data.total_results} results shown.` : '');
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error searching titles:', error);
+        setSearchStatus('Network error. Please try again.');
+    } finally {
+        if (search.controller === controller) search.controller = null;
+    }
 
-    if (movies.length === 0) {
-        container.innerHTML = '<p style="color: rgba(255,255,255,0.5);">No movies found.</p>';
+    // A short page can leave the sentinel on screen, and the observer only fires on changes
+    if (search.sentinelVisible) loadNextSearchPage();
+}
+
+/**
+ * Infinite scroll: fetch the next page once the end of the results comes into view
+ */
+function loadNextSearchPage() {
+    if (search.controller || !search.hasMore) return;
+    loadSearchPage(search.page + 1);
+}
+
+/**
+ * Start over with the values in the search form, cancelling any request still running
+ */
+function startSearch() {
+    const form = document.getElementById('search-form');
+    search.q = form.querySelector('#movie-search').value.trim().replace(/\s+/g, ' ');
+    search.type = form.querySelector('#search-type').value;
+    search.year = form.querySelector('#search-year').value.trim();
+    search.page = 0;
+    search.hasMore = false;
+    if (search.controller) search.controller.abort();
+    search.controller = null;
+    syncSearchUrl();
+
+    const section = document.getElementById('search-results-section');
+    if (search.q.length < 2) {
+        section.hidden = true;
+        document.getElementById('search-results').replaceChildren();
+        setSearchStatus('');
         return;
     }
+    section.hidden = false;
+    loadSearchPage(1);
+}
 
-    movies.forEach(movie => {
-        container.appendChild(createMovieCard(movie));
+function initSearch() {
+    const form = document.getElementById('search-form');
+    if (!form) return;
+
+    const input = form.querySelector('#movie-search');
+    const typeSelect = form.querySelector('#search-type');
+    const yearInput = form.querySelector('#search-year');
+    let debounceTimer = null;
+
+    const searchSoon = () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(startSearch, SEARCH_DEBOUNCE_MS);
+    };
+
+    input.addEventListener('input', searchSoon);
+    yearInput.addEventListener('input', searchSoon);
+    typeSelect.addEventListener('change', () => {
+        clearTimeout(debounceTimer);
+        startSearch();
+    });
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        clearTimeout(debounceTimer);
+        startSearch();
+        document.getElementById('search-results-section').scrollIntoView({ behavior: 'smooth' });
     });
+
+    const observer = new IntersectionObserver((entries) => {
+        search.sentinelVisible = entries[0].isIntersecting;
+        if (search.sentinelVisible) loadNextSearchPage();
+    }, { rootMargin: '400px 0px' });
+    observer.observe(document.getElementById('search-sentinel'));
+
+    // Restore a search from the URL (reload or shared link)
+    const params = new URLSearchParams(window.location.search);
+    input.value = params.get('q') || '';
+    typeSelect.value = params.get('type') || '';
+    yearInput.value = params.get('year') || '';
+    if (input.value) startSearch();
+}
+
+// Placeholder cards shown in a row while its titles load
+const ROW_SKELETON_CARDS = 6;
+
+function showRowSkeletons(track) {
+    const skeletons = [];
+    for (let i = 0; i < ROW_SKELETON_CARDS; i++) {
+        const skeleton = document.createElement('div');
+        skeleton.className = 'skeleton-card';
+        skeleton.setAttribute('aria-hidden', 'true');
+        skeletons.push(skeleton);
+    }
+    track.replaceChildren(...skeletons);
+    track.setAttribute('aria-busy', 'true');
 }
 
 /**
- * Initialize page content
+ * Show why a row is empty, with a retry button when loading failed
  */
-async function initBrowse() {
-    // Load some default content
-    const trending = await fetchMovies('Marvel');
-    displayMovies(trending, 'trending-movies');
+function showRowMessage(track, text, retry) {
+    const message = document.createElement('div');
+    message.className = 'row-error';
+
+    const label = document.createElement('span');
+    label.textContent = text;
+    message.appendChild(label);
+
+    if (retry) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-outline';
+        button.textContent = 'Retry';
+        button.addEventListener('click', retry);
+        message.appendChild(button);
+    }
+    track.replaceChildren(message);
+}
+
+/**
+ * Enable the carousel arrows only when there is more to scroll to on that side
+ */
+function updateCarouselButtons(carousel) {
+    const track = carousel.querySelector('.carousel-track');
+    carousel.querySelector('.carousel-prev').disabled = track.scrollLeft <= 0;
+    carousel.querySelector('.carousel-next').disabled = track.scrollLeft + track.clientWidth >= track.scrollWidth - 1;
+}
 
-    const action = await fetchMovies('Action');
-    displayMovies(action, 'action-movies');
+/**
+ * Section for one home row: heading plus a horizontally scrolling track with arrows
+ */
+function createHomeRow(row) {
+    const section = document.createElement('section');
+    section.className = 'home-row';
+    section.dataset.rowId = row.id;
 
-    // Handle Search
-    const searchInput = document.getElementById('movie-search');
-    const searchBtn = document.getElementById('search-btn');
-    const resultsSection = document.getElementById('search-results-section');
+    const heading = document.createElement('h2');
+    heading.className = 'section-title';
+    heading.textContent = row.title;
 
-    const performSearch = async () => {
-        const term = searchInput.value.trim();
-        if (term.length < 2) return;
+    const carousel = document.createElement('div');
+    carousel.className = 'carousel';
 
-        resultsSection.style.display = 'block';
-        const results = await fetchMovies(term);
-        displayMovies(results, 'search-results');
+    const track = document.createElement('div');
+    track.className = 'carousel-track';
+    track.setAttribute('aria-label', row.title);
 
-        // Scroll to results
-        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    const arrow = (direction, label) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `carousel-btn carousel-${direction}`;
+        button.setAttribute('aria-label', label);
+        button.textContent = direction === 'prev' ? '‹' : '›';
+        button.addEventListener('click', () => {
+            const step = track.clientWidth * 0.9;
+            track.scrollBy({ left: direction === 'prev' ? -step : step });
+        });
+        return button;
     };
 
-    searchBtn.addEventListener('click', performSearch);
-    searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') performSearch();
+    carousel.append(arrow('prev', `Scroll ${row.title} back`), track, arrow('next', `Scroll ${row.title} forward`));
+    track.addEventListener('scroll', () => updateCarouselButtons(carousel), { passive: true });
+    section.append(heading, carousel);
+    return section;
+}
+
+/**
+ * Load one row's titles into its track; failures stay inside the row
+ */
+async function loadHomeRow(row, section) {
+    const carousel = section.querySelector('.carousel');
+    const track = carousel.querySelector('.carousel-track');
+    const retry = () => loadHomeRow(row, section);
+    showRowSkeletons(track);
+    updateCarouselButtons(carousel);
+
+    try {
+        const response = await apiFetch(`/api/home/rows/${encodeURIComponent(row.id)}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            showRowMessage(track, 'Movies are unavailable right now.', retry);
+        } else if (data.results.length === 0) {
+            showRowMessage(track, row.source === 'top-rated' ? 'No member ratings yet.' : 'No movies found.');
+        } else {
+            track.replaceChildren(...data.results.map((movie) => createMovieCard(movie)));
+            data.results.forEach(movie => updateWatchlistToggles(movie.imdb_id));
+            loadRatingSummaries(data.results);
+        }
+    } catch (error) {
+        console.error(`Error loading row ${row.id}:`, error);
+        showRowMessage(track, 'Could not load this row.', retry);
+    }
+
+    track.removeAttribute('aria-busy');
+    track.scrollLeft = 0;
+    updateCarouselButtons(carousel);
+}
+
+/**
+ * Build the rows configured on the server (/api/home) and load them all at once
+ */
+async function initHomeRows() {
+    const container = document.getElementById('home-rows');
+    if (!container) return;
+
+    let rows;
+    try {
+        const response = await apiFetch('/api/home');
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || 'Request failed');
+        rows = data.rows;
+    } catch (error) {
+        console.error('Error loading home rows:', error);
+        const track = document.createElement('div');
+        container.replaceChildren(track);
+        showRowMessage(track, 'Could not load this page. Please try again.', initHomeRows);
+        return;
+    }
+
+    const sections = rows.map(createHomeRow);
+    container.replaceChildren(...sections);
+    await Promise.all(rows.map((row, index) => loadHomeRow(row, sections[index])));
+}
+
+/**
+ * "Recommended for you" and "Because you liked ..." rows. They are only suggestions,
+ * so a failure just leaves them out instead of showing an error.
+ */
+async function loadRecommendations() {
+    const container = document.getElementById('recommendation-rows');
+    if (!container) return;
+
+    try {
+        const response = await apiFetch('/api/recommendations');
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || 'Request failed');
+
+        const sections = data.rows.map((row) => {
+            const section = createHomeRow(row);
+            const track = section.querySelector('.carousel-track');
+            track.replaceChildren(...row.results.map((movie) => createMovieCard(movie)));
+            return section;
+        });
+        container.replaceChildren(...sections);
+        sections.forEach((section) => updateCarouselButtons(section.querySelector('.carousel')));
+
+        const movies = data.rows.flatMap((row) => row.results);
+        movies.forEach((movie) => updateWatchlistToggles(movie.imdb_id));
+        loadRatingSummaries(movies);
+    } catch (error) {
+        console.error('Error loading recommendations:', error);
+        container.replaceChildren();
+    }
+}
+
+/**
+ * Call our own API (options go straight to fetch, e.g. an abort signal). The session
+ * cookie carries the account and the selected profile, so every request is made on
+ * behalf of that profile. Without a session
+ * we go back to login; without a profile, to the "Who's watching?" picker; without an
+ * active membership, to the plans.
+ */
+async function apiFetch(path, options = {}) {
+    const response = await fetch(path, options);
+    if (response.status === 401) {
+        window.location.href = '/login.html';
+    } else if (response.status === 402) {
+        window.location.href = '/plans.html';
+    } else if (response.status === 409) {
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.code === 'profile_required') window.location.href = '/profiles.html';
+    }
+    return response;
+}
+
+/**
+ * Show the active profile in the header (links back to the profile picker)
+ */
+async function initCurrentProfile() {
+    const link = document.getElementById('current-profile');
+    if (!link) return null;
+
+    try {
+        const response = await apiFetch('/api/profiles/current');
+        const data = await response.json();
+        if (!data.success) return null;
+
+        const avatar = document.createElement('span');
+        avatar.className = `avatar avatar-sm avatar-${data.profile.avatar}`;
+        avatar.setAttribute('aria-hidden', 'true');
+        avatar.textContent = data.profile.name.charAt(0).toUpperCase();
+
+        const name = document.createElement('span');
+        name.textContent = data.profile.name;
+
+        link.replaceChildren(avatar, name);
+        return data.profile;
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        return null;
+    }
+}
+
+/**
+ * Sign Out: end the server-side session, then go back to login
+ */
+function initSignOut() {
+    const link = document.getElementById('sign-out');
+    if (!link) return;
+
+    link.addEventListener('click', async (e) => {
+        e.preventDefault();
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+        window.location.href = '/login.html';
     });
 }
 
+/**
+ * Initialize page content
+ */
+async function initBrowse() {
+    initSignOut();
+    initCurrentProfile();
+
+    // My List first, so the other rows show which titles are already saved,
+    // then the history, so a deep-linked title can resume where it was left
+    await loadMyList();
+    await loadHistory();
+    initTitleModal();
+    initSearch();
+    await Promise.all([loadRecommendations(), initHomeRows()]);
+}
+
 document.addEventListener('DOMContentLoaded', initBrowse);
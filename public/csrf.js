@@ -0,0 +1,41 @@
+/**
+ * csrf.js - Sends the CSRF token with every state-changing request to our API
+ * Loaded before the other scripts on each page, it wraps fetch: POST / PUT / PATCH / DELETE
+ * to /api/* get an X-CSRF-Token header with the token from GET /api/csrf (fetched once per
+ * page). If the server refuses it, e.g. because the cookie ended with the browser session,
+ * a fresh token is fetched and the request sent once more. See security.js.
+ */
+(function () {
+  const nativeFetch = window.fetch.bind(window);
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+  let tokenRequest = null;
+
+  function csrfToken(refresh) {
+    if (!tokenRequest || refresh) {
+      tokenRequest = nativeFetch('/api/csrf')
+        .then((res) => res.json())
+        .then((data) => data.csrf_token);
+      tokenRequest.catch(() => { tokenRequest = null; });
+    }
+    return tokenRequest;
+  }
+
+  async function sendWithToken(url, init, refresh) {
+    const headers = new Headers(init.headers);
+    headers.set('X-CSRF-Token', await csrfToken(refresh));
+    return nativeFetch(url, { ...init, headers });
+  }
+
+  window.fetch = async function (url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const target = new URL(String(url), window.location.href);
+    if (SAFE_METHODS.includes(method) || target.origin !== window.location.origin || !target.pathname.startsWith('/api/')) {
+      return nativeFetch(url, init);
+    }
+
+    const res = await sendWithToken(url, init, false);
+    if (res.status !== 403) return res;
+    const data = await res.clone().json().catch(() => null);
+    return data && data.code === 'csrf_invalid' ? sendWithToken(url, init, true) : res;
+  };
+})();
@@ -0,0 +1,117 @@
+/**
+ * history.js - Viewing history page (history.html)
+ * Lists what the selected profile watched and lets them remove single titles or clear
+ * everything. Uses the message helpers from script.js.
+ */
+
+/**
+ * Our API, sending the session to login, an ended membership to the plans and a missing
+ * profile to the profile picker
+ */
+async function historyFetch(path, options = {}) {
+  const res = await fetch(API_BASE + path, options);
+  const data = await res.json();
+  if (res.status === 401) window.location.href = '/login.html';
+  else if (res.status === 402) window.location.href = '/plans.html';
+  else if (data.code === 'profile_required') window.location.href = '/profiles.html';
+  return data;
+}
+
+function formatWatched(item) {
+  if (item.completed) return 'Watched';
+  const minutes = Math.floor(item.progress_seconds / 60);
+  const total = Math.floor(item.duration_seconds / 60);
+  return `${minutes} of ${total} min`;
+}
+
+function createHistoryItem(item) {
+  const entry = document.createElement('li');
+  entry.className = 'history-item';
+
+  const poster = document.createElement('img');
+  poster.className = 'history-poster';
+  poster.src = item.poster || 'https://via.placeholder.com/300x450?text=No+Poster';
+  poster.alt = '';
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+
+  const title = document.createElement('a');
+  title.className = 'history-title';
+  title.href = `/browse.html#title/${item.imdb_id}`;
+  title.textContent = item.year ? `${item.title} (${item.year})` : item.title;
+
+  const meta = document.createElement('p');
+  meta.className = 'history-meta';
+  meta.textContent = `${formatWatched(item)} · ${new Date(item.watched_at).toLocaleDateString()}`;
+
+  const bar = document.createElement('div');
+  bar.className = 'history-progress';
+  bar.setAttribute('aria-hidden', 'true');
+  const fill = document.createElement('span');
+  fill.style.width = `${Math.min(100, (item.progress_seconds / item.duration_seconds) * 100)}%`;
+  bar.appendChild(fill);
+
+  info.append(title, meta, bar);
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-outline';
+  remove.textContent = 'Remove';
+  remove.setAttribute('aria-label', `Remove ${item.title} from your history`);
+  remove.addEventListener('click', async () => {
+    remove.disabled = true;
+    try {
+      const data = await historyFetch(`/api/history/${item.imdb_id}`, { method: 'DELETE' });
+      if (data.success) await loadHistoryPage();
+      else showMessage('history-message', data.message || 'Could not remove the title.');
+    } catch (err) {
+      showMessage('history-message', 'Network error. Please try again.');
+    }
+    remove.disabled = false;
+  });
+
+  entry.append(poster, info, remove);
+  return entry;
+}
+
+function renderHistory(items) {
+  document.getElementById('history-list').replaceChildren(...items.map(createHistoryItem));
+  document.getElementById('history-empty').hidden = items.length > 0;
+  document.getElementById('clear-history').hidden = items.length === 0;
+}
+
+async function loadHistoryPage() {
+  try {
+    const data = await historyFetch('/api/history');
+    if (data.success) renderHistory(data.items);
+    else showMessage('history-message', data.message || 'Could not load your history.');
+  } catch (err) {
+    showMessage('history-message', 'Network error. Please reload the page.');
+  }
+}
+
+function initHistoryPage() {
+  if (!document.getElementById('history-list')) return;
+
+  document.getElementById('clear-history').addEventListener('click', async () => {
+    if (!window.confirm('Clear the whole viewing history of this profile?')) return;
+
+    hideMessage('history-message');
+    try {
+      const data = await historyFetch('/api/history', { method: 'DELETE' });
+      if (data.success) {
+        showMessage('history-message', data.message, false);
+        renderHistory([]);
+      } else {
+        showMessage('history-message', data.message || 'Could not clear your history.');
+      }
+    } catch (err) {
+      showMessage('history-message', 'Network error. Please try again.');
+    }
+  });
+
+  loadHistoryPage();
+}
+
+document.addEventListener('DOMContentLoaded', initHistoryPage);
@@ -0,0 +1,198 @@
+/**
+ * plans.js - Plan selection, checkout and membership page (plans.html)
+ * Shows the plans to everyone (new members land here after registering). Logged-in
+ * members without an active subscription pay for the chosen plan with a card; members
+ * with one see its status and can cancel or resume renewal. The chosen plan survives the
+ * detour through the login page in sessionStorage. Uses the helpers from script.js.
+ */
+
+const PLAN_STORAGE_KEY = 'chosen-plan';
+
+let plans = [];
+let chosenPlanId = sessionStorage.getItem(PLAN_STORAGE_KEY) || 'standard';
+let activeSubscription = false;
+
+function formatPrice(plan) {
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency: plan.currency })
+    .format(plan.price_cents / 100);
+}
+
+function choosePlan(id) {
+  chosenPlanId = id;
+  sessionStorage.setItem(PLAN_STORAGE_KEY, id);
+  document.querySelectorAll('.plan-card').forEach((card) => {
+    card.setAttribute('aria-checked', String(card.dataset.planId === id));
+  });
+}
+
+function createPlanCard(plan) {
+  const card = document.createElement('button');
+  card.type = 'button';
+  card.className = 'plan-card';
+  card.dataset.planId = plan.id;
+  card.setAttribute('role', 'radio');
+  card.setAttribute('aria-checked', String(plan.id === chosenPlanId));
+  card.disabled = activeSubscription;
+
+  const name = document.createElement('span');
+  name.className = 'plan-name';
+  name.textContent = plan.name;
+
+  const price = document.createElement('span');
+  price.className = 'plan-price';
+  price.textContent = `${formatPrice(plan)} / month`;
+
+  const features = document.createElement('span');
+  features.className = 'plan-features';
+  features.textContent = `${plan.quality} · ${plan.screens} ${plan.screens === 1 ? 'screen' : 'screens'} at a time`;
+
+  card.append(name, price, features);
+  card.addEventListener('click', () => choosePlan(plan.id));
+  return card;
+}
+
+function renderPlans() {
+  if (!plans.some((plan) => plan.id === chosenPlanId) && plans.length > 0) chosenPlanId = plans[0].id;
+  document.getElementById('plan-list').replaceChildren(...plans.map(createPlanCard));
+}
+
+function addFact(list, label, value) {
+  const term = document.createElement('dt');
+  term.textContent = label;
+  const detail = document.createElement('dd');
+  detail.textContent = value;
+  list.append(term, detail);
+}
+
+const STATUS_LABELS = {
+  active: 'Active',
+  past_due: 'Payment failed',
+  canceled: 'Ended',
+};
+
+function renderMembership(subscription, active) {
+  activeSubscription = active;
+  document.getElementById('login-prompt').hidden = true;
+  document.getElementById('checkout').hidden = active;
+  document.getElementById('membership').hidden = !subscription;
+  if (!subscription) return;
+
+  const facts = document.getElementById('membership-facts');
+  facts.replaceChildren();
+  const periodEnd = new Date(subscription.current_period_end).toLocaleDateString();
+  addFact(facts, 'Plan', subscription.plan ? `${subscription.plan.name} (${formatPrice(subscription.plan)} / month)` : '');
+  addFact(facts, 'Status', STATUS_LABELS[subscription.status] || subscription.status);
+  if (active) addFact(facts, subscription.cancel_at_period_end ? 'Ends on' : 'Renews on', periodEnd);
+  addFact(facts, 'Card', `${subscription.card_brand} ending in ${subscription.card_last4}`);
+
+  document.getElementById('cancel-subscription').hidden = !active || subscription.cancel_at_period_end;
+  document.getElementById('resume-subscription').hidden = !active || !subscription.cancel_at_period_end;
+  if (subscription.status === 'past_due') {
+    showMessage('membership-message', 'We could not renew your membership. Pay again below to keep watching.');
+  }
+}
+
+async function loadPlansPage() {
+  try {
+    const res = await fetch(API_BASE + '/api/plans');
+    const data = await res.json();
+    if (!data.success) return showMessage('plans-message', data.message || 'Could not load the plans.');
+    plans = data.plans;
+
+    const current = await fetch(API_BASE + '/api/subscription');
+    if (current.status === 401) {
+      document.getElementById('login-prompt').hidden = false;
+    } else {
+      const membership = await current.json();
+      if (membership.success) renderMembership(membership.subscription, membership.active);
+    }
+    renderPlans();
+  } catch (err) {
+    showMessage('plans-message', 'Network error. Please reload the page.');
+  }
+}
+
+function initCheckoutForm() {
+  const form = document.getElementById('checkout-form');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('checkout-message');
+    clearFieldErrors(form);
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/subscription', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          plan_id: chosenPlanId,
+          card_number: form.card_number.value.trim(),
+          exp_month: form.exp_month.value.trim(),
+          exp_year: form.exp_year.value.trim(),
+          cvc: form.cvc.value.trim(),
+        }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        sessionStorage.removeItem(PLAN_STORAGE_KEY);
+        showMessage('checkout-message', data.message, false);
+        setTimeout(() => { window.location.href = '/profiles.html'; }, 800);
+        return;
+      }
+      if (res.status === 401) {
+        window.location.href = '/login.html';
+        return;
+      }
+      // The expiry error covers both date fields; show it under the month
+      const errors = data.errors && { ...data.errors, exp_month: data.errors.expiry };
+      if (!showFieldErrors(form, errors)) {
+        showMessage('checkout-message', (data.errors && data.errors.plan_id) || data.message || 'Payment failed.');
+      }
+    } catch (err) {
+      showMessage('checkout-message', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+  });
+}
+
+function initMembershipButtons() {
+  [['cancel-subscription', 'cancel'], ['resume-subscription', 'resume']].forEach(([id, action]) => {
+    const button = document.getElementById(id);
+    button.addEventListener('click', async () => {
+      if (action === 'cancel' && !window.confirm('Cancel your membership at the end of the current period?')) return;
+
+      hideMessage('membership-message');
+      button.disabled = true;
+      try {
+        const res = await fetch(API_BASE + `/api/subscription/${action}`, { method: 'POST' });
+        const data = await res.json();
+        if (data.success) {
+          renderMembership(data.subscription, data.subscription.status === 'active');
+          showMessage('membership-message', data.message, false);
+        } else {
+          showMessage('membership-message', data.message || 'Could not update your membership.');
+        }
+      } catch (err) {
+        showMessage('membership-message', 'Network error. Please try again.');
+      }
+      button.disabled = false;
+    });
+  });
+}
+
+function initPlansPage() {
+  if (!document.getElementById('plan-list')) return;
+
+  if (new URLSearchParams(window.location.search).get('registered') === '1') {
+    showMessage('plans-message', 'Account created. Check your email for a verification link, then log in to pay for your plan.', false);
+  }
+  initCheckoutForm();
+  initMembershipButtons();
+  loadPlansPage();
+}
+
+document.addEventListener('DOMContentLoaded', initPlansPage);
@@ -0,0 +1,325 @@
+/**
+ * profiles.js - "Who's watching?" picker and profile management (profiles.html)
+ * Uses the message and field-error helpers from script.js. Selecting a profile
+ * stores it with the session on the server, then continues to browse.html.
+ */
+
+const profilesPage = {
+  profiles: [],
+  avatars: [],
+  limit: 0,
+  managing: false,
+  editing: null, // profile being edited, or null when adding
+  selecting: null, // locked profile waiting for its PIN
+};
+
+/**
+ * Avatar tile: a coloured square with the profile's initial ("+" for the add tile).
+ */
+function createAvatar(avatar, name) {
+  const el = document.createElement('span');
+  el.className = `avatar avatar-${avatar}`;
+  el.setAttribute('aria-hidden', 'true');
+  el.textContent = name ? name.charAt(0).toUpperCase() : '+';
+  return el;
+}
+
+/**
+ * Shows one step of the page: picker, pin or editor.
+ */
+function showStep(step) {
+  document.getElementById('picker-step').hidden = step !== 'picker';
+  document.getElementById('pin-step').hidden = step !== 'pin';
+  document.getElementById('editor-step').hidden = step !== 'editor';
+}
+
+function renderProfiles() {
+  const list = document.getElementById('profile-list');
+  list.innerHTML = '';
+
+  profilesPage.profiles.forEach((profile) => {
+    const tile = document.createElement('button');
+    tile.type = 'button';
+    tile.className = 'profile-tile';
+    tile.appendChild(createAvatar(profile.avatar, profile.name));
+
+    const name = document.createElement('span');
+    name.className = 'profile-name';
+    name.textContent = profile.name;
+    tile.appendChild(name);
+
+    const badges = [];
+    if (profile.is_kids) badges.push('Kids');
+    if (profile.has_pin) badges.push('Locked');
+    if (profilesPage.managing) badges.push('Edit');
+    if (badges.length > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'profile-badge';
+      badge.textContent = badges.join(' · ');
+      tile.appendChild(badge);
+    }
+
+    tile.addEventListener('click', () => {
+      if (profilesPage.managing) {
+        openEditor(profile);
+        return;
+      }
+      selectProfile(profile)
+        .then((data) => {
+          if (data && !data.success) showMessage('profiles-message', data.message || 'Could not open the profile.');
+        })
+        .catch(() => showMessage('profiles-message', 'Network error. Please try again.'));
+    });
+
+    const item = document.createElement('li');
+    item.appendChild(tile);
+    list.appendChild(item);
+  });
+
+  if (profilesPage.profiles.length < profilesPage.limit) {
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'profile-tile';
+    add.appendChild(createAvatar('add', ''));
+    const label = document.createElement('span');
+    label.className = 'profile-name';
+    label.textContent = 'Add profile';
+    add.appendChild(label);
+    add.addEventListener('click', () => openEditor(null));
+
+    const item = document.createElement('li');
+    item.appendChild(add);
+    list.appendChild(item);
+  }
+
+  document.getElementById('picker-title').textContent = profilesPage.managing ? 'Manage profiles' : "Who's watching?";
+  document.getElementById('manage-profiles').textContent = profilesPage.managing ? 'Done' : 'Manage profiles';
+}
+
+async function loadProfiles() {
+  try {
+    const res = await fetch(API_BASE + '/api/profiles');
+    if (res.status === 401) {
+      window.location.href = '/login.html';
+      return;
+    }
+    const data = await res.json();
+    if (!data.success) {
+      showMessage('profiles-message', data.message || 'Could not load profiles.');
+      return;
+    }
+    profilesPage.profiles = data.profiles;
+    profilesPage.avatars = data.avatars;
+    profilesPage.limit = data.limit;
+    renderProfiles();
+  } catch (err) {
+    showMessage('profiles-message', 'Network error. Please reload the page.');
+  }
+}
+
+/**
+ * Selects a profile for this session; locked profiles ask for the PIN first.
+ */
+async function selectProfile(profile, pin) {
+  if (profile.has_pin && pin === undefined) {
+    profilesPage.selecting = profile;
+    document.getElementById('pin-profile-name').textContent = profile.name;
+    const form = document.getElementById('pin-form');
+    form.reset();
+    clearFieldErrors(form);
+    hideMessage('pin-message');
+    showStep('pin');
+    form.pin.focus();
+    return null;
+  }
+
+  const res = await fetch(API_BASE + `/api/profiles/${profile.id}/select`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pin }),
+  });
+  const data = await res.json();
+
+  if (data.success) {
+    if (typeof window.fastRedirect === 'function') window.fastRedirect('/browse.html');
+    else window.location.href = '/browse.html';
+  }
+  return data;
+}
+
+function renderAvatarOptions(selected) {
+  const container = document.getElementById('avatar-options');
+  container.innerHTML = '';
+
+  profilesPage.avatars.forEach((avatar) => {
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.className = `avatar-option avatar-${avatar}`;
+    option.setAttribute('role', 'radio');
+    option.setAttribute('aria-label', avatar);
+    option.setAttribute('aria-checked', String(avatar === selected));
+    option.dataset.avatar = avatar;
+    option.addEventListener('click', () => {
+      container.querySelectorAll('.avatar-option').forEach((el) => el.setAttribute('aria-checked', 'false'));
+      option.setAttribute('aria-checked', 'true');
+    });
+    container.appendChild(option);
+  });
+}
+
+/**
+ * Opens the editor for a profile, or for a new one when profile is null.
+ */
+function openEditor(profile) {
+  profilesPage.editing = profile;
+  const form = document.getElementById('profile-form');
+  form.reset();
+  clearFieldErrors(form);
+  hideMessage('editor-message');
+
+  document.getElementById('editor-title').textContent = profile ? 'Edit profile' : 'Add profile';
+  form.name.value = profile ? profile.name : '';
+  form.is_kids.checked = profile ? profile.is_kids : false;
+  renderAvatarOptions(profile ? profile.avatar : profilesPage.avatars[0]);
+
+  const locked = !!(profile && profile.has_pin);
+  document.getElementById('locked-fields').hidden = !locked;
+  document.getElementById('pin-hint').textContent = locked
+    ? 'Enter a new PIN to change it, or leave empty to keep it.'
+    : 'Leave empty for no PIN.';
+  document.getElementById('delete-profile').hidden = !profile;
+
+  showStep('editor');
+  form.name.focus();
+}
+
+function initProfileEditor() {
+  const form = document.getElementById('profile-form');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('editor-message');
+    clearFieldErrors(form);
+
+    const profile = profilesPage.editing;
+    const selected = form.querySelector('.avatar-option[aria-checked="true"]');
+    const body = {
+      name: form.name.value.trim(),
+      avatar: selected ? selected.dataset.avatar : undefined,
+      is_kids: form.is_kids.checked,
+    };
+    if (form.remove_pin.checked) body.pin = null;
+    else if (form.pin.value) body.pin = form.pin.value;
+    if (profile && profile.has_pin) body.current_pin = form.current_pin.value;
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + (profile ? `/api/profiles/${profile.id}` : '/api/profiles'), {
+        method: profile ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        await loadProfiles();
+        showStep('picker');
+      } else {
+        // A wrong current PIN comes back as errors.pin; show it on the current PIN field
+        const errors = data.code === 'invalid_pin' ? { current_pin: data.message } : data.errors;
+        if (!showFieldErrors(form, errors)) {
+          showMessage('editor-message', data.message || 'Could not save the profile.');
+        }
+      }
+    } catch (err) {
+      showMessage('editor-message', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+  });
+
+  document.getElementById('delete-profile').addEventListener('click', async () => {
+    const profile = profilesPage.editing;
+    if (!profile || !window.confirm(`Delete the profile "${profile.name}"?`)) return;
+
+    try {
+      const res = await fetch(API_BASE + `/api/profiles/${profile.id}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pin: form.current_pin.value || undefined }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        await loadProfiles();
+        showStep('picker');
+      } else if (data.code === 'invalid_pin') {
+        showFieldErrors(form, { current_pin: data.message });
+      } else {
+        showMessage('editor-message', data.message || 'Could not delete the profile.');
+      }
+    } catch (err) {
+      showMessage('editor-message', 'Network error. Please try again.');
+    }
+  });
+}
+
+function initPinForm() {
+  const form = document.getElementById('pin-form');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('pin-message');
+    clearFieldErrors(form);
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const data = await selectProfile(profilesPage.selecting, form.pin.value);
+      if (data && !data.success) {
+        if (!showFieldErrors(form, data.errors)) {
+          showMessage('pin-message', data.message || 'Could not open the profile.');
+        }
+        form.pin.value = '';
+        submitBtn.disabled = false;
+      }
+    } catch (err) {
+      showMessage('pin-message', 'Network error. Please try again.');
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+function initProfilesPage() {
+  if (!document.getElementById('profile-list')) return;
+
+  document.getElementById('manage-profiles').addEventListener('click', () => {
+    profilesPage.managing = !profilesPage.managing;
+    renderProfiles();
+  });
+
+  document.querySelectorAll('.back-to-picker').forEach((link) => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      showStep('picker');
+    });
+  });
+
+  document.getElementById('sign-out').addEventListener('click', async (e) => {
+    e.preventDefault();
+    try {
+      await fetch(API_BASE + '/api/logout', { method: 'POST' });
+    } catch (err) {
+      // Going to the login page either way
+    }
+    window.location.href = '/login.html';
+  });
+
+  initProfileEditor();
+  initPinForm();
+  loadProfiles();
+}
+
+document.addEventListener('DOMContentLoaded', initProfilesPage);
@@ -1,5 +1,5 @@
 /**
- * script.js - Shared frontend logic for Register and Login
+ * script.js - Shared frontend logic for Register, Login, Password reset and Account
  * Handles form submit, API calls, redirects, and error/success messages.
  */
 
@@ -23,9 +23,73 @@ function hideMessage(elementId) {
   if (el) el.classList.remove('show');
 }
 
+/**
+ * Shows per-field errors ({ field: message }) under each input's form group.
+ * Returns true if at least one error matched an input in the form.
+ */
+function showFieldErrors(form, errors) {
+  let firstInvalid = null;
+
+  Object.keys(errors || {}).forEach((field) => {
+    const input = form.elements[field];
+    const group = input && input.closest('.form-group');
+    if (!group) return;
+
+    let errorEl = group.querySelector('.field-error');
+    if (!errorEl) {
+      errorEl = document.createElement('p');
+      errorEl.className = 'field-error';
+      errorEl.id = field + '-error';
+      group.appendChild(errorEl);
+    }
+    errorEl.textContent = errors[field];
+    group.classList.add('has-error');
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', errorEl.id);
+    if (!firstInvalid) firstInvalid = input;
+  });
+
+  if (firstInvalid) firstInvalid.focus();
+  return firstInvalid !== null;
+}
+
+/**
+ * Removes all per-field errors from the form.
+ */
+function clearFieldErrors(form) {
+  form.querySelectorAll('.form-group.has-error').forEach((group) => {
+    group.classList.remove('has-error');
+    const errorEl = group.querySelector('.field-error');
+    if (errorEl) errorEl.remove();
+    const input = group.querySelector('input');
+    if (input) {
+      input.removeAttribute('aria-invalid');
+      input.removeAttribute('aria-describedby');
+    }
+  });
+}
+
+/**
+ * Show / hide password buttons next to password inputs (login, register and reset pages).
+ */
+function initPasswordToggles() {
+  document.querySelectorAll('.password-toggle').forEach((btn) => {
+    const input = btn.closest('.password-wrap').querySelector('input');
+    const eye = btn.querySelector('.icon-eye');
+    const eyeOff = btn.querySelector('.icon-eye-off');
+    btn.addEventListener('click', () => {
+      const isPassword = input.type === 'password';
+      input.type = isPassword ? 'text' : 'password';
+      eye.hidden = isPassword;
+      eyeOff.hidden = !isPassword;
+    });
+  });
+}
+
 /**
  * Register form: collect user_id, name, email, phone, password.
- * On success, redirect to login page.
+ * Validation errors from the server are shown next to each input.
+ * On success, redirect to login page (the account still needs email verification).
  */
 function initRegisterForm() {
   const form = document.getElementById('register-form');
@@ -34,6 +98,7 @@ function initRegisterForm() {
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     hideMessage('register-message');
+    clearFieldErrors(form);
 
     const submitBtn = form.querySelector('button[type="submit"]');
     submitBtn.disabled = true;
@@ -55,14 +120,17 @@ function initRegisterForm() {
       const data = await res.json();
 
       if (data.success) {
-        showMessage('register-message', data.message || 'Registration successful. Redirecting...', false);
+        showMessage('register-message', data.message || 'Registration successful. Check your email to verify your account.', false);
+        // Next step: choose a plan (paid for after verifying and logging in)
         if (typeof window.fastRedirect === 'function') {
-          window.fastRedirect('/login.html');
+          window.fastRedirect('/plans.html?registered=1');
         } else {
-          setTimeout(() => { window.location.href = '/login.html'; }, 800);
+          setTimeout(() => { window.location.href = '/plans.html?registered=1'; }, 800);
         }
       } else {
-        showMessage('register-message', data.message || 'Registration failed.');
+        if (!showFieldErrors(form, data.errors)) {
+          showMessage('register-message', data.message || 'Registration failed.');
+        }
         submitBtn.disabled = false;
       }
     } catch (err) {
@@ -72,18 +140,168 @@ function initRegisterForm() {
   });
 }
 
+// Why a sign-in through a provider ended back on the login page (?oidc_error=...)
+const PROVIDER_ERRORS = {
+  cancelled: 'Sign-in was cancelled.',
+  expired: 'That sign-in took too long or was started in another tab. Please try again.',
+  failed: 'We could not sign you in with that provider. Please try again.',
+  unavailable: 'That sign-in provider is not available right now. Please try again later.',
+  email_required: 'The provider did not share a verified email address, so we cannot sign you in with it.',
+  account_unverified: 'An account with this email is not verified yet. Use the link we emailed you, then try again.',
+  account_disabled: 'This account has been disabled. Please contact support.',
+  error: 'Server error. Please try again.',
+};
+
+/**
+ * Shows notices passed to the login page in the query string: the outcome of an email
+ * verification link (?verified=...), a password reset (?reset=1) or a provider sign-in (?oidc_error=...).
+ */
+function showLoginNotice() {
+  const params = new URLSearchParams(window.location.search);
+  const verified = params.get('verified');
+  const providerError = params.get('oidc_error');
+  if (providerError) {
+    showMessage('login-message', PROVIDER_ERRORS[providerError] || PROVIDER_ERRORS.failed);
+  } else if (params.get('reset') === '1') {
+    showMessage('login-message', 'Password updated. Log in with your new password.', false);
+  } else if (verified === 'pending') {
+    showMessage('login-message', 'Account created. Check your email for a verification link before logging in.', false);
+  } else if (verified === '1') {
+    showMessage('login-message', 'Email verified. You can now log in.', false);
+  } else if (verified === 'invalid') {
+    showMessage('login-message', 'This verification link is invalid or has expired. Log in to request a new one.');
+  } else if (verified === 'error') {
+    showMessage('login-message', 'We could not verify your email right now. Please try again.');
+  }
+}
+
+/**
+ * "Resend verification email" button, shown when login is refused for an unverified email.
+ */
+function initResendVerification(form) {
+  const btn = document.getElementById('resend-verification');
+  if (!btn) return;
+
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    try {
+      const res = await fetch(API_BASE + '/api/verify-email/resend', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ loginId: form.loginId.value.trim() }),
+      });
+      const data = await res.json();
+      showMessage('login-message', data.message || 'Verification email sent.', !data.success);
+      if (data.success) btn.hidden = true;
+    } catch (err) {
+      showMessage('login-message', 'Network error. Please try again.');
+    }
+    btn.disabled = false;
+  });
+}
+
+/**
+ * Formats a wait in seconds as "45s" or "4m 05s".
+ */
+function formatWait(seconds) {
+  if (seconds < 60) return seconds + 's';
+  const rest = seconds % 60;
+  return Math.floor(seconds / 60) + 'm ' + (rest < 10 ? '0' : '') + rest + 's';
+}
+
+/**
+ * After a 429 from /api/login: keep the submit button disabled and count down
+ * the Retry-After time in the message box.
+ */
+function startLoginCooldown(seconds, submitBtn) {
+  let remaining = seconds;
+  const tick = () => {
+    if (remaining <= 0) {
+      clearInterval(timer);
+      hideMessage('login-message');
+      submitBtn.disabled = false;
+      return;
+    }
+    showMessage('login-message', 'Too many failed attempts. Try again in ' + formatWait(remaining) + '.');
+    remaining -= 1;
+  };
+  const timer = setInterval(tick, 1000);
+  tick();
+}
+
+/**
+ * Shows the success message and moves on to the profile picker.
+ */
+function finishLogin(message) {
+  showMessage('login-message', message || 'Login successful! Redirecting...', false);
+  if (typeof window.fastRedirect === 'function') {
+    window.fastRedirect('/profiles.html');
+  } else {
+    setTimeout(() => { window.location.href = '/profiles.html'; }, 800);
+  }
+}
+
+/**
+ * "Continue with ..." buttons for the sign-in providers the server has configured
+ * (login and register pages). The login page's "Remember me" choice is passed along.
+ */
+async function initProviderButtons() {
+  const section = document.getElementById('provider-sign-in');
+  if (!section) return;
+
+  try {
+    const res = await fetch(API_BASE + '/api/auth/providers');
+    const data = await res.json();
+    if (!data.success || data.providers.length === 0) return;
+
+    const remember = document.querySelector('#login-form [name="remember"]');
+    const buttons = data.providers.map((provider) => {
+      const start = API_BASE + '/api/auth/' + encodeURIComponent(provider.id) + '/start';
+      const link = document.createElement('a');
+      link.className = 'btn btn-provider';
+      link.href = start;
+      link.textContent = 'Continue with ' + provider.name;
+      link.addEventListener('click', () => {
+        link.href = start + (remember && remember.checked ? '?remember=1' : '');
+      });
+      return link;
+    });
+    section.querySelector('.provider-buttons').replaceChildren(...buttons);
+    section.hidden = false;
+  } catch (err) {
+    // Without the buttons the password form still works
+  }
+}
+
 /**
  * Login form: user enters User ID or Email + password.
- * On success, redirect to https://netflix-landing-eta.vercel.app/
- * On failure, show error message.
+ * On success the server sets the session cookie; redirect to the profile picker.
+ * Accounts with two-factor authentication get mfa_required instead: the password form
+ * is swapped for the code form, which sends the code with the challenge to /api/login/mfa.
+ * A provider sign-in for such an account lands here with the challenge in #mfa_token=...
+ * On failure, show error message (with a resend option for unverified emails,
+ * or a countdown when the server rate-limits further attempts).
  */
 function initLoginForm() {
   const form = document.getElementById('login-form');
   if (!form) return;
 
+  showLoginNotice();
+  initResendVerification(form);
+  const resendBtn = document.getElementById('resend-verification');
+  const mfaForm = document.getElementById('mfa-form');
+  let mfaToken = null;
+
+  function showStep(mfa) {
+    form.hidden = mfa;
+    mfaForm.hidden = !mfa;
+    if (mfa) mfaForm.code.focus();
+  }
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     hideMessage('login-message');
+    if (resendBtn) resendBtn.hidden = true;
 
     const submitBtn = form.querySelector('button[type="submit"]');
     submitBtn.disabled = true;
@@ -91,6 +309,7 @@ function initLoginForm() {
     const payload = {
       loginId: form.loginId.value.trim(),
       password: form.password.value,
+      remember: form.remember ? form.remember.checked : false,
     };
 
     try {
@@ -102,25 +321,568 @@ function initLoginForm() {
       const data = await res.json();
 
       if (data.success) {
-        showMessage('login-message', data.message || 'Login successful! Redirecting...', false);
+        finishLogin(data.message);
+      } else if (data.code === 'mfa_required' && mfaForm) {
+        mfaToken = data.mfa_token;
+        showMessage('login-message', data.message, false);
+        submitBtn.disabled = false;
+        showStep(true);
+      } else if (res.status === 429) {
+        const wait = parseInt(res.headers.get('Retry-After'), 10) || data.retryAfter || 60;
+        startLoginCooldown(wait, submitBtn);
+      } else {
+        showMessage('login-message', data.message || 'Invalid credentials.');
+        if (data.code === 'email_unverified' && resendBtn) resendBtn.hidden = false;
+        submitBtn.disabled = false;
+      }
+    } catch (err) {
+      showMessage('login-message', 'Network error. Please try again.');
+      submitBtn.disabled = false;
+    }
+  });
+
+  if (!mfaForm) return;
+
+  mfaForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('login-message');
+
+    const submitBtn = mfaForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/login/mfa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mfa_token: mfaToken, code: mfaForm.code.value.trim() }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        finishLogin(data.message);
+      } else if (res.status === 429) {
+        const wait = parseInt(res.headers.get('Retry-After'), 10) || data.retryAfter || 60;
+        startLoginCooldown(wait, submitBtn);
+      } else {
+        // A wrong code comes with a new challenge; an expired one means entering the password again
+        if (data.mfa_token) mfaToken = data.mfa_token;
+        if (data.code === 'mfa_expired') showStep(false);
+        showMessage('login-message', data.message || 'That code is not valid.');
+        mfaForm.code.value = '';
+        submitBtn.disabled = false;
+      }
+    } catch (err) {
+      showMessage('login-message', 'Network error. Please try again.');
+      submitBtn.disabled = false;
+    }
+  });
+
+  document.getElementById('mfa-cancel').addEventListener('click', () => {
+    mfaToken = null;
+    mfaForm.reset();
+    form.password.value = '';
+    hideMessage('login-message');
+    showStep(false);
+  });
+
+  const providerChallenge = new URLSearchParams(window.location.hash.slice(1)).get('mfa_token');
+  if (providerChallenge) {
+    mfaToken = providerChallenge;
+    history.replaceState(null, '', window.location.pathname);
+    showMessage('login-message', 'Enter the 6-digit code from your authenticator app.', false);
+    showStep(true);
+  }
+}
+
+/**
+ * Forgot password form (reset.html without a token): request a reset link by User ID or Email.
+ */
+function initForgotForm() {
+  const form = document.getElementById('forgot-form');
+  if (!form) return;
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('forgot-message');
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/password/forgot', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ loginId: form.loginId.value.trim() }),
+      });
+      const data = await res.json();
+      showMessage('forgot-message', data.message || 'Something went wrong.', !data.success);
+    } catch (err) {
+      showMessage('forgot-message', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+  });
+}
+
+/**
+ * Reset password form (reset.html?token=...): choose a new password.
+ * On success, redirect to login page.
+ */
+function initResetForm() {
+  const form = document.getElementById('reset-form');
+  if (!form) return;
+
+  const token = new URLSearchParams(window.location.search).get('token');
+  if (!token) return;
+
+  // A token in the URL means the user came from the email: show the second step
+  document.getElementById('forgot-step').hidden = true;
+  document.getElementById('reset-step').hidden = false;
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('reset-message');
+    clearFieldErrors(form);
+
+    if (form.password.value !== form.password_confirm.value) {
+      showFieldErrors(form, { password_confirm: 'Passwords do not match.' });
+      return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/password/reset', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password: form.password.value }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        showMessage('reset-message', data.message || 'Password reset. Redirecting...', false);
         if (typeof window.fastRedirect === 'function') {
-          window.fastRedirect('https://netflix-clone-v.vercel.app/');
+          window.fastRedirect('/login.html?reset=1');
         } else {
-          setTimeout(() => { window.location.href = 'https://netflix-clone-v.vercel.app/'; }, 800);
+          setTimeout(() => { window.location.href = '/login.html?reset=1'; }, 800);
         }
       } else {
-        showMessage('login-message', data.message || 'Invalid credentials.');
+        if (!showFieldErrors(form, data.errors)) {
+          showMessage('reset-message', data.message || 'Could not reset password.');
+        }
         submitBtn.disabled = false;
       }
     } catch (err) {
-      showMessage('login-message', 'Network error. Please try again.');
+      showMessage('reset-message', 'Network error. Please try again.');
       submitBtn.disabled = false;
     }
   });
 }
 
+/**
+ * Account page: load the signed-in user's details, then handle the profile,
+ * change-password and delete-account forms. Field errors from the server are
+ * shown next to each input.
+ */
+function initAccountPage() {
+  const form = document.getElementById('account-form');
+  if (!form) return;
+
+  const passwordForm = document.getElementById('password-form');
+  const deleteForm = document.getElementById('delete-form');
+
+  function renderAccount(account, providers = []) {
+    document.getElementById('account-user-id').textContent = account.user_id;
+    form.name.value = account.name;
+    form.email.value = account.email;
+    form.phone.value = account.phone;
+
+    const pending = document.getElementById('pending-email');
+    pending.hidden = !account.pending_email;
+    pending.textContent = account.pending_email
+      ? 'Waiting for confirmation of ' + account.pending_email + '. Check that inbox for the link.'
+      : '';
+
+    document.getElementById('admin-link').hidden = account.role !== 'admin';
+    document.getElementById('no-password-note').hidden = account.has_password;
+
+    // Without a password, a recent sign-in through the provider confirms the settings below
+    if (providers.length > 0) {
+      document.getElementById('reauth-link').href =
+        '/api/auth/' + encodeURIComponent(providers[0]) + '/start?return=account';
+    }
+    document.querySelectorAll('input[autocomplete="current-password"]').forEach((input) => {
+      input.required = account.has_password;
+      input.closest('.form-group').hidden = !account.has_password;
+    });
+  }
+
+  // Arriving from the confirmation link of an email change
+  if (new URLSearchParams(window.location.search).get('email') === 'changed') {
+    showMessage('account-message', 'Your new email address is confirmed.', false);
+  }
+
+  function loadAccount() {
+    fetch(API_BASE + '/api/account')
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) renderAccount(data.account, data.providers || []);
+        else showMessage('account-message', data.message || 'Could not load your account.');
+      })
+      .catch(() => showMessage('account-message', 'Network error. Please reload the page.'));
+  }
+  loadAccount();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('account-message');
+    clearFieldErrors(form);
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/account', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: form.name.value.trim(),
+          email: form.email.value.trim(),
+          phone: form.phone.value.trim(),
+        }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        renderAccount(data.account);
+        showMessage('account-message', data.message || 'Your details have been saved.', false);
+      } else if (!showFieldErrors(form, data.errors)) {
+        showMessage('account-message', data.message || 'Could not save your details.');
+      }
+    } catch (err) {
+      showMessage('account-message', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+  });
+
+  passwordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('password-message');
+    clearFieldErrors(passwordForm);
+
+    const submitBtn = passwordForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/account/password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          current_password: passwordForm.current_password.value,
+          new_password: passwordForm.new_password.value,
+        }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        passwordForm.reset();
+        showMessage('password-message', data.message || 'Your password has been changed.', false);
+        // A first password brings back the password fields
+        if (passwordForm.current_password.closest('.form-group').hidden) loadAccount();
+      } else if (!showFieldErrors(passwordForm, data.errors)) {
+        showMessage('password-message', data.message || 'Could not change your password.');
+      }
+    } catch (err) {
+      showMessage('password-message', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+  });
+
+  deleteForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('delete-message');
+    clearFieldErrors(deleteForm);
+
+    if (!window.confirm('Delete your account permanently? This cannot be undone.')) return;
+
+    const submitBtn = deleteForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/account', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: deleteForm.password.value }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        showMessage('delete-message', data.message || 'Your account has been deleted.', false);
+        setTimeout(() => { window.location.href = '/register.html'; }, 1200);
+        return;
+      }
+      if (!showFieldErrors(deleteForm, data.errors)) {
+        showMessage('delete-message', data.message || 'Could not delete your account.');
+      }
+    } catch (err) {
+      showMessage('delete-message', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+  });
+}
+
+/**
+ * Two-factor section of the account page. Setup (password) returns the secret, which the
+ * user adds to their app; the first code turns it on and returns the recovery codes,
+ * shown once. Once on, the password can replace the recovery codes or turn it off.
+ */
+function initTwoFactorSettings() {
+  const setupForm = document.getElementById('mfa-setup-form');
+  if (!setupForm) return;
+
+  const enableForm = document.getElementById('mfa-enable-form');
+  const manageForm = document.getElementById('mfa-manage-form');
+  const recovery = document.getElementById('mfa-recovery');
+
+  function renderStatus(status) {
+    document.getElementById('mfa-status').textContent = status.enabled
+      ? 'On since ' + new Date(status.enabled_at).toLocaleDateString() + '. '
+        + status.recovery_codes_left + ' recovery codes left.'
+      : 'Off. Add a code from your phone to every login.';
+    setupForm.hidden = status.enabled;
+    enableForm.hidden = true;
+    manageForm.hidden = !status.enabled;
+  }
+
+  function loadStatus() {
+    return fetch(API_BASE + '/api/account/mfa')
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) renderStatus(data);
+        else showMessage('mfa-message', data.message || 'Could not load two-factor settings.');
+      })
+      .catch(() => showMessage('mfa-message', 'Network error. Please reload the page.'));
+  }
+
+  function showRecoveryCodes(codes) {
+    const items = codes.map((code) => {
+      const item = document.createElement('li');
+      item.textContent = code;
+      return item;
+    });
+    document.getElementById('mfa-recovery-codes').replaceChildren(...items);
+    recovery.hidden = false;
+  }
+
+  // Sends one request for the form; onSuccess gets the response data
+  async function submitMfa(form, button, path, method, body, onSuccess) {
+    hideMessage('mfa-message');
+    clearFieldErrors(form);
+    button.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        form.reset();
+        await onSuccess(data);
+        if (data.message) showMessage('mfa-message', data.message, false);
+      } else if (!showFieldErrors(form, data.errors)) {
+        showMessage('mfa-message', data.message || 'Could not update two-factor authentication.');
+      }
+    } catch (err) {
+      showMessage('mfa-message', 'Network error. Please try again.');
+    }
+    button.disabled = false;
+  }
+
+  setupForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const button = setupForm.querySelector('button[type="submit"]');
+    submitMfa(setupForm, button, '/api/account/mfa/setup', 'POST', { password: setupForm.password.value }, (data) => {
+      document.getElementById('mfa-otpauth-link').href = data.otpauth_uri;
+      document.getElementById('mfa-secret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+      setupForm.hidden = true;
+      enableForm.hidden = false;
+      enableForm.code.focus();
+    });
+  });
+
+  enableForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const button = enableForm.querySelector('button[type="submit"]');
+    submitMfa(enableForm, button, '/api/account/mfa/enable', 'POST', { code: enableForm.code.value.trim() }, async (data) => {
+      await loadStatus();
+      showRecoveryCodes(data.recovery_codes);
+    });
+  });
+
+  manageForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const button = manageForm.querySelector('button[type="submit"]');
+    submitMfa(manageForm, button, '/api/account/mfa/recovery-codes', 'POST', { password: manageForm.password.value }, async (data) => {
+      await loadStatus();
+      showRecoveryCodes(data.recovery_codes);
+    });
+  });
+
+  document.getElementById('mfa-disable').addEventListener('click', (e) => {
+    if (!manageForm.reportValidity()) return;
+    if (!window.confirm('Turn off two-factor authentication? Logging in will only need your password.')) return;
+    submitMfa(manageForm, e.currentTarget, '/api/account/mfa', 'DELETE', { password: manageForm.password.value }, () => {
+      recovery.hidden = true;
+      return loadStatus();
+    });
+  });
+
+  loadStatus();
+}
+
+const ERASURE_NOTICES = {
+  scheduled: ['Erasure confirmed. We have emailed you the date; you can cancel until then.', false],
+  invalid: ['This confirmation link is invalid or has expired. Request the erasure again.', true],
+  error: ['We could not confirm the erasure right now. Please try again.', true],
+};
+
+/**
+ * "Your data" section of the account page: download the data export (password), request
+ * an erasure (password, then the emailed link) and cancel one during its grace period.
+ */
+function initPrivacySettings() {
+  const exportForm = document.getElementById('export-form');
+  if (!exportForm) return;
+
+  const erasureForm = document.getElementById('erasure-form');
+  const cancelButton = document.getElementById('cancel-erasure');
+
+  function renderErasure(erasure) {
+    const status = document.getElementById('erasure-status');
+    status.hidden = !erasure;
+    if (erasure && erasure.status === 'scheduled') {
+      status.textContent = 'Your account will be erased on ' + new Date(erasure.purge_after).toLocaleDateString() + '.';
+    } else if (erasure) {
+      status.textContent = 'Erasure requested. Open the link we emailed you to confirm it.';
+    }
+    cancelButton.hidden = !erasure;
+    erasureForm.hidden = Boolean(erasure && erasure.status === 'scheduled');
+  }
+
+  async function loadErasure() {
+    try {
+      const res = await fetch(API_BASE + '/api/account/erasure');
+      const data = await res.json();
+      if (data.success) renderErasure(data.erasure);
+    } catch (err) {
+      showMessage('privacy-message', 'Network error. Please reload the page.');
+    }
+  }
+
+  // Arriving from the confirmation link
+  const notice = ERASURE_NOTICES[new URLSearchParams(window.location.search).get('erasure')];
+  if (notice) showMessage('privacy-message', notice[0], notice[1]);
+
+  exportForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('privacy-message');
+    clearFieldErrors(exportForm);
+
+    const submitBtn = exportForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/account/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: exportForm.password.value }),
+      });
+
+      if (res.ok) {
+        const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await res.blob());
+        link.download = name ? name[1] : 'account-data.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        exportForm.reset();
+        showMessage('privacy-message', 'Your data has been downloaded.', false);
+      } else {
+        const data = await res.json();
+        if (!showFieldErrors(exportForm, data.errors)) {
+          showMessage('privacy-message', data.message || 'Could not export your data.');
+        }
+      }
+    } catch (err) {
+      showMessage('privacy-message', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+  });
+
+  erasureForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideMessage('privacy-message');
+    clearFieldErrors(erasureForm);
+
+    if (!window.confirm('Erase your account and all your data? You will get an email to confirm.')) return;
+
+    const submitBtn = erasureForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const res = await fetch(API_BASE + '/api/account/erasure', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: erasureForm.password.value }),
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        erasureForm.reset();
+        showMessage('privacy-message', data.message, false);
+        await loadErasure();
+      } else if (!showFieldErrors(erasureForm, data.errors)) {
+        showMessage('privacy-message', data.message || 'Could not request the erasure.');
+      }
+    } catch (err) {
+      showMessage('privacy-message', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+  });
+
+  cancelButton.addEventListener('click', async () => {
+    hideMessage('privacy-message');
+    cancelButton.disabled = true;
+    try {
+      const res = await fetch(API_BASE + '/api/account/erasure', { method: 'DELETE' });
+      const data = await res.json();
+      if (data.success) {
+        showMessage('privacy-message', data.message, false);
+        await loadErasure();
+      } else {
+        showMessage('privacy-message', data.message || 'Could not cancel the erasure.');
+      }
+    } catch (err) {
+      showMessage('privacy-message', 'Network error. Please try again.');
+    }
+    cancelButton.disabled = false;
+  });
+
+  loadErasure();
+}
+
 // Run the right initializer based on which page we're on
 document.addEventListener('DOMContentLoaded', () => {
+  initPasswordToggles();
   initRegisterForm();
   initLoginForm();
+  initProviderButtons();
+  initForgotForm();
+  initResetForm();
+  initAccountPage();
+  initTwoFactorSettings();
+  initPrivacySettings();
 });
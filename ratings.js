@@ -0,0 +1,57 @@
+/**
+ * ratings.js - Member ratings: 1-5 stars per viewer profile and title, with an optional review
+ * Like validation.js, validators return { value } or { error }.
+ */
+const REVIEW_MAX_LENGTH = 2000;
+
+// Titles need at least this many ratings to appear in "Top rated by members"
+const TOP_RATED_MIN_RATINGS = parseInt(process.env.TOP_RATED_MIN_RATINGS || '1', 10);
+const TOP_RATED_LIMIT = 20;
+
+// Most titles asked about at once by GET /api/ratings/summary (one page of cards)
+const SUMMARY_MAX_TITLES = 50;
+
+function validateStars(input) {
+  if (!Number.isInteger(input) || input < 1 || input > 5) return { error: 'Rating must be 1 to 5 stars.' };
+  return { value: input };
+}
+
+// Missing, null or blank means no review
+function validateReview(input) {
+  if (input === undefined || input === null) return { value: null };
+  if (typeof input !== 'string') return { error: 'Review must be text.' };
+  const value = input.trim();
+  if (value.length > REVIEW_MAX_LENGTH) return { error: `Review must be at most ${REVIEW_MAX_LENGTH} characters.` };
+  return { value: value || null };
+}
+
+/**
+ * Validates { stars, review }. Returns { values, errors } like validateRegistration.
+ */
+function validateRating(body) {
+  const input = body || {};
+  const values = {};
+  const errors = {};
+  for (const [field, validate] of Object.entries({ stars: validateStars, review: validateReview })) {
+    const result = validate(input[field]);
+    if (result.error) errors[field] = result.error;
+    else values[field] = result.value;
+  }
+  return { values, errors };
+}
+
+/**
+ * Community aggregate for a title; titles nobody rated have average null and count 0.
+ */
+function emptySummary() {
+  return { average: null, count: 0 };
+}
+
+module.exports = {
+  REVIEW_MAX_LENGTH,
+  TOP_RATED_MIN_RATINGS,
+  TOP_RATED_LIMIT,
+  SUMMARY_MAX_TITLES,
+  validateRating,
+  emptySummary,
+};
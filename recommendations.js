@@ -0,0 +1,192 @@
+/**
+ * recommendations.js - Personal rows for browse.html ("Recommended for you", "Because you liked X")
+ * A profile's ratings, My List and viewing history become per-title signal weights; the genres,
+ * directors and actors of those titles (OMDB metadata, through omdb.js and its cache) add up to
+ * an affinity profile, and candidate titles are ranked by how well they match it.
+ *
+ * Candidates are the titles in the configured search rows (home.js) and the titles other
+ * members rated. The scoring functions are pure and deterministic: ties go to the lower IMDb ID.
+ */
+const omdb = require('./omdb');
+const home = require('./home');
+const store = require('./store');
+const { toHistoryItem } = require('./history');
+
+// How much one shared feature counts towards a candidate's score
+const FEATURE_WEIGHTS = { genres: 1, directors: 2, actors: 1 };
+
+// Signal weights: stars above / below 3 count for / against a title
+const WATCHLIST_WEIGHT = 1;
+const COMPLETED_WEIGHT = 1.5;
+const IN_PROGRESS_WEIGHT = 0.5;
+
+const LIKED_MIN_STARS = 4;
+const SEED_ROWS = 2;
+const ROW_LIMIT = 20;
+const CANDIDATE_LIMIT = 40;
+const COMMUNITY_CANDIDATES = 20;
+
+function addWeight(map, key, weight) {
+  map.set(key, (map.get(key) || 0) + weight);
+}
+
+/**
+ * Weight per IMDb ID from a profile's ratings, My List and history (store shapes;
+ * history items as toHistoryItem returns them). Returns a Map.
+ */
+function signalWeights({ ratings = [], watchlist = [], history = [] }) {
+  const weights = new Map();
+  for (const rating of ratings) addWeight(weights, rating.imdb_id, rating.stars - 3);
+  for (const item of watchlist) addWeight(weights, item.imdb_id, WATCHLIST_WEIGHT);
+  for (const item of history) addWeight(weights, item.imdb_id, item.completed ? COMPLETED_WEIGHT : IN_PROGRESS_WEIGHT);
+  return weights;
+}
+
+/**
+ * Titles the profile liked (rated 4+ stars or watched to the end), strongest signal first:
+ * the seeds for "Because you liked X".
+ */
+function likedTitles({ ratings = [], history = [] }, weights) {
+  const liked = new Set([
+    ...ratings.filter((rating) => rating.stars >= LIKED_MIN_STARS).map((rating) => rating.imdb_id),
+    ...history.filter((item) => item.completed).map((item) => item.imdb_id),
+  ]);
+  return [...liked]
+    .filter((id) => weights.get(id) > 0)
+    .sort((a, b) => weights.get(b) - weights.get(a) || (a < b ? -1 : 1));
+}
+
+// Genres, directors and actors of a title (omdb.js title shape); OMDB lists co-directors comma-separated
+function features(title) {
+  return {
+    genres: title.genres || [],
+    directors: title.director ? title.director.split(',').map((name) => name.trim()).filter(Boolean) : [],
+    actors: title.actors || [],
+  };
+}
+
+/**
+ * Affinity profile: for each genre, director and actor the summed weight of the titles featuring it.
+ * titles maps IMDb ID -> title; IDs without metadata are skipped.
+ */
+function buildAffinity(weights, titles) {
+  const affinity = { genres: new Map(), directors: new Map(), actors: new Map() };
+  for (const [imdbId, weight] of weights) {
+    const title = titles.get(imdbId);
+    if (!title || weight === 0) continue;
+    const titleFeatures = features(title);
+    for (const kind of Object.keys(affinity)) {
+      for (const name of titleFeatures[kind]) addWeight(affinity[kind], name, weight);
+    }
+  }
+  return affinity;
+}
+
+function scoreTitle(title, affinity) {
+  const titleFeatures = features(title);
+  let score = 0;
+  for (const kind of Object.keys(affinity)) {
+    for (const name of titleFeatures[kind]) score += (affinity[kind].get(name) || 0) * FEATURE_WEIGHTS[kind];
+  }
+  return score;
+}
+
+/**
+ * Candidates with a positive score, best first, leaving out `exclude` (titles the profile already knows).
+ * Returns [{ imdb_id, title, year, type, poster, score }].
+ */
+function rankTitles(candidates, affinity, { exclude = new Set(), limit = ROW_LIMIT } = {}) {
+  return candidates
+    .filter((title) => !exclude.has(title.imdb_id))
+    .map((title) => ({ title, score: scoreTitle(title, affinity) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || (a.title.imdb_id < b.title.imdb_id ? -1 : 1))
+    .slice(0, limit)
+    .map(({ title, score }) => {
+      const { imdb_id, year, type, poster } = title;
+      return { imdb_id, title: title.title, year, type, poster, score };
+    });
+}
+
+/**
+ * Builds the rows from a profile's signals. titles maps IMDb ID -> title for the signal
+ * titles and candidates; candidates lists the IMDb IDs to choose from.
+ * Returns [{ id, title, seed?, results }], leaving out rows with nothing to show.
+ */
+function recommend({ ratings = [], watchlist = [], history = [], titles, candidates }) {
+  const weights = signalWeights({ ratings, watchlist, history });
+  const known = new Set(weights.keys());
+  const pool = [...new Set(candidates)].map((id) => titles.get(id)).filter(Boolean);
+
+  const rows = [{
+    id: 'recommended',
+    title: 'Recommended for you',
+    results: rankTitles(pool, buildAffinity(weights, titles), { exclude: known }),
+  }];
+
+  for (const seedId of likedTitles({ ratings, history }, weights).slice(0, SEED_ROWS)) {
+    const seed = titles.get(seedId);
+    if (!seed) continue;
+    rows.push({
+      id: `because-${seedId}`,
+      title: `Because you liked ${seed.title}`,
+      seed: { imdb_id: seedId, title: seed.title },
+      results: rankTitles(pool, buildAffinity(new Map([[seedId, 1]]), titles), { exclude: known }),
+    });
+  }
+
+  return rows.filter((row) => row.results.length > 0);
+}
+
+// IDs from the configured search rows and other members' ratings, in that order
+async function candidateIds() {
+  const searchRows = home.getHomeRows().filter((row) => row.source === 'search');
+  const [rowResults, community] = await Promise.all([
+    Promise.all(searchRows.map((row) => home.getRowTitles(row).catch(() => ({ results: [] })))),
+    store.ratings.topRated({ minCount: 1, limit: COMMUNITY_CANDIDATES }),
+  ]);
+  const ids = [...rowResults.flatMap(({ results }) => results), ...community].map((title) => title.imdb_id);
+  return [...new Set(ids)];
+}
+
+// Full OMDB records for ids; titles OMDB can't provide right now are left out
+async function loadTitles(ids) {
+  const titles = new Map();
+  await Promise.all(ids.map(async (id) => {
+    try {
+      const { title } = await omdb.getTitle(id);
+      if (title) titles.set(id, title);
+    } catch (err) {
+      if (err.code !== omdb.OMDB_UNAVAILABLE) throw err;
+    }
+  }));
+  return titles;
+}
+
+/**
+ * Recommendation rows for a viewer profile (see recommend). Empty when the profile has no signals yet.
+ */
+async function getRecommendations(profileId) {
+  const [ratings, watchlist, historyRows] = await Promise.all([
+    store.ratings.listByProfile(profileId),
+    store.watchlist.list(profileId),
+    store.viewingHistory.list(profileId),
+  ]);
+  const history = historyRows.map(toHistoryItem);
+  const signals = [...ratings, ...watchlist, ...history].map((item) => item.imdb_id);
+  if (signals.length === 0) return [];
+
+  const candidates = (await candidateIds()).filter((id) => !signals.includes(id)).slice(0, CANDIDATE_LIMIT);
+  const titles = await loadTitles([...new Set([...signals, ...candidates])]);
+  return recommend({ ratings, watchlist, history, titles, candidates });
+}
+
+module.exports = {
+  signalWeights,
+  likedTitles,
+  buildAffinity,
+  scoreTitle,
+  rankTitles,
+  recommend,
+  getRecommendations,
+};
@@ -0,0 +1,141 @@
+/**
+ * security.js - Browser-facing hardening: security headers, the CORS allowlist and CSRF tokens
+ *
+ * Headers: a strict Content-Security-Policy (scripts and styles only from our own files, so
+ * injected markup cannot run), no framing, no MIME sniffing, and HSTS on HTTPS requests.
+ * Static pages served by Vercel's CDN never reach Express, so vercel.json sends the same
+ * headers; test/security.test.js keeps the two in sync.
+ *
+ * CSRF: signed double-submit. GET /api/csrf sets a random token in a signed, HttpOnly,
+ * SameSite=Strict cookie and returns it in the body; every state-changing /api request must
+ * echo it in the X-CSRF-Token header. Another site can make the browser send the cookie but
+ * cannot read the token to put in the header (public/csrf.js does that for our pages).
+ *
+ * CORS_ORIGINS: comma-separated origins allowed to call the API from other sites
+ * (e.g. "https://admin.example.com"); none by default. Browsers send the SameSite session
+ * and CSRF cookies only from origins on the app's own site (its subdomains), so only those
+ * can make changes: they read a token from GET /api/csrf like our pages do. Listed origins
+ * on other sites get no cookies and can only read the public GET routes.
+ *
+ * TRUST_PROXY: which proxies may set X-Forwarded-For / -Proto (see trustProxySetting).
+ * Trusting a proxy that is not there would let clients choose their own req.ip.
+ */
+const crypto = require('crypto');
+const { generateToken } = require('./tokens');
+
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' https://fonts.googleapis.com",
+  "font-src 'self' https://fonts.gstatic.com",
+  // Posters come from OMDB's image hosts
+  "img-src 'self' data: https:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+  'X-Frame-Options': 'DENY',
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+};
+
+const HSTS = 'max-age=31536000; includeSubDomains';
+
+const CSRF_COOKIE = 'csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+/**
+ * Options for the cors middleware: only allowlisted origins get CORS headers (with cookies).
+ */
+const corsOptions = {
+  origin: (origin, callback) => callback(null, CORS_ORIGINS.includes(origin)),
+  credentials: true,
+};
+
+/**
+ * Express's 'trust proxy' setting: TRUST_PROXY if set (a hop count, true / false, or
+ * addresses and subnets like "loopback, 10.0.0.0/8"), else one hop on Vercel and none elsewhere.
+ */
+function trustProxySetting(env = process.env) {
+  const value = (env.TRUST_PROXY || '').trim();
+  if (!value) return env.VERCEL ? 1 : false;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+function securityHeaders(req, res, next) {
+  res.set(SECURITY_HEADERS);
+  // Only over HTTPS: browsers ignore it on plain HTTP, and local development stays usable
+  if (req.secure) res.set('Strict-Transport-Security', HSTS);
+  next();
+}
+
+function csrfCookieOptions() {
+  return {
+    httpOnly: true,
+    signed: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+  };
+}
+
+/**
+ * The caller's CSRF token, issuing one (and its cookie) if they have none yet.
+ * Reusing the cookie's token keeps every open tab working.
+ */
+function issueCsrfToken(req, res) {
+  const existing = req.signedCookies && req.signedCookies[CSRF_COOKIE];
+  if (existing) return existing;
+
+  const token = generateToken();
+  res.cookie(CSRF_COOKIE, token, csrfCookieOptions());
+  return token;
+}
+
+function tokensMatch(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Refuses state-changing requests whose X-CSRF-Token header does not match the signed cookie.
+ */
+function csrfProtection(req, res, next) {
+  if (SAFE_METHODS.has(req.method)) return next();
+
+  const expected = req.signedCookies && req.signedCookies[CSRF_COOKIE];
+  const given = req.get(CSRF_HEADER);
+  if (expected && given && tokensMatch(expected, given)) return next();
+
+  res.status(403).json({
+    success: false,
+    code: 'csrf_invalid',
+    message: 'Your session has expired. Please reload the page and try again.',
+  });
+}
+
+module.exports = {
+  SECURITY_HEADERS,
+  HSTS,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  corsOptions,
+  trustProxySetting,
+  securityHeaders,
+  issueCsrfToken,
+  csrfProtection,
+};
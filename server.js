@@ -7,19 +7,206 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
-const { pool, initDatabase, execute } = require('./db');
+const store = require('./store');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { SESSION_SECRET, createSession, loadSession, destroySession } = require('./session');
+const {
+  validateRegistration,
+  validateName,
+  validateEmail,
+  validatePhone,
+  validatePassword,
+} = require('./validation');
+const {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  createEmailVerificationToken,
+  consumeEmailVerificationToken,
+} = require('./verification');
+const {
+  PASSWORD_RESET_TTL_MINUTES,
+  createPasswordResetToken,
+  findPasswordResetUser,
+  resetPassword,
+} = require('./passwordReset');
+const {
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+  sendPasswordResetEmail,
+  sendForcedPasswordResetEmail,
+  sendErasureConfirmationEmail,
+  sendErasureScheduledEmail,
+} = require('./mailer');
+const { generateToken } = require('./tokens');
+const loginThrottle = require('./loginThrottle');
+const {
+  corsOptions, trustProxySetting, securityHeaders, issueCsrfToken, csrfProtection,
+} = require('./security');
+const {
+  PROFILE_LIMIT,
+  AVATARS,
+  validateProfile,
+  hashPin,
+  checkPin,
+  defaultProfileName,
+  toProfile,
+} = require('./profiles');
+const omdb = require('./omdb');
+const home = require('./home');
+const { SUMMARY_MAX_TITLES, validateRating, emptySummary } = require('./ratings');
+const { validateProgress, toHistoryItem } = require('./history');
+const { getRecommendations } = require('./recommendations');
+const {
+  generateSecret,
+  matchTotp,
+  otpauthUri,
+  issueRecoveryCodes,
+  verifyMfaCode,
+  createMfaChallenge,
+  findMfaChallenge,
+  consumeMfaChallenge,
+} = require('./mfa');
+const {
+  OIDC_FAILED,
+  getProvider,
+  listProviders,
+  startLogin,
+  finishLogin,
+  resolveUser,
+  savePendingLogin,
+  takePendingLogin,
+} = require('./oidc');
+const {
+  PAYMENT_DECLINED,
+  validateCard,
+  toPlan,
+  toSubscription,
+  isActive,
+  checkout,
+  currentSubscription,
+} = require('./subscriptions');
+const {
+  ERASURE_CONFIRM_TTL_HOURS,
+  PRIVACY_EVENTS,
+  recordPrivacyEvent,
+  buildExport,
+  exportFilename,
+  toErasure,
+  requestErasure,
+  confirmErasure,
+  cancelErasure,
+  eraseUser,
+  purgeErasures,
+} = require('./privacy');
+const {
+  AUDIT_ACTIONS,
+  validateUserSearch,
+  validatePage,
+  pageWindow,
+  pageInfo,
+  toAdminUser,
+  recordAdminAction,
+} = require('./admin');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a proxy (Vercel's, or TRUST_PROXY): trust X-Forwarded-* so req.protocol / req.ip are the client's
+app.set('trust proxy', trustProxySetting());
+app.disable('x-powered-by');
+
 // ============================================
 // MIDDLEWARE
 // ============================================
-app.use(cors());
+// Every request gets an ID: the caller's X-Request-Id if it looks sane, else a new UUID.
+// It is echoed in the response and carried by every log line written through req.log.
+// Once the response is sent, the request is logged and counted in the metrics.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Route pattern for logs and metrics; never the raw URL, which may hold IDs or tokens
+function routeLabel(req) {
+  if (req.route) {
+    // Routes registered for a list of paths (MEMBER_PAGES) report the one that matched
+    return Array.isArray(req.route.path) ? req.path : req.baseUrl + req.route.path;
+  }
+  return req.originalUrl.startsWith('/api/') ? 'unmatched' : 'static';
+}
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ request_id: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+    metrics.observeRequest({ method: req.method, route, status: res.statusCode, durationSeconds });
+    req.log.info('request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(durationSeconds * 1000),
+    });
+  });
+  next();
+});
+
+// Security headers, CORS allowlist and CSRF tokens: see security.js
+app.use(securityHeaders);
+app.use(cors(corsOptions));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use(cookieParser(SESSION_SECRET));
+app.use('/api', csrfProtection);
+
+// Members-only pages are routed through requireAuth before the static files.
+// Browsing and the history page also need an active subscription (else: plans.html) and a viewer profile,
+// picked on profiles.html after login; the admin console is only served to admins.
+const MEMBER_PAGES = ['/browse.html', '/account.html', '/profiles.html', '/history.html', '/admin.html'];
+const SUBSCRIPTION_PAGES = ['/browse.html', '/history.html'];
+const PROFILE_PAGES = ['/browse.html', '/history.html'];
+const ADMIN_PAGES = ['/admin.html'];
+
+// express.static decodes and normalizes the path before it looks for the file, so other
+// spellings of a member page (/%62rowse.html, //browse.html, /x/../browse.html) would get
+// past the route below. They are sent to the canonical path, which goes through the gate.
+app.use((req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+  let decoded;
+  try {
+    decoded = path.posix.normalize(decodeURIComponent(req.path));
+  } catch (err) {
+    return next(); // malformed; express.static refuses it
+  }
+  const page = MEMBER_PAGES.find((memberPage) => memberPage === decoded.toLowerCase());
+  if (!page || page === req.path) return next();
+  res.redirect(page);
+});
+
+app.get(MEMBER_PAGES, requireAuth, async (req, res) => {
+  if (ADMIN_PAGES.includes(req.path) && req.user.role !== 'admin') {
+    return res.redirect('/profiles.html');
+  }
+  try {
+    if (SUBSCRIPTION_PAGES.includes(req.path) && !isActive(await currentSubscription(req.user.id))) {
+      return res.redirect('/plans.html');
+    }
+  } catch (err) {
+    req.log.error('Subscription check error', { err });
+    return res.status(500).send('Server error. Please try again.');
+  }
+  if (PROFILE_PAGES.includes(req.path) && !req.user.profile_id) {
+    return res.redirect('/profiles.html');
+  }
+  res.sendFile(path.join(__dirname, 'public', req.path));
+});
 
 // Serve static frontend (register.html, login.html, style.css, script.js, etc.)
 app.use(express.static(path.join(__dirname, 'public')));
@@ -29,7 +216,7 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Ensure DB and users table exist (once per serverless cold start)
+// Ensure storage is ready, e.g. Postgres migrations applied (once per serverless cold start)
 let dbReady = null;
 let dbInitError = null;
 function ensureDb() {
@@ -39,83 +226,207 @@ function ensureDb() {
     dbInitError = null;
   }
   if (!dbReady) {
-    dbReady = initDatabase().catch((err) => {
+    dbReady = store.init().catch((err) => {
       dbInitError = err;
-      console.error('ensureDb failed:', err.message, err.code);
+      logger.error('ensureDb failed', { err });
       throw err;
     });
   }
   return dbReady;
 }
 
-// Health check endpoint for debugging
-app.get('/api/health', async (req, res) => {
+// ============================================
+// AUTH
+// ============================================
+// Loads the session from the signed cookie and exposes the user as req.user.
+// API callers get a 401 JSON response; page requests are redirected to login.
+async function requireAuth(req, res, next) {
   try {
     await ensureDb();
-    const [rows] = await execute('SELECT 1 as healthy');
+    const session = await loadSession(req);
+    if (!session) {
+      if (req.originalUrl.startsWith('/api/')) {
+        return res.status(401).json({ success: false, message: 'Please log in to continue.' });
+      }
+      return res.redirect('/login.html');
+    }
+    req.user = session;
+    next();
+  } catch (err) {
+    req.log.error('Auth error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+}
+
+// Every /api/* route requires a session unless it is listed here,
+// so new endpoints are protected by default.
+const PUBLIC_API_ROUTES = new Set([
+  '/health',
+  '/health/live',
+  '/health/ready',
+  '/metrics',
+  '/csrf',
+  '/register',
+  '/login',
+  '/login/mfa',
+  '/logout',
+  '/verify-email',
+  '/verify-email/resend',
+  '/password/forgot',
+  '/password/reset',
+  '/auth/providers',
+  '/plans',
+  '/account/erasure/confirm',
+  '/jobs/purge-erasures',
+  '/jobs/purge-omdb-cache',
+]);
+// Sign-in with a provider: /auth/<provider>/start and /auth/<provider>/callback
+const PUBLIC_API_PATTERN = /^\/auth\/[^/]+\/(start|callback)$/;
+
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_ROUTES.has(req.path) || PUBLIC_API_PATTERN.test(req.path)) return next();
+  requireAuth(req, res, next);
+});
+
+// ============================================
+// HEALTH AND METRICS
+// ============================================
+// These are public, so they never include error messages or configuration;
+// failures are logged with the request ID instead.
+const HEALTH_TIMEOUT_MS = parseInt(process.env.HEALTH_TIMEOUT_MS || '2000', 10);
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Timed out after ${ms} ms`);
+      err.code = 'ETIMEDOUT';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Liveness: the process is up and answering. Never touches storage, so a database
+// outage does not get healthy instances restarted.
+app.get('/api/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+// Readiness: storage is migrated (ensureDb, which only does work on a cold start or
+// after a failure) and answers a ping. Reports the ping's round trip and pool usage.
+async function readiness(req, res) {
+  const started = process.hrtime.bigint();
+  try {
+    await withTimeout(ensureDb().then(() => store.ping()), HEALTH_TIMEOUT_MS);
     res.json({
       status: 'ok',
+      storage: store.name,
       database: 'connected',
-      env: {
-        hasHost: !!process.env.DB_HOST,
-        hasUser: !!process.env.DB_USER,
-        hasPassword: !!process.env.DB_PASSWORD,
-        hasName: !!process.env.DB_NAME,
-        hasPort: !!process.env.DB_PORT,
-      }
+      latency_ms: Number(process.hrtime.bigint() - started) / 1e6,
+      pool: store.poolStats(),
     });
   } catch (err) {
-    res.status(500).json({
+    req.log.error('Readiness check failed', { err });
+    res.status(503).json({
       status: 'error',
+      storage: store.name,
       database: 'disconnected',
-      error: err.message,
-      code: err.code,
-      env: {
-        hasHost: !!process.env.DB_HOST,
-        hasUser: !!process.env.DB_USER,
-        hasPassword: !!process.env.DB_PASSWORD,
-        hasName: !!process.env.DB_NAME,
-        hasPort: !!process.env.DB_PORT,
-      }
+      pool: store.poolStats(),
     });
   }
+}
+
+app.get('/api/health/ready', readiness);
+
+// Kept for existing monitors; same as /api/health/ready
+app.get('/api/health', readiness);
+
+// Constant-time check of an "Authorization: Bearer <token>" header
+function bearerTokenMatches(req, expected) {
+  const given = (req.get('Authorization') || '').replace(/^Bearer /, '');
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// Prometheus scrape target. With METRICS_TOKEN set, scrapers must send it as a bearer token;
+// without it the endpoint is open in development and turned off in production.
+function metricsAuthorized(req) {
+  const expected = process.env.METRICS_TOKEN;
+  return !expected || bearerTokenMatches(req, expected);
+}
+
+app.get('/api/metrics', (req, res) => {
+  if (!process.env.METRICS_TOKEN && process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ success: false, message: 'Metrics are turned off. Set METRICS_TOKEN to scrape them.' });
+  }
+  if (!metricsAuthorized(req)) {
+    return res.status(401).json({ success: false, message: 'A valid metrics token is required.' });
+  }
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
 });
 
+// Absolute base URL for links in emails (APP_URL, else the host this request came in on)
+function appUrl(req) {
+  return (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// Issues a fresh verification token and emails the link, either for the user's own email or,
+// with newEmail, for a requested email change. Mail failures are logged, not thrown:
+// the account exists either way and the user can ask for a new link.
+async function sendVerification(req, user, newEmail = null) {
+  try {
+    const token = await createEmailVerificationToken(user.id, newEmail || user.email);
+    const link = `${appUrl(req)}/api/verify-email?token=${encodeURIComponent(token)}`;
+    if (newEmail) {
+      await sendEmailChangeEmail(user, newEmail, link, EMAIL_VERIFICATION_TTL_HOURS);
+    } else {
+      await sendVerificationEmail(user, link, EMAIL_VERIFICATION_TTL_HOURS);
+    }
+  } catch (err) {
+    req.log.error('Verification email error', { err });
+  }
+}
+
 // ============================================
 // REGISTRATION
 // ============================================
 // Collects: user_id, name, email, phone, password
+// Input is validated and normalized first (see validation.js); failures come back
+// as per-field errors: { success: false, errors: { email: '...', phone: '...' } }.
 // Password is hashed with bcrypt before storing.
+// The account starts unverified; a verification link is emailed to the user.
 app.post('/api/register', async (req, res) => {
-  const { user_id, name, email, phone, password } = req.body;
+  const { values, errors } = validateRegistration(req.body);
 
-  if (!user_id || !name || !email || !phone || !password) {
-    return res.status(400).json({ success: false, message: 'All fields are required.' });
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors });
   }
 
   try {
     await ensureDb();
     // Hash password so we never store plain text (bcrypt, 10 rounds)
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await bcrypt.hash(values.password, 10);
+
+    const user = await store.users.createUser({ ...values, password: hashedPassword });
+    await store.profiles.create({ userId: user.id, name: defaultProfileName(user.name), avatar: AVATARS[0] });
 
-    await execute(
-      'INSERT INTO users (user_id, name, email, phone, password) VALUES ($1, $2, $3, $4, $5)',
-      [user_id.trim(), name.trim(), email.trim(), phone.trim(), hashedPassword]
-    );
+    await sendVerification(req, user);
 
-    res.json({ success: true, message: 'Registration successful. Redirecting to login...' });
+    res.json({ success: true, message: 'Registration successful. Check your email to verify your account.' });
   } catch (err) {
     if (err.code === '23505') {
-      return res.status(400).json({ success: false, message: 'User ID or Email already exists.' });
+      // Point the error at the field whose unique constraint was hit,
+      // e.g. constraint "users_email_key" / detail "Key (email)=(...) already exists."
+      const keyMatch = /Key \((\w+)\)/.exec(err.detail || '');
+      const column = keyMatch ? keyMatch[1] : (err.constraint || '').replace(/^users_|_key$/g, '');
+      const duplicateErrors = {};
+      if (column === 'user_id') duplicateErrors.user_id = 'This User ID is already taken.';
+      if (column === 'email') duplicateErrors.email = 'An account with this email already exists.';
+      return res.status(400).json({ success: false, message: 'User ID or Email already exists.', errors: duplicateErrors });
     }
     // Log full error for debugging on Vercel
-    console.error('Registration error:', {
-      message: err.message,
-      code: err.code,
-      errno: err.errno,
-      sqlState: err.sqlState,
-      stack: err.stack
-    });
+    req.log.error('Registration error', { err });
 
     // Return more specific error messages
     if (err.message && err.message.includes('DB_PASSWORD')) {
@@ -135,45 +446,92 @@ app.post('/api/register', async (req, res) => {
 // HOW LOGIN WORKS:
 // 1. User sends user_id OR email plus password.
 // 2. We find the user by user_id or email in the database.
-// 3. We compare the submitted password with the stored hash using bcrypt.compare.
-// 4. If they match, login is successful; we return success and the client redirects to Netflix URL.
-// 5. If not, we return an error message.
+// 3. If this IP or account has too many recent failures, we answer 429 with Retry-After
+//    before checking the password (see loginThrottle.js).
+// 4. We compare the submitted password with the stored hash using bcrypt.compare.
+//    A mismatch (or unknown user) is counted against both the IP and the account.
+// 5. If an admin disabled the account, login is refused (403, code "account_disabled").
+// 6. If the email address has not been verified yet, login is refused (403, code "email_unverified").
+// 7. Otherwise we create a server-side session and set it as a signed, HttpOnly cookie.
+//    The client then redirects to profiles.html ("Who's watching?") and from there to browse.html.
 app.post('/api/login', async (req, res) => {
-  const { loginId, password } = req.body;
+  const { loginId, password, remember } = req.body;
   // loginId can be either user_id or email
 
-  if (!loginId || !password) {
+  if (!loginId || !password || typeof loginId !== 'string' || typeof password !== 'string') {
+    metrics.recordLogin('failure', 'invalid_request');
     return res.status(400).json({ success: false, message: 'User ID/Email and password are required.' });
   }
 
   try {
     await ensureDb();
-    const [rows] = await execute(
-      'SELECT id, user_id, email, password FROM users WHERE user_id = $1 OR email = $2',
-      [loginId.trim(), loginId.trim()]
-    );
+    const user = await store.users.findByLoginId(loginId.trim());
 
-    if (rows.length === 0) {
-      return res.status(401).json({ success: false, message: 'Invalid User ID/Email or password.' });
+    const accountKey = loginThrottle.accountKey(user && user.id, loginId);
+    const throttleKeys = [loginThrottle.ipKey(req.ip), accountKey];
+    const retryAfter = await loginThrottle.getRetryAfter(throttleKeys);
+
+    if (retryAfter > 0) {
+      metrics.recordLogin('failure', 'rate_limited');
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'rate_limited',
+        retryAfter,
+        message: 'Too many failed login attempts. Please wait before trying again.',
+      });
     }
 
-    const user = rows[0];
-    const passwordMatch = await bcrypt.compare(password, user.password);
+    // Accounts created through a sign-in provider have no password
+    const passwordMatch = user && user.password ? await bcrypt.compare(password, user.password) : false;
 
     if (!passwordMatch) {
+      await loginThrottle.recordFailure(throttleKeys);
+      metrics.recordLogin('failure', 'invalid_credentials');
       return res.status(401).json({ success: false, message: 'Invalid User ID/Email or password.' });
     }
 
+    await loginThrottle.clearFailures(accountKey);
+
+    if (user.disabled_at) {
+      metrics.recordLogin('failure', 'account_disabled');
+      return res.status(403).json({
+        success: false,
+        code: 'account_disabled',
+        message: 'This account has been disabled. Please contact support.',
+      });
+    }
+
+    if (!user.email_verified_at) {
+      metrics.recordLogin('failure', 'email_unverified');
+      return res.status(403).json({
+        success: false,
+        code: 'email_unverified',
+        message: 'Please verify your email before logging in. Check your inbox for the link.',
+      });
+    }
+
+    const rememberMe = remember === true || remember === '1';
+
+    // Two-factor users get a challenge instead of a session; /api/login/mfa finishes the login
+    if (user.mfa_enabled_at) {
+      const mfaToken = await createMfaChallenge(user.id, rememberMe);
+      metrics.recordLogin('mfa_required');
+      return res.status(401).json({
+        success: false,
+        code: 'mfa_required',
+        mfa_token: mfaToken,
+        message: 'Enter the 6-digit code from your authenticator app.',
+      });
+    }
+
+    await createSession(res, user.id, rememberMe);
+
+    metrics.recordLogin('success');
     res.json({ success: true, message: 'Login successful!' });
   } catch (err) {
-    // Log full error for debugging on Vercel
-    console.error('Login error:', {
-      message: err.message,
-      code: err.code,
-      errno: err.errno,
-      sqlState: err.sqlState,
-      stack: err.stack
-    });
+    metrics.recordLogin('failure', 'error');
+    req.log.error('Login error', { err });
 
     // Return more specific error messages
     if (err.message && err.message.includes('DB_PASSWORD')) {
@@ -190,16 +548,1607 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Body: mfa_token (from /api/login), code (authenticator code or a recovery code).
+// Wrong codes are throttled per client IP and per user like passwords.
+app.post('/api/login/mfa', async (req, res) => {
+  const { mfa_token, code } = req.body;
+
+  if (!mfa_token || !code) {
+    metrics.recordLogin('failure', 'invalid_request');
+    return res.status(400).json({ success: false, message: 'Enter the code from your authenticator app.' });
+  }
+
+  const expired = () => {
+    metrics.recordLogin('failure', 'mfa_expired');
+    return res.status(401).json({
+      success: false,
+      code: 'mfa_expired',
+      message: 'Your sign-in has expired. Please log in again.',
+    });
+  };
+
+  try {
+    await ensureDb();
+    const challenge = await findMfaChallenge(mfa_token);
+    const user = challenge && await store.users.findById(challenge.user_id);
+    if (!user || !user.mfa_enabled_at || user.disabled_at) return expired();
+
+    const mfaKey = loginThrottle.mfaKey(user.id);
+    const throttleKeys = [loginThrottle.ipKey(req.ip), mfaKey];
+    const retryAfter = await loginThrottle.getRetryAfter(throttleKeys);
+
+    if (retryAfter > 0) {
+      metrics.recordLogin('failure', 'rate_limited');
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'rate_limited',
+        retryAfter,
+        message: 'Too many incorrect codes. Please wait before trying again.',
+      });
+    }
+
+    // Used up before the code is checked, so that requests racing on one challenge cannot
+    // spend a recovery code without logging in. A wrong code comes with a new challenge.
+    if (!await consumeMfaChallenge(mfa_token)) return expired();
+
+    const method = await verifyMfaCode(user, String(code));
+    if (!method) {
+      await loginThrottle.recordFailure(throttleKeys);
+      metrics.recordLogin('failure', 'invalid_mfa_code');
+      return res.status(401).json({
+        success: false,
+        mfa_token: await createMfaChallenge(user.id, challenge.remember),
+        message: 'That code is not valid. Please try again.',
+      });
+    }
+
+    await loginThrottle.clearFailures(mfaKey);
+    await createSession(res, user.id, challenge.remember);
+
+    metrics.recordLogin('success');
+    const response = { success: true, message: 'Login successful!' };
+    if (method === 'recovery') {
+      response.recovery_codes_left = await store.mfaRecoveryCodes.count(user.id);
+      response.message = `Login successful! You have ${response.recovery_codes_left} recovery codes left.`;
+    }
+    res.json(response);
+  } catch (err) {
+    metrics.recordLogin('failure', 'error');
+    req.log.error('Two-factor login error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// SIGN IN WITH A PROVIDER (OPENID CONNECT)
+// ============================================
+// The buttons on login.html and register.html link to /api/auth/:provider/start, which
+// redirects to the provider; it sends the browser back to /callback (see oidc.js).
+// The callback ends in a redirect too: to the profile picker, to the login page's code
+// form (#mfa_token=...) for two-factor accounts, or to login.html?oidc_error=<reason>.
+// Signing in again from the account page (?return=account) lands back there instead, which
+// is how accounts without a password confirm sensitive changes (see confirmIdentity).
+
+// Pages a sign-in may return to, by the name the start route accepts
+const OIDC_RETURN_PAGES = { account: '/account.html' };
+
+function oidcRedirectUri(req, provider) {
+  return `${appUrl(req)}/api/auth/${provider.id}/callback`;
+}
+
+function unknownProvider(res) {
+  return res.status(404).json({ success: false, message: 'Unknown sign-in provider.' });
+}
+
+app.get('/api/auth/providers', (req, res) => {
+  res.json({ success: true, providers: listProviders() });
+});
+
+// Query: remember=1 keeps the session like "Remember me" on the password form;
+// return=account comes back to the account page
+app.get('/api/auth/:provider/start', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return unknownProvider(res);
+
+  try {
+    const { url, pending } = await startLogin(provider, oidcRedirectUri(req, provider));
+    savePendingLogin(res, {
+      ...pending,
+      remember: req.query.remember === '1',
+      return_to: Object.hasOwn(OIDC_RETURN_PAGES, req.query.return) ? req.query.return : undefined,
+    });
+    res.redirect(url);
+  } catch (err) {
+    req.log.error('Provider sign-in start error', { err, provider: provider.id });
+    res.redirect('/login.html?oidc_error=unavailable');
+  }
+});
+
+app.get('/api/auth/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return unknownProvider(res);
+
+  const pending = takePendingLogin(req, res);
+  const fail = (error, reason) => {
+    metrics.recordLogin('failure', reason);
+    res.redirect(`/login.html?oidc_error=${error}`);
+  };
+
+  // The state ties the callback to the sign-in this browser started
+  if (!pending || pending.provider !== provider.id || req.query.state !== pending.state) {
+    return fail('expired', 'oidc_failed');
+  }
+  if (req.query.error) return fail('cancelled', 'oidc_failed');
+
+  try {
+    await ensureDb();
+    const claims = await finishLogin(provider, {
+      code: req.query.code,
+      redirectUri: oidcRedirectUri(req, provider),
+      pending,
+    });
+
+    const { user, created, error } = await resolveUser(provider.id, claims);
+    if (error) return fail(error, 'email_unverified');
+    if (created) req.log.info('Account created through sign-in provider', { provider: provider.id, user_id: user.id });
+    if (user.disabled_at) return fail('account_disabled', 'account_disabled');
+
+    if (user.mfa_enabled_at) {
+      const mfaToken = await createMfaChallenge(user.id, pending.remember === true);
+      metrics.recordLogin('mfa_required');
+      return res.redirect(`/login.html#mfa_token=${mfaToken}`);
+    }
+
+    await createSession(res, user.id, pending.remember === true);
+    metrics.recordLogin('success');
+    res.redirect(Object.hasOwn(OIDC_RETURN_PAGES, pending.return_to) ? OIDC_RETURN_PAGES[pending.return_to] : '/profiles.html');
+  } catch (err) {
+    if (err.code === OIDC_FAILED) {
+      req.log.warn('Provider sign-in failed', { err, provider: provider.id });
+      return fail('failed', 'oidc_failed');
+    }
+    req.log.error('Provider sign-in error', { err, provider: provider.id });
+    fail('error', 'error');
+  }
+});
+
+// ============================================
+// EMAIL VERIFICATION
+// ============================================
+// Target of the emailed link. Redirects to the login page (or, for an email change,
+// the account page), which shows the outcome.
+app.get('/api/verify-email', async (req, res) => {
+  try {
+    await ensureDb();
+    const result = await consumeEmailVerificationToken(req.query.token);
+    if (!result) return res.redirect('/login.html?verified=invalid');
+    res.redirect(result.emailChanged ? '/account.html?email=changed' : '/login.html?verified=1');
+  } catch (err) {
+    req.log.error('Email verification error', { err });
+    res.redirect('/login.html?verified=error');
+  }
+});
+
+// Sends a new link for an unverified account. The response is the same whether or not
+// the account exists, so this cannot be used to discover registered emails.
+app.post('/api/verify-email/resend', async (req, res) => {
+  const { loginId } = req.body;
+  const message = 'If that account exists and is not yet verified, a new link has been sent.';
+
+  if (!loginId || typeof loginId !== 'string') {
+    return res.status(400).json({ success: false, message: 'User ID or Email is required.' });
+  }
+
+  try {
+    await ensureDb();
+    const user = await store.users.findByLoginId(loginId.trim());
+    if (user && !user.email_verified_at) await sendVerification(req, user);
+    res.json({ success: true, message });
+  } catch (err) {
+    req.log.error('Resend verification error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// PASSWORD RESET
+// ============================================
+// 1. /api/password/forgot emails a link to reset.html?token=... (valid for PASSWORD_RESET_TTL_MINUTES).
+//    The response is the same whether or not the account exists.
+// 2. /api/password/reset checks the new password against the same policy as registration,
+//    consumes the token, re-hashes with bcrypt and logs the user out everywhere.
+app.post('/api/password/forgot', async (req, res) => {
+  const { loginId } = req.body;
+  const message = 'If an account matches, we have emailed a link to reset your password.';
+
+  if (!loginId || typeof loginId !== 'string') {
+    return res.status(400).json({ success: false, message: 'User ID or Email is required.' });
+  }
+
+  try {
+    await ensureDb();
+    const user = await store.users.findByLoginId(loginId.trim());
+
+    if (user) {
+      const token = await createPasswordResetToken(user.id);
+      const link = `${appUrl(req)}/reset.html?token=${encodeURIComponent(token)}`;
+      try {
+        await sendPasswordResetEmail(user, link, PASSWORD_RESET_TTL_MINUTES);
+      } catch (err) {
+        req.log.error('Password reset email error', { err });
+      }
+    }
+
+    res.json({ success: true, message });
+  } catch (err) {
+    req.log.error('Forgot password error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+app.post('/api/password/reset', async (req, res) => {
+  const { token, password } = req.body;
+  const invalidLink = { success: false, code: 'invalid_token', message: 'This reset link is invalid or has expired. Please request a new one.' };
+
+  try {
+    await ensureDb();
+    const user = await findPasswordResetUser(token);
+    if (!user) return res.status(400).json(invalidLink);
+
+    const result = validatePassword(password, user.user_id);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors: { password: result.error } });
+    }
+
+    const done = await resetPassword(token, result.value);
+    if (!done) return res.status(400).json(invalidLink);
+
+    res.json({ success: true, message: 'Your password has been reset. Redirecting to login...' });
+  } catch (err) {
+    req.log.error('Reset password error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// SESSION
+// ============================================
+// CSRF token for the X-CSRF-Token header of state-changing requests (public/csrf.js fetches it)
+app.get('/api/csrf', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ success: true, csrf_token: issueCsrfToken(req, res) });
+});
+
+// Logout is idempotent: it succeeds even when there is no session to end.
+app.post('/api/logout', async (req, res) => {
+  try {
+    await ensureDb();
+    await destroySession(req, res);
+    res.json({ success: true, message: 'Logged out.' });
+  } catch (err) {
+    req.log.error('Logout error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Current user for the session cookie (protected by the /api auth gate above)
+app.get('/api/me', (req, res) => {
+  const { id, user_id, name, email, phone, role, created_at, profile_id } = req.user;
+  res.json({ success: true, user: { id, user_id, name, email, phone, role, created_at }, profile_id });
+});
+
+// ============================================
+// ACCOUNT
+// ============================================
+// Self-service for the logged-in user (all routes sit behind the /api auth gate).
+// Email changes are not applied directly: the new address is kept in pending_email
+// and a confirmation link is sent to it (see verification.js).
+
+// Public view of a user row (never includes the password hash)
+function toAccount(user) {
+  const { user_id, name, email, phone, role, email_verified_at, pending_email, mfa_enabled_at, created_at } = user;
+  return {
+    user_id, name, email, phone, role, email_verified_at, pending_email, mfa_enabled_at, created_at,
+    has_password: Boolean(user.password),
+  };
+}
+
+// False for accounts without a password (created through a sign-in provider)
+async function passwordMatches(user, password) {
+  return typeof password === 'string' && password && user.password ? bcrypt.compare(password, user.password) : false;
+}
+
+function wrongPassword(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Please correct the highlighted fields.',
+    errors: { password: 'Password is incorrect.' },
+  });
+}
+
+// How long a fresh sign-in stands in for the password of an account without one
+const REAUTH_WINDOW_MINUTES = parseInt(process.env.REAUTH_WINDOW_MINUTES || '10', 10);
+
+// Asks for the password before a sensitive change. Accounts without a password (created
+// through a sign-in provider) pass if this session signed in within REAUTH_WINDOW_MINUTES.
+// Returns true if the request may go on; otherwise the 400 / 403 response has been sent.
+async function confirmIdentity(req, res, user, password) {
+  if (user.password) {
+    if (await passwordMatches(user, password)) return true;
+    wrongPassword(res);
+    return false;
+  }
+  if (Date.now() - new Date(req.user.signed_in_at).getTime() <= REAUTH_WINDOW_MINUTES * 60 * 1000) return true;
+
+  res.status(403).json({
+    success: false,
+    code: 'reauth_required',
+    message: 'Please sign in again to confirm it is you, then try again.',
+  });
+  return false;
+}
+
+// Response: { account, providers }, providers being the ids of the linked sign-in providers
+app.get('/api/account', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    const identities = await store.userIdentities.listByUserId(user.id);
+    res.json({ success: true, account: toAccount(user), providers: identities.map((identity) => identity.provider) });
+  } catch (err) {
+    req.log.error('Account error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: any of name, email, phone. Validated with the same rules as registration.
+app.patch('/api/account', async (req, res) => {
+  const validators = { name: validateName, email: validateEmail, phone: validatePhone };
+  const values = {};
+  const errors = {};
+
+  for (const [field, validate] of Object.entries(validators)) {
+    if (req.body[field] === undefined) continue;
+    const result = validate(req.body[field]);
+    if (result.error) errors[field] = result.error;
+    else values[field] = result.value;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors });
+  }
+
+  try {
+    const user = await store.users.findById(req.user.id);
+    const fields = { name: values.name, phone: values.phone };
+    let newEmail = null;
+
+    if (values.email !== undefined && values.email !== user.email) {
+      const existing = await store.users.findByLoginId(values.email);
+      if (existing && existing.id !== user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please correct the highlighted fields.',
+          errors: { email: 'An account with this email already exists.' },
+        });
+      }
+      newEmail = values.email;
+      fields.pending_email = newEmail;
+    } else if (values.email === user.email && user.pending_email) {
+      // Typing the current address back cancels a pending change
+      fields.pending_email = null;
+    }
+
+    const updated = await store.users.updateProfile(user.id, fields);
+    if (newEmail) await sendVerification(req, updated, newEmail);
+
+    res.json({
+      success: true,
+      message: newEmail
+        ? `We sent a confirmation link to ${newEmail}. Your email changes once you open it.`
+        : 'Your details have been saved.',
+      account: toAccount(updated),
+    });
+  } catch (err) {
+    req.log.error('Account update error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: current_password, new_password. Other sessions are logged out; this one stays.
+// Accounts without a password set their first one with a recent sign-in (see confirmIdentity).
+app.post('/api/account/password', async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!user.password) {
+      if (!(await confirmIdentity(req, res, user))) return;
+    } else if (!await passwordMatches(user, current_password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields.',
+        errors: { current_password: 'Current password is incorrect.' },
+      });
+    }
+
+    const result = validatePassword(new_password, user.user_id);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields.',
+        errors: { new_password: result.error },
+      });
+    }
+
+    await store.users.updatePassword(user.id, await bcrypt.hash(result.value, 10));
+    await store.sessions.deleteByUserId(user.id, req.user.session_id);
+
+    const changed = user.password ? 'changed' : 'set';
+    res.json({ success: true, message: `Your password has been ${changed}. Other devices have been signed out.` });
+  } catch (err) {
+    req.log.error('Password change error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: password. Erases the user and all their data right away (see eraseUser in privacy.js).
+app.delete('/api/account', async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!(await confirmIdentity(req, res, user, password))) return;
+
+    await eraseUser(user.id, 'account_deleted', req.log);
+    await destroySession(req, res);
+
+    res.json({ success: true, message: 'Your account has been deleted.' });
+  } catch (err) {
+    req.log.error('Account deletion error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// YOUR DATA (EXPORT AND ERASURE)
+// ============================================
+// The export downloads everything stored about the user as one JSON file. Erasure is
+// requested with the password, confirmed from the emailed link and carried out by the
+// purge job once the grace period is over; until then it can be canceled (see privacy.js).
+
+// Body: password. Answers with the JSON file as an attachment.
+app.post('/api/account/export', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!(await confirmIdentity(req, res, user, req.body.password))) return;
+
+    const now = new Date();
+    const data = await buildExport(user, now);
+    await recordPrivacyEvent(user.id, PRIVACY_EVENTS.export, null, req.log);
+
+    res.set('Cache-Control', 'no-store');
+    res.attachment(exportFilename(user, now)); // also sets the JSON content type
+    res.send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    req.log.error('Data export error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Response: { erasure: { status, requested_at, confirmed_at, purge_after } | null }
+app.get('/api/account/erasure', async (req, res) => {
+  try {
+    const request = await store.erasureRequests.findByUserId(req.user.id);
+    res.json({ success: true, erasure: request && toErasure(request) });
+  } catch (err) {
+    req.log.error('Erasure status error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: password. Step one: emails the confirmation link (asking again sends a new one).
+app.post('/api/account/erasure', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!(await confirmIdentity(req, res, user, req.body.password))) return;
+
+    const existing = await store.erasureRequests.findByUserId(user.id);
+    if (existing && existing.status === 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        code: 'erasure_scheduled',
+        message: 'Your account is already scheduled for erasure.',
+      });
+    }
+
+    const token = await requestErasure(user.id, req.log);
+    const link = `${appUrl(req)}/api/account/erasure/confirm?token=${encodeURIComponent(token)}`;
+    try {
+      await sendErasureConfirmationEmail(user, link, ERASURE_CONFIRM_TTL_HOURS);
+    } catch (err) {
+      req.log.error('Erasure confirmation email error', { err });
+    }
+
+    res.json({ success: true, message: `We have emailed you a link to confirm. It expires in ${ERASURE_CONFIRM_TTL_HOURS} hours.` });
+  } catch (err) {
+    req.log.error('Erasure request error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Step two: target of the emailed link. Redirects to the account page, which shows the outcome.
+app.get('/api/account/erasure/confirm', async (req, res) => {
+  try {
+    await ensureDb();
+    const request = await confirmErasure(req.query.token, req.log);
+    if (!request) return res.redirect('/account.html?erasure=invalid');
+
+    const user = await store.users.findById(request.user_id);
+    try {
+      await sendErasureScheduledEmail(user, request.purge_after);
+    } catch (err) {
+      req.log.error('Erasure scheduled email error', { err });
+    }
+    res.redirect('/account.html?erasure=scheduled');
+  } catch (err) {
+    req.log.error('Erasure confirmation error', { err });
+    res.redirect('/account.html?erasure=error');
+  }
+});
+
+// Cancels a pending or scheduled erasure. The subscription is not resumed (see /api/subscription/resume).
+app.delete('/api/account/erasure', async (req, res) => {
+  try {
+    if (!await cancelErasure(req.user.id, req.log)) {
+      return res.status(404).json({
+        success: false,
+        code: 'no_erasure_request',
+        message: 'There is no erasure request to cancel.',
+      });
+    }
+    res.json({ success: true, message: 'The erasure of your account is canceled.' });
+  } catch (err) {
+    req.log.error('Erasure cancel error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Scheduled jobs (vercel.json crons) need CRON_SECRET, which Vercel Cron sends as a bearer
+// token. Without it they only run from the command line.
+function requireJobToken(req, res, next) {
+  const expected = process.env.CRON_SECRET;
+  if (!expected || !bearerTokenMatches(req, expected)) {
+    return res.status(401).json({ success: false, message: 'A valid job token is required.' });
+  }
+  next();
+}
+
+// Also: npm run privacy -- purge
+app.get('/api/jobs/purge-erasures', requireJobToken, async (req, res) => {
+  try {
+    await ensureDb();
+    const { erased, expired } = await purgeErasures(new Date(), req.log);
+    res.json({ success: true, erased, expired });
+  } catch (err) {
+    req.log.error('Erasure purge error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Also: npm run omdb -- purge
+app.get('/api/jobs/purge-omdb-cache', requireJobToken, async (req, res) => {
+  try {
+    await ensureDb();
+    const deleted = await omdb.purgeCache();
+    req.log.info('OMDB cache purged', { deleted });
+    res.json({ success: true, deleted });
+  } catch (err) {
+    req.log.error('OMDB cache purge error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+// Enrollment is two steps: setup (password required) creates a secret and returns it as
+// an otpauth:// URI, then enable confirms the first code from the app and returns the
+// recovery codes. They are shown only once; the database keeps their hashes (see mfa.js).
+
+function mfaNotEnabled(res) {
+  return res.status(409).json({
+    success: false,
+    code: 'mfa_not_enabled',
+    message: 'Two-factor authentication is not turned on.',
+  });
+}
+
+app.get('/api/account/mfa', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    res.json({
+      success: true,
+      enabled: Boolean(user.mfa_enabled_at),
+      enabled_at: user.mfa_enabled_at,
+      recovery_codes_left: user.mfa_enabled_at ? await store.mfaRecoveryCodes.count(user.id) : 0,
+    });
+  } catch (err) {
+    req.log.error('Two-factor status error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: password. Starting again replaces a secret that was never confirmed.
+app.post('/api/account/mfa/setup', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!(await confirmIdentity(req, res, user, req.body.password))) return;
+
+    if (user.mfa_enabled_at) {
+      return res.status(409).json({
+        success: false,
+        code: 'mfa_already_enabled',
+        message: 'Two-factor authentication is already turned on.',
+      });
+    }
+
+    const secret = generateSecret();
+    await store.users.setMfaSecret(user.id, secret);
+
+    res.json({ success: true, secret, otpauth_uri: otpauthUri(secret, user.email) });
+  } catch (err) {
+    req.log.error('Two-factor setup error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: code (the first one the app shows). Turns two-factor on and returns the recovery codes.
+app.post('/api/account/mfa/enable', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (user.mfa_enabled_at || !user.mfa_secret) {
+      return res.status(409).json({
+        success: false,
+        code: 'mfa_setup_required',
+        message: 'Start two-factor setup first.',
+      });
+    }
+
+    const step = matchTotp(user.mfa_secret, req.body.code === undefined ? '' : req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields.',
+        errors: { code: 'That code is not valid. Check the time on your device and try again.' },
+      });
+    }
+
+    await store.users.enableMfa(user.id, step);
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on. Save your recovery codes somewhere safe.',
+      recovery_codes: recoveryCodes,
+    });
+  } catch (err) {
+    req.log.error('Two-factor enable error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: password. Replaces every earlier recovery code.
+app.post('/api/account/mfa/recovery-codes', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!(await confirmIdentity(req, res, user, req.body.password))) return;
+    if (!user.mfa_enabled_at) return mfaNotEnabled(res);
+
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+    res.json({
+      success: true,
+      message: 'New recovery codes created. Your old codes no longer work.',
+      recovery_codes: recoveryCodes,
+    });
+  } catch (err) {
+    req.log.error('Recovery codes error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: password
+app.delete('/api/account/mfa', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!(await confirmIdentity(req, res, user, req.body.password))) return;
+    if (!user.mfa_enabled_at) return mfaNotEnabled(res);
+
+    await store.users.disableMfa(user.id);
+    await store.mfaRecoveryCodes.replace(user.id, []);
+
+    res.json({ success: true, message: 'Two-factor authentication is off.' });
+  } catch (err) {
+    req.log.error('Two-factor disable error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// PLANS AND SUBSCRIPTIONS
+// ============================================
+// plans.html shows the plans (public, so it can follow registration) and, once logged in,
+// the simulated checkout or the member's subscription (see subscriptions.js).
+// The catalog behind browse.html and history.html needs an active subscription: titles,
+// home rows, recommendations, My List, ratings and viewing history (which all show OMDB
+// data) answer 402 with code "subscription_required" without one.
+
+async function requireSubscription(req, res, next) {
+  try {
+    if (isActive(await currentSubscription(req.user.id))) return next();
+    res.status(402).json({
+      success: false,
+      code: 'subscription_required',
+      message: 'Choose a plan to start watching.',
+    });
+  } catch (err) {
+    req.log.error('Subscription check error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+}
+
+function subscriptionInactive(res) {
+  return res.status(409).json({
+    success: false,
+    code: 'subscription_inactive',
+    message: 'You have no active membership.',
+  });
+}
+
+async function subscriptionResponse(subscription) {
+  return subscription ? toSubscription(subscription, await store.plans.findById(subscription.plan_id)) : null;
+}
+
+app.get('/api/plans', async (req, res) => {
+  try {
+    await ensureDb();
+    const plans = await store.plans.list();
+    res.json({ success: true, plans: plans.map(toPlan) });
+  } catch (err) {
+    req.log.error('Plans error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Response: { subscription: { plan, status, current_period_end, cancel_at_period_end, card_brand, card_last4,
+// created_at } | null, active }
+app.get('/api/subscription', async (req, res) => {
+  try {
+    const subscription = await currentSubscription(req.user.id);
+    res.json({ success: true, subscription: await subscriptionResponse(subscription), active: isActive(subscription) });
+  } catch (err) {
+    req.log.error('Subscription error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Checkout. Body: plan_id, card_number, exp_month, exp_year, cvc. Also restarts a past due
+// or canceled membership; an active one has to end first.
+app.post('/api/subscription', async (req, res) => {
+  try {
+    const plan = typeof req.body.plan_id === 'string' ? await store.plans.findById(req.body.plan_id) : null;
+    const card = validateCard(req.body);
+    const errors = { ...card.errors };
+    if (!plan || !plan.active) errors.plan_id = 'Choose a plan.';
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors });
+    }
+
+    if (isActive(await currentSubscription(req.user.id))) {
+      return res.status(409).json({
+        success: false,
+        code: 'already_subscribed',
+        message: 'You already have an active membership.',
+      });
+    }
+
+    const subscription = await checkout(req.user.id, plan, card.value);
+    res.json({
+      success: true,
+      message: `Welcome! Your ${plan.name} membership has started.`,
+      subscription: toSubscription(subscription, plan),
+    });
+  } catch (err) {
+    if (err.code === PAYMENT_DECLINED) {
+      return res.status(402).json({ success: false, code: 'payment_declined', message: err.message });
+    }
+    req.log.error('Checkout error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// The membership stays active until the end of the paid period, then ends instead of renewing
+app.post('/api/subscription/cancel', async (req, res) => {
+  try {
+    const subscription = await currentSubscription(req.user.id);
+    if (!isActive(subscription)) return subscriptionInactive(res);
+
+    const updated = await store.subscriptions.update(req.user.id, { cancel_at_period_end: true });
+    res.json({
+      success: true,
+      message: 'Your membership will end at the end of the current period.',
+      subscription: await subscriptionResponse(updated),
+    });
+  } catch (err) {
+    req.log.error('Subscription cancel error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Undoes a cancel while the paid period lasts; after that, only a new checkout helps
+app.post('/api/subscription/resume', async (req, res) => {
+  try {
+    const subscription = await currentSubscription(req.user.id);
+    if (!isActive(subscription)) return subscriptionInactive(res);
+
+    const updated = await store.subscriptions.update(req.user.id, { cancel_at_period_end: false });
+    res.json({
+      success: true,
+      message: 'Your membership will renew as usual.',
+      subscription: await subscriptionResponse(updated),
+    });
+  } catch (err) {
+    req.log.error('Subscription resume error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// PROFILES
+// ============================================
+// Viewer profiles of the logged-in account (see profiles.js). The profile picked on
+// profiles.html is stored with the session, so every later request from browse.js
+// carries it through the session cookie; routes that need one use requireProfile.
+
+// Loads the session's profile as req.profile, or answers 409 with code "profile_required"
+async function requireProfile(req, res, next) {
+  try {
+    const profile = req.user.profile_id ? await store.profiles.findById(req.user.profile_id) : null;
+    if (!profile) {
+      return res.status(409).json({
+        success: false,
+        code: 'profile_required',
+        message: 'Choose a profile to continue.',
+      });
+    }
+    req.profile = profile;
+    next();
+  } catch (err) {
+    req.log.error('Profile error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+}
+
+// The profile with the :id route param if it belongs to the logged-in user, else null
+async function findOwnProfile(req) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return null;
+  const profile = await store.profiles.findById(id);
+  return profile && profile.user_id === req.user.id ? profile : null;
+}
+
+function profileNotFound(res) {
+  return res.status(404).json({ success: false, message: 'Profile not found.' });
+}
+
+function duplicateProfileName(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Please correct the highlighted fields.',
+    errors: { name: 'You already have a profile with this name.' },
+  });
+}
+
+function invalidPin(res) {
+  return res.status(403).json({
+    success: false,
+    code: 'invalid_pin',
+    message: 'Incorrect PIN.',
+    errors: { pin: 'Incorrect PIN.' },
+  });
+}
+
+// Checks the PIN of a locked profile (any PIN passes for an unlocked one). Wrong PINs are
+// throttled like failed logins under the profile's key, on every route that asks for it.
+// Returns true if the request may go on; otherwise the 429 / 403 response has been sent.
+async function verifyProfilePin(res, profile, pin) {
+  if (!profile.pin_hash) return true;
+
+  const throttleKeys = [loginThrottle.profileKey(profile.id)];
+  const retryAfter = await loginThrottle.getRetryAfter(throttleKeys);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      code: 'rate_limited',
+      retryAfter,
+      message: 'Too many incorrect PINs. Please wait before trying again.',
+    });
+    return false;
+  }
+
+  if (!(await checkPin(profile, pin))) {
+    await loginThrottle.recordFailure(throttleKeys);
+    invalidPin(res);
+    return false;
+  }
+  await loginThrottle.clearFailures(throttleKeys[0]);
+  return true;
+}
+
+app.get('/api/profiles', async (req, res) => {
+  try {
+    const profiles = await store.profiles.listByUserId(req.user.id);
+    res.json({
+      success: true,
+      profiles: profiles.map(toProfile),
+      active_profile_id: req.user.profile_id,
+      limit: PROFILE_LIMIT,
+      avatars: AVATARS,
+    });
+  } catch (err) {
+    req.log.error('Profile list error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: name, optional avatar, is_kids, pin (4 digits)
+app.post('/api/profiles', async (req, res) => {
+  const { values, errors } = validateProfile(req.body);
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors });
+  }
+
+  try {
+    const existing = await store.profiles.listByUserId(req.user.id);
+    if (existing.length >= PROFILE_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        code: 'profile_limit',
+        message: `An account can have at most ${PROFILE_LIMIT} profiles.`,
+      });
+    }
+
+    const profile = await store.profiles.create({
+      userId: req.user.id,
+      name: values.name,
+      avatar: values.avatar,
+      isKids: values.is_kids,
+      pinHash: await hashPin(values.pin),
+    });
+
+    res.status(201).json({ success: true, message: 'Profile created.', profile: toProfile(profile) });
+  } catch (err) {
+    if (err.code === '23505') return duplicateProfileName(res);
+    req.log.error('Profile create error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+app.get('/api/profiles/current', requireProfile, (req, res) => {
+  res.json({ success: true, profile: toProfile(req.profile) });
+});
+
+// Body: any of name, avatar, is_kids, pin (null removes it).
+// Any change to a locked profile needs its current_pin.
+app.patch('/api/profiles/:id', async (req, res) => {
+  const { values, errors } = validateProfile(req.body, { partial: true });
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors });
+  }
+
+  try {
+    const profile = await findOwnProfile(req);
+    if (!profile) return profileNotFound(res);
+
+    // A locked profile only changes with its PIN, so e.g. a kids profile stays one
+    if (!(await verifyProfilePin(res, profile, req.body.current_pin))) return;
+
+    const fields = { name: values.name, avatar: values.avatar, is_kids: values.is_kids };
+    if (values.pin !== undefined) fields.pin_hash = await hashPin(values.pin);
+
+    const updated = await store.profiles.update(profile.id, fields);
+    res.json({ success: true, message: 'Profile saved.', profile: toProfile(updated) });
+  } catch (err) {
+    if (err.code === '23505') return duplicateProfileName(res);
+    req.log.error('Profile update error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: pin, if the profile is locked. The account's last profile cannot be deleted.
+app.delete('/api/profiles/:id', async (req, res) => {
+  try {
+    const profile = await findOwnProfile(req);
+    if (!profile) return profileNotFound(res);
+
+    if (!(await verifyProfilePin(res, profile, req.body.pin))) return;
+
+    const profiles = await store.profiles.listByUserId(req.user.id);
+    if (profiles.length <= 1) {
+      return res.status(400).json({ success: false, message: 'An account needs at least one profile.' });
+    }
+
+    await store.profiles.deleteById(profile.id);
+    res.json({ success: true, message: 'Profile deleted.' });
+  } catch (err) {
+    req.log.error('Profile delete error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: pin, if the profile is locked. Wrong PINs are throttled (see verifyProfilePin).
+app.post('/api/profiles/:id/select', async (req, res) => {
+  try {
+    const profile = await findOwnProfile(req);
+    if (!profile) return profileNotFound(res);
+
+    if (!(await verifyProfilePin(res, profile, req.body.pin))) return;
+
+    await store.sessions.setProfile(req.user.session_id, profile.id);
+    res.json({ success: true, profile: toProfile(profile) });
+  } catch (err) {
+    req.log.error('Profile select error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// TITLES
+// ============================================
+// Movie and series data proxied from OMDB (see omdb.js), so the API key never
+// reaches the browser and repeated lookups are served from cache.
+// Members need an active subscription (see PLANS AND SUBSCRIPTIONS).
+// If OMDB is down and nothing is cached the answer is 503, code "titles_unavailable";
+// `stale: true` marks an expired cached copy served in its place.
+
+function titlesUnavailable(res) {
+  return res.status(503).json({
+    success: false,
+    code: 'titles_unavailable',
+    message: 'Movie data is unavailable right now. Please try again later.',
+  });
+}
+
+// Query: q (2-100 characters), optional type (movie, series, episode), year and page (1-100)
+app.get('/api/titles/search', requireSubscription, async (req, res) => {
+  const { values, errors } = omdb.validateSearch(req.query);
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Please correct the search.', errors });
+  }
+
+  try {
+    const result = await omdb.searchTitles(values);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    req.log.error('Title search error', { err });
+    if (err.code === omdb.OMDB_UNAVAILABLE) return titlesUnavailable(res);
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+app.get('/api/titles/:imdbID', requireSubscription, async (req, res) => {
+  const { imdbID } = req.params;
+  if (!omdb.IMDB_ID_PATTERN.test(imdbID)) {
+    return res.status(400).json({ success: false, message: 'Invalid IMDb ID.' });
+  }
+
+  try {
+    const { title, stale } = await omdb.getTitle(imdbID);
+    if (!title) return res.status(404).json({ success: false, message: 'Title not found.' });
+    res.json({ success: true, title, stale });
+  } catch (err) {
+    req.log.error('Title lookup error', { err });
+    if (err.code === omdb.OMDB_UNAVAILABLE) return titlesUnavailable(res);
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// HOME ROWS
+// ============================================
+// The rows on browse.html come from home-rows.json (see home.js). /api/home lists
+// them; the page then loads each row's titles on its own, so one slow or failing
+// row doesn't hold up the others.
+
+app.get('/api/home', requireSubscription, (req, res) => {
+  try {
+    res.json({ success: true, rows: home.getHomeRows() });
+  } catch (err) {
+    req.log.error('Home rows error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+app.get('/api/home/rows/:id', requireSubscription, async (req, res) => {
+  try {
+    const row = home.getHomeRows().find((candidate) => candidate.id === req.params.id);
+    if (!row) return res.status(404).json({ success: false, message: 'Row not found.' });
+
+    const { results, stale } = await home.getRowTitles(row);
+    res.json({ success: true, row, results, stale });
+  } catch (err) {
+    req.log.error('Home row error', { err });
+    if (err.code === omdb.OMDB_UNAVAILABLE) return titlesUnavailable(res);
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// WATCHLIST
+// ============================================
+// "My List" of the session's viewer profile. Titles are looked up through omdb.js
+// when added, so the stored snapshot (title, year, poster) always comes from OMDB.
+
+app.get('/api/watchlist', requireSubscription, requireProfile, async (req, res) => {
+  try {
+    const items = await store.watchlist.list(req.profile.id);
+    res.json({ success: true, items });
+  } catch (err) {
+    req.log.error('Watchlist error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: imdb_id. Adding a title that is already listed is not an error.
+app.post('/api/watchlist', requireSubscription, requireProfile, async (req, res) => {
+  const imdbId = req.body.imdb_id;
+  if (typeof imdbId !== 'string' || !omdb.IMDB_ID_PATTERN.test(imdbId)) {
+    return res.status(400).json({ success: false, message: 'Invalid IMDb ID.', errors: { imdb_id: 'Invalid IMDb ID.' } });
+  }
+
+  try {
+    const { title } = await omdb.getTitle(imdbId);
+    if (!title) return res.status(404).json({ success: false, message: 'Title not found.' });
+
+    const item = await store.watchlist.add({
+      userId: req.user.id,
+      profileId: req.profile.id,
+      imdbId,
+      title: title.title,
+      year: title.year,
+      type: title.type,
+      poster: title.poster,
+    });
+    res.status(201).json({ success: true, message: 'Added to My List.', item });
+  } catch (err) {
+    req.log.error('Watchlist add error', { err });
+    if (err.code === omdb.OMDB_UNAVAILABLE) return titlesUnavailable(res);
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Removing a title that is not listed is not an error either
+app.delete('/api/watchlist/:imdbID', requireSubscription, requireProfile, async (req, res) => {
+  const { imdbID } = req.params;
+  if (!omdb.IMDB_ID_PATTERN.test(imdbID)) {
+    return res.status(400).json({ success: false, message: 'Invalid IMDb ID.' });
+  }
+
+  try {
+    const removed = await store.watchlist.remove(req.profile.id, imdbID);
+    res.json({ success: true, removed, message: 'Removed from My List.' });
+  } catch (err) {
+    req.log.error('Watchlist remove error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// RATINGS
+// ============================================
+// 1-5 stars and an optional review per viewer profile and title. Like the watchlist,
+// rated titles are looked up through omdb.js, which also snapshots them for the
+// "Top rated by members" row. Summaries are the community aggregate { average, count }.
+
+const REVIEWS_LIMIT = 20;
+
+async function ratingSummary(imdbId) {
+  const [summary] = await store.ratings.summaries([imdbId]);
+  return summary ? { average: summary.average, count: summary.count } : emptySummary();
+}
+
+function invalidImdbId(res) {
+  return res.status(400).json({ success: false, message: 'Invalid IMDb ID.' });
+}
+
+app.get('/api/ratings', requireSubscription, requireProfile, async (req, res) => {
+  try {
+    const ratings = await store.ratings.listByProfile(req.profile.id);
+    res.json({ success: true, ratings });
+  } catch (err) {
+    req.log.error('Ratings error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Query: ids, comma-separated IMDb IDs (the cards on screen)
+// Response: { summaries: { <imdb_id>: { average, count, mine } } }, mine being this profile's stars or null
+app.get('/api/ratings/summary', requireSubscription, requireProfile, async (req, res) => {
+  const ids = [...new Set(String(req.query.ids || '').split(',').filter(Boolean))];
+  if (ids.length === 0 || ids.length > SUMMARY_MAX_TITLES || !ids.every((id) => omdb.IMDB_ID_PATTERN.test(id))) {
+    return res.status(400).json({
+      success: false,
+      message: `ids must list 1-${SUMMARY_MAX_TITLES} IMDb IDs.`,
+      errors: { ids: 'Invalid IMDb IDs.' },
+    });
+  }
+
+  try {
+    const [summaries, mine] = await Promise.all([
+      store.ratings.summaries(ids),
+      store.ratings.listByProfile(req.profile.id),
+    ]);
+    const result = {};
+    for (const id of ids) result[id] = { ...emptySummary(), mine: null };
+    for (const { imdb_id, average, count } of summaries) Object.assign(result[imdb_id], { average, count });
+    for (const rating of mine) {
+      if (result[rating.imdb_id]) result[rating.imdb_id].mine = rating.stars;
+    }
+    res.json({ success: true, summaries: result });
+  } catch (err) {
+    req.log.error('Rating summary error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Response: { summary, mine, reviews: [{ author, stars, review, updated_at }] }
+app.get('/api/titles/:imdbID/ratings', requireSubscription, requireProfile, async (req, res) => {
+  const { imdbID } = req.params;
+  if (!omdb.IMDB_ID_PATTERN.test(imdbID)) return invalidImdbId(res);
+
+  try {
+    const [summary, mine, reviews] = await Promise.all([
+      ratingSummary(imdbID),
+      store.ratings.find(req.profile.id, imdbID),
+      store.ratings.reviews(imdbID, REVIEWS_LIMIT),
+    ]);
+    res.json({ success: true, summary, mine, reviews });
+  } catch (err) {
+    req.log.error('Title ratings error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: stars (1-5), optional review. Rating a title again replaces the earlier rating.
+app.put('/api/ratings/:imdbID', requireSubscription, requireProfile, async (req, res) => {
+  const { imdbID } = req.params;
+  if (!omdb.IMDB_ID_PATTERN.test(imdbID)) return invalidImdbId(res);
+
+  const { values, errors } = validateRating(req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors });
+  }
+
+  try {
+    const { title } = await omdb.getTitle(imdbID);
+    if (!title) return res.status(404).json({ success: false, message: 'Title not found.' });
+
+    const rating = await store.ratings.set({
+      userId: req.user.id,
+      profileId: req.profile.id,
+      imdbId: imdbID,
+      stars: values.stars,
+      review: values.review,
+      title: title.title,
+      year: title.year,
+      type: title.type,
+      poster: title.poster,
+    });
+    res.json({ success: true, message: 'Rating saved.', rating, summary: await ratingSummary(imdbID) });
+  } catch (err) {
+    req.log.error('Rating save error', { err });
+    if (err.code === omdb.OMDB_UNAVAILABLE) return titlesUnavailable(res);
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Clearing a rating that doesn't exist is not an error
+app.delete('/api/ratings/:imdbID', requireSubscription, requireProfile, async (req, res) => {
+  const { imdbID } = req.params;
+  if (!omdb.IMDB_ID_PATTERN.test(imdbID)) return invalidImdbId(res);
+
+  try {
+    const removed = await store.ratings.remove(req.profile.id, imdbID);
+    res.json({ success: true, removed, message: 'Rating cleared.', summary: await ratingSummary(imdbID) });
+  } catch (err) {
+    req.log.error('Rating clear error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// VIEWING HISTORY
+// ============================================
+// Playback positions of the session's viewer profile, one entry per title. browse.html
+// simulates playback and reports positions here; unfinished titles make up the
+// "Continue Watching" row, and history.html lists and clears the whole history.
+
+app.get('/api/history', requireSubscription, requireProfile, async (req, res) => {
+  try {
+    const items = await store.viewingHistory.list(req.profile.id);
+    res.json({ success: true, items: items.map(toHistoryItem) });
+  } catch (err) {
+    req.log.error('History error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Body: imdb_id, progress_seconds, duration_seconds. Reporting a title again updates its position.
+app.post('/api/history', requireSubscription, requireProfile, async (req, res) => {
+  const imdbId = req.body.imdb_id;
+  const { values, errors } = validateProgress(req.body);
+  if (typeof imdbId !== 'string' || !omdb.IMDB_ID_PATTERN.test(imdbId)) errors.imdb_id = 'Invalid IMDb ID.';
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors });
+  }
+
+  try {
+    const { title } = await omdb.getTitle(imdbId);
+    if (!title) return res.status(404).json({ success: false, message: 'Title not found.' });
+
+    const item = await store.viewingHistory.record({
+      userId: req.user.id,
+      profileId: req.profile.id,
+      imdbId,
+      title: title.title,
+      year: title.year,
+      type: title.type,
+      poster: title.poster,
+      progressSeconds: values.progress_seconds,
+      durationSeconds: values.duration_seconds,
+    });
+    res.json({ success: true, item: toHistoryItem(item) });
+  } catch (err) {
+    req.log.error('History save error', { err });
+    if (err.code === omdb.OMDB_UNAVAILABLE) return titlesUnavailable(res);
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Removing a title that is not in the history is not an error
+app.delete('/api/history/:imdbID', requireSubscription, requireProfile, async (req, res) => {
+  const { imdbID } = req.params;
+  if (!omdb.IMDB_ID_PATTERN.test(imdbID)) return invalidImdbId(res);
+
+  try {
+    const removed = await store.viewingHistory.remove(req.profile.id, imdbID);
+    res.json({ success: true, removed, message: 'Removed from your history.' });
+  } catch (err) {
+    req.log.error('History remove error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+app.delete('/api/history', requireSubscription, requireProfile, async (req, res) => {
+  try {
+    const removed = await store.viewingHistory.clear(req.profile.id);
+    res.json({ success: true, removed, message: 'Your viewing history was cleared.' });
+  } catch (err) {
+    req.log.error('History clear error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// RECOMMENDATIONS
+// ============================================
+// Personal rows for the session's viewer profile, scored from its ratings, My List
+// and viewing history (see recommendations.js).
+
+// Response: { rows: [{ id, title, seed?, results: [{ imdb_id, title, year, type, poster, score }] }] }
+app.get('/api/recommendations', requireSubscription, requireProfile, async (req, res) => {
+  try {
+    const rows = await getRecommendations(req.profile.id);
+    res.json({ success: true, rows });
+  } catch (err) {
+    req.log.error('Recommendations error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// ============================================
+// ADMIN
+// ============================================
+// User management for accounts with role "admin" (see admin.js; admins are made with
+// `npm run admin -- grant <user_id>`). Every change is written to the audit log.
+// Admins cannot disable or delete their own account here.
+
+// Answers 403 with code "admin_required" unless the session's user is an admin
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      code: 'admin_required',
+      message: 'You need admin access for this.',
+    });
+  }
+  next();
+}
+
+// The user with the :id route param, or null
+async function findTargetUser(req) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return null;
+  return store.users.findById(id);
+}
+
+function userNotFound(res) {
+  return res.status(404).json({ success: false, message: 'User not found.' });
+}
+
+function cannotModifySelf(res) {
+  return res.status(400).json({
+    success: false,
+    code: 'cannot_modify_self',
+    message: 'You cannot do this to your own account.',
+  });
+}
+
+// Query: optional q (part of the user ID, name or email), status (active, disabled) and page
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  const { values, errors } = validateUserSearch(req.query);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: 'Please correct the highlighted fields.', errors });
+  }
+
+  try {
+    const { users, total } = await store.users.search({
+      q: values.q,
+      status: values.status,
+      ...pageWindow(values.page),
+    });
+    res.json({ success: true, users: users.map(toAdminUser), ...pageInfo(values.page, total) });
+  } catch (err) {
+    req.log.error('Admin user list error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Response: { user, profiles, audit } with the latest audit entries about this user
+app.get('/api/admin/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) return userNotFound(res);
+
+    const [profiles, audit] = await Promise.all([
+      store.profiles.listByUserId(user.id),
+      store.adminAudit.list({ targetId: user.id, ...pageWindow(1) }),
+    ]);
+    res.json({ success: true, user: toAdminUser(user), profiles: profiles.map(toProfile), audit: audit.entries });
+  } catch (err) {
+    req.log.error('Admin user error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Disabled users cannot log in, and their sessions end right away
+app.post('/api/admin/users/:id/disable', requireAdmin, async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) return userNotFound(res);
+    if (user.id === req.user.id) return cannotModifySelf(res);
+
+    const updated = await store.users.setDisabled(user.id, true);
+    await store.sessions.deleteByUserId(user.id);
+    await recordAdminAction(req.user, AUDIT_ACTIONS.disable, user);
+
+    res.json({ success: true, message: `${user.user_id} has been disabled.`, user: toAdminUser(updated) });
+  } catch (err) {
+    req.log.error('Admin disable error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+app.post('/api/admin/users/:id/enable', requireAdmin, async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) return userNotFound(res);
+
+    const updated = await store.users.setDisabled(user.id, false);
+    await recordAdminAction(req.user, AUDIT_ACTIONS.enable, user);
+
+    res.json({ success: true, message: `${user.user_id} has been enabled.`, user: toAdminUser(updated) });
+  } catch (err) {
+    req.log.error('Admin enable error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Replaces the password with an unknown one, signs the user out everywhere and emails
+// a reset link, so the old password stops working immediately
+app.post('/api/admin/users/:id/password-reset', requireAdmin, async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) return userNotFound(res);
+
+    await store.users.updatePassword(user.id, await bcrypt.hash(generateToken(), 10));
+    await store.sessions.deleteByUserId(user.id);
+    const token = await createPasswordResetToken(user.id);
+    const link = `${appUrl(req)}/reset.html?token=${encodeURIComponent(token)}`;
+    let emailed = true;
+    try {
+      await sendForcedPasswordResetEmail(user, link, PASSWORD_RESET_TTL_MINUTES);
+    } catch (err) {
+      emailed = false;
+      req.log.error('Forced password reset email error', { err });
+    }
+    await recordAdminAction(req.user, AUDIT_ACTIONS.passwordReset, user, { emailed });
+
+    res.json({
+      success: true,
+      emailed,
+      message: emailed
+        ? `${user.user_id} has been signed out and emailed a link to choose a new password.`
+        : `${user.user_id} has been signed out, but the email could not be sent. They can use "Forgot password".`,
+    });
+  } catch (err) {
+    req.log.error('Admin password reset error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Erases the user and all their data (see privacy.eraseUser); audit entries about them keep only their internal id
+app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) return userNotFound(res);
+    if (user.id === req.user.id) return cannotModifySelf(res);
+
+    await eraseUser(user.id, 'admin_deleted', req.log);
+    await recordAdminAction(req.user, AUDIT_ACTIONS.delete, { id: user.id, user_id: null });
+
+    res.json({ success: true, message: `${user.user_id} has been deleted.` });
+  } catch (err) {
+    req.log.error('Admin delete error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
+// Query: page. Response: { entries, page, page_size, total, has_more }, newest first
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  const page = validatePage(req.query.page);
+  if (page.error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please correct the highlighted fields.',
+      errors: { page: page.error },
+    });
+  }
+
+  try {
+    const { entries, total } = await store.adminAudit.list(pageWindow(page.value));
+    res.json({ success: true, entries, ...pageInfo(page.value, total) });
+  } catch (err) {
+    req.log.error('Admin audit log error', { err });
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+});
+
 // Start server when run locally (not on Vercel serverless)
 if (process.env.VERCEL !== '1') {
   ensureDb()
     .then(() => {
       app.listen(port, () => {
-        console.log('Server running on port', port);
+        logger.info('Server running', { port });
       });
     })
     .catch((err) => {
-      console.error('Database connection failed. Server not started.', err.message);
+      logger.error('Database connection failed. Server not started.', { err });
       process.exit(1);
     });
 }
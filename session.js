@@ -0,0 +1,79 @@
+/**
+ * session.js - Server-side sessions backed by the sessions repository
+ * The browser only ever holds a random token in a signed, HttpOnly cookie;
+ * the database stores its SHA-256 hash together with the owner and expiry.
+ */
+const crypto = require('crypto');
+const store = require('./store');
+const logger = require('./logger');
+const { generateToken, hashToken } = require('./tokens');
+
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_HOURS || '168', 10) * 60 * 60 * 1000;
+
+// Signing secret for cookie-parser. A random fallback keeps local runs working,
+// but every restart (or serverless instance) would then invalidate all cookies.
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+  logger.warn('SESSION_SECRET is not set; using a random per-process secret.');
+  SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Cookie options shared by login and logout so clearCookie matches exactly.
+ * "Remember me" makes the cookie persistent; otherwise it dies with the browser.
+ */
+function cookieOptions(remember) {
+  const options = {
+    httpOnly: true,
+    signed: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+  };
+  if (remember) options.maxAge = SESSION_TTL_MS;
+  return options;
+}
+
+/**
+ * Creates a session row for the user and sets the cookie on the response.
+ */
+async function createSession(res, userId, remember = false) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await store.sessions.create({ tokenHash: hashToken(token), userId, expiresAt });
+
+  res.cookie(SESSION_COOKIE, token, cookieOptions(remember));
+}
+
+/**
+ * Resolves the request's session cookie to its user, or null.
+ * Expired sessions are treated as missing (and cleaned up).
+ */
+async function loadSession(req) {
+  const token = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+  if (!token) return null;
+
+  const session = await store.sessions.findWithUser(hashToken(token));
+  if (!session) return null;
+
+  if (new Date(session.expires_at) <= new Date()) {
+    await store.sessions.deleteById(session.session_id);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Deletes the request's session row (if any) and clears the cookie.
+ */
+async function destroySession(req, res) {
+  const token = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+  if (token) {
+    await store.sessions.deleteByTokenHash(hashToken(token));
+  }
+  res.clearCookie(SESSION_COOKIE, cookieOptions(false));
+}
+
+module.exports = { SESSION_SECRET, createSession, loadSession, destroySession };
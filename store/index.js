@@ -0,0 +1,140 @@
+/**
+ * store/index.js - Storage backend selected by STORAGE_BACKEND
+ *   postgres (default) - store/postgres.js, the Aiven PostgreSQL database from db.js
+ *   memory             - store/memory.js, in-process data for offline development and tests
+ *
+ * Both backends expose the same repositories; the rest of the app only talks to these:
+ *
+ *   init()                                 prepare storage (Postgres: run migrations)
+ *   ping()                                 throws if storage is unreachable
+ *   poolStats()                            -> { total, idle, waiting } connections | null (no pool)
+ *
+ *   users.findById(id)                     -> user | null
+ *   users.findByLoginId(loginId)           -> user | null   (matches user_id, or email in any case)
+ *   users.createUser({ user_id, name, email, phone, password })
+ *                                          -> user; throws { code: '23505', constraint, detail } on duplicates
+ *                                          (emails count as duplicates regardless of case)
+ *                                          (password is null for accounts created through a sign-in provider)
+ *   users.updatePassword(id, passwordHash)
+ *   users.markEmailVerified(id)
+ *   users.updateProfile(id, { name?, phone?, pending_email? }) -> user | null
+ *   users.changeEmail(id, email)           applies a verified email change; throws 23505 if taken
+ *   users.deleteUser(id)                   also removes the user's sessions, tokens, recovery codes, profiles, watchlist,
+ *                                          ratings, history, provider links, subscription and erasure request
+ *   users.search({ q?, status?, limit, offset }) -> { users, total }; q matches part of user_id, name or email,
+ *                                          status is 'active' or 'disabled'; newest accounts first
+ *   users.setDisabled(id, disabled)        -> user | null   (disabled_at keeps the first time it was set)
+ *   users.setRole(id, role)                -> user | null   ('member' or 'admin')
+ *   users.setMfaSecret(id, secret)         starts two-factor enrollment (off until enableMfa)
+ *   users.enableMfa(id, step)              turns two-factor on; step is the TOTP time step just used
+ *   users.disableMfa(id)                   clears the secret and turns two-factor off
+ *   users.useMfaStep(id, step)             -> true if step is later than the last accepted one (and records it)
+ *
+ *   sessions.create({ tokenHash, userId, expiresAt })
+ *   sessions.findWithUser(tokenHash)       -> { session_id, expires_at, profile_id, signed_in_at, id, user_id, name,
+ *                                               email, phone, role, created_at } | null
+ *   sessions.setProfile(id, profileId)     the viewer profile picked for this session
+ *   sessions.deleteById(id) / deleteByTokenHash(tokenHash)
+ *   sessions.deleteByUserId(userId, exceptSessionId?)
+ *   sessions.listByUserId(userId)          -> [{ created_at, expires_at }]
+ *
+ *   profiles.listByUserId(userId)          -> [profile] in creation order
+ *   profiles.findById(id)                  -> profile | null
+ *   profiles.create({ userId, name, avatar, isKids?, pinHash? })
+ *                                          -> profile; throws 23505 if the user already has that name
+ *   profiles.update(id, { name?, avatar?, is_kids?, pin_hash? }) -> profile | null
+ *   profiles.deleteById(id)                removes its watchlist, ratings and history; sessions using it are left without a profile
+ *
+ *   emailVerificationTokens, passwordResetTokens:
+ *     replace({ tokenHash, userId, expiresAt, email? })   (drops the user's earlier tokens)
+ *     find(tokenHash)                      -> { user_id, expires_at } | null
+ *     consume(tokenHash)                   -> { user_id, expires_at } | null, deleting the token
+ *   Email verification tokens also return the `email` they verify (null: the user's current email).
+ *   mfaChallenges (pending second login steps) has the same methods and also stores `remember`.
+ *
+ *   mfaRecoveryCodes.replace(userId, codeHashes) (drops the user's earlier codes)
+ *   mfaRecoveryCodes.consume(userId, codeHash) -> true if the code was unused, deleting it
+ *   mfaRecoveryCodes.count(userId)         -> number of unused codes
+ *
+ *   userIdentities.find(provider, subject) -> { user_id, provider, subject, email, created_at } | null
+ *   userIdentities.link({ userId, provider, subject, email? }) -> identity; throws 23505 if that provider account
+ *                                          is linked already
+ *   userIdentities.listByUserId(userId)    -> [identity]
+ *
+ *   plans.list()                           -> [plan] open to new subscriptions, cheapest first
+ *   plans.findById(id)                     -> plan | null
+ *
+ *   subscriptions.findByUserId(userId)     -> subscription | null
+ *   subscriptions.start({ userId, planId, currentPeriodEnd, paymentProvider, paymentMethodId, cardBrand?, cardLast4? })
+ *                                          -> subscription: active and not canceling (replaces the user's earlier one)
+ *   subscriptions.update(userId, { status?, current_period_end?, cancel_at_period_end? }) -> subscription | null
+ *   subscriptions.renew(userId, fromPeriodEnd, toPeriodEnd) -> subscription | null; only moves the period end of an
+ *                                          active subscription that still ends at fromPeriodEnd
+ *
+ *   loginAttempts.findMany(keys)           -> [{ attempt_key, failures, last_failure_at, locked_until }]
+ *   loginAttempts.recordFailure(key, now, windowStart) -> failure count
+ *   loginAttempts.lock(key, until) / clear(key)
+ *
+ *   watchlist.list(profileId)              -> [{ imdb_id, title, year, type, poster, added_at }] newest first
+ *   watchlist.add({ userId, profileId, imdbId, title, year, type, poster }) -> item (existing one if already listed)
+ *   watchlist.remove(profileId, imdbId)    -> true if the title was listed
+ *
+ *   ratings.find(profileId, imdbId)        -> rating | null
+ *   ratings.listByProfile(profileId)       -> [rating] most recently rated first
+ *   ratings.set({ userId, profileId, imdbId, stars, review, title, year, type, poster }) -> rating (insert or replace)
+ *   ratings.remove(profileId, imdbId)      -> true if the title was rated
+ *   ratings.summaries(imdbIds)             -> [{ imdb_id, average, count }] for the titles that have ratings
+ *   ratings.reviews(imdbId, limit)         -> [{ author, stars, review, updated_at }] written reviews, newest first
+ *   ratings.topRated({ minCount, limit })  -> [{ imdb_id, title, year, type, poster, average, count }] best average first
+ *
+ *   viewingHistory.list(profileId)         -> [{ imdb_id, title, year, type, poster, progress_seconds, duration_seconds, watched_at }]
+ *                                          most recently watched first
+ *   viewingHistory.record({ userId, profileId, imdbId, title, year, type, poster, progressSeconds, durationSeconds })
+ *                                          -> item (one per title; updates the position and watched_at)
+ *   viewingHistory.remove(profileId, imdbId) -> true if the title was in the history
+ *   viewingHistory.clear(profileId)        -> number of titles removed
+ *
+ *   adminAudit.record({ adminId, adminUserId, action, targetId?, targetUserId?, details? }) -> entry
+ *   adminAudit.list({ targetId?, limit, offset? }) -> { entries, total } newest first
+ *   adminAudit.anonymize(userId)           clears target_user_id and details of entries about the user and
+ *                                          replaces their admin_user_id with '[erased]'
+ *
+ *   erasureRequests.findByUserId(userId)   -> erasure request | null
+ *   erasureRequests.request({ userId, tokenHash, expiresAt }) -> request: pending, replacing the user's earlier one
+ *   erasureRequests.schedule(tokenHash, now, purgeAfter) -> request | null; confirms the pending request whose token
+ *                                          is still valid at now (the token is used up)
+ *   erasureRequests.cancel(userId)         -> true if the user had a request
+ *   erasureRequests.listDue(now)           -> [request] scheduled with purge_after <= now
+ *   erasureRequests.deleteExpired(now)     -> [request] deleted: pending ones whose token expired by now
+ *
+ *   privacyLog.record({ userId, event, details? }) -> entry
+ *   privacyLog.listByUserId(userId)        -> [entry] oldest first (kept after the user is deleted)
+ *
+ *   omdbCache.get(key)                     -> { payload, expires_at } | null   (expired entries included)
+ *   omdbCache.set(key, payload, expiresAt) insert or replace
+ *   omdbCache.deleteExpired(before)        -> number of entries deleted: those that expired before `before`
+ *
+ * A user is { id, user_id, name, email, phone, password, role, email_verified_at, pending_email, disabled_at, mfa_secret,
+ * mfa_enabled_at, created_at }; two-factor is on when mfa_enabled_at is set.
+ * A profile is { id, user_id, name, avatar, is_kids, pin_hash, created_at } (user_id is the users.id).
+ * A rating is { imdb_id, stars, review, title, year, type, poster, created_at, updated_at }; average is rounded to 0.1.
+ * A plan is { id, name, price_cents, currency, screens, quality, active }.
+ * A subscription is { user_id, plan_id, status, current_period_end, cancel_at_period_end, payment_provider,
+ * payment_method_id, card_brand, card_last4, created_at, updated_at }; status is 'active', 'past_due' or 'canceled'.
+ * An erasure request is { user_id, status, token_expires_at, requested_at, confirmed_at, purge_after }; status is
+ * 'pending' (until the emailed link is opened) or 'scheduled' (erased after purge_after).
+ * A privacy log entry is { id, user_id, event, details, created_at }.
+ * An audit entry is { id, admin_id, admin_user_id, action, target_id, target_user_id, details, created_at };
+ * admin_id becomes null when the admin's account is deleted.
+ */
+const backends = {
+  postgres: () => require('./postgres'),
+  memory: () => require('./memory'),
+};
+
+const backendName = (process.env.STORAGE_BACKEND || 'postgres').toLowerCase();
+if (!backends[backendName]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${backendName}". Use "postgres" or "memory".`);
+}
+
+module.exports = backends[backendName]();
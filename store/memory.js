@@ -0,0 +1,703 @@
+/**
+ * store/memory.js - In-memory implementation of the repositories (see store/index.js)
+ * For local development and automated tests without PostgreSQL. Data lives in this
+ * process only and is lost on restart. Unique violations raise the same
+ * error shape as pg (code "23505"), so callers handle both backends alike.
+ */
+
+let tables;
+let nextId;
+
+// The plans migrations/015_subscriptions.up.sql adds
+const PLANS = [
+  { id: 'basic', name: 'Basic', price_cents: 699, currency: 'USD', screens: 1, quality: '720p', active: true },
+  { id: 'standard', name: 'Standard', price_cents: 1549, currency: 'USD', screens: 2, quality: '1080p', active: true },
+  { id: 'premium', name: 'Premium', price_cents: 2299, currency: 'USD', screens: 4, quality: '4K + HDR', active: true },
+];
+
+function reset() {
+  tables = {
+    users: [],
+    sessions: [],
+    email_verification_tokens: [],
+    password_reset_tokens: [],
+    profiles: [],
+    login_attempts: new Map(),
+    omdb_cache: new Map(),
+    watchlist: [],
+    ratings: [],
+    viewing_history: [],
+    admin_audit_log: [],
+    mfa_challenges: [],
+    mfa_recovery_codes: [],
+    user_identities: [],
+    plans: PLANS.map((plan) => ({ ...plan })),
+    subscriptions: [],
+    erasure_requests: [],
+    privacy_log: [],
+  };
+  nextId = {
+    users: 1, sessions: 1, email_verification_tokens: 1, password_reset_tokens: 1, profiles: 1, watchlist: 1, ratings: 1,
+    viewing_history: 1, admin_audit_log: 1, mfa_challenges: 1, mfa_recovery_codes: 1, user_identities: 1,
+    subscriptions: 1, erasure_requests: 1, privacy_log: 1,
+  };
+}
+reset();
+
+function insert(table, row) {
+  const record = { id: nextId[table]++, created_at: new Date(), ...row };
+  tables[table].push(record);
+  return record;
+}
+
+function remove(table, predicate) {
+  const removed = tables[table].filter(predicate);
+  tables[table] = tables[table].filter((row) => !predicate(row));
+  return removed;
+}
+
+function copy(row) {
+  return row ? { ...row } : null;
+}
+
+// columns and values may list several (composite keys), e.g. ['user_id', 'name']
+function uniqueViolation(table, columns, values) {
+  const keys = [].concat(columns);
+  const constraint = `${table}_${keys.join('_')}_key`;
+  const err = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+  err.code = '23505';
+  err.constraint = constraint;
+  err.detail = `Key (${keys.join(', ')})=(${[].concat(values).join(', ')}) already exists.`;
+  return err;
+}
+
+// Emails are unique and matched regardless of case, like lower(email) in Postgres
+function sameEmail(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+const users = {
+  async findById(id) {
+    return copy(tables.users.find((u) => u.id === id));
+  },
+
+  async findByLoginId(loginId) {
+    return copy(tables.users.find((u) => u.user_id === loginId || sameEmail(u.email, loginId)));
+  },
+
+  async createUser({ user_id, name, email, phone, password }) {
+    if (tables.users.some((u) => u.user_id === user_id)) throw uniqueViolation('users', 'user_id', user_id);
+    if (tables.users.some((u) => sameEmail(u.email, email))) throw uniqueViolation('users', 'email', email);
+    return copy(insert('users', {
+      user_id, name, email, phone, password, role: 'member',
+      email_verified_at: null, pending_email: null, disabled_at: null,
+      mfa_secret: null, mfa_enabled_at: null, mfa_last_step: null,
+    }));
+  },
+
+  async updatePassword(id, passwordHash) {
+    const user = tables.users.find((u) => u.id === id);
+    if (user) user.password = passwordHash;
+  },
+
+  async markEmailVerified(id) {
+    const user = tables.users.find((u) => u.id === id);
+    if (user && !user.email_verified_at) user.email_verified_at = new Date();
+  },
+
+  async updateProfile(id, fields) {
+    const user = tables.users.find((u) => u.id === id);
+    if (!user) return null;
+    for (const column of ['name', 'phone', 'pending_email']) {
+      if (fields[column] !== undefined) user[column] = fields[column];
+    }
+    return copy(user);
+  },
+
+  async changeEmail(id, email) {
+    if (tables.users.some((u) => sameEmail(u.email, email) && u.id !== id)) throw uniqueViolation('users', 'email', email);
+    const user = tables.users.find((u) => u.id === id);
+    if (!user) return;
+    user.email = email;
+    user.email_verified_at = new Date();
+    user.pending_email = null;
+  },
+
+  // Mirrors ON DELETE CASCADE in Postgres
+  async deleteUser(id) {
+    remove('users', (u) => u.id === id);
+    remove('sessions', (s) => s.user_id === id);
+    remove('email_verification_tokens', (t) => t.user_id === id);
+    remove('password_reset_tokens', (t) => t.user_id === id);
+    remove('profiles', (p) => p.user_id === id);
+    remove('watchlist', (w) => w.user_id === id);
+    remove('ratings', (r) => r.user_id === id);
+    remove('viewing_history', (h) => h.user_id === id);
+    remove('mfa_challenges', (c) => c.user_id === id);
+    remove('mfa_recovery_codes', (c) => c.user_id === id);
+    remove('user_identities', (i) => i.user_id === id);
+    remove('subscriptions', (sub) => sub.user_id === id);
+    remove('erasure_requests', (r) => r.user_id === id);
+    for (const entry of tables.admin_audit_log) {
+      if (entry.admin_id === id) entry.admin_id = null;
+    }
+  },
+
+  async search({ q = null, status = null, limit, offset }) {
+    const needle = q && q.toLowerCase();
+    const matches = tables.users
+      .filter((u) => !needle || [u.user_id, u.name, u.email].some((value) => value.toLowerCase().includes(needle)))
+      .filter((u) => status !== 'active' || !u.disabled_at)
+      .filter((u) => status !== 'disabled' || u.disabled_at)
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+    return { users: matches.slice(offset, offset + limit).map(copy), total: matches.length };
+  },
+
+  async setDisabled(id, disabled) {
+    const user = tables.users.find((u) => u.id === id);
+    if (!user) return null;
+    user.disabled_at = disabled ? user.disabled_at || new Date() : null;
+    return copy(user);
+  },
+
+  async setRole(id, role) {
+    const user = tables.users.find((u) => u.id === id);
+    if (!user) return null;
+    user.role = role;
+    return copy(user);
+  },
+
+  async setMfaSecret(id, secret) {
+    const user = tables.users.find((u) => u.id === id);
+    if (user) Object.assign(user, { mfa_secret: secret, mfa_enabled_at: null, mfa_last_step: null });
+  },
+
+  async enableMfa(id, step) {
+    const user = tables.users.find((u) => u.id === id);
+    if (user) Object.assign(user, { mfa_enabled_at: new Date(), mfa_last_step: step });
+  },
+
+  async disableMfa(id) {
+    const user = tables.users.find((u) => u.id === id);
+    if (user) Object.assign(user, { mfa_secret: null, mfa_enabled_at: null, mfa_last_step: null });
+  },
+
+  async useMfaStep(id, step) {
+    const user = tables.users.find((u) => u.id === id);
+    if (!user || (user.mfa_last_step !== null && user.mfa_last_step >= step)) return false;
+    user.mfa_last_step = step;
+    return true;
+  },
+};
+
+const sessions = {
+  async create({ tokenHash, userId, expiresAt }) {
+    insert('sessions', { token_hash: tokenHash, user_id: userId, expires_at: expiresAt });
+  },
+
+  async findWithUser(tokenHash) {
+    const session = tables.sessions.find((s) => s.token_hash === tokenHash);
+    const user = session && tables.users.find((u) => u.id === session.user_id);
+    if (!user) return null;
+    const { id, user_id, name, email, phone, role, created_at } = user;
+    return {
+      session_id: session.id,
+      expires_at: session.expires_at,
+      profile_id: session.profile_id || null,
+      signed_in_at: session.created_at,
+      id, user_id, name, email, phone, role, created_at,
+    };
+  },
+
+  async deleteById(id) {
+    remove('sessions', (s) => s.id === id);
+  },
+
+  async setProfile(id, profileId) {
+    const session = tables.sessions.find((s) => s.id === id);
+    if (session) session.profile_id = profileId;
+  },
+
+  async deleteByTokenHash(tokenHash) {
+    remove('sessions', (s) => s.token_hash === tokenHash);
+  },
+
+  async deleteByUserId(userId, exceptSessionId = null) {
+    remove('sessions', (s) => s.user_id === userId && s.id !== exceptSessionId);
+  },
+
+  async listByUserId(userId) {
+    return tables.sessions
+      .filter((s) => s.user_id === userId)
+      .map(({ created_at, expires_at }) => ({ created_at, expires_at }));
+  },
+};
+
+function assertUniqueProfileName(userId, name, exceptId = null) {
+  if (tables.profiles.some((p) => p.user_id === userId && p.name === name && p.id !== exceptId)) {
+    throw uniqueViolation('profiles', ['user_id', 'name'], [userId, name]);
+  }
+}
+
+const profiles = {
+  async listByUserId(userId) {
+    return tables.profiles.filter((p) => p.user_id === userId).map(copy);
+  },
+
+  async findById(id) {
+    return copy(tables.profiles.find((p) => p.id === id));
+  },
+
+  async create({ userId, name, avatar, isKids = false, pinHash = null }) {
+    assertUniqueProfileName(userId, name);
+    return copy(insert('profiles', { user_id: userId, name, avatar, is_kids: isKids, pin_hash: pinHash }));
+  },
+
+  async update(id, fields) {
+    const profile = tables.profiles.find((p) => p.id === id);
+    if (!profile) return null;
+    if (fields.name !== undefined) assertUniqueProfileName(profile.user_id, fields.name, id);
+    for (const column of ['name', 'avatar', 'is_kids', 'pin_hash']) {
+      if (fields[column] !== undefined) profile[column] = fields[column];
+    }
+    return copy(profile);
+  },
+
+  // Mirrors ON DELETE SET NULL on sessions.profile_id and CASCADE on watchlist, ratings and viewing_history
+  async deleteById(id) {
+    remove('profiles', (p) => p.id === id);
+    remove('watchlist', (w) => w.profile_id === id);
+    remove('ratings', (r) => r.profile_id === id);
+    remove('viewing_history', (h) => h.profile_id === id);
+    for (const session of tables.sessions) {
+      if (session.profile_id === id) session.profile_id = null;
+    }
+  },
+};
+
+function tokenRepository(table, { extraColumns = [] } = {}) {
+  const pick = (row) => {
+    if (!row) return null;
+    const picked = { user_id: row.user_id, expires_at: row.expires_at };
+    for (const column of extraColumns) picked[column] = row[column];
+    return picked;
+  };
+
+  return {
+    async replace({ tokenHash, userId, expiresAt, ...extra }) {
+      remove(table, (t) => t.user_id === userId);
+      const row = { token_hash: tokenHash, user_id: userId, expires_at: expiresAt };
+      for (const column of extraColumns) row[column] = extra[column] ?? null;
+      insert(table, row);
+    },
+
+    async find(tokenHash) {
+      return pick(tables[table].find((t) => t.token_hash === tokenHash));
+    },
+
+    async consume(tokenHash) {
+      return pick(remove(table, (t) => t.token_hash === tokenHash)[0]);
+    },
+  };
+}
+
+const loginAttempts = {
+  async findMany(keys) {
+    return keys.filter((key) => tables.login_attempts.has(key)).map((key) => copy(tables.login_attempts.get(key)));
+  },
+
+  async recordFailure(key, now, windowStart) {
+    const row = tables.login_attempts.get(key);
+    if (!row) {
+      tables.login_attempts.set(key, { attempt_key: key, failures: 1, last_failure_at: now, locked_until: null });
+      return 1;
+    }
+    const lockExpired = row.locked_until && row.locked_until < now;
+    row.failures = row.last_failure_at < windowStart || lockExpired ? 1 : row.failures + 1;
+    if (lockExpired) row.locked_until = null;
+    row.last_failure_at = now;
+    return row.failures;
+  },
+
+  async lock(key, until) {
+    const row = tables.login_attempts.get(key);
+    if (row) row.locked_until = until;
+  },
+
+  async clear(key) {
+    tables.login_attempts.delete(key);
+  },
+};
+
+function pickWatchlistItem(row) {
+  const { imdb_id, title, year, type, poster, added_at } = row;
+  return { imdb_id, title, year, type, poster, added_at };
+}
+
+const watchlist = {
+  async list(profileId) {
+    return tables.watchlist
+      .filter((w) => w.profile_id === profileId)
+      .sort((a, b) => b.added_at - a.added_at || b.id - a.id)
+      .map(pickWatchlistItem);
+  },
+
+  async add({ userId, profileId, imdbId, title, year, type, poster }) {
+    let row = tables.watchlist.find((w) => w.profile_id === profileId && w.imdb_id === imdbId);
+    if (!row) {
+      row = insert('watchlist', {
+        user_id: userId, profile_id: profileId, imdb_id: imdbId, title, year, type, poster, added_at: new Date(),
+      });
+    }
+    return pickWatchlistItem(row);
+  },
+
+  async remove(profileId, imdbId) {
+    return remove('watchlist', (w) => w.profile_id === profileId && w.imdb_id === imdbId).length > 0;
+  },
+};
+
+function pickRating(row) {
+  const { imdb_id, stars, review, title, year, type, poster, created_at, updated_at } = row;
+  return { imdb_id, stars, review, title, year, type, poster, created_at, updated_at };
+}
+
+// Average rounded to one decimal like ROUND(AVG(stars), 1)
+function summarize(imdbId, rows) {
+  const total = rows.reduce((sum, row) => sum + row.stars, 0);
+  return { imdb_id: imdbId, average: Math.round((total / rows.length) * 10) / 10, count: rows.length };
+}
+
+function ratingsByTitle() {
+  const groups = new Map();
+  for (const row of tables.ratings) {
+    if (!groups.has(row.imdb_id)) groups.set(row.imdb_id, []);
+    groups.get(row.imdb_id).push(row);
+  }
+  return groups;
+}
+
+const ratings = {
+  async find(profileId, imdbId) {
+    const row = tables.ratings.find((r) => r.profile_id === profileId && r.imdb_id === imdbId);
+    return row ? pickRating(row) : null;
+  },
+
+  async listByProfile(profileId) {
+    return tables.ratings
+      .filter((r) => r.profile_id === profileId)
+      .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id)
+      .map(pickRating);
+  },
+
+  async set({ userId, profileId, imdbId, stars, review, title, year, type, poster }) {
+    let row = tables.ratings.find((r) => r.profile_id === profileId && r.imdb_id === imdbId);
+    if (!row) {
+      row = insert('ratings', { user_id: userId, profile_id: profileId, imdb_id: imdbId });
+    }
+    Object.assign(row, { stars, review, title, year, type, poster, updated_at: new Date() });
+    return pickRating(row);
+  },
+
+  async remove(profileId, imdbId) {
+    return remove('ratings', (r) => r.profile_id === profileId && r.imdb_id === imdbId).length > 0;
+  },
+
+  async summaries(imdbIds) {
+    const groups = ratingsByTitle();
+    return imdbIds.filter((id) => groups.has(id)).map((id) => summarize(id, groups.get(id)));
+  },
+
+  async reviews(imdbId, limit) {
+    return tables.ratings
+      .filter((r) => r.imdb_id === imdbId && r.review !== null)
+      .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id)
+      .slice(0, limit)
+      .map((r) => ({
+        author: tables.profiles.find((p) => p.id === r.profile_id).name,
+        stars: r.stars,
+        review: r.review,
+        updated_at: r.updated_at,
+      }));
+  },
+
+  async topRated({ minCount, limit }) {
+    return [...ratingsByTitle()]
+      .filter(([, rows]) => rows.length >= minCount)
+      .map(([imdbId, rows]) => {
+        const { title, year, type, poster } = rows[0];
+        const { average, count } = summarize(imdbId, rows);
+        const exact = rows.reduce((sum, row) => sum + row.stars, 0) / rows.length;
+        return { imdb_id: imdbId, title, year, type, poster, average, count, exact };
+      })
+      .sort((a, b) => b.exact - a.exact || b.count - a.count || (a.imdb_id < b.imdb_id ? -1 : 1))
+      .slice(0, limit)
+      .map(({ exact, ...title }) => title);
+  },
+};
+
+function pickHistoryItem(row) {
+  const { imdb_id, title, year, type, poster, progress_seconds, duration_seconds, watched_at } = row;
+  return { imdb_id, title, year, type, poster, progress_seconds, duration_seconds, watched_at };
+}
+
+const viewingHistory = {
+  async list(profileId) {
+    return tables.viewing_history
+      .filter((h) => h.profile_id === profileId)
+      .sort((a, b) => b.watched_at - a.watched_at || b.id - a.id)
+      .map(pickHistoryItem);
+  },
+
+  async record({ userId, profileId, imdbId, title, year, type, poster, progressSeconds, durationSeconds }) {
+    let row = tables.viewing_history.find((h) => h.profile_id === profileId && h.imdb_id === imdbId);
+    if (!row) row = insert('viewing_history', { user_id: userId, profile_id: profileId, imdb_id: imdbId });
+    Object.assign(row, {
+      title, year, type, poster, progress_seconds: progressSeconds, duration_seconds: durationSeconds, watched_at: new Date(),
+    });
+    return pickHistoryItem(row);
+  },
+
+  async remove(profileId, imdbId) {
+    return remove('viewing_history', (h) => h.profile_id === profileId && h.imdb_id === imdbId).length > 0;
+  },
+
+  async clear(profileId) {
+    return remove('viewing_history', (h) => h.profile_id === profileId).length;
+  },
+};
+
+// Stands in for the user_id of an erased admin in the audit log
+const ERASED_USER_ID = '[erased]';
+
+function pickAuditEntry(row) {
+  const { id, admin_id, admin_user_id, action, target_id, target_user_id, details, created_at } = row;
+  return { id, admin_id, admin_user_id, action, target_id, target_user_id, details: details && { ...details }, created_at };
+}
+
+const adminAudit = {
+  async record({ adminId, adminUserId, action, targetId = null, targetUserId = null, details = null }) {
+    return pickAuditEntry(insert('admin_audit_log', {
+      admin_id: adminId, admin_user_id: adminUserId, action, target_id: targetId, target_user_id: targetUserId, details,
+    }));
+  },
+
+  async list({ targetId = null, limit, offset = 0 }) {
+    const matches = tables.admin_audit_log
+      .filter((entry) => targetId === null || entry.target_id === targetId)
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+    return { entries: matches.slice(offset, offset + limit).map(pickAuditEntry), total: matches.length };
+  },
+
+  async anonymize(userId) {
+    for (const entry of tables.admin_audit_log) {
+      if (entry.target_id === userId) Object.assign(entry, { target_user_id: null, details: null });
+      if (entry.admin_id === userId) entry.admin_user_id = ERASED_USER_ID;
+    }
+  },
+};
+
+function pickErasureRequest(row) {
+  if (!row) return null;
+  const { user_id, status, token_expires_at, requested_at, confirmed_at, purge_after } = row;
+  return { user_id, status, token_expires_at, requested_at, confirmed_at, purge_after };
+}
+
+const erasureRequests = {
+  async findByUserId(userId) {
+    return pickErasureRequest(tables.erasure_requests.find((r) => r.user_id === userId));
+  },
+
+  async request({ userId, tokenHash, expiresAt }) {
+    remove('erasure_requests', (r) => r.user_id === userId);
+    return pickErasureRequest(insert('erasure_requests', {
+      user_id: userId, status: 'pending', token_hash: tokenHash, token_expires_at: expiresAt,
+      requested_at: new Date(), confirmed_at: null, purge_after: null,
+    }));
+  },
+
+  async schedule(tokenHash, now, purgeAfter) {
+    const request = tables.erasure_requests.find((r) => r.token_hash === tokenHash && r.status === 'pending'
+      && r.token_expires_at > now);
+    if (!request) return null;
+    Object.assign(request, {
+      status: 'scheduled', token_hash: null, token_expires_at: null, confirmed_at: now, purge_after: purgeAfter,
+    });
+    return pickErasureRequest(request);
+  },
+
+  async cancel(userId) {
+    return remove('erasure_requests', (r) => r.user_id === userId).length > 0;
+  },
+
+  async listDue(now) {
+    return tables.erasure_requests
+      .filter((r) => r.status === 'scheduled' && r.purge_after <= now)
+      .sort((a, b) => a.purge_after - b.purge_after || a.id - b.id)
+      .map(pickErasureRequest);
+  },
+
+  async deleteExpired(now) {
+    return remove('erasure_requests', (r) => r.status === 'pending' && r.token_expires_at <= now).map(pickErasureRequest);
+  },
+};
+
+function pickPrivacyEvent(row) {
+  const { id, user_id, event, details, created_at } = row;
+  return { id, user_id, event, details: details && { ...details }, created_at };
+}
+
+const privacyLog = {
+  async record({ userId, event, details = null }) {
+    return pickPrivacyEvent(insert('privacy_log', { user_id: userId, event, details }));
+  },
+
+  async listByUserId(userId) {
+    return tables.privacy_log.filter((entry) => entry.user_id === userId).map(pickPrivacyEvent);
+  },
+};
+
+const mfaRecoveryCodes = {
+  async replace(userId, codeHashes) {
+    remove('mfa_recovery_codes', (c) => c.user_id === userId);
+    for (const codeHash of codeHashes) insert('mfa_recovery_codes', { user_id: userId, code_hash: codeHash });
+  },
+
+  async consume(userId, codeHash) {
+    return remove('mfa_recovery_codes', (c) => c.user_id === userId && c.code_hash === codeHash).length > 0;
+  },
+
+  async count(userId) {
+    return tables.mfa_recovery_codes.filter((c) => c.user_id === userId).length;
+  },
+};
+
+function pickIdentity(row) {
+  const { user_id, provider, subject, email, created_at } = row;
+  return { user_id, provider, subject, email, created_at };
+}
+
+const userIdentities = {
+  async find(provider, subject) {
+    const row = tables.user_identities.find((i) => i.provider === provider && i.subject === subject);
+    return row ? pickIdentity(row) : null;
+  },
+
+  async link({ userId, provider, subject, email = null }) {
+    if (tables.user_identities.some((i) => i.provider === provider && i.subject === subject)) {
+      throw uniqueViolation('user_identities', ['provider', 'subject'], [provider, subject]);
+    }
+    return pickIdentity(insert('user_identities', { user_id: userId, provider, subject, email }));
+  },
+
+  async listByUserId(userId) {
+    return tables.user_identities.filter((i) => i.user_id === userId).map(pickIdentity);
+  },
+};
+
+const plans = {
+  async list() {
+    return tables.plans
+      .filter((plan) => plan.active)
+      .sort((a, b) => a.price_cents - b.price_cents || a.id.localeCompare(b.id))
+      .map(copy);
+  },
+
+  async findById(id) {
+    return copy(tables.plans.find((plan) => plan.id === id));
+  },
+};
+
+function pickSubscription(row) {
+  if (!row) return null;
+  const { id, ...subscription } = row;
+  return subscription;
+}
+
+const subscriptions = {
+  async findByUserId(userId) {
+    return pickSubscription(tables.subscriptions.find((sub) => sub.user_id === userId));
+  },
+
+  async start({ userId, planId, currentPeriodEnd, paymentProvider, paymentMethodId, cardBrand = null, cardLast4 = null }) {
+    const fields = {
+      plan_id: planId, status: 'active', current_period_end: currentPeriodEnd, cancel_at_period_end: false,
+      payment_provider: paymentProvider, payment_method_id: paymentMethodId, card_brand: cardBrand, card_last4: cardLast4,
+      updated_at: new Date(),
+    };
+    const existing = tables.subscriptions.find((sub) => sub.user_id === userId);
+    if (existing) return pickSubscription(Object.assign(existing, fields));
+    return pickSubscription(insert('subscriptions', { user_id: userId, ...fields }));
+  },
+
+  async update(userId, fields) {
+    const subscription = tables.subscriptions.find((sub) => sub.user_id === userId);
+    if (!subscription) return null;
+    for (const column of ['status', 'current_period_end', 'cancel_at_period_end']) {
+      if (fields[column] !== undefined) subscription[column] = fields[column];
+    }
+    subscription.updated_at = new Date();
+    return pickSubscription(subscription);
+  },
+
+  async renew(userId, fromPeriodEnd, toPeriodEnd) {
+    const subscription = tables.subscriptions.find((sub) => sub.user_id === userId);
+    if (!subscription || subscription.status !== 'active'
+      || subscription.current_period_end.getTime() !== fromPeriodEnd.getTime()) {
+      return null;
+    }
+    Object.assign(subscription, { current_period_end: toPeriodEnd, updated_at: new Date() });
+    return pickSubscription(subscription);
+  },
+};
+
+const omdbCache = {
+  async get(key) {
+    const row = tables.omdb_cache.get(key);
+    // Stored as JSON like the JSONB column, so callers never share the cached object
+    return row ? { payload: JSON.parse(row.payload), expires_at: row.expires_at } : null;
+  },
+
+  async set(key, payload, expiresAt) {
+    tables.omdb_cache.set(key, { payload: JSON.stringify(payload), expires_at: expiresAt, updated_at: new Date() });
+  },
+
+  async deleteExpired(before) {
+    let deleted = 0;
+    for (const [key, row] of tables.omdb_cache) {
+      if (row.expires_at < before) {
+        tables.omdb_cache.delete(key);
+        deleted += 1;
+      }
+    }
+    return deleted;
+  },
+};
+
+module.exports = {
+  name: 'memory',
+  async init() {},
+  async ping() {},
+  poolStats() {
+    return null;
+  },
+  reset,
+  users,
+  sessions,
+  profiles,
+  emailVerificationTokens: tokenRepository('email_verification_tokens', { extraColumns: ['email'] }),
+  passwordResetTokens: tokenRepository('password_reset_tokens'),
+  mfaChallenges: tokenRepository('mfa_challenges', { extraColumns: ['remember'] }),
+  mfaRecoveryCodes,
+  userIdentities,
+  plans,
+  subscriptions,
+  loginAttempts,
+  omdbCache,
+  watchlist,
+  ratings,
+  viewingHistory,
+  adminAudit,
+  erasureRequests,
+  privacyLog,
+};
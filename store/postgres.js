@@ -0,0 +1,755 @@
+/**
+ * store/postgres.js - PostgreSQL implementation of the repositories (see store/index.js)
+ */
+const { pool, initDatabase, execute } = require('../db');
+
+// Columns every user lookup returns
+const USER_COLUMNS =
+  'id, user_id, name, email, phone, password, role, email_verified_at, pending_email, disabled_at, mfa_secret, mfa_enabled_at, created_at';
+
+// Columns updateProfile may change
+const PROFILE_COLUMNS = ['name', 'phone', 'pending_email'];
+
+// Columns every viewer profile lookup returns, and those profiles.update may change
+const VIEWER_PROFILE_COLUMNS = 'id, user_id, name, avatar, is_kids, pin_hash, created_at';
+const VIEWER_PROFILE_UPDATE_COLUMNS = ['name', 'avatar', 'is_kids', 'pin_hash'];
+
+const users = {
+  async findById(id) {
+    const [rows] = await execute(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    return rows[0] || null;
+  },
+
+  // loginId can be either user_id or email (in any case, see migration 017)
+  async findByLoginId(loginId) {
+    const [rows] = await execute(
+      `SELECT ${USER_COLUMNS} FROM users WHERE user_id = $1 OR lower(email) = lower($2)`,
+      [loginId, loginId]
+    );
+    return rows[0] || null;
+  },
+
+  async createUser({ user_id, name, email, phone, password }) {
+    const [rows] = await execute(
+      `INSERT INTO users (user_id, name, email, phone, password) VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${USER_COLUMNS}`,
+      [user_id, name, email, phone, password]
+    );
+    return rows[0];
+  },
+
+  async updatePassword(id, passwordHash) {
+    await execute('UPDATE users SET password = $1 WHERE id = $2', [passwordHash, id]);
+  },
+
+  async markEmailVerified(id) {
+    await execute(
+      'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = $1 AND email_verified_at IS NULL',
+      [id]
+    );
+  },
+
+  async updateProfile(id, fields) {
+    const columns = PROFILE_COLUMNS.filter((column) => fields[column] !== undefined);
+    if (columns.length === 0) return users.findById(id);
+
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+    const [rows] = await execute(
+      `UPDATE users SET ${assignments} WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+      [id, ...columns.map((column) => fields[column])]
+    );
+    return rows[0] || null;
+  },
+
+  // Applies a verified email change
+  async changeEmail(id, email) {
+    await execute(
+      'UPDATE users SET email = $2, email_verified_at = CURRENT_TIMESTAMP, pending_email = NULL WHERE id = $1',
+      [id, email]
+    );
+  },
+
+  // Sessions and tokens go with it (ON DELETE CASCADE)
+  async deleteUser(id) {
+    await execute('DELETE FROM users WHERE id = $1', [id]);
+  },
+
+  // Admin console list: q matches part of the user_id, name or email; newest accounts first
+  async search({ q = null, status = null, limit, offset }) {
+    const conditions = [];
+    const params = [];
+    if (q) {
+      params.push(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(user_id ILIKE $${params.length} OR name ILIKE $${params.length} OR email ILIKE $${params.length})`);
+    }
+    if (status === 'active') conditions.push('disabled_at IS NULL');
+    if (status === 'disabled') conditions.push('disabled_at IS NOT NULL');
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [countRows] = await execute(`SELECT COUNT(*)::int AS total FROM users ${where}`, params);
+    const [rows] = await execute(
+      `SELECT ${USER_COLUMNS} FROM users ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { users: rows, total: countRows[0].total };
+  },
+
+  async setDisabled(id, disabled) {
+    const [rows] = await execute(
+      `UPDATE users SET disabled_at = CASE WHEN $2 THEN COALESCE(disabled_at, CURRENT_TIMESTAMP) END
+       WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+      [id, disabled]
+    );
+    return rows[0] || null;
+  },
+
+  async setRole(id, role) {
+    const [rows] = await execute(`UPDATE users SET role = $2 WHERE id = $1 RETURNING ${USER_COLUMNS}`, [id, role]);
+    return rows[0] || null;
+  },
+
+  // Starts (or restarts) enrollment; two-factor stays off until enableMfa
+  async setMfaSecret(id, secret) {
+    await execute(
+      'UPDATE users SET mfa_secret = $2, mfa_enabled_at = NULL, mfa_last_step = NULL WHERE id = $1',
+      [id, secret]
+    );
+  },
+
+  async enableMfa(id, step) {
+    await execute(
+      'UPDATE users SET mfa_enabled_at = CURRENT_TIMESTAMP, mfa_last_step = $2 WHERE id = $1',
+      [id, step]
+    );
+  },
+
+  async disableMfa(id) {
+    await execute(
+      'UPDATE users SET mfa_secret = NULL, mfa_enabled_at = NULL, mfa_last_step = NULL WHERE id = $1',
+      [id]
+    );
+  },
+
+  // The conditional UPDATE accepts each time step once, even under concurrent requests
+  async useMfaStep(id, step) {
+    const [rows] = await execute(
+      `UPDATE users SET mfa_last_step = $2
+        WHERE id = $1 AND (mfa_last_step IS NULL OR mfa_last_step < $2) RETURNING id`,
+      [id, step]
+    );
+    return rows.length > 0;
+  },
+};
+
+const sessions = {
+  async create({ tokenHash, userId, expiresAt }) {
+    await execute(
+      'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+      [tokenHash, userId, expiresAt]
+    );
+  },
+
+  // Session joined with its user: { session_id, expires_at, profile_id, id, user_id, name, email, phone, role, created_at }
+  async findWithUser(tokenHash) {
+    const [rows] = await execute(
+      `SELECT s.id AS session_id, s.expires_at, s.profile_id, s.created_at AS signed_in_at, u.id, u.user_id, u.name,
+              u.email, u.phone, u.role, u.created_at
+         FROM sessions s JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = $1`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  async deleteById(id) {
+    await execute('DELETE FROM sessions WHERE id = $1', [id]);
+  },
+
+  async setProfile(id, profileId) {
+    await execute('UPDATE sessions SET profile_id = $2 WHERE id = $1', [id, profileId]);
+  },
+
+  async deleteByTokenHash(tokenHash) {
+    await execute('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+  },
+
+  // Optionally keeps one session, e.g. the one that just changed the password
+  async deleteByUserId(userId, exceptSessionId = null) {
+    await execute(
+      'DELETE FROM sessions WHERE user_id = $1 AND id IS DISTINCT FROM $2',
+      [userId, exceptSessionId]
+    );
+  },
+
+  // For data exports: when each session started and ends, never the token hash
+  async listByUserId(userId) {
+    const [rows] = await execute(
+      'SELECT created_at, expires_at FROM sessions WHERE user_id = $1 ORDER BY created_at, id',
+      [userId]
+    );
+    return rows;
+  },
+};
+
+const profiles = {
+  async listByUserId(userId) {
+    const [rows] = await execute(
+      `SELECT ${VIEWER_PROFILE_COLUMNS} FROM profiles WHERE user_id = $1 ORDER BY id`,
+      [userId]
+    );
+    return rows;
+  },
+
+  async findById(id) {
+    const [rows] = await execute(`SELECT ${VIEWER_PROFILE_COLUMNS} FROM profiles WHERE id = $1`, [id]);
+    return rows[0] || null;
+  },
+
+  async create({ userId, name, avatar, isKids = false, pinHash = null }) {
+    const [rows] = await execute(
+      `INSERT INTO profiles (user_id, name, avatar, is_kids, pin_hash) VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${VIEWER_PROFILE_COLUMNS}`,
+      [userId, name, avatar, isKids, pinHash]
+    );
+    return rows[0];
+  },
+
+  async update(id, fields) {
+    const columns = VIEWER_PROFILE_UPDATE_COLUMNS.filter((column) => fields[column] !== undefined);
+    if (columns.length === 0) return profiles.findById(id);
+
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+    const [rows] = await execute(
+      `UPDATE profiles SET ${assignments} WHERE id = $1 RETURNING ${VIEWER_PROFILE_COLUMNS}`,
+      [id, ...columns.map((column) => fields[column])]
+    );
+    return rows[0] || null;
+  },
+
+  // Sessions using the profile fall back to no profile (ON DELETE SET NULL)
+  async deleteById(id) {
+    await execute('DELETE FROM profiles WHERE id = $1', [id]);
+  },
+};
+
+/**
+ * Single-use token tables (email_verification_tokens, password_reset_tokens, mfa_challenges)
+ * share one shape. extraColumns are stored alongside, e.g. the email a verification token verifies.
+ */
+function tokenRepository(table, { extraColumns = [] } = {}) {
+  const columns = ['user_id', ...extraColumns, 'expires_at'].join(', ');
+  const insertColumns = ['token_hash', 'user_id', 'expires_at', ...extraColumns];
+  const placeholders = insertColumns.map((_, i) => `$${i + 1}`).join(', ');
+
+  return {
+    // Replaces any earlier tokens of the user
+    async replace({ tokenHash, userId, expiresAt, ...extra }) {
+      await execute(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+      await execute(
+        `INSERT INTO ${table} (${insertColumns.join(', ')}) VALUES (${placeholders})`,
+        [tokenHash, userId, expiresAt, ...extraColumns.map((column) => extra[column] ?? null)]
+      );
+    },
+
+    async find(tokenHash) {
+      const [rows] = await execute(`SELECT ${columns} FROM ${table} WHERE token_hash = $1`, [tokenHash]);
+      return rows[0] || null;
+    },
+
+    // DELETE ... RETURNING makes the token single-use even under concurrent requests
+    async consume(tokenHash) {
+      const [rows] = await execute(
+        `DELETE FROM ${table} WHERE token_hash = $1 RETURNING ${columns}`,
+        [tokenHash]
+      );
+      return rows[0] || null;
+    },
+  };
+}
+
+const loginAttempts = {
+  async findMany(keys) {
+    const placeholders = keys.map((_, i) => `$${i + 1}`).join(', ');
+    const [rows] = await execute(
+      `SELECT attempt_key, failures, last_failure_at, locked_until FROM login_attempts WHERE attempt_key IN (${placeholders})`,
+      keys
+    );
+    return rows;
+  },
+
+  // Starts over at 1 when the last failure is older than windowStart or an old lock has expired
+  async recordFailure(key, now, windowStart) {
+    const [rows] = await execute(
+      `INSERT INTO login_attempts (attempt_key, failures, last_failure_at) VALUES ($1, 1, $2)
+       ON CONFLICT (attempt_key) DO UPDATE SET
+         failures = CASE
+           WHEN login_attempts.last_failure_at < $3 OR login_attempts.locked_until < $2 THEN 1
+           ELSE login_attempts.failures + 1
+         END,
+         locked_until = CASE WHEN login_attempts.locked_until < $2 THEN NULL ELSE login_attempts.locked_until END,
+         last_failure_at = $2
+       RETURNING failures`,
+      [key, now, windowStart]
+    );
+    return rows[0].failures;
+  },
+
+  async lock(key, until) {
+    await execute('UPDATE login_attempts SET locked_until = $2 WHERE attempt_key = $1', [key, until]);
+  },
+
+  async clear(key) {
+    await execute('DELETE FROM login_attempts WHERE attempt_key = $1', [key]);
+  },
+};
+
+const WATCHLIST_COLUMNS = 'imdb_id, title, year, type, poster, added_at';
+
+const watchlist = {
+  // Newest first
+  async list(profileId) {
+    const [rows] = await execute(
+      `SELECT ${WATCHLIST_COLUMNS} FROM watchlist WHERE profile_id = $1 ORDER BY added_at DESC, id DESC`,
+      [profileId]
+    );
+    return rows;
+  },
+
+  // Adding a title twice keeps the first entry
+  async add({ userId, profileId, imdbId, title, year, type, poster }) {
+    await execute(
+      `INSERT INTO watchlist (user_id, profile_id, imdb_id, title, year, type, poster)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (profile_id, imdb_id) DO NOTHING`,
+      [userId, profileId, imdbId, title, year, type, poster]
+    );
+    const [rows] = await execute(
+      `SELECT ${WATCHLIST_COLUMNS} FROM watchlist WHERE profile_id = $1 AND imdb_id = $2`,
+      [profileId, imdbId]
+    );
+    return rows[0];
+  },
+
+  async remove(profileId, imdbId) {
+    const [, res] = await execute('DELETE FROM watchlist WHERE profile_id = $1 AND imdb_id = $2', [profileId, imdbId]);
+    return res.rowCount > 0;
+  },
+};
+
+const RATING_COLUMNS = 'imdb_id, stars, review, title, year, type, poster, created_at, updated_at';
+
+// AVG over SMALLINT is NUMERIC, which pg returns as a string
+function toSummary(row) {
+  return { imdb_id: row.imdb_id, average: Number(row.average), count: row.count };
+}
+
+const ratings = {
+  async find(profileId, imdbId) {
+    const [rows] = await execute(
+      `SELECT ${RATING_COLUMNS} FROM ratings WHERE profile_id = $1 AND imdb_id = $2`,
+      [profileId, imdbId]
+    );
+    return rows[0] || null;
+  },
+
+  // Newest first
+  async listByProfile(profileId) {
+    const [rows] = await execute(
+      `SELECT ${RATING_COLUMNS} FROM ratings WHERE profile_id = $1 ORDER BY updated_at DESC, id DESC`,
+      [profileId]
+    );
+    return rows;
+  },
+
+  // Rating a title again replaces the earlier rating and review
+  async set({ userId, profileId, imdbId, stars, review, title, year, type, poster }) {
+    const [rows] = await execute(
+      `INSERT INTO ratings (user_id, profile_id, imdb_id, stars, review, title, year, type, poster)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (profile_id, imdb_id) DO UPDATE SET
+         stars = EXCLUDED.stars, review = EXCLUDED.review, title = EXCLUDED.title, year = EXCLUDED.year,
+         type = EXCLUDED.type, poster = EXCLUDED.poster, updated_at = CURRENT_TIMESTAMP
+       RETURNING ${RATING_COLUMNS}`,
+      [userId, profileId, imdbId, stars, review, title, year, type, poster]
+    );
+    return rows[0];
+  },
+
+  async remove(profileId, imdbId) {
+    const [, res] = await execute('DELETE FROM ratings WHERE profile_id = $1 AND imdb_id = $2', [profileId, imdbId]);
+    return res.rowCount > 0;
+  },
+
+  async summaries(imdbIds) {
+    if (imdbIds.length === 0) return [];
+    const [rows] = await execute(
+      `SELECT imdb_id, ROUND(AVG(stars), 1) AS average, COUNT(*)::int AS count
+       FROM ratings WHERE imdb_id = ANY($1::varchar[]) GROUP BY imdb_id`,
+      [imdbIds]
+    );
+    return rows.map(toSummary);
+  },
+
+  // Written reviews only, newest first, signed with the profile name
+  async reviews(imdbId, limit) {
+    const [rows] = await execute(
+      `SELECT p.name AS author, r.stars, r.review, r.updated_at
+       FROM ratings r JOIN profiles p ON p.id = r.profile_id
+       WHERE r.imdb_id = $1 AND r.review IS NOT NULL
+       ORDER BY r.updated_at DESC, r.id DESC
+       LIMIT $2`,
+      [imdbId, limit]
+    );
+    return rows;
+  },
+
+  async topRated({ minCount, limit }) {
+    const [rows] = await execute(
+      `SELECT imdb_id, MAX(title) AS title, MAX(year) AS year, MAX(type) AS type, MAX(poster) AS poster,
+         ROUND(AVG(stars), 1) AS average, COUNT(*)::int AS count
+       FROM ratings
+       GROUP BY imdb_id
+       HAVING COUNT(*) >= $1
+       ORDER BY AVG(stars) DESC, COUNT(*) DESC, imdb_id
+       LIMIT $2`,
+      [minCount, limit]
+    );
+    return rows.map((row) => ({
+      imdb_id: row.imdb_id, title: row.title, year: row.year, type: row.type, poster: row.poster,
+      ...toSummary(row),
+    }));
+  },
+};
+
+const HISTORY_COLUMNS = 'imdb_id, title, year, type, poster, progress_seconds, duration_seconds, watched_at';
+
+const viewingHistory = {
+  // Most recently watched first
+  async list(profileId) {
+    const [rows] = await execute(
+      `SELECT ${HISTORY_COLUMNS} FROM viewing_history WHERE profile_id = $1 ORDER BY watched_at DESC, id DESC`,
+      [profileId]
+    );
+    return rows;
+  },
+
+  // One row per title: the latest position replaces the earlier one
+  async record({ userId, profileId, imdbId, title, year, type, poster, progressSeconds, durationSeconds }) {
+    const [rows] = await execute(
+      `INSERT INTO viewing_history
+         (user_id, profile_id, imdb_id, title, year, type, poster, progress_seconds, duration_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (profile_id, imdb_id) DO UPDATE SET
+         title = EXCLUDED.title, year = EXCLUDED.year, type = EXCLUDED.type, poster = EXCLUDED.poster,
+         progress_seconds = EXCLUDED.progress_seconds, duration_seconds = EXCLUDED.duration_seconds,
+         watched_at = CURRENT_TIMESTAMP
+       RETURNING ${HISTORY_COLUMNS}`,
+      [userId, profileId, imdbId, title, year, type, poster, progressSeconds, durationSeconds]
+    );
+    return rows[0];
+  },
+
+  async remove(profileId, imdbId) {
+    const [, res] = await execute(
+      'DELETE FROM viewing_history WHERE profile_id = $1 AND imdb_id = $2',
+      [profileId, imdbId]
+    );
+    return res.rowCount > 0;
+  },
+
+  async clear(profileId) {
+    const [, res] = await execute('DELETE FROM viewing_history WHERE profile_id = $1', [profileId]);
+    return res.rowCount;
+  },
+};
+
+const mfaRecoveryCodes = {
+  async replace(userId, codeHashes) {
+    await execute('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    for (const codeHash of codeHashes) {
+      await execute('INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)', [userId, codeHash]);
+    }
+  },
+
+  // Deleting the row is what makes a code single-use
+  async consume(userId, codeHash) {
+    const [rows] = await execute(
+      'DELETE FROM mfa_recovery_codes WHERE user_id = $1 AND code_hash = $2 RETURNING id',
+      [userId, codeHash]
+    );
+    return rows.length > 0;
+  },
+
+  async count(userId) {
+    const [rows] = await execute('SELECT COUNT(*)::int AS count FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    return rows[0].count;
+  },
+};
+
+const IDENTITY_COLUMNS = 'user_id, provider, subject, email, created_at';
+
+const userIdentities = {
+  async find(provider, subject) {
+    const [rows] = await execute(
+      `SELECT ${IDENTITY_COLUMNS} FROM user_identities WHERE provider = $1 AND subject = $2`,
+      [provider, subject]
+    );
+    return rows[0] || null;
+  },
+
+  async link({ userId, provider, subject, email = null }) {
+    const [rows] = await execute(
+      `INSERT INTO user_identities (user_id, provider, subject, email) VALUES ($1, $2, $3, $4)
+       RETURNING ${IDENTITY_COLUMNS}`,
+      [userId, provider, subject, email]
+    );
+    return rows[0];
+  },
+
+  async listByUserId(userId) {
+    const [rows] = await execute(
+      `SELECT ${IDENTITY_COLUMNS} FROM user_identities WHERE user_id = $1 ORDER BY created_at, id`,
+      [userId]
+    );
+    return rows;
+  },
+};
+
+const PLAN_COLUMNS = 'id, name, price_cents, currency, screens, quality, active';
+
+const plans = {
+  // Plans open to new subscriptions, cheapest first
+  async list() {
+    const [rows] = await execute(`SELECT ${PLAN_COLUMNS} FROM plans WHERE active ORDER BY price_cents, id`);
+    return rows;
+  },
+
+  async findById(id) {
+    const [rows] = await execute(`SELECT ${PLAN_COLUMNS} FROM plans WHERE id = $1`, [id]);
+    return rows[0] || null;
+  },
+};
+
+const SUBSCRIPTION_COLUMNS = 'user_id, plan_id, status, current_period_end, cancel_at_period_end, payment_provider, '
+  + 'payment_method_id, card_brand, card_last4, created_at, updated_at';
+
+// Columns subscriptions.update may change
+const SUBSCRIPTION_UPDATE_COLUMNS = ['status', 'current_period_end', 'cancel_at_period_end'];
+
+const subscriptions = {
+  async findByUserId(userId) {
+    const [rows] = await execute(`SELECT ${SUBSCRIPTION_COLUMNS} FROM subscriptions WHERE user_id = $1`, [userId]);
+    return rows[0] || null;
+  },
+
+  // A new subscription replaces an ended (or past due) one, keeping its created_at
+  async start({ userId, planId, currentPeriodEnd, paymentProvider, paymentMethodId, cardBrand = null, cardLast4 = null }) {
+    const [rows] = await execute(
+      `INSERT INTO subscriptions
+         (user_id, plan_id, status, current_period_end, payment_provider, payment_method_id, card_brand, card_last4)
+       VALUES ($1, $2, 'active', $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id) DO UPDATE SET
+         plan_id = EXCLUDED.plan_id, status = 'active', current_period_end = EXCLUDED.current_period_end,
+         cancel_at_period_end = FALSE, payment_provider = EXCLUDED.payment_provider,
+         payment_method_id = EXCLUDED.payment_method_id, card_brand = EXCLUDED.card_brand,
+         card_last4 = EXCLUDED.card_last4, updated_at = CURRENT_TIMESTAMP
+       RETURNING ${SUBSCRIPTION_COLUMNS}`,
+      [userId, planId, currentPeriodEnd, paymentProvider, paymentMethodId, cardBrand, cardLast4]
+    );
+    return rows[0];
+  },
+
+  async update(userId, fields) {
+    const columns = SUBSCRIPTION_UPDATE_COLUMNS.filter((column) => fields[column] !== undefined);
+    if (columns.length === 0) return subscriptions.findByUserId(userId);
+
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+    const [rows] = await execute(
+      `UPDATE subscriptions SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1
+       RETURNING ${SUBSCRIPTION_COLUMNS}`,
+      [userId, ...columns.map((column) => fields[column])]
+    );
+    return rows[0] || null;
+  },
+
+  // Only if nobody renewed it meanwhile, so a renewal is applied once
+  async renew(userId, fromPeriodEnd, toPeriodEnd) {
+    const [rows] = await execute(
+      `UPDATE subscriptions SET current_period_end = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND status = 'active' AND current_period_end = $2
+       RETURNING ${SUBSCRIPTION_COLUMNS}`,
+      [userId, fromPeriodEnd, toPeriodEnd]
+    );
+    return rows[0] || null;
+  },
+};
+
+// Stands in for the user_id of an erased admin in the audit log
+const ERASED_USER_ID = '[erased]';
+
+const AUDIT_COLUMNS = 'id, admin_id, admin_user_id, action, target_id, target_user_id, details, created_at';
+
+const adminAudit = {
+  async record({ adminId, adminUserId, action, targetId = null, targetUserId = null, details = null }) {
+    const [rows] = await execute(
+      `INSERT INTO admin_audit_log (admin_id, admin_user_id, action, target_id, target_user_id, details)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${AUDIT_COLUMNS}`,
+      [adminId, adminUserId, action, targetId, targetUserId, details === null ? null : JSON.stringify(details)]
+    );
+    return rows[0];
+  },
+
+  // Newest first, optionally only the entries about one user
+  async list({ targetId = null, limit, offset = 0 }) {
+    const where = targetId === null ? '' : 'WHERE target_id = $1';
+    const params = targetId === null ? [] : [targetId];
+
+    const [countRows] = await execute(`SELECT COUNT(*)::int AS total FROM admin_audit_log ${where}`, params);
+    const [rows] = await execute(
+      `SELECT ${AUDIT_COLUMNS} FROM admin_audit_log ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { entries: rows, total: countRows[0].total };
+  },
+
+  // Before an erasure: entries about the user lose their name and details, entries by them their name
+  async anonymize(userId) {
+    await execute(
+      'UPDATE admin_audit_log SET target_user_id = NULL, details = NULL WHERE target_id = $1',
+      [userId]
+    );
+    await execute('UPDATE admin_audit_log SET admin_user_id = $2 WHERE admin_id = $1', [userId, ERASED_USER_ID]);
+  },
+};
+
+const ERASURE_COLUMNS = 'user_id, status, token_expires_at, requested_at, confirmed_at, purge_after';
+
+const erasureRequests = {
+  async findByUserId(userId) {
+    const [rows] = await execute(`SELECT ${ERASURE_COLUMNS} FROM erasure_requests WHERE user_id = $1`, [userId]);
+    return rows[0] || null;
+  },
+
+  // Starts over with a new link if the user asked before without confirming
+  async request({ userId, tokenHash, expiresAt }) {
+    const [rows] = await execute(
+      `INSERT INTO erasure_requests (user_id, status, token_hash, token_expires_at) VALUES ($1, 'pending', $2, $3)
+       ON CONFLICT (user_id) DO UPDATE SET
+         status = 'pending', token_hash = EXCLUDED.token_hash, token_expires_at = EXCLUDED.token_expires_at,
+         requested_at = CURRENT_TIMESTAMP, confirmed_at = NULL, purge_after = NULL
+       RETURNING ${ERASURE_COLUMNS}`,
+      [userId, tokenHash, expiresAt]
+    );
+    return rows[0];
+  },
+
+  // Uses up the link's token: only a pending request whose token is still valid at `now`
+  async schedule(tokenHash, now, purgeAfter) {
+    const [rows] = await execute(
+      `UPDATE erasure_requests
+          SET status = 'scheduled', token_hash = NULL, token_expires_at = NULL, confirmed_at = $2, purge_after = $3
+        WHERE token_hash = $1 AND status = 'pending' AND token_expires_at > $2
+       RETURNING ${ERASURE_COLUMNS}`,
+      [tokenHash, now, purgeAfter]
+    );
+    return rows[0] || null;
+  },
+
+  async cancel(userId) {
+    const [rows] = await execute('DELETE FROM erasure_requests WHERE user_id = $1 RETURNING id', [userId]);
+    return rows.length > 0;
+  },
+
+  async listDue(now) {
+    const [rows] = await execute(
+      `SELECT ${ERASURE_COLUMNS} FROM erasure_requests
+        WHERE status = 'scheduled' AND purge_after <= $1 ORDER BY purge_after, id`,
+      [now]
+    );
+    return rows;
+  },
+
+  async deleteExpired(now) {
+    const [rows] = await execute(
+      `DELETE FROM erasure_requests WHERE status = 'pending' AND token_expires_at <= $1
+       RETURNING ${ERASURE_COLUMNS}`,
+      [now]
+    );
+    return rows;
+  },
+};
+
+const PRIVACY_LOG_COLUMNS = 'id, user_id, event, details, created_at';
+
+const privacyLog = {
+  async record({ userId, event, details = null }) {
+    const [rows] = await execute(
+      `INSERT INTO privacy_log (user_id, event, details) VALUES ($1, $2, $3) RETURNING ${PRIVACY_LOG_COLUMNS}`,
+      [userId, event, details === null ? null : JSON.stringify(details)]
+    );
+    return rows[0];
+  },
+
+  // Oldest first
+  async listByUserId(userId) {
+    const [rows] = await execute(
+      `SELECT ${PRIVACY_LOG_COLUMNS} FROM privacy_log WHERE user_id = $1 ORDER BY created_at, id`,
+      [userId]
+    );
+    return rows;
+  },
+};
+
+const omdbCache = {
+  async get(key) {
+    const [rows] = await execute('SELECT payload, expires_at FROM omdb_cache WHERE cache_key = $1', [key]);
+    return rows[0] || null;
+  },
+
+  async set(key, payload, expiresAt) {
+    await execute(
+      `INSERT INTO omdb_cache (cache_key, payload, expires_at, updated_at) VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       ON CONFLICT (cache_key) DO UPDATE SET
+         payload = EXCLUDED.payload, expires_at = EXCLUDED.expires_at, updated_at = CURRENT_TIMESTAMP`,
+      [key, JSON.stringify(payload), expiresAt]
+    );
+  },
+
+  async deleteExpired(before) {
+    const [, res] = await execute('DELETE FROM omdb_cache WHERE expires_at < $1', [before]);
+    return res.rowCount;
+  },
+};
+
+module.exports = {
+  name: 'postgres',
+  init: initDatabase,
+  async ping() {
+    await execute('SELECT 1 AS healthy');
+  },
+  poolStats() {
+    return { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount };
+  },
+  users,
+  sessions,
+  profiles,
+  emailVerificationTokens: tokenRepository('email_verification_tokens', { extraColumns: ['email'] }),
+  passwordResetTokens: tokenRepository('password_reset_tokens'),
+  mfaChallenges: tokenRepository('mfa_challenges', { extraColumns: ['remember'] }),
+  mfaRecoveryCodes,
+  userIdentities,
+  plans,
+  subscriptions,
+  loginAttempts,
+  omdbCache,
+  watchlist,
+  ratings,
+  viewingHistory,
+  adminAudit,
+  erasureRequests,
+  privacyLog,
+};
@@ -0,0 +1,159 @@
+/**
+ * subscriptions.js - Membership plans, the simulated checkout and renewals
+ * Checkout saves the card with the payment provider (payments/), charges the plan's price
+ * and starts a subscription paid for SUBSCRIPTION_PERIOD_DAYS. Only the provider's payment
+ * method id and the card's brand and last four digits are kept.
+ *
+ * There is no scheduler: a subscription whose period has ended is brought up to date the
+ * next time it is looked at (currentSubscription). It then renews with a new charge, ends
+ * if it was canceled, or becomes past_due when the renewal is declined. Browsing needs an
+ * active subscription; past_due and canceled members check out again.
+ */
+const store = require('./store');
+const { PAYMENT_DECLINED, provider } = require('./payments');
+
+const SUBSCRIPTION_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_PERIOD_DAYS || '30', 10);
+const PERIOD_MS = SUBSCRIPTION_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+
+const CARD_NUMBER_PATTERN = /^\d{12,19}$/;
+const CVC_PATTERN = /^\d{3,4}$/;
+
+// Luhn checksum, which every real card number passes
+function luhnValid(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Validates the card fields of a checkout body (card_number, exp_month, exp_year, cvc).
+ * Returns { value: { number, exp_month, exp_year, cvc } } or { errors } keyed by field name.
+ */
+function validateCard(body = {}, now = new Date()) {
+  const errors = {};
+  const number = String(body.card_number || '').replace(/[\s-]/g, '');
+  const month = parseInt(body.exp_month, 10);
+  let year = parseInt(body.exp_year, 10);
+  if (year < 100) year += 2000;
+  const cvc = String(body.cvc || '').trim();
+
+  if (!number) errors.card_number = 'Card number is required.';
+  else if (!CARD_NUMBER_PATTERN.test(number) || !luhnValid(number)) errors.card_number = 'Enter a valid card number.';
+
+  if (!(month >= 1 && month <= 12) || !(year >= 2000 && year <= 2100)) {
+    errors.expiry = 'Enter the expiry month and year.';
+  } else if (year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1)) {
+    errors.expiry = 'This card has expired.';
+  }
+
+  if (!CVC_PATTERN.test(cvc)) errors.cvc = 'Enter the 3 or 4 digit security code.';
+
+  if (Object.keys(errors).length > 0) return { errors };
+  return { value: { number, exp_month: month, exp_year: year, cvc } };
+}
+
+// Public view of a plan
+function toPlan(plan) {
+  const { id, name, price_cents, currency, screens, quality } = plan;
+  return { id, name, price_cents, currency, screens, quality };
+}
+
+// Public view of a subscription (without the payment method id)
+function toSubscription(subscription, plan) {
+  const { status, current_period_end, cancel_at_period_end, card_brand, card_last4, created_at } = subscription;
+  return {
+    plan: plan ? toPlan(plan) : null,
+    status,
+    current_period_end,
+    cancel_at_period_end,
+    card_brand,
+    card_last4,
+    created_at,
+  };
+}
+
+function isActive(subscription) {
+  return Boolean(subscription) && subscription.status === 'active';
+}
+
+/**
+ * Charges the plan's price to the card and starts (or restarts) the user's subscription.
+ * Resolves to the subscription; throws an error with code PAYMENT_DECLINED if the card is refused.
+ */
+async function checkout(userId, plan, card) {
+  const method = await provider.createPaymentMethod(card);
+  await provider.charge({
+    paymentMethodId: method.id,
+    amountCents: plan.price_cents,
+    currency: plan.currency,
+    description: `${plan.name} plan`,
+    reason: 'checkout',
+    idempotencyKey: `checkout:${userId}:${method.id}`,
+  });
+
+  return store.subscriptions.start({
+    userId,
+    planId: plan.id,
+    currentPeriodEnd: new Date(Date.now() + PERIOD_MS),
+    paymentProvider: provider.name,
+    paymentMethodId: method.id,
+    cardBrand: method.brand,
+    cardLast4: method.last4,
+  });
+}
+
+// One renewal charge. A lapse of more than a period (nobody looked for a while) starts the new period now.
+async function renew(subscription, now) {
+  const plan = await store.plans.findById(subscription.plan_id);
+  const periodEnd = new Date(subscription.current_period_end);
+  try {
+    await provider.charge({
+      paymentMethodId: subscription.payment_method_id,
+      amountCents: plan.price_cents,
+      currency: plan.currency,
+      description: `${plan.name} plan renewal`,
+      reason: 'renewal',
+      idempotencyKey: `renewal:${subscription.user_id}:${periodEnd.toISOString()}`,
+    });
+  } catch (err) {
+    if (err.code !== PAYMENT_DECLINED) throw err;
+    return store.subscriptions.update(subscription.user_id, { status: 'past_due' });
+  }
+
+  let nextEnd = new Date(periodEnd.getTime() + PERIOD_MS);
+  if (nextEnd <= now) nextEnd = new Date(now.getTime() + PERIOD_MS);
+  // null: a concurrent request renewed it first (the idempotency key kept the charge single)
+  return await store.subscriptions.renew(subscription.user_id, periodEnd, nextEnd)
+    || store.subscriptions.findByUserId(subscription.user_id);
+}
+
+/**
+ * The user's subscription (or null), with an ended period applied first: renewed, ended or past due.
+ */
+async function currentSubscription(userId, now = new Date()) {
+  const subscription = await store.subscriptions.findByUserId(userId);
+  if (!isActive(subscription) || new Date(subscription.current_period_end) > now) return subscription;
+
+  if (subscription.cancel_at_period_end) {
+    return store.subscriptions.update(userId, { status: 'canceled', cancel_at_period_end: false });
+  }
+  return renew(subscription, now);
+}
+
+module.exports = {
+  SUBSCRIPTION_PERIOD_DAYS,
+  PAYMENT_DECLINED,
+  validateCard,
+  toPlan,
+  toSubscription,
+  isActive,
+  checkout,
+  currentSubscription,
+};
@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, outbox, startServer, stopServer, resetState, request, validUser, createVerifiedUser, login,
+} = require('./helpers');
+
+function tokenFrom(message) {
+  return /token=([a-f0-9]+)/.exec(message.text)[1];
+}
+
+describe('/api/account', () => {
+  let cookie;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetState();
+    await createVerifiedUser();
+    cookie = await login();
+    outbox.length = 0; // drop the registration email
+  });
+
+  it('requires a session', async () => {
+    const res = await request('GET', '/api/account');
+
+    assert.equal(res.status, 401);
+  });
+
+  it('returns the profile without the password hash', async () => {
+    const res = await request('GET', '/api/account', undefined, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.account.user_id, 'jane_doe');
+    assert.equal(res.body.account.email, 'jane@example.com');
+    assert.equal(res.body.account.password, undefined);
+  });
+
+  it('updates name and phone', async () => {
+    const res = await request('PATCH', '/api/account', { name: 'Jane Smith', phone: '0044 20 7946 0958' }, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.account.name, 'Jane Smith');
+    assert.equal(res.body.account.phone, '+442079460958');
+  });
+
+  it('rejects invalid fields with per-field errors', async () => {
+    const res = await request('PATCH', '/api/account', { name: 'J', phone: '12' }, { cookie });
+
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.name);
+    assert.ok(res.body.errors.phone);
+  });
+
+  it('changes the email only after the new address is confirmed', async () => {
+    const res = await request('PATCH', '/api/account', { email: 'jane.new@example.com' }, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.account.email, 'jane@example.com');
+    assert.equal(res.body.account.pending_email, 'jane.new@example.com');
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'jane.new@example.com');
+
+    const verify = await request('GET', `/api/verify-email?token=${tokenFrom(outbox[0])}`);
+    assert.equal(verify.status, 302);
+    assert.equal(verify.headers.get('location'), '/account.html?email=changed');
+
+    const account = await request('GET', '/api/account', undefined, { cookie });
+    assert.equal(account.body.account.email, 'jane.new@example.com');
+    assert.equal(account.body.account.pending_email, null);
+  });
+
+  it('refuses an email that belongs to another account', async () => {
+    await createVerifiedUser({ user_id: 'john_doe', email: 'john@example.com' });
+    outbox.length = 0;
+
+    const res = await request('PATCH', '/api/account', { email: 'john@example.com' }, { cookie });
+
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.email);
+    assert.equal(outbox.length, 0);
+  });
+
+  it('changes the password and signs out other sessions', async () => {
+    const otherCookie = await login();
+
+    const res = await request('POST', '/api/account/password', {
+      current_password: validUser.password,
+      new_password: 'NewSecret456',
+    }, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.equal((await request('GET', '/api/me', undefined, { cookie })).status, 200);
+    assert.equal((await request('GET', '/api/me', undefined, { cookie: otherCookie })).status, 401);
+    await login('jane_doe', 'NewSecret456');
+  });
+
+  it('rejects a password change with the wrong current password', async () => {
+    const res = await request('POST', '/api/account/password', {
+      current_password: 'Wrong1234',
+      new_password: 'NewSecret456',
+    }, { cookie });
+
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.current_password);
+  });
+
+  it('rejects a weak new password', async () => {
+    const res = await request('POST', '/api/account/password', {
+      current_password: validUser.password,
+      new_password: 'short',
+    }, { cookie });
+
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.new_password);
+  });
+
+  it('deletes the account after confirming the password', async () => {
+    const wrong = await request('DELETE', '/api/account', { password: 'Wrong1234' }, { cookie });
+    assert.equal(wrong.status, 400);
+    assert.ok(wrong.body.errors.password);
+
+    const res = await request('DELETE', '/api/account', { password: validUser.password }, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.equal(await store.users.findByLoginId('jane_doe'), null);
+    assert.equal((await request('GET', '/api/me', undefined, { cookie })).status, 401);
+  });
+});
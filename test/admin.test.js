@@ -0,0 +1,201 @@
+process.env.ADMIN_PAGE_SIZE = '2';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, outbox, startServer, stopServer, resetState, request, createVerifiedUser, login,
+} = require('./helpers');
+
+const members = [
+  { user_id: 'bob_ross', name: 'Bob Ross', email: 'bob@example.com', password: 'Painter123' },
+  { user_id: 'carol_king', name: 'Carol King', email: 'carol@example.com', password: 'Singer123' },
+  { user_id: 'dave_grohl', name: 'Dave Grohl', email: 'dave@example.com', password: 'Drummer123' },
+];
+
+function tokenFrom(message) {
+  return /token=([a-f0-9]+)/.exec(message.text)[1];
+}
+
+async function userId(loginId) {
+  return (await store.users.findByLoginId(loginId)).id;
+}
+
+describe('admin console', () => {
+  let cookie;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetState();
+    await createVerifiedUser();
+    await store.users.setRole(await userId('jane_doe'), 'admin');
+    for (const member of members) await createVerifiedUser(member);
+    cookie = await login();
+    outbox.length = 0; // drop the registration emails
+  });
+
+  it('is for admins only', async () => {
+    const memberCookie = await login('bob_ross', 'Painter123');
+
+    const api = await request('GET', '/api/admin/users', undefined, { cookie: memberCookie });
+    const page = await request('GET', '/admin.html', undefined, { cookie: memberCookie });
+    const adminPage = await request('GET', '/admin.html', undefined, { cookie });
+
+    assert.equal(api.status, 403);
+    assert.equal(api.body.code, 'admin_required');
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/profiles.html');
+    assert.equal(adminPage.status, 200);
+  });
+
+  it('lists users newest first, a page at a time', async () => {
+    const first = await request('GET', '/api/admin/users', undefined, { cookie });
+    const last = await request('GET', '/api/admin/users?page=2', undefined, { cookie });
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.users.map((user) => user.user_id), ['dave_grohl', 'carol_king']);
+    assert.equal(first.body.total, 4);
+    assert.equal(first.body.has_more, true);
+    assert.equal(first.body.users[0].password, undefined);
+    assert.deepEqual(last.body.users.map((user) => user.user_id), ['bob_ross', 'jane_doe']);
+    assert.equal(last.body.has_more, false);
+  });
+
+  it('searches by user ID, name or email', async () => {
+    const byName = await request('GET', '/api/admin/users?q=KING', undefined, { cookie });
+    const byEmail = await request('GET', '/api/admin/users?q=bob%40', undefined, { cookie });
+    const invalid = await request('GET', '/api/admin/users?status=banned&page=0', undefined, { cookie });
+
+    assert.deepEqual(byName.body.users.map((user) => user.user_id), ['carol_king']);
+    assert.deepEqual(byEmail.body.users.map((user) => user.user_id), ['bob_ross']);
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.errors.status);
+    assert.ok(invalid.body.errors.page);
+  });
+
+  it('shows one user with their profiles', async () => {
+    const res = await request('GET', `/api/admin/users/${await userId('bob_ross')}`, undefined, { cookie });
+    const missing = await request('GET', '/api/admin/users/999', undefined, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.email, 'bob@example.com');
+    assert.equal(res.body.user.role, 'member');
+    assert.deepEqual(res.body.profiles.map((profile) => profile.name), ['Bob']);
+    assert.deepEqual(res.body.audit, []);
+    assert.equal(missing.status, 404);
+  });
+
+  it('disables a user, ending their sessions and refusing their logins, until re-enabled', async () => {
+    const bobCookie = await login('bob_ross', 'Painter123');
+    const id = await userId('bob_ross');
+
+    const disabled = await request('POST', `/api/admin/users/${id}/disable`, {}, { cookie });
+    const session = await request('GET', '/api/me', undefined, { cookie: bobCookie });
+    const refused = await request('POST', '/api/login', { loginId: 'bob_ross', password: 'Painter123' });
+    const listed = await request('GET', '/api/admin/users?status=disabled', undefined, { cookie });
+
+    assert.equal(disabled.status, 200);
+    assert.ok(disabled.body.user.disabled_at);
+    assert.equal(session.status, 401);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'account_disabled');
+    assert.deepEqual(listed.body.users.map((user) => user.user_id), ['bob_ross']);
+
+    await request('POST', `/api/admin/users/${id}/enable`, {}, { cookie });
+    await login('bob_ross', 'Painter123');
+  });
+
+  it('keeps a wrong password answer the same for disabled accounts', async () => {
+    await request('POST', `/api/admin/users/${await userId('bob_ross')}/disable`, {}, { cookie });
+
+    const res = await request('POST', '/api/login', { loginId: 'bob_ross', password: 'Wrong1234' });
+
+    assert.equal(res.status, 401);
+  });
+
+  it('does not let admins disable or delete themselves', async () => {
+    const id = await userId('jane_doe');
+
+    const disable = await request('POST', `/api/admin/users/${id}/disable`, {}, { cookie });
+    const remove = await request('DELETE', `/api/admin/users/${id}`, undefined, { cookie });
+
+    assert.equal(disable.status, 400);
+    assert.equal(disable.body.code, 'cannot_modify_self');
+    assert.equal(remove.status, 400);
+    assert.ok(await store.users.findById(id));
+  });
+
+  it('forces a password reset: the old password stops working and a reset link is emailed', async () => {
+    const bobCookie = await login('bob_ross', 'Painter123');
+
+    const res = await request('POST', `/api/admin/users/${await userId('bob_ross')}/password-reset`, {}, { cookie });
+    const oldPassword = await request('POST', '/api/login', { loginId: 'bob_ross', password: 'Painter123' });
+    const session = await request('GET', '/api/me', undefined, { cookie: bobCookie });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.emailed, true);
+    assert.equal(oldPassword.status, 401);
+    assert.equal(session.status, 401);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'bob@example.com');
+
+    const reset = await request('POST', '/api/password/reset', { token: tokenFrom(outbox[0]), password: 'Easel4567' });
+    assert.equal(reset.status, 200);
+    await login('bob_ross', 'Easel4567');
+  });
+
+  it('deletes a user with their data', async () => {
+    const id = await userId('carol_king');
+
+    const res = await request('DELETE', `/api/admin/users/${id}`, undefined, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.equal(await store.users.findById(id), null);
+    assert.deepEqual(await store.profiles.listByUserId(id), []);
+    const log = await store.privacyLog.listByUserId(id);
+    assert.deepEqual(log.map((entry) => [entry.event, entry.details]), [['erasure.completed', { reason: 'admin_deleted' }]]);
+  });
+
+  it('keeps no personal data of a deleted user in the audit log', async () => {
+    const id = await userId('carol_king');
+    await request('POST', `/api/admin/users/${id}/disable`, {}, { cookie });
+
+    await request('DELETE', `/api/admin/users/${id}`, undefined, { cookie });
+
+    const { entries } = (await request('GET', '/api/admin/audit', undefined, { cookie })).body;
+    assert.deepEqual(entries.map((entry) => [entry.action, entry.target_id]), [['user.delete', id], ['user.disable', id]]);
+    assert.doesNotMatch(JSON.stringify(entries), /carol/i);
+  });
+
+  it('records every change in the audit log, newest first', async () => {
+    const bob = await userId('bob_ross');
+    const carol = await userId('carol_king');
+    await request('POST', `/api/admin/users/${bob}/disable`, {}, { cookie });
+    await request('POST', `/api/admin/users/${bob}/enable`, {}, { cookie });
+    await request('POST', `/api/admin/users/${bob}/password-reset`, {}, { cookie });
+    await request('DELETE', `/api/admin/users/${carol}`, undefined, { cookie });
+
+    const first = await request('GET', '/api/admin/audit', undefined, { cookie });
+    const second = await request('GET', '/api/admin/audit?page=2', undefined, { cookie });
+    const detail = await request('GET', `/api/admin/users/${bob}`, undefined, { cookie });
+
+    const entries = [...first.body.entries, ...second.body.entries];
+    assert.equal(first.body.total, 4);
+    assert.deepEqual(entries.map((entry) => [entry.action, entry.target_user_id]), [
+      ['user.delete', null],
+      ['user.password_reset', 'bob_ross'],
+      ['user.enable', 'bob_ross'],
+      ['user.disable', 'bob_ross'],
+    ]);
+    assert.ok(entries.every((entry) => entry.admin_user_id === 'jane_doe'));
+    assert.equal(entries[0].target_id, carol);
+    assert.equal(entries[0].details, null);
+    assert.equal(detail.body.audit.length, 2); // the detail view shows the first page
+  });
+
+  it('tells admins apart in /api/me', async () => {
+    const res = await request('GET', '/api/me', undefined, { cookie });
+
+    assert.equal(res.body.user.role, 'admin');
+  });
+});
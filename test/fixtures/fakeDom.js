@@ -0,0 +1,121 @@
+/**
+ * test/fixtures/fakeDom.js - Just enough of the DOM to run browse.js rendering in a vm context
+ * Elements support the properties and methods the card code uses. Any attempt to parse
+ * markup (innerHTML, outerHTML, insertAdjacentHTML) is recorded in markupWrites, so tests
+ * can assert that untrusted text never reaches the HTML parser.
+ */
+function createDocument() {
+  const markupWrites = [];
+  const created = [];
+
+  class FakeElement {
+    constructor(tagName) {
+      this.tagName = tagName.toUpperCase();
+      this.children = [];
+      this.attributes = {};
+      this.dataset = {};
+      this.style = {};
+      this.listeners = {};
+      this.className = '';
+      this.hidden = false;
+      this.text = '';
+    }
+
+    get textContent() {
+      return this.text + this.children.map((child) => child.textContent).join('');
+    }
+
+    set textContent(value) {
+      this.children = [];
+      this.text = String(value);
+    }
+
+    set innerHTML(value) {
+      markupWrites.push(String(value));
+    }
+
+    set outerHTML(value) {
+      markupWrites.push(String(value));
+    }
+
+    insertAdjacentHTML(position, value) {
+      markupWrites.push(String(value));
+    }
+
+    appendChild(child) {
+      this.children.push(child);
+      return child;
+    }
+
+    append(...children) {
+      for (const child of children) {
+        if (typeof child === 'string') {
+          const node = new FakeElement('#text');
+          node.text = child;
+          this.appendChild(node);
+        } else {
+          this.appendChild(child);
+        }
+      }
+    }
+
+    replaceChildren(...children) {
+      this.children = [];
+      this.text = '';
+      this.append(...children);
+    }
+
+    setAttribute(name, value) {
+      this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+      return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    removeAttribute(name) {
+      delete this.attributes[name];
+    }
+
+    addEventListener(type, listener) {
+      (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    // Descendants in document order
+    all() {
+      return this.children.flatMap((child) => [child, ...child.all()]);
+    }
+
+    // Only ".class" selectors are supported
+    querySelector(selector) {
+      const className = selector.replace(/^\./, '');
+      return this.all().find((el) => el.className.split(' ').includes(className)) || null;
+    }
+  }
+
+  const byId = {};
+  const document = {
+    createElement(tagName) {
+      const element = new FakeElement(tagName);
+      created.push(element);
+      return element;
+    },
+    getElementById(id) {
+      return byId[id] || null;
+    },
+    querySelectorAll() {
+      return [];
+    },
+    addEventListener() {},
+  };
+
+  // Registers an element for getElementById (e.g. a container for displayMovies)
+  function addElement(id, tagName = 'div') {
+    byId[id] = new FakeElement(tagName);
+    return byId[id];
+  }
+
+  return { document, markupWrites, created, addElement };
+}
+
+module.exports = { createDocument };
@@ -0,0 +1,126 @@
+/**
+ * test/fixtures/oidcProvider.js - Local stand-in for an OpenID Connect provider
+ * Serves discovery, /authorize (which signs `state.user` in at once, or refuses with
+ * `state.deny`), /token (checking the client secret, redirect URI and PKCE verifier) and
+ * the signing keys. `state.claims` overrides claims of the next ID tokens, `state.forge`
+ * signs them with a key the provider never published, and `state.tokenRequests` records
+ * the paths tokens were requested from.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-client-secret';
+const KEY_ID = 'test-key';
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+function startOidcProvider() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const forgedKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  const codes = new Map();
+  const state = {
+    user: { sub: 'mock-user-1', email: 'jane@example.com', email_verified: true, name: 'Jane Provider' },
+    claims: {},
+    deny: false,
+    forge: false,
+    tokenRequests: [],
+  };
+
+  function signIdToken(claims) {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })}.${encode(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(input), state.forge ? forgedKey : privateKey);
+    return `${input}.${signature.toString('base64url')}`;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, state.url);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: state.url,
+        authorization_endpoint: `${state.url}/authorize`,
+        token_endpoint: `${state.url}/token`,
+        jwks_uri: `${state.url}/jwks`,
+        response_types_supported: ['code'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic'],
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      const back = new URL(params.get('redirect_uri'));
+      back.searchParams.set('state', params.get('state'));
+      if (state.deny) {
+        back.searchParams.set('error', 'access_denied');
+      } else {
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, {
+          clientId: params.get('client_id'),
+          redirectUri: params.get('redirect_uri'),
+          challenge: params.get('code_challenge'),
+          method: params.get('code_challenge_method'),
+          nonce: params.get('nonce'),
+          user: { ...state.user },
+        });
+        back.searchParams.set('code', code);
+      }
+      res.writeHead(302, { Location: back.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname.endsWith('/token')) {
+      state.tokenRequests.push(url.pathname);
+      const params = new URLSearchParams(await readBody(req));
+      const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+      if (req.headers.authorization !== expectedAuth) return send(401, { error: 'invalid_client' });
+
+      const grant = codes.get(params.get('code'));
+      codes.delete(params.get('code'));
+      const verifier = params.get('code_verifier') || '';
+      const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+      if (!grant || grant.redirectUri !== params.get('redirect_uri') || grant.method !== 'S256'
+        || grant.challenge !== challenge) {
+        return send(400, { error: 'invalid_grant' });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      return send(200, {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: signIdToken({
+          iss: state.url, aud: grant.clientId, iat: now, exp: now + 300, nonce: grant.nonce, ...grant.user, ...state.claims,
+        }),
+      });
+    }
+
+    send(404, { error: 'not_found' });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      state.url = `http://127.0.0.1:${server.address().port}`;
+      state.close = () => new Promise((done) => server.close(done));
+      resolve(state);
+    });
+  });
+}
+
+module.exports = { CLIENT_ID, CLIENT_SECRET, startOidcProvider };
@@ -0,0 +1,89 @@
+/**
+ * test/fixtures/omdbServer.js - Local stand-in for the OMDB API (set OMDB_BASE_URL to its url)
+ * Answers ?s= searches (with type, y and page) and ?i= lookups from the titles below, counts requests,
+ * and can be switched to failing so the cache fallback can be tested.
+ */
+const http = require('http');
+
+const TITLES = [
+  {
+    Title: 'Iron Man', Year: '2008', Rated: 'PG-13', Released: '02 May 2008', Runtime: '126 min',
+    Genre: 'Action, Adventure, Sci-Fi', Director: 'Jon Favreau', Writer: 'Mark Fergus, Hawk Ostby',
+    Actors: 'Robert Downey Jr., Gwyneth Paltrow, Terrence Howard', Plot: 'A billionaire builds an armored suit.',
+    Language: 'English', Country: 'United States', Awards: 'N/A', Poster: 'https://example.com/iron-man.jpg',
+    imdbRating: '7.9', imdbVotes: '1,100,000', imdbID: 'tt0371746', Type: 'movie',
+  },
+  {
+    Title: 'The Avengers', Year: '2012', Rated: 'PG-13', Released: '04 May 2012', Runtime: '143 min',
+    Genre: 'Action, Sci-Fi', Director: 'Joss Whedon', Writer: 'Joss Whedon', Actors: 'Robert Downey Jr., Chris Evans',
+    Plot: 'Earth\'s mightiest heroes team up.', Language: 'English', Country: 'United States', Awards: 'N/A',
+    Poster: 'N/A', Metascore: '69', imdbRating: '8.0', imdbVotes: '1,400,000', imdbID: 'tt0848228', Type: 'movie',
+    Ratings: [
+      { Source: 'Internet Movie Database', Value: '8.0/10' },
+      { Source: 'Rotten Tomatoes', Value: '91%' },
+      { Source: 'Metacritic', Value: '69/100' },
+    ],
+  },
+  {
+    Title: 'Daredevil', Year: '2015–2018', Rated: 'TV-MA', Genre: 'Action, Crime', Plot: 'A blind lawyer fights crime.',
+    Poster: 'N/A', imdbRating: '8.6', imdbVotes: '450,000', imdbID: 'tt3322312', Type: 'series', totalSeasons: '3',
+  },
+];
+
+// 25 generated titles, so searches for "saga" span three pages
+for (let i = 1; i <= 25; i++) {
+  TITLES.push({
+    Title: `Space Saga ${i}`, Year: String(2000 + i), Poster: 'N/A',
+    imdbID: `tt${String(9000000 + i).padStart(7, '0')}`, Type: i % 5 === 0 ? 'series' : 'movie',
+  });
+}
+
+const PAGE_SIZE = 10;
+const API_KEY = 'test-omdb-key';
+
+function startOmdbServer() {
+  const state = { requests: 0, failing: false };
+
+  const server = http.createServer((req, res) => {
+    state.requests++;
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (state.failing) return send(500, { error: 'upstream down' });
+    if (url.searchParams.get('apikey') !== API_KEY) return send(401, { Response: 'False', Error: 'Invalid API key!' });
+
+    const id = url.searchParams.get('i');
+    if (id) {
+      const title = TITLES.find((t) => t.imdbID === id);
+      return send(200, title ? { ...title, Response: 'True' } : { Response: 'False', Error: 'Incorrect IMDb ID.' });
+    }
+
+    const term = (url.searchParams.get('s') || '').toLowerCase();
+    const type = url.searchParams.get('type');
+    const year = url.searchParams.get('y');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const matches = TITLES.filter((t) => t.Title.toLowerCase().includes(term) || t.Actors?.toLowerCase().includes(term))
+      .filter((t) => !type || t.Type === type)
+      .filter((t) => !year || t.Year.startsWith(year));
+    const pageMatches = matches.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+    if (pageMatches.length === 0) return send(200, { Response: 'False', Error: 'Movie not found!' });
+    send(200, {
+      Search: pageMatches.map(({ Title, Year, imdbID, Type, Poster }) => ({ Title, Year, imdbID, Type, Poster })),
+      totalResults: String(matches.length),
+      Response: 'True',
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      state.url = `http://127.0.0.1:${server.address().port}/`;
+      state.close = () => new Promise((done) => server.close(done));
+      resolve(state);
+    });
+  });
+}
+
+module.exports = { API_KEY, startOmdbServer };
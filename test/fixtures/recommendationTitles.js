@@ -0,0 +1,19 @@
+/**
+ * test/fixtures/recommendationTitles.js - Titles in the omdb.js title shape for the
+ * recommendation scoring tests, keyed by IMDb ID.
+ */
+function title(imdbId, name, genres, director, actors) {
+  return { imdb_id: imdbId, title: name, year: '2020', type: 'movie', poster: null, genres, director, actors };
+}
+
+const TITLES = new Map([
+  title('tt0000001', 'Space Heist', ['Sci-Fi', 'Thriller'], 'Ava Stone', ['Kim Lee', 'Sam Roe']),
+  title('tt0000002', 'Space Heist 2', ['Sci-Fi', 'Thriller'], 'Ava Stone', ['Kim Lee']),
+  title('tt0000003', 'Quiet Farm', ['Drama'], 'Bo Hart', ['Sam Roe']),
+  title('tt0000004', 'Robot Love', ['Sci-Fi', 'Romance'], 'Cy Moss', ['Dee Park']),
+  title('tt0000005', 'Laugh Track', ['Comedy'], 'Ed Fox', ['Fay Gold']),
+  title('tt0000006', 'Cold Case', ['Thriller', 'Crime'], 'Ava Stone, Gus Hale', ['Hal Moe']),
+  title('tt0000007', 'Robot Love 2', ['Sci-Fi', 'Romance'], 'Cy Moss', []),
+].map((entry) => [entry.imdb_id, entry]));
+
+module.exports = { TITLES };
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { store, startServer, stopServer, request } = require('./helpers');
+
+function unreachable(t) {
+  t.mock.method(store, 'ping', async () => {
+    const err = new Error('connect ECONNREFUSED 10.0.0.5:26553');
+    err.code = 'ECONNREFUSED';
+    throw err;
+  });
+  t.mock.method(console, 'error', () => {});
+}
+
+describe('health checks', () => {
+  before(startServer);
+  after(stopServer);
+
+  it('reports liveness without touching storage', async (t) => {
+    unreachable(t);
+
+    const res = await request('GET', '/api/health/live');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(typeof res.body.uptime_seconds, 'number');
+    assert.equal(store.ping.mock.callCount(), 0);
+  });
+
+  it('reports ready with the database latency and pool stats', async () => {
+    const res = await request('GET', '/api/health/ready');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.storage, 'memory');
+    assert.equal(res.body.database, 'connected');
+    assert.equal(typeof res.body.latency_ms, 'number');
+    assert.equal(res.body.pool, null); // the memory store has no pool
+  });
+
+  it('reports not ready when storage is unreachable, without leaking details', async (t) => {
+    unreachable(t);
+
+    const res = await request('GET', '/api/health/ready');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, 'error');
+    assert.equal(res.body.database, 'disconnected');
+    assert.doesNotMatch(JSON.stringify(res.body), /ECONNREFUSED|10\.0\.0\.5|env/);
+  });
+
+  it('keeps /api/health as the readiness check', async (t) => {
+    const ok = await request('GET', '/api/health');
+    unreachable(t);
+    const failing = await request('GET', '/api/health');
+
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.database, 'connected');
+    assert.equal(ok.body.env, undefined);
+    assert.equal(failing.status, 503);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * test/helpers.js - Shared setup for the API tests
+ * Runs the exported app on a random port against the in-memory store,
+ * with outgoing email captured in `outbox` instead of being sent.
+ */
+process.env.STORAGE_BACKEND = 'memory';
+process.env.VERCEL = '1'; // keep server.js from calling app.listen itself
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent'; // no log output; tests that check logs raise it
+
+const app = require('../server');
+const store = require('../store');
+const { setTransport } = require('../mailer');
+const { clearMemoryCache } = require('../omdb');
+
+const outbox = [];
+setTransport({ name: 'test', send: async (message) => { outbox.push(message); } });
+
+let server;
+let baseUrl;
+
+async function startServer() {
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+function stopServer() {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+/**
+ * Clears all stored data and captured email between tests.
+ */
+function resetState() {
+  store.reset();
+  clearMemoryCache();
+  outbox.length = 0;
+}
+
+// CSRF token and its signed cookie; valid for every test since the session secret is fixed
+let csrf = null;
+
+async function csrfCredentials() {
+  if (!csrf) {
+    const res = await fetch(`${baseUrl}/api/csrf`);
+    csrf = { token: (await res.json()).csrf_token, cookie: res.headers.get('set-cookie').split(';')[0] };
+  }
+  return csrf;
+}
+
+/**
+ * JSON request helper. Resolves to { status, headers, body, text }; body is null for non-JSON responses.
+ * State-changing requests carry a valid CSRF token (header and cookie) unless `csrf` is false.
+ */
+async function request(method, path, body, headers = {}, { csrf: withCsrf = true } = {}) {
+  const sent = body === undefined ? { ...headers } : { 'Content-Type': 'application/json', ...headers };
+  if (withCsrf && !['GET', 'HEAD'].includes(method)) {
+    const { token, cookie } = await csrfCredentials();
+    sent['X-CSRF-Token'] = token;
+    sent.cookie = sent.cookie ? `${sent.cookie}; ${cookie}` : cookie;
+  }
+
+  const res = await fetch(baseUrl + path, {
+    method,
+    redirect: 'manual',
+    headers: sent,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    json = null;
+  }
+  return { status: res.status, headers: res.headers, body: json, text };
+}
+
+const validUser = {
+  user_id: 'jane_doe',
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  phone: '+15551234567',
+  password: 'Secret123',
+};
+
+/**
+ * Registers a user through the API and marks the email verified, so it can log in.
+ */
+async function createVerifiedUser(overrides = {}) {
+  const user = { ...validUser, ...overrides };
+  const res = await request('POST', '/api/register', user);
+  if (res.status !== 200) throw new Error(`Registration failed: ${JSON.stringify(res.body)}`);
+  const stored = await store.users.findByLoginId(user.user_id);
+  await store.users.markEmailVerified(stored.id);
+  return user;
+}
+
+/**
+ * Logs in through the API. Resolves to the session cookie ("sid=...") for later requests.
+ */
+async function login(loginId = validUser.user_id, password = validUser.password) {
+  const res = await request('POST', '/api/login', { loginId, password });
+  if (res.status !== 200) throw new Error(`Login failed: ${JSON.stringify(res.body)}`);
+  return res.headers.get('set-cookie').split(';')[0];
+}
+
+/**
+ * Subscribes the logged-in user to a plan with the fake provider's test card.
+ */
+async function subscribe(cookie, planId = 'basic') {
+  const res = await request('POST', '/api/subscription', {
+    plan_id: planId,
+    card_number: '4242 4242 4242 4242',
+    exp_month: 12,
+    exp_year: new Date().getFullYear() + 3,
+    cvc: '123',
+  }, { cookie });
+  if (res.status !== 200) throw new Error(`Checkout failed: ${JSON.stringify(res.body)}`);
+  return res.body.subscription;
+}
+
+module.exports = {
+  store,
+  outbox,
+  startServer,
+  stopServer,
+  resetState,
+  request,
+  validUser,
+  createVerifiedUser,
+  login,
+  subscribe,
+};
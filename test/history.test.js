@@ -0,0 +1,135 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, startServer, stopServer, resetState, request, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+const { API_KEY, startOmdbServer } = require('./fixtures/omdbServer');
+
+describe('/api/history', () => {
+  let omdb;
+  let cookie;
+
+  async function selectProfile(name) {
+    const { body } = await request('GET', '/api/profiles', undefined, { cookie });
+    let profile = body.profiles.find((p) => p.name === name);
+    if (!profile) profile = (await request('POST', '/api/profiles', { name }, { cookie })).body.profile;
+    await request('POST', `/api/profiles/${profile.id}/select`, {}, { cookie });
+    return profile;
+  }
+
+  async function watch(imdbId, progress, duration = 7200) {
+    return request('POST', '/api/history', {
+      imdb_id: imdbId, progress_seconds: progress, duration_seconds: duration,
+    }, { cookie });
+  }
+
+  async function list() {
+    return (await request('GET', '/api/history', undefined, { cookie })).body.items;
+  }
+
+  before(async () => {
+    omdb = await startOmdbServer();
+    process.env.OMDB_BASE_URL = omdb.url;
+    process.env.OMDB_API_KEY = API_KEY;
+    await startServer();
+  });
+  after(async () => {
+    await stopServer();
+    await omdb.close();
+  });
+  beforeEach(async () => {
+    resetState();
+    omdb.failing = false;
+    await createVerifiedUser();
+    cookie = await login();
+    await subscribe(cookie);
+    await selectProfile('Jane');
+  });
+
+  it('needs an active subscription', async () => {
+    const user = await store.users.findByLoginId('jane_doe');
+    await store.subscriptions.update(user.id, { status: 'canceled' });
+
+    const res = await request('GET', '/api/history', undefined, { cookie });
+
+    assert.equal(res.status, 402);
+    assert.equal(res.body.code, 'subscription_required');
+  });
+
+  it('needs a selected profile', async () => {
+    const other = await login();
+
+    const res = await request('GET', '/api/history', undefined, { cookie: other });
+    const page = await request('GET', '/history.html', undefined, { cookie: other });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'profile_required');
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/profiles.html');
+  });
+
+  it('records progress with an OMDB snapshot, one entry per title', async () => {
+    const first = await watch('tt0371746', 600);
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      { ...first.body.item, watched_at: undefined },
+      {
+        imdb_id: 'tt0371746',
+        title: 'Iron Man',
+        year: '2008',
+        type: 'movie',
+        poster: 'https://example.com/iron-man.jpg',
+        progress_seconds: 600,
+        duration_seconds: 7200,
+        completed: false,
+        watched_at: undefined,
+      },
+    );
+    await watch('tt0848228', 60);
+    await watch('tt0371746', 1200);
+
+    const items = await list();
+
+    assert.deepEqual(items.map((item) => [item.imdb_id, item.progress_seconds]), [['tt0371746', 1200], ['tt0848228', 60]]);
+  });
+
+  it('marks titles played nearly to the end as completed', async () => {
+    const res = await watch('tt0371746', 6900);
+
+    assert.equal(res.body.item.completed, true);
+  });
+
+  it('validates the position', async () => {
+    const res = await request('POST', '/api/history', { imdb_id: 'nope', progress_seconds: -1, duration_seconds: 0 }, { cookie });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.errors).sort(), ['duration_seconds', 'imdb_id', 'progress_seconds']);
+    assert.equal((await watch('tt0371746', 7300)).status, 400);
+    assert.equal((await watch('tt0371746', 60.5)).status, 400);
+    assert.equal((await watch('tt9999999', 60)).status, 404);
+  });
+
+  it('removes single titles and clears the history', async () => {
+    await watch('tt0371746', 600);
+    await watch('tt0848228', 600);
+
+    const removed = await request('DELETE', '/api/history/tt0371746', undefined, { cookie });
+    assert.equal(removed.body.removed, true);
+    assert.equal((await request('DELETE', '/api/history/tt0371746', undefined, { cookie })).body.removed, false);
+    assert.deepEqual((await list()).map((item) => item.imdb_id), ['tt0848228']);
+
+    const cleared = await request('DELETE', '/api/history', undefined, { cookie });
+    assert.equal(cleared.body.removed, 1);
+    assert.deepEqual(await list(), []);
+  });
+
+  it('keeps each profile\'s history separate', async () => {
+    await watch('tt0371746', 600);
+    await selectProfile('Kid');
+
+    assert.deepEqual(await list(), []);
+    await request('DELETE', '/api/history', undefined, { cookie });
+    await selectProfile('Jane');
+    assert.equal((await list()).length, 1);
+  });
+});
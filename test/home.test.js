@@ -0,0 +1,120 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  startServer, stopServer, resetState, request, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+const { API_KEY, startOmdbServer } = require('./fixtures/omdbServer');
+const { validateHomeRows } = require('../home');
+
+describe('/api/home', () => {
+  let omdb;
+  let cookie;
+
+  async function get(urlPath) {
+    return request('GET', urlPath, undefined, { cookie });
+  }
+
+  before(async () => {
+    omdb = await startOmdbServer();
+    process.env.OMDB_BASE_URL = omdb.url;
+    process.env.OMDB_API_KEY = API_KEY;
+    process.env.HOME_ROWS_FILE = path.join(__dirname, 'fixtures', 'home-rows.json');
+    await startServer();
+  });
+  after(async () => {
+    await stopServer();
+    await omdb.close();
+  });
+  beforeEach(async () => {
+    resetState();
+    omdb.requests = 0;
+    omdb.failing = false;
+    await createVerifiedUser();
+    cookie = await login();
+    await subscribe(cookie);
+  });
+
+  it('requires a session', async () => {
+    const res = await request('GET', '/api/home');
+
+    assert.equal(res.status, 401);
+  });
+
+  it('lists the configured rows in order', async () => {
+    const res = await get('/api/home');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rows.map((row) => row.id), ['saga-series', 'saga-2010s', 'saga-2012', 'avengers', 'top-rated']);
+    assert.deepEqual(res.body.rows[1], {
+      id: 'saga-2010s',
+      title: 'Sagas of the 2010s',
+      source: 'search',
+      query: 'saga',
+      type: null,
+      year_from: 2010,
+      year_to: 2019,
+    });
+    assert.equal(omdb.requests, 0);
+  });
+
+  it('loads a row filtered by type', async () => {
+    const res = await get('/api/home/rows/saga-series');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.row.title, 'Saga Series');
+    assert.equal(res.body.results.length, 5);
+    assert.ok(res.body.results.every((title) => title.type === 'series'));
+  });
+
+  it('applies a year range across several result pages', async () => {
+    const res = await get('/api/home/rows/saga-2010s');
+
+    assert.deepEqual(
+      res.body.results.map((title) => title.year),
+      ['2010', '2011', '2012', '2013', '2014', '2015', '2016', '2017', '2018', '2019'],
+    );
+    assert.equal(omdb.requests, 3);
+  });
+
+  it('passes a single year to OMDB', async () => {
+    const res = await get('/api/home/rows/saga-2012');
+
+    assert.deepEqual(res.body.results.map((title) => title.title), ['Space Saga 12']);
+    assert.equal(omdb.requests, 1);
+  });
+
+  it('answers 404 for an unknown row', async () => {
+    const res = await get('/api/home/rows/nope');
+
+    assert.equal(res.status, 404);
+  });
+
+  it('answers 503 for a row when OMDB is down and nothing is cached', async () => {
+    omdb.failing = true;
+    const res = await get('/api/home/rows/avengers');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, 'titles_unavailable');
+  });
+
+  it('rejects invalid row configuration', () => {
+    assert.deepEqual(validateHomeRows({}), ['Rows must be a JSON array.']);
+
+    const problems = validateHomeRows([
+      { id: 'row', title: 'Row', query: 'iron' },
+      { id: 'row', title: '', query: 'x', type: 'game', year_from: 2020, year_to: 2010 },
+    ]);
+    assert.deepEqual(problems, [
+      'Row 2: id "row" is used twice.',
+      'Row 2: title is required.',
+      'Row 2: query must be 2-100 characters.',
+      'Row 2: Type must be one of: movie, series, episode.',
+      'Row 2: year_from must not be after year_to.',
+    ]);
+    assert.deepEqual(validateHomeRows([{ id: 'row', title: 'Row', source: 'random' }]), [
+      'Row 1: source must be one of: search, top-rated.',
+    ]);
+    assert.deepEqual(validateHomeRows([{ id: 'best', title: 'Best', source: 'top-rated' }]), []);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, startServer, stopServer, resetState, request, validUser, createVerifiedUser,
+} = require('./helpers');
+
+describe('POST /api/login', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetState);
+
+  it('logs in by User ID and sets an HttpOnly session cookie', async () => {
+    await createVerifiedUser();
+
+    const res = await request('POST', '/api/login', { loginId: 'jane_doe', password: validUser.password });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    const cookie = res.headers.get('set-cookie');
+    assert.match(cookie, /^sid=/);
+    assert.match(cookie, /HttpOnly/);
+  });
+
+  it('logs in by email, in any case', async () => {
+    await createVerifiedUser();
+
+    const res = await request('POST', '/api/login', { loginId: 'jane@example.com', password: validUser.password });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    const upper = await request('POST', '/api/login', { loginId: 'Jane@Example.COM', password: validUser.password });
+    assert.equal(upper.status, 200);
+  });
+
+  it('gives access to /api/me with the session cookie', async () => {
+    await createVerifiedUser();
+    const login = await request('POST', '/api/login', { loginId: 'jane_doe', password: validUser.password });
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+
+    const me = await request('GET', '/api/me', undefined, { cookie });
+
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.user_id, 'jane_doe');
+    assert.equal(me.body.user.password, undefined);
+  });
+
+  it('rejects a wrong password', async () => {
+    await createVerifiedUser();
+
+    const res = await request('POST', '/api/login', { loginId: 'jane_doe', password: 'Wrong1234' });
+
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { success: false, message: 'Invalid User ID/Email or password.' });
+    assert.equal(res.headers.get('set-cookie'), null);
+  });
+
+  it('rejects an unknown user with the same message as a wrong password', async () => {
+    const res = await request('POST', '/api/login', { loginId: 'nobody', password: 'Secret123' });
+
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { success: false, message: 'Invalid User ID/Email or password.' });
+  });
+
+  it('requires both loginId and password', async () => {
+    const res = await request('POST', '/api/login', { loginId: 'jane_doe' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+  });
+
+  it('answers 400 when loginId or password is not a string', async () => {
+    for (const body of [{ loginId: 123, password: 'Secret123' }, { loginId: 'jane_doe', password: ['Secret123'] }]) {
+      const res = await request('POST', '/api/login', body);
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'User ID/Email and password are required.');
+    }
+  });
+
+  it('refuses unverified accounts', async () => {
+    await request('POST', '/api/register', validUser);
+
+    const res = await request('POST', '/api/login', { loginId: 'jane_doe', password: validUser.password });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'email_unverified');
+  });
+
+  it('answers 429 with Retry-After after repeated failures', async () => {
+    await createVerifiedUser();
+    for (let i = 0; i < 3; i++) {
+      await request('POST', '/api/login', { loginId: 'jane_doe', password: 'Wrong1234' });
+    }
+
+    const res = await request('POST', '/api/login', { loginId: 'jane_doe', password: validUser.password });
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'rate_limited');
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+  });
+
+  it('reports a database connection failure', async (t) => {
+    t.mock.method(store.users, 'findByLoginId', async () => {
+      const err = new Error('connect ETIMEDOUT');
+      err.code = 'ETIMEDOUT';
+      throw err;
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const res = await request('POST', '/api/login', { loginId: 'jane_doe', password: validUser.password });
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, { success: false, message: 'Database connection failed. Please try again later.' });
+  });
+});
@@ -0,0 +1,240 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, startServer, stopServer, resetState, request, validUser, createVerifiedUser, login,
+} = require('./helpers');
+const {
+  TOTP_PERIOD_SECONDS, MFA_CHALLENGE_TTL_MINUTES, RECOVERY_CODE_COUNT,
+  base32Encode, base32Decode, timeStep, totpCode, matchTotp,
+} = require('../mfa');
+
+// 10 seconds into a time step, so one step either side is unambiguous
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 10);
+const STEP_MS = TOTP_PERIOD_SECONDS * 1000;
+
+// RFC 6238 test secret (ASCII "12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(totpCode(RFC_SECRET, timeStep(59 * 1000)), '287082');
+    assert.equal(totpCode(RFC_SECRET, timeStep(1111111109 * 1000)), '081804');
+    assert.equal(totpCode(RFC_SECRET, timeStep(2000000000 * 1000)), '279037');
+  });
+
+  it('decodes base32 regardless of case, spaces and padding', () => {
+    assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString(), '12345678901234567890');
+  });
+
+  it('accepts codes one step either side of now, and no further', () => {
+    const step = timeStep(NOW);
+
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step), NOW), step);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), NOW), step - 1);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), NOW), step + 1);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 2), NOW), null);
+    assert.equal(matchTotp(RFC_SECRET, '12345', NOW), null);
+    assert.equal(matchTotp(RFC_SECRET, 'abcdef', NOW), null);
+  });
+});
+
+describe('two-factor authentication', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(() => {
+    resetState();
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+  });
+  afterEach(() => mock.timers.reset());
+
+  // The code an authenticator app would show `offsetMs` from now
+  function codeAt(secret, offsetMs = 0) {
+    return totpCode(secret, timeStep(Date.now() + offsetMs));
+  }
+
+  /**
+   * Logs in and turns two-factor on. Resolves to { cookie, secret, recoveryCodes }.
+   */
+  async function enrollUser() {
+    await createVerifiedUser();
+    const cookie = await login();
+    const setup = await request('POST', '/api/account/mfa/setup', { password: validUser.password }, { cookie });
+    const enable = await request('POST', '/api/account/mfa/enable', { code: codeAt(setup.body.secret) }, { cookie });
+    assert.equal(enable.status, 200);
+    return { cookie, secret: setup.body.secret, recoveryCodes: enable.body.recovery_codes };
+  }
+
+  // Password step; resolves to the mfa_token
+  async function startLogin() {
+    const res = await request('POST', '/api/login', { loginId: validUser.user_id, password: validUser.password });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'mfa_required');
+    return res.body.mfa_token;
+  }
+
+  it('starts enrollment with an otpauth URI but stays off until a code confirms it', async () => {
+    await createVerifiedUser();
+    const cookie = await login();
+
+    const wrong = await request('POST', '/api/account/mfa/setup', { password: 'Wrong1234' }, { cookie });
+    assert.equal(wrong.status, 400);
+    assert.ok(wrong.body.errors.password);
+
+    const setup = await request('POST', '/api/account/mfa/setup', { password: validUser.password }, { cookie });
+    assert.equal(setup.status, 200);
+    assert.match(setup.body.secret, /^[A-Z2-7]{32}$/);
+    const uri = new URL(setup.body.otpauth_uri);
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.searchParams.get('secret'), setup.body.secret);
+    assert.match(decodeURIComponent(uri.pathname), /jane@example\.com$/);
+
+    const status = await request('GET', '/api/account/mfa', undefined, { cookie });
+    assert.equal(status.body.enabled, false);
+    await login();
+  });
+
+  it('turns on with the first code and returns single-use recovery codes stored only as hashes', async () => {
+    await createVerifiedUser();
+    const cookie = await login();
+    const setup = await request('POST', '/api/account/mfa/setup', { password: validUser.password }, { cookie });
+
+    const wrong = await request('POST', '/api/account/mfa/enable', { code: codeAt(setup.body.secret, -2 * STEP_MS) }, { cookie });
+    assert.equal(wrong.status, 400);
+    assert.ok(wrong.body.errors.code);
+
+    const enable = await request('POST', '/api/account/mfa/enable', { code: codeAt(setup.body.secret) }, { cookie });
+    assert.equal(enable.status, 200);
+    assert.equal(enable.body.recovery_codes.length, RECOVERY_CODE_COUNT);
+    assert.equal(new Set(enable.body.recovery_codes).size, RECOVERY_CODE_COUNT);
+
+    const user = await store.users.findByLoginId(validUser.user_id);
+    assert.equal(await store.mfaRecoveryCodes.count(user.id), RECOVERY_CODE_COUNT);
+    assert.equal(await store.mfaRecoveryCodes.consume(user.id, enable.body.recovery_codes[0]), false);
+
+    const status = await request('GET', '/api/account/mfa', undefined, { cookie });
+    assert.equal(status.body.enabled, true);
+    assert.equal(status.body.recovery_codes_left, RECOVERY_CODE_COUNT);
+    const again = await request('POST', '/api/account/mfa/setup', { password: validUser.password }, { cookie });
+    assert.equal(again.status, 409);
+  });
+
+  it('asks for a code after the password and only then creates the session', async () => {
+    const { secret } = await enrollUser();
+    mock.timers.setTime(NOW + STEP_MS);
+
+    const res = await request('POST', '/api/login', { loginId: validUser.user_id, password: validUser.password });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'mfa_required');
+    assert.match(res.body.mfa_token, /^[0-9a-f]{64}$/);
+    assert.equal(res.headers.get('set-cookie'), null);
+
+    const done = await request('POST', '/api/login/mfa', { mfa_token: res.body.mfa_token, code: codeAt(secret) });
+    assert.equal(done.status, 200);
+    assert.equal(done.body.success, true);
+    const cookie = done.headers.get('set-cookie').split(';')[0];
+    const me = await request('GET', '/api/me', undefined, { cookie });
+    assert.equal(me.body.user.user_id, validUser.user_id);
+  });
+
+  it('accepts each time step once and allows one step of clock drift', async () => {
+    const { secret } = await enrollUser();
+
+    // The code that turned two-factor on cannot be used again
+    const replay = await request('POST', '/api/login/mfa', { mfa_token: await startLogin(), code: codeAt(secret) });
+    assert.equal(replay.status, 401);
+
+    mock.timers.setTime(NOW + 3 * STEP_MS);
+    const tooOld = await request('POST', '/api/login/mfa', { mfa_token: await startLogin(), code: codeAt(secret, -2 * STEP_MS) });
+    assert.equal(tooOld.status, 401);
+
+    const drifted = await request('POST', '/api/login/mfa', { mfa_token: await startLogin(), code: codeAt(secret, -STEP_MS) });
+    assert.equal(drifted.status, 200);
+  });
+
+  it('accepts each recovery code once, ignoring case and separators', async () => {
+    const { recoveryCodes } = await enrollUser();
+    const code = recoveryCodes[0];
+
+    const first = await request('POST', '/api/login/mfa', {
+      mfa_token: await startLogin(),
+      code: code.toUpperCase().replace('-', ' '),
+    });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.recovery_codes_left, RECOVERY_CODE_COUNT - 1);
+
+    const second = await request('POST', '/api/login/mfa', { mfa_token: await startLogin(), code });
+    assert.equal(second.status, 401);
+  });
+
+  it('rejects a challenge once it has expired or been used', async () => {
+    const { secret } = await enrollUser();
+    const token = await startLogin();
+
+    mock.timers.setTime(NOW + MFA_CHALLENGE_TTL_MINUTES * 60 * 1000 + 1000);
+    const expired = await request('POST', '/api/login/mfa', { mfa_token: token, code: codeAt(secret) });
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.code, 'mfa_expired');
+
+    const fresh = await startLogin();
+    assert.equal((await request('POST', '/api/login/mfa', { mfa_token: fresh, code: codeAt(secret) })).status, 200);
+    mock.timers.setTime(Date.now() + STEP_MS);
+    const reused = await request('POST', '/api/login/mfa', { mfa_token: fresh, code: codeAt(secret) });
+    assert.equal(reused.body.code, 'mfa_expired');
+  });
+
+  it('uses the challenge up before checking the code and hands out a new one after a wrong code', async () => {
+    const { secret, recoveryCodes } = await enrollUser();
+    mock.timers.setTime(NOW + STEP_MS);
+    const token = await startLogin();
+
+    const wrong = await request('POST', '/api/login/mfa', { mfa_token: token, code: '000000' });
+    assert.equal(wrong.status, 401);
+    assert.match(wrong.body.mfa_token, /^[0-9a-f]{64}$/);
+
+    // The spent challenge no longer reaches the recovery codes
+    const stale = await request('POST', '/api/login/mfa', { mfa_token: token, code: recoveryCodes[0] });
+    assert.equal(stale.body.code, 'mfa_expired');
+    const user = await store.users.findByLoginId(validUser.user_id);
+    assert.equal(await store.mfaRecoveryCodes.count(user.id), RECOVERY_CODE_COUNT);
+
+    const retry = await request('POST', '/api/login/mfa', { mfa_token: wrong.body.mfa_token, code: codeAt(secret) });
+    assert.equal(retry.status, 200);
+  });
+
+  it('throttles wrong codes even when the password is entered again', async () => {
+    const { secret } = await enrollUser();
+    mock.timers.setTime(NOW + STEP_MS);
+
+    let res;
+    for (let i = 0; i < 4; i++) {
+      res = await request('POST', '/api/login/mfa', { mfa_token: await startLogin(), code: '000000' });
+    }
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'rate_limited');
+
+    const correct = await request('POST', '/api/login/mfa', { mfa_token: await startLogin(), code: codeAt(secret) });
+    assert.equal(correct.status, 429);
+  });
+
+  it('replaces recovery codes and turns off with the password', async () => {
+    const { cookie, recoveryCodes } = await enrollUser();
+
+    const wrong = await request('DELETE', '/api/account/mfa', { password: 'Wrong1234' }, { cookie });
+    assert.equal(wrong.status, 400);
+
+    const renewed = await request('POST', '/api/account/mfa/recovery-codes', { password: validUser.password }, { cookie });
+    assert.equal(renewed.status, 200);
+    const old = await request('POST', '/api/login/mfa', { mfa_token: await startLogin(), code: recoveryCodes[0] });
+    assert.equal(old.status, 401);
+
+    const off = await request('DELETE', '/api/account/mfa', { password: validUser.password }, { cookie });
+    assert.equal(off.status, 200);
+    await login();
+    const status = await request('GET', '/api/account/mfa', undefined, { cookie });
+    assert.deepEqual(
+      { enabled: status.body.enabled, recovery_codes_left: status.body.recovery_codes_left },
+      { enabled: false, recovery_codes_left: 0 }
+    );
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, startServer, stopServer, resetState, request, createVerifiedUser, login,
+} = require('./helpers');
+const metrics = require('../metrics');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// JSON log lines written to console.log / console.error while fn runs
+async function captureLogs(t, fn) {
+  const lines = [];
+  const capture = (line) => lines.push(JSON.parse(line));
+  t.mock.method(console, 'log', capture);
+  t.mock.method(console, 'error', capture);
+  const previous = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'info';
+  try {
+    await fn();
+  } finally {
+    process.env.LOG_LEVEL = previous;
+  }
+  // The request line is written once the response has been sent; give it a tick
+  await new Promise((resolve) => setImmediate(resolve));
+  return lines;
+}
+
+describe('request IDs and logs', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetState);
+
+  it('gives every response an X-Request-Id', async () => {
+    const first = await request('GET', '/api/health/live');
+    const second = await request('GET', '/login.html');
+
+    assert.match(first.headers.get('x-request-id'), UUID_PATTERN);
+    assert.match(second.headers.get('x-request-id'), UUID_PATTERN);
+    assert.notEqual(first.headers.get('x-request-id'), second.headers.get('x-request-id'));
+  });
+
+  it('keeps a well-formed incoming request ID and replaces anything else', async () => {
+    const kept = await request('GET', '/api/health/live', undefined, { 'X-Request-Id': 'lb-1234.abc_9' });
+    const spaced = await request('GET', '/api/health/live', undefined, { 'X-Request-Id': 'bad id "quoted" {}' });
+    const long = await request('GET', '/api/health/live', undefined, { 'X-Request-Id': 'a'.repeat(129) });
+
+    assert.equal(kept.headers.get('x-request-id'), 'lb-1234.abc_9');
+    assert.match(spaced.headers.get('x-request-id'), UUID_PATTERN);
+    assert.match(long.headers.get('x-request-id'), UUID_PATTERN);
+  });
+
+  it('logs each request as one JSON line with its route pattern, not the URL', async (t) => {
+    let res;
+    const lines = await captureLogs(t, async () => {
+      res = await request('GET', '/api/verify-email?token=secret-token', undefined, { 'X-Request-Id': 'req-42' });
+    });
+
+    const line = lines.find((entry) => entry.msg === 'request');
+    assert.equal(res.status, 302);
+    assert.equal(line.level, 'info');
+    assert.equal(line.request_id, 'req-42');
+    assert.equal(line.method, 'GET');
+    assert.equal(line.route, '/api/verify-email');
+    assert.equal(line.path, '/api/verify-email');
+    assert.equal(line.status, 302);
+    assert.equal(typeof line.duration_ms, 'number');
+    assert.doesNotMatch(JSON.stringify(lines), /secret-token/);
+  });
+
+  it('logs route errors with the request ID and the error', async (t) => {
+    t.mock.method(store.users, 'findByLoginId', async () => {
+      const err = new Error('connection reset');
+      err.code = 'ECONNRESET';
+      throw err;
+    });
+
+    let res;
+    const lines = await captureLogs(t, async () => {
+      res = await request('POST', '/api/verify-email/resend', { loginId: 'jane_doe' });
+    });
+
+    const line = lines.find((entry) => entry.level === 'error');
+    assert.equal(res.status, 500);
+    assert.equal(line.msg, 'Resend verification error');
+    assert.equal(line.request_id, res.headers.get('x-request-id'));
+    assert.equal(line.err.message, 'connection reset');
+    assert.equal(line.err.code, 'ECONNRESET');
+    assert.ok(line.err.stack);
+  });
+});
+
+describe('GET /api/metrics', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(() => {
+    resetState();
+    metrics.reset();
+    delete process.env.METRICS_TOKEN;
+  });
+
+  it('counts requests and their durations per route pattern', async () => {
+    await request('GET', '/api/health/live');
+    await request('GET', '/api/health/live');
+    await request('GET', '/api/titles/tt0000001'); // no session: answered by the auth gate
+
+    const res = await request('GET', '/api/metrics');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.text, /^# TYPE http_requests_total counter$/m);
+    assert.match(res.text, /^http_requests_total\{method="GET",route="\/api\/health\/live",status="200"\} 2$/m);
+    assert.match(res.text, /^http_requests_total\{method="GET",route="unmatched",status="401"\} 1$/m);
+    assert.match(res.text, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/health\/live",le="\+Inf"\} 2$/m);
+    assert.match(res.text, /^http_request_duration_seconds_count\{method="GET",route="\/api\/health\/live"\} 2$/m);
+    assert.doesNotMatch(res.text, /tt0000001/);
+  });
+
+  it('counts logins by result and reason', async () => {
+    await createVerifiedUser();
+    await login();
+    await request('POST', '/api/login', { loginId: 'jane_doe', password: 'Wrong1234' });
+    await request('POST', '/api/login', { loginId: 'jane_doe', password: 'Wrong1234' });
+
+    const res = await request('GET', '/api/metrics');
+
+    assert.match(res.text, /^login_attempts_total\{result="success",reason="none"\} 1$/m);
+    assert.match(res.text, /^login_attempts_total\{result="failure",reason="invalid_credentials"\} 2$/m);
+  });
+
+  it('requires the bearer token when METRICS_TOKEN is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const missing = await request('GET', '/api/metrics');
+    const wrong = await request('GET', '/api/metrics', undefined, { Authorization: 'Bearer nope' });
+    const right = await request('GET', '/api/metrics', undefined, { Authorization: 'Bearer scrape-secret' });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.equal(right.status, 200);
+  });
+
+  it('is off in production until METRICS_TOKEN is set', async () => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      const off = await request('GET', '/api/metrics');
+      assert.equal(off.status, 404);
+      assert.doesNotMatch(off.text, /login_attempts_total/);
+
+      process.env.METRICS_TOKEN = 'scrape-secret';
+      assert.equal((await request('GET', '/api/metrics')).status, 401);
+      assert.equal((await request('GET', '/api/metrics', undefined, { Authorization: 'Bearer scrape-secret' })).status, 200);
+    } finally {
+      if (previous === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = previous;
+    }
+  });
+});
@@ -0,0 +1,262 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, startServer, stopServer, resetState, request, validUser, createVerifiedUser, login,
+} = require('./helpers');
+const { CLIENT_ID, CLIENT_SECRET, startOidcProvider } = require('./fixtures/oidcProvider');
+const { totpCode, timeStep } = require('../mfa');
+
+const MOCK_USER = { sub: 'mock-user-1', email: 'jane@example.com', email_verified: true, name: 'Jane Provider' };
+
+describe('sign in with an OpenID Connect provider', () => {
+  let idp;
+
+  before(async () => {
+    await startServer();
+    idp = await startOidcProvider();
+    Object.assign(process.env, {
+      OIDC_PROVIDERS: 'mock, incomplete',
+      OIDC_MOCK_NAME: 'Mock ID',
+      OIDC_MOCK_ISSUER: idp.url,
+      OIDC_MOCK_CLIENT_ID: CLIENT_ID,
+      OIDC_MOCK_CLIENT_SECRET: CLIENT_SECRET,
+      OIDC_INCOMPLETE_ISSUER: idp.url,
+    });
+  });
+  after(async () => {
+    for (const name of Object.keys(process.env).filter((key) => key.startsWith('OIDC_'))) delete process.env[name];
+    await idp.close();
+    await stopServer();
+  });
+  beforeEach(() => {
+    resetState();
+    Object.assign(idp, { user: { ...MOCK_USER }, claims: {}, deny: false, forge: false, tokenRequests: [] });
+  });
+  afterEach(() => mock.timers.reset());
+
+  // Runs start -> provider -> callback like a browser would. Resolves to the callback response.
+  async function signIn({ query = '', tamper } = {}) {
+    const start = await request('GET', `/api/auth/mock/start${query}`);
+    assert.equal(start.status, 302);
+    const pendingCookie = start.headers.get('set-cookie').split(';')[0];
+
+    const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+    const callback = new URL(authorize.headers.get('location'));
+    if (tamper) tamper(callback.searchParams);
+    return request('GET', callback.pathname + callback.search, undefined, { cookie: pendingCookie });
+  }
+
+  function sessionCookie(res) {
+    const cookie = (res.headers.getSetCookie() || []).find((value) => value.startsWith('sid='));
+    return cookie && cookie.split(';')[0];
+  }
+
+  it('lists only completely configured providers', async () => {
+    const res = await request('GET', '/api/auth/providers');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.providers, [{ id: 'mock', name: 'Mock ID' }]);
+    assert.equal((await request('GET', '/api/auth/incomplete/start')).status, 404);
+  });
+
+  it('starts the authorization code flow with PKCE, state and nonce', async () => {
+    const res = await request('GET', '/api/auth/mock/start');
+
+    assert.equal(res.status, 302);
+    const url = new URL(res.headers.get('location'));
+    assert.equal(url.origin + url.pathname, `${idp.url}/authorize`);
+    assert.equal(url.searchParams.get('response_type'), 'code');
+    assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+    assert.match(url.searchParams.get('redirect_uri'), /^http:\/\/127\.0\.0\.1:\d+\/api\/auth\/mock\/callback$/);
+    assert.equal(url.searchParams.get('scope'), 'openid email profile');
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.match(url.searchParams.get('code_challenge'), /^[\w-]{43}$/);
+    assert.ok(url.searchParams.get('state'));
+    assert.ok(url.searchParams.get('nonce'));
+
+    const cookie = res.headers.get('set-cookie');
+    assert.match(cookie, /^oidc=s%3Aj%3A/);
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Lax/);
+    assert.doesNotMatch(cookie, new RegExp(url.searchParams.get('code_challenge')));
+  });
+
+  it('creates a verified account without a password on first sign-in and reuses it later', async () => {
+    const first = await signIn();
+    assert.equal(first.status, 302);
+    assert.equal(first.headers.get('location'), '/profiles.html');
+
+    const me = await request('GET', '/api/me', undefined, { cookie: sessionCookie(first) });
+    assert.equal(me.body.user.email, 'jane@example.com');
+    assert.equal(me.body.user.name, 'Jane Provider');
+    assert.equal(me.body.user.user_id, 'jane');
+
+    const user = await store.users.findByLoginId('jane@example.com');
+    assert.ok(user.email_verified_at);
+    assert.equal(user.password, null);
+    assert.equal((await store.profiles.listByUserId(user.id)).length, 1);
+    const account = await request('GET', '/api/account', undefined, { cookie: sessionCookie(first) });
+    assert.equal(account.body.account.has_password, false);
+
+    // The same provider account signs in to the same user, even with another email by now
+    idp.user.email = 'jane.new@example.com';
+    const again = await signIn();
+    const meAgain = await request('GET', '/api/me', undefined, { cookie: sessionCookie(again) });
+    assert.equal(meAgain.body.user.id, me.body.user.id);
+    assert.equal((await store.users.search({ limit: 10, offset: 0 })).total, 1);
+  });
+
+  it('links an existing account by verified email and keeps its password working', async () => {
+    await createVerifiedUser();
+
+    const res = await signIn();
+    assert.equal(res.headers.get('location'), '/profiles.html');
+    const me = await request('GET', '/api/me', undefined, { cookie: sessionCookie(res) });
+    assert.equal(me.body.user.user_id, validUser.user_id);
+
+    const user = await store.users.findByLoginId(validUser.user_id);
+    assert.equal((await store.userIdentities.find('mock', MOCK_USER.sub)).user_id, user.id);
+    await login();
+  });
+
+  it('does not link accounts whose email is unverified on either side', async () => {
+    await request('POST', '/api/register', validUser);
+    const unverifiedAccount = await signIn();
+    assert.equal(unverifiedAccount.headers.get('location'), '/login.html?oidc_error=account_unverified');
+    assert.equal(sessionCookie(unverifiedAccount), undefined);
+
+    resetState();
+    await createVerifiedUser();
+    idp.user.email_verified = false;
+    const unverifiedClaim = await signIn();
+    assert.equal(unverifiedClaim.headers.get('location'), '/login.html?oidc_error=email_required');
+    assert.equal(await store.userIdentities.find('mock', MOCK_USER.sub), null);
+  });
+
+  it('rejects callbacks without the matching state or pending cookie', async () => {
+    const wrongState = await signIn({ tamper: (params) => params.set('state', 'forged') });
+    assert.equal(wrongState.headers.get('location'), '/login.html?oidc_error=expired');
+
+    const start = await request('GET', '/api/auth/mock/start');
+    const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+    const callback = new URL(authorize.headers.get('location'));
+    const noCookie = await request('GET', callback.pathname + callback.search);
+    assert.equal(noCookie.headers.get('location'), '/login.html?oidc_error=expired');
+    assert.equal(sessionCookie(noCookie), undefined);
+  });
+
+  it('rejects forged, misdirected, replayed or expired ID tokens and codes the provider did not issue', async () => {
+    idp.forge = true;
+    const forged = await signIn();
+    assert.equal(forged.headers.get('location'), '/login.html?oidc_error=failed');
+    idp.forge = false;
+
+    for (const claims of [{ aud: 'other-client' }, { nonce: 'replayed' }, { exp: Math.floor(Date.now() / 1000) - 600 }]) {
+      idp.claims = claims;
+      const res = await signIn();
+      assert.equal(res.headers.get('location'), '/login.html?oidc_error=failed', JSON.stringify(claims));
+      assert.equal(sessionCookie(res), undefined);
+    }
+
+    idp.claims = {};
+    const stolenCode = await signIn({ tamper: (params) => params.set('code', 'not-issued') });
+    assert.equal(stolenCode.headers.get('location'), '/login.html?oidc_error=failed');
+    assert.equal(await store.users.findByLoginId('jane@example.com'), null);
+  });
+
+  it('reports a refusal at the provider and disabled accounts', async () => {
+    idp.deny = true;
+    const denied = await signIn();
+    assert.equal(denied.headers.get('location'), '/login.html?oidc_error=cancelled');
+
+    idp.deny = false;
+    await createVerifiedUser();
+    const user = await store.users.findByLoginId(validUser.user_id);
+    await store.users.setDisabled(user.id, true);
+    const disabled = await signIn();
+    assert.equal(disabled.headers.get('location'), '/login.html?oidc_error=account_disabled');
+    assert.equal(sessionCookie(disabled), undefined);
+  });
+
+  it('still asks two-factor accounts for their code', async () => {
+    await createVerifiedUser();
+    const user = await store.users.findByLoginId(validUser.user_id);
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    await store.users.setMfaSecret(user.id, secret);
+    await store.users.enableMfa(user.id, timeStep() - 5);
+
+    const res = await signIn({ query: '?remember=1' });
+    const location = res.headers.get('location');
+    assert.match(location, /^\/login\.html#mfa_token=[0-9a-f]{64}$/);
+    assert.equal(sessionCookie(res), undefined);
+
+    const done = await request('POST', '/api/login/mfa', {
+      mfa_token: location.split('=')[1],
+      code: totpCode(secret, timeStep()),
+    });
+    assert.equal(done.status, 200);
+    assert.match(done.headers.get('set-cookie'), /Max-Age=/);
+  });
+
+  it('lets an account without a password confirm sensitive changes by signing in again', async () => {
+    const first = sessionCookie(await signIn());
+    const account = await request('GET', '/api/account', undefined, { cookie: first });
+    assert.deepEqual(account.body.providers, ['mock']);
+
+    const exported = await request('POST', '/api/account/export', {}, { cookie: first });
+    assert.equal(exported.status, 200);
+    assert.equal(exported.body.account.email, MOCK_USER.email);
+    assert.equal((await request('POST', '/api/account/mfa/setup', {}, { cookie: first })).status, 200);
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 11 * 60 * 1000 });
+    const stale = await request('DELETE', '/api/account', {}, { cookie: first });
+    assert.equal(stale.status, 403);
+    assert.equal(stale.body.code, 'reauth_required');
+    assert.equal((await request('POST', '/api/account/erasure', {}, { cookie: first })).status, 403);
+
+    const again = await signIn({ query: '?return=account' });
+    assert.equal(again.headers.get('location'), '/account.html');
+    const deleted = await request('DELETE', '/api/account', {}, { cookie: sessionCookie(again) });
+    assert.equal(deleted.status, 200);
+    assert.equal(await store.users.findByLoginId(MOCK_USER.email), null);
+  });
+
+  it('lets an account without a password set its first one after a recent sign-in', async () => {
+    const cookie = sessionCookie(await signIn());
+    const body = { new_password: 'Provider123' };
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 11 * 60 * 1000 });
+    const stale = await request('POST', '/api/account/password', body, { cookie });
+    assert.equal(stale.status, 403);
+    assert.equal(stale.body.code, 'reauth_required');
+    mock.timers.reset();
+
+    const res = await request('POST', '/api/account/password', body, { cookie });
+    assert.equal(res.status, 200);
+    assert.match(res.body.message, /password has been set/);
+    assert.equal((await request('GET', '/api/account', undefined, { cookie })).body.account.has_password, true);
+
+    const login = await request('POST', '/api/login', { loginId: MOCK_USER.email, password: body.new_password });
+    assert.equal(login.status, 200);
+    const change = await request('POST', '/api/account/password', { new_password: 'Another123' }, { cookie });
+    assert.equal(change.status, 400);
+    assert.ok(change.body.errors.current_password);
+  });
+
+  it('returns only to known pages after signing in', async () => {
+    const res = await signIn({ query: '?return=https://evil.example' });
+
+    assert.equal(res.headers.get('location'), '/profiles.html');
+  });
+
+  it('uses a configured token endpoint instead of the discovered one', async () => {
+    process.env.OIDC_MOCK_TOKEN_URL = `${idp.url}/custom/token`;
+    try {
+      const res = await signIn();
+      assert.equal(res.headers.get('location'), '/profiles.html');
+      assert.deepEqual(idp.tokenRequests, ['/custom/token']);
+    } finally {
+      delete process.env.OIDC_MOCK_TOKEN_URL;
+    }
+  });
+});
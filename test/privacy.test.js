@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, outbox, startServer, stopServer, resetState, request, validUser, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+const { ERASURE_GRACE_DAYS } = require('../privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CRON_SECRET = 'test-cron-secret';
+
+function tokenFrom(message) {
+  return /token=([a-f0-9]+)/.exec(message.text)[1];
+}
+
+describe('personal data export and erasure', () => {
+  let cookie;
+  let user;
+
+  before(async () => {
+    await startServer();
+    process.env.CRON_SECRET = CRON_SECRET;
+  });
+  after(async () => {
+    delete process.env.CRON_SECRET;
+    await stopServer();
+  });
+  beforeEach(async () => {
+    resetState();
+    await createVerifiedUser();
+    cookie = await login();
+    user = await store.users.findByLoginId(validUser.user_id);
+    outbox.length = 0; // drop the registration email
+  });
+  afterEach(() => mock.timers.reset());
+
+  // Step one and the emailed link; resolves to the link's response
+  async function scheduleErasure() {
+    const res = await request('POST', '/api/account/erasure', { password: validUser.password }, { cookie });
+    assert.equal(res.status, 200);
+    return request('GET', `/api/account/erasure/confirm?token=${tokenFrom(outbox.at(-1))}`);
+  }
+
+  function runPurgeJob() {
+    return request('GET', '/api/jobs/purge-erasures', undefined, { Authorization: `Bearer ${CRON_SECRET}` });
+  }
+
+  it('exports everything stored about the user as a JSON download, without secrets', async () => {
+    const [profile] = await store.profiles.listByUserId(user.id);
+    await store.ratings.set({
+      userId: user.id, profileId: profile.id, imdbId: 'tt0371746', stars: 5, review: 'Great', title: 'Iron Man',
+      year: '2008', type: 'movie', poster: null,
+    });
+    await subscribe(cookie);
+
+    const wrong = await request('POST', '/api/account/export', { password: 'Wrong123' }, { cookie });
+    assert.equal(wrong.status, 400);
+    assert.ok(wrong.body.errors.password);
+
+    const res = await request('POST', '/api/account/export', { password: validUser.password }, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^application\/json/);
+    assert.match(res.headers.get('content-disposition'), /^attachment; filename="account-data-jane_doe-\d{4}-\d{2}-\d{2}\.json"$/);
+    assert.equal(res.body.account.email, validUser.email);
+    assert.equal(res.body.account.phone, validUser.phone);
+    assert.equal(res.body.profiles[0].ratings[0].review, 'Great');
+    assert.equal(res.body.subscription.card_last4, '4242');
+    assert.equal(res.body.sessions.length, 1);
+    assert.doesNotMatch(res.text, /\$2[aby]\$|pm_fake_|token_hash|pin_hash|mfa_secret/);
+
+    const log = await store.privacyLog.listByUserId(user.id);
+    assert.deepEqual(log.map((entry) => entry.event), ['data.export']);
+  });
+
+  it('schedules an erasure only after the emailed link is opened', async () => {
+    await subscribe(cookie);
+    const wrong = await request('POST', '/api/account/erasure', { password: 'Wrong123' }, { cookie });
+    assert.equal(wrong.status, 400);
+
+    await request('POST', '/api/account/erasure', { password: validUser.password }, { cookie });
+    assert.equal(outbox.length, 1);
+    assert.match(outbox[0].text, /\/api\/account\/erasure\/confirm\?token=/);
+    const pending = await request('GET', '/api/account/erasure', undefined, { cookie });
+    assert.equal(pending.body.erasure.status, 'pending');
+    assert.equal(pending.body.erasure.purge_after, null);
+
+    const confirm = await request('GET', `/api/account/erasure/confirm?token=${tokenFrom(outbox[0])}`);
+    assert.equal(confirm.status, 302);
+    assert.equal(confirm.headers.get('location'), '/account.html?erasure=scheduled');
+    assert.match(outbox[1].text, /will be erased on/);
+
+    const scheduled = (await request('GET', '/api/account/erasure', undefined, { cookie })).body.erasure;
+    assert.equal(scheduled.status, 'scheduled');
+    const graceDays = (new Date(scheduled.purge_after) - Date.now()) / DAY_MS;
+    assert.ok(Math.abs(graceDays - ERASURE_GRACE_DAYS) < 1);
+    assert.equal((await store.subscriptions.findByUserId(user.id)).cancel_at_period_end, true);
+
+    const reused = await request('GET', `/api/account/erasure/confirm?token=${tokenFrom(outbox[0])}`);
+    assert.equal(reused.headers.get('location'), '/account.html?erasure=invalid');
+    const again = await request('POST', '/api/account/erasure', { password: validUser.password }, { cookie });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'erasure_scheduled');
+  });
+
+  it('lets the user cancel during the grace period', async () => {
+    await scheduleErasure();
+
+    const cancel = await request('DELETE', '/api/account/erasure', undefined, { cookie });
+    assert.equal(cancel.status, 200);
+    assert.equal((await request('GET', '/api/account/erasure', undefined, { cookie })).body.erasure, null);
+    assert.equal((await request('DELETE', '/api/account/erasure', undefined, { cookie })).status, 404);
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + (ERASURE_GRACE_DAYS + 1) * DAY_MS });
+    assert.deepEqual((await runPurgeJob()).body, { success: true, erased: 0, expired: 0 });
+    assert.ok(await store.users.findById(user.id));
+    const log = await store.privacyLog.listByUserId(user.id);
+    assert.deepEqual(log.map((entry) => entry.event), ['erasure.requested', 'erasure.scheduled', 'erasure.canceled']);
+  });
+
+  it('erases the account and its data once the grace period is over, keeping an anonymous audit trail', async () => {
+    const [profile] = await store.profiles.listByUserId(user.id);
+    await store.watchlist.add({
+      userId: user.id, profileId: profile.id, imdbId: 'tt0371746', title: 'Iron Man', year: '2008', type: 'movie', poster: null,
+    });
+    await store.adminAudit.record({
+      adminId: 99, adminUserId: 'root', action: 'user.disable', targetId: user.id, targetUserId: user.user_id,
+      details: { email: user.email },
+    });
+    await store.loginAttempts.recordFailure(`account:${user.id}`, new Date(), new Date(0));
+    await scheduleErasure();
+
+    assert.equal((await request('GET', '/api/jobs/purge-erasures')).status, 401);
+    assert.deepEqual((await runPurgeJob()).body, { success: true, erased: 0, expired: 0 });
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + (ERASURE_GRACE_DAYS + 1) * DAY_MS });
+    assert.deepEqual((await runPurgeJob()).body, { success: true, erased: 1, expired: 0 });
+
+    assert.equal(await store.users.findById(user.id), null);
+    assert.equal(await store.users.findByLoginId(validUser.email), null);
+    assert.deepEqual(await store.watchlist.list(profile.id), []);
+    assert.equal(await store.erasureRequests.findByUserId(user.id), null);
+    assert.deepEqual(await store.loginAttempts.findMany([`account:${user.id}`]), []);
+
+    const { entries } = await store.adminAudit.list({ targetId: user.id, limit: 10 });
+    assert.equal(entries[0].action, 'user.disable');
+    assert.equal(entries[0].target_user_id, null);
+    assert.equal(entries[0].details, null);
+
+    const log = await store.privacyLog.listByUserId(user.id);
+    assert.equal(log.at(-1).event, 'erasure.completed');
+    assert.deepEqual(log.at(-1).details, { reason: 'grace_period_ended' });
+  });
+
+  it('drops requests whose confirmation link expired', async () => {
+    await request('POST', '/api/account/erasure', { password: validUser.password }, { cookie });
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 2 * DAY_MS });
+    assert.deepEqual((await runPurgeJob()).body, { success: true, erased: 0, expired: 1 });
+
+    assert.equal(await store.erasureRequests.findByUserId(user.id), null);
+    assert.ok(await store.users.findById(user.id));
+    const confirm = await request('GET', `/api/account/erasure/confirm?token=${tokenFrom(outbox[0])}`);
+    assert.equal(confirm.headers.get('location'), '/account.html?erasure=invalid');
+  });
+
+  it('logs immediate account deletion as an erasure', async () => {
+    const res = await request('DELETE', '/api/account', { password: validUser.password }, { cookie });
+
+    assert.equal(res.status, 200);
+    const log = await store.privacyLog.listByUserId(user.id);
+    assert.deepEqual(log.map((entry) => [entry.event, entry.details]), [['erasure.completed', { reason: 'account_deleted' }]]);
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer, stopServer, resetState, request, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+
+describe('/api/profiles', () => {
+  let cookie;
+
+  async function createProfile(body) {
+    return request('POST', '/api/profiles', body, { cookie });
+  }
+
+  async function listProfiles() {
+    return (await request('GET', '/api/profiles', undefined, { cookie })).body.profiles;
+  }
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetState();
+    await createVerifiedUser();
+    cookie = await login();
+  });
+
+  it('starts every account with a profile named after the holder', async () => {
+    const res = await request('GET', '/api/profiles', undefined, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.profiles.length, 1);
+    assert.equal(res.body.profiles[0].name, 'Jane');
+    assert.equal(res.body.active_profile_id, null);
+  });
+
+  it('creates a kids profile with a PIN without exposing the hash', async () => {
+    const res = await createProfile({ name: 'Kids', avatar: 'green', is_kids: true, pin: '1234' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.profile.name, 'Kids');
+    assert.equal(res.body.profile.is_kids, true);
+    assert.equal(res.body.profile.has_pin, true);
+    assert.equal(res.body.profile.pin_hash, undefined);
+  });
+
+  it('rejects invalid input and duplicate names per field', async () => {
+    const invalid = await createProfile({ name: '', avatar: 'pink', pin: '12ab' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.errors).sort(), ['avatar', 'name', 'pin']);
+
+    const duplicate = await createProfile({ name: 'Jane' });
+    assert.equal(duplicate.status, 400);
+    assert.ok(duplicate.body.errors.name);
+  });
+
+  it('limits the number of profiles per account', async () => {
+    for (const name of ['Two', 'Three', 'Four', 'Five']) {
+      assert.equal((await createProfile({ name })).status, 201);
+    }
+
+    const res = await createProfile({ name: 'Six' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'profile_limit');
+  });
+
+  it('keeps browsing behind profile selection', async () => {
+    const [profile] = await listProfiles();
+    await subscribe(cookie);
+
+    assert.equal((await request('GET', '/api/profiles/current', undefined, { cookie })).body.code, 'profile_required');
+    const page = await request('GET', '/browse.html', undefined, { cookie });
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/profiles.html');
+
+    const select = await request('POST', `/api/profiles/${profile.id}/select`, {}, { cookie });
+    assert.equal(select.status, 200);
+
+    const current = await request('GET', '/api/profiles/current', undefined, { cookie });
+    assert.equal(current.body.profile.id, profile.id);
+    assert.equal((await request('GET', '/browse.html', undefined, { cookie })).status, 200);
+  });
+
+  it('asks for the PIN of a locked profile', async () => {
+    const { body } = await createProfile({ name: 'Locked', pin: '4321' });
+
+    const missing = await request('POST', `/api/profiles/${body.profile.id}/select`, {}, { cookie });
+    assert.equal(missing.status, 403);
+    assert.equal(missing.body.code, 'invalid_pin');
+
+    const wrong = await request('POST', `/api/profiles/${body.profile.id}/select`, { pin: '0000' }, { cookie });
+    assert.equal(wrong.status, 403);
+
+    const right = await request('POST', `/api/profiles/${body.profile.id}/select`, { pin: '4321' }, { cookie });
+    assert.equal(right.status, 200);
+  });
+
+  it('needs the current PIN for any change to a locked profile', async () => {
+    const { body } = await createProfile({ name: 'Locked', is_kids: true, pin: '4321' });
+    const path = `/api/profiles/${body.profile.id}`;
+
+    const unlocked = await request('PATCH', path, { is_kids: false }, { cookie });
+    assert.equal(unlocked.status, 403);
+    assert.equal(unlocked.body.code, 'invalid_pin');
+
+    const renamed = await request('PATCH', path, { name: 'Renamed', avatar: 'blue', current_pin: '4321' }, { cookie });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.profile.name, 'Renamed');
+    assert.equal(renamed.body.profile.is_kids, true);
+
+    const refused = await request('PATCH', path, { pin: null }, { cookie });
+    assert.equal(refused.status, 403);
+
+    const removed = await request('PATCH', path, { pin: null, current_pin: '4321' }, { cookie });
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.profile.has_pin, false);
+  });
+
+  it('throttles wrong PINs when editing or deleting a locked profile', async () => {
+    const { body } = await createProfile({ name: 'Locked', pin: '4321' });
+    const path = `/api/profiles/${body.profile.id}`;
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await request('PATCH', path, { name: 'Mine', current_pin: '0000' }, { cookie })).status, 403);
+    }
+
+    const edit = await request('PATCH', path, { name: 'Mine', current_pin: '4321' }, { cookie });
+    assert.equal(edit.status, 429);
+    assert.equal(edit.body.code, 'rate_limited');
+    assert.ok(Number(edit.headers.get('retry-after')) > 0);
+
+    const remove = await request('DELETE', path, { pin: '4321' }, { cookie });
+    assert.equal(remove.status, 429);
+    assert.equal((await listProfiles()).length, 2);
+  });
+
+  it('throttles wrong PINs on delete the same way', async () => {
+    const { body } = await createProfile({ name: 'Locked', pin: '4321' });
+    const path = `/api/profiles/${body.profile.id}`;
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await request('DELETE', path, { pin: '0000' }, { cookie })).status, 403);
+    }
+
+    const res = await request('DELETE', path, { pin: '4321' }, { cookie });
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'rate_limited');
+    assert.equal((await listProfiles()).length, 2);
+  });
+
+  it('deletes profiles but never the last one', async () => {
+    const [first] = await listProfiles();
+    const { body } = await createProfile({ name: 'Second' });
+    await request('POST', `/api/profiles/${body.profile.id}/select`, {}, { cookie });
+
+    const deleted = await request('DELETE', `/api/profiles/${body.profile.id}`, {}, { cookie });
+    assert.equal(deleted.status, 200);
+    assert.equal((await request('GET', '/api/profiles/current', undefined, { cookie })).status, 409);
+
+    const last = await request('DELETE', `/api/profiles/${first.id}`, {}, { cookie });
+    assert.equal(last.status, 400);
+  });
+
+  it("hides other accounts' profiles", async () => {
+    await createVerifiedUser({ user_id: 'john_doe', email: 'john@example.com', name: 'John Doe' });
+    const otherCookie = await login('john_doe');
+    const [janeProfile] = await listProfiles();
+
+    const res = await request('POST', `/api/profiles/${janeProfile.id}/select`, {}, { cookie: otherCookie });
+
+    assert.equal(res.status, 404);
+    assert.equal((await request('DELETE', `/api/profiles/${janeProfile.id}`, {}, { cookie: otherCookie })).status, 404);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  startServer, stopServer, resetState, request, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+const { API_KEY, startOmdbServer } = require('./fixtures/omdbServer');
+
+describe('/api/ratings', () => {
+  let omdb;
+  let cookie;
+
+  async function selectProfile(name) {
+    const { body } = await request('GET', '/api/profiles', undefined, { cookie });
+    let profile = body.profiles.find((p) => p.name === name);
+    if (!profile) profile = (await request('POST', '/api/profiles', { name }, { cookie })).body.profile;
+    await request('POST', `/api/profiles/${profile.id}/select`, {}, { cookie });
+    return profile;
+  }
+
+  async function rate(imdbId, body) {
+    return request('PUT', `/api/ratings/${imdbId}`, body, { cookie });
+  }
+
+  before(async () => {
+    omdb = await startOmdbServer();
+    process.env.OMDB_BASE_URL = omdb.url;
+    process.env.OMDB_API_KEY = API_KEY;
+    process.env.HOME_ROWS_FILE = path.join(__dirname, 'fixtures', 'home-rows.json');
+    await startServer();
+  });
+  after(async () => {
+    await stopServer();
+    await omdb.close();
+  });
+  beforeEach(async () => {
+    resetState();
+    omdb.failing = false;
+    await createVerifiedUser();
+    cookie = await login();
+    await subscribe(cookie);
+    await selectProfile('Jane');
+  });
+
+  it('needs a selected profile', async () => {
+    const other = await login();
+
+    const res = await request('PUT', '/api/ratings/tt0371746', { stars: 4 }, { cookie: other });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'profile_required');
+  });
+
+  it('sets, replaces and lists a rating with an OMDB snapshot', async () => {
+    const first = await rate('tt0371746', { stars: 3 });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.rating.title, 'Iron Man');
+    assert.equal(first.body.rating.review, null);
+    assert.deepEqual(first.body.summary, { average: 3, count: 1 });
+
+    const second = await rate('tt0371746', { stars: 5, review: '  Great suit.  ' });
+    assert.equal(second.body.rating.stars, 5);
+    assert.equal(second.body.rating.review, 'Great suit.');
+    assert.deepEqual(second.body.summary, { average: 5, count: 1 });
+
+    const list = await request('GET', '/api/ratings', undefined, { cookie });
+    assert.equal(list.body.ratings.length, 1);
+    assert.equal(list.body.ratings[0].stars, 5);
+  });
+
+  it('validates stars and review', async () => {
+    const res = await rate('tt0371746', { stars: 6, review: 'x'.repeat(2001) });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.errors).sort(), ['review', 'stars']);
+    assert.equal((await rate('tt0371746', { stars: 2.5 })).status, 400);
+    assert.equal((await rate('nope', { stars: 3 })).status, 400);
+    assert.equal((await rate('tt9999999', { stars: 3 })).status, 404);
+  });
+
+  it('clears a rating, and clearing twice is a no-op', async () => {
+    await rate('tt0371746', { stars: 4 });
+
+    const cleared = await request('DELETE', '/api/ratings/tt0371746', undefined, { cookie });
+    assert.equal(cleared.body.removed, true);
+    assert.deepEqual(cleared.body.summary, { average: null, count: 0 });
+
+    const again = await request('DELETE', '/api/ratings/tt0371746', undefined, { cookie });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.removed, false);
+  });
+
+  it('aggregates ratings across profiles and lists reviews', async () => {
+    await rate('tt0848228', { stars: 5, review: 'Loved it.' });
+    await selectProfile('Kid');
+    await rate('tt0848228', { stars: 2 });
+
+    const res = await request('GET', '/api/titles/tt0848228/ratings', undefined, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { average: 3.5, count: 2 });
+    assert.equal(res.body.mine.stars, 2);
+    assert.deepEqual(res.body.reviews.map(({ author, stars, review }) => ({ author, stars, review })), [
+      { author: 'Jane', stars: 5, review: 'Loved it.' },
+    ]);
+  });
+
+  it('summarizes ratings for a list of cards', async () => {
+    await rate('tt0371746', { stars: 4 });
+    await selectProfile('Kid');
+    await rate('tt0371746', { stars: 1 });
+
+    const res = await request('GET', '/api/ratings/summary?ids=tt0371746,tt0848228', undefined, { cookie });
+
+    assert.deepEqual(res.body.summaries, {
+      tt0371746: { average: 2.5, count: 2, mine: 1 },
+      tt0848228: { average: null, count: 0, mine: null },
+    });
+    assert.equal((await request('GET', '/api/ratings/summary?ids=bad', undefined, { cookie })).status, 400);
+  });
+
+  it('fills the "Top rated by members" row, best average first', async () => {
+    await rate('tt0371746', { stars: 3 });
+    await rate('tt0848228', { stars: 5 });
+    await rate('tt3322312', { stars: 4 });
+
+    const res = await request('GET', '/api/home/rows/top-rated', undefined, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map((title) => title.title), ['The Avengers', 'Daredevil', 'Iron Man']);
+  });
+
+  it('removes ratings with their profile', async () => {
+    const kid = await selectProfile('Kid');
+    await rate('tt0371746', { stars: 4 });
+    await selectProfile('Jane');
+
+    await request('DELETE', `/api/profiles/${kid.id}`, {}, { cookie });
+
+    const res = await request('GET', '/api/titles/tt0371746/ratings', undefined, { cookie });
+    assert.deepEqual(res.body.summary, { average: null, count: 0 });
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  startServer, stopServer, resetState, request, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+const { API_KEY, startOmdbServer } = require('./fixtures/omdbServer');
+const { TITLES } = require('./fixtures/recommendationTitles');
+const {
+  signalWeights, buildAffinity, scoreTitle, recommend,
+} = require('../recommendations');
+
+const CANDIDATES = ['tt0000002', 'tt0000003', 'tt0000004', 'tt0000005', 'tt0000006', 'tt0000007'];
+
+function ids(row) {
+  return row.results.map((result) => result.imdb_id);
+}
+
+describe('recommendation scoring', () => {
+  it('turns ratings, My List and history into signal weights', () => {
+    const weights = signalWeights({
+      ratings: [{ imdb_id: 'tt0000001', stars: 5 }, { imdb_id: 'tt0000004', stars: 1 }],
+      watchlist: [{ imdb_id: 'tt0000001' }],
+      history: [{ imdb_id: 'tt0000003', completed: true }, { imdb_id: 'tt0000005', completed: false }],
+    });
+
+    assert.deepEqual(Object.fromEntries(weights), {
+      tt0000001: 3, tt0000004: -2, tt0000003: 1.5, tt0000005: 0.5,
+    });
+  });
+
+  it('counts shared genres and actors once and shared directors twice', () => {
+    const affinity = buildAffinity(new Map([['tt0000001', 2]]), TITLES);
+
+    // Sci-Fi 2 + Thriller 2 + Ava Stone 2x2 + Kim Lee 2
+    assert.equal(scoreTitle(TITLES.get('tt0000002'), affinity), 10);
+    // Thriller 2 + Ava Stone 2x2 (co-directors are split)
+    assert.equal(scoreTitle(TITLES.get('tt0000006'), affinity), 6);
+    assert.equal(scoreTitle(TITLES.get('tt0000005'), affinity), 0);
+  });
+
+  it('ranks candidates and builds "Because you liked" rows deterministically', () => {
+    const rows = recommend({
+      ratings: [{ imdb_id: 'tt0000001', stars: 5 }],
+      watchlist: [{ imdb_id: 'tt0000005' }],
+      titles: TITLES,
+      candidates: CANDIDATES,
+    });
+
+    assert.deepEqual(rows.map((row) => row.title), ['Recommended for you', 'Because you liked Space Heist']);
+    // Quiet Farm and Robot Love tie on 2; the lower IMDb ID goes first. Laugh Track is already listed.
+    assert.deepEqual(ids(rows[0]), ['tt0000002', 'tt0000006', 'tt0000003', 'tt0000004', 'tt0000007']);
+    assert.deepEqual(rows[1].seed, { imdb_id: 'tt0000001', title: 'Space Heist' });
+    assert.deepEqual(ids(rows[1]), ['tt0000002', 'tt0000006', 'tt0000003', 'tt0000004', 'tt0000007']);
+    assert.deepEqual(recommend({
+      ratings: [{ imdb_id: 'tt0000001', stars: 5 }],
+      watchlist: [{ imdb_id: 'tt0000005' }],
+      titles: TITLES,
+      candidates: [...CANDIDATES].reverse(),
+    }), rows);
+  });
+
+  it('steers away from what the profile disliked', () => {
+    const rows = recommend({
+      ratings: [{ imdb_id: 'tt0000001', stars: 5 }, { imdb_id: 'tt0000004', stars: 1 }],
+      titles: TITLES,
+      candidates: CANDIDATES,
+    });
+
+    // Sci-Fi nets out to 0 and Cy Moss / Romance are negative, so Robot Love 2 drops out
+    assert.deepEqual(ids(rows[0]), ['tt0000002', 'tt0000006', 'tt0000003']);
+    assert.equal(rows.length, 2);
+  });
+
+  it('has nothing to recommend without signals', () => {
+    assert.deepEqual(recommend({ titles: TITLES, candidates: CANDIDATES }), []);
+  });
+});
+
+describe('/api/recommendations', () => {
+  let omdb;
+  let cookie;
+
+  before(async () => {
+    omdb = await startOmdbServer();
+    process.env.OMDB_BASE_URL = omdb.url;
+    process.env.OMDB_API_KEY = API_KEY;
+    process.env.HOME_ROWS_FILE = path.join(__dirname, 'fixtures', 'home-rows.json');
+    await startServer();
+  });
+  after(async () => {
+    await stopServer();
+    await omdb.close();
+  });
+  beforeEach(async () => {
+    resetState();
+    omdb.failing = false;
+    await createVerifiedUser();
+    cookie = await login();
+    await subscribe(cookie);
+    const { body } = await request('GET', '/api/profiles', undefined, { cookie });
+    await request('POST', `/api/profiles/${body.profiles[0].id}/select`, {}, { cookie });
+  });
+
+  it('needs a selected profile', async () => {
+    const other = await login();
+
+    const res = await request('GET', '/api/recommendations', undefined, { cookie: other });
+
+    assert.equal(res.status, 409);
+  });
+
+  it('returns no rows for a profile without signals', async () => {
+    const res = await request('GET', '/api/recommendations', undefined, { cookie });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rows, []);
+  });
+
+  it('recommends titles sharing genres and cast with liked ones', async () => {
+    await request('PUT', '/api/ratings/tt0371746', { stars: 5 }, { cookie });
+
+    const res = await request('GET', '/api/recommendations', undefined, { cookie });
+
+    assert.deepEqual(res.body.rows.map((row) => row.id), ['recommended', 'because-tt0371746']);
+    assert.equal(res.body.rows[1].title, 'Because you liked Iron Man');
+    // The Avengers (from the "avengers" row) shares Action, Sci-Fi and Robert Downey Jr., each
+    // worth 2 for a 5-star rating; the Space Saga titles have no metadata in common
+    assert.deepEqual(ids(res.body.rows[0]), ['tt0848228']);
+    assert.equal(res.body.rows[0].results[0].score, 6);
+  });
+});
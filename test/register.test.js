@@ -0,0 +1,108 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, outbox, startServer, stopServer, resetState, request, validUser,
+} = require('./helpers');
+
+describe('POST /api/register', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetState);
+
+  it('creates an unverified user and emails a verification link', async () => {
+    const res = await request('POST', '/api/register', validUser);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+
+    const user = await store.users.findByLoginId('jane_doe');
+    assert.equal(user.email, 'jane@example.com');
+    assert.equal(user.email_verified_at, null);
+    assert.notEqual(user.password, validUser.password, 'password must be stored hashed');
+
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'jane@example.com');
+    assert.match(outbox[0].text, /\/api\/verify-email\?token=[0-9a-f]{64}/);
+  });
+
+  it('normalizes the phone number to E.164', async () => {
+    await request('POST', '/api/register', { ...validUser, phone: '+1 (555) 123-4567' });
+
+    const user = await store.users.findByLoginId('jane_doe');
+    assert.equal(user.phone, '+15551234567');
+  });
+
+  it('stores the email in lower case and treats other cases as the same address', async () => {
+    await request('POST', '/api/register', { ...validUser, email: 'Jane.Doe@Example.COM' });
+
+    const user = await store.users.findByLoginId('JANE.DOE@example.com');
+    assert.equal(user.user_id, 'jane_doe');
+    assert.equal(user.email, 'jane.doe@example.com');
+
+    const res = await request('POST', '/api/register', { ...validUser, user_id: 'someone_else', email: 'jane.doe@EXAMPLE.com' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, { email: 'An account with this email already exists.' });
+  });
+
+  it('returns per-field errors when fields are missing', async () => {
+    const res = await request('POST', '/api/register', {});
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.deepEqual(Object.keys(res.body.errors).sort(), ['email', 'name', 'password', 'phone', 'user_id']);
+  });
+
+  it('returns per-field errors for invalid values', async () => {
+    const res = await request('POST', '/api/register', {
+      ...validUser,
+      email: 'not-an-email',
+      password: 'short',
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.errors).sort(), ['email', 'password']);
+  });
+
+  it('rejects a duplicate User ID (23505) on the user_id field', async () => {
+    await request('POST', '/api/register', validUser);
+    const res = await request('POST', '/api/register', { ...validUser, email: 'other@example.com' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'User ID or Email already exists.');
+    assert.deepEqual(res.body.errors, { user_id: 'This User ID is already taken.' });
+  });
+
+  it('rejects a duplicate email (23505) on the email field', async () => {
+    await request('POST', '/api/register', validUser);
+    const res = await request('POST', '/api/register', { ...validUser, user_id: 'someone_else' });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, { email: 'An account with this email already exists.' });
+  });
+
+  it('reports a database connection failure without leaking details', async (t) => {
+    t.mock.method(store.users, 'createUser', async () => {
+      const err = new Error('connect ECONNREFUSED 10.0.0.1:26553');
+      err.code = 'ECONNREFUSED';
+      throw err;
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const res = await request('POST', '/api/register', validUser);
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, { success: false, message: 'Database connection failed. Please try again later.' });
+  });
+
+  it('returns a generic error for unexpected failures', async (t) => {
+    t.mock.method(store.users, 'createUser', async () => {
+      throw new Error('something broke');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const res = await request('POST', '/api/register', validUser);
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, { success: false, message: 'Server error. Please try again.' });
+  });
+});
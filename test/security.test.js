@@ -0,0 +1,258 @@
+process.env.CORS_ORIGINS = 'https://partner.example.com/, https://admin.example.com';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { startServer, stopServer, resetState, request, validUser, createVerifiedUser } = require('./helpers');
+const { SECURITY_HEADERS, HSTS, trustProxySetting } = require('../security');
+const { createDocument } = require('./fixtures/fakeDom');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const MALICIOUS_TITLE = '<img src=x onerror="alert(1)"><script>alert(2)</script>';
+const MALICIOUS_POSTER = '" onerror="alert(3)';
+
+describe('security headers', () => {
+  before(startServer);
+  after(stopServer);
+
+  it('sends a strict CSP and framing / sniffing protection on API responses and pages', async () => {
+    for (const url of ['/api/health/live', '/login.html']) {
+      const res = await request('GET', url);
+
+      const csp = res.headers.get('content-security-policy');
+      assert.match(csp, /script-src 'self';/);
+      assert.doesNotMatch(csp, /unsafe-inline|unsafe-eval/);
+      assert.match(csp, /frame-ancestors 'none'/);
+      assert.equal(res.headers.get('x-frame-options'), 'DENY');
+      assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+      assert.equal(res.headers.get('x-powered-by'), null);
+    }
+  });
+
+  it('sends HSTS only on HTTPS requests', async () => {
+    const plain = await request('GET', '/api/health/live');
+    assert.equal(plain.headers.get('strict-transport-security'), null);
+
+    const secure = await request('GET', '/api/health/live', undefined, { 'X-Forwarded-Proto': 'https' });
+    assert.equal(secure.headers.get('strict-transport-security'), HSTS);
+  });
+
+  it('keeps the headers in vercel.json (for CDN-served pages) in sync', () => {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vercel.json'), 'utf8'));
+    const route = config.routes.find((r) => r.src === '/(.*)' && r.continue);
+
+    assert.deepEqual(route.headers, { ...SECURITY_HEADERS, 'Strict-Transport-Security': HSTS });
+  });
+
+  it('has no inline scripts, styles or event handlers in the pages', () => {
+    for (const file of fs.readdirSync(PUBLIC_DIR).filter((name) => name.endsWith('.html'))) {
+      const html = fs.readFileSync(path.join(PUBLIC_DIR, file), 'utf8');
+
+      assert.doesNotMatch(html, /<script(?![^>]*\bsrc=)[^>]*>/, `${file} has an inline script`);
+      assert.doesNotMatch(html, /<style|\sstyle=/, `${file} has inline styles`);
+      assert.doesNotMatch(html, /\son[a-z]+=/, `${file} has an inline event handler`);
+    }
+  });
+});
+
+describe('proxy trust', () => {
+  it('trusts one hop on Vercel and no proxy elsewhere', () => {
+    assert.equal(trustProxySetting({ VERCEL: '1' }), 1);
+    assert.equal(trustProxySetting({}), false);
+  });
+
+  it('takes TRUST_PROXY over the default', () => {
+    assert.equal(trustProxySetting({ VERCEL: '1', TRUST_PROXY: 'false' }), false);
+    assert.equal(trustProxySetting({ TRUST_PROXY: '2' }), 2);
+    assert.equal(trustProxySetting({ TRUST_PROXY: 'true' }), true);
+    assert.equal(trustProxySetting({ TRUST_PROXY: ' loopback, 10.0.0.0/8 ' }), 'loopback, 10.0.0.0/8');
+  });
+});
+
+describe('CORS allowlist', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetState);
+
+  it('allows listed origins with credentials', async () => {
+    const res = await request('GET', '/api/health/live', undefined, { Origin: 'https://partner.example.com' });
+
+    assert.equal(res.headers.get('access-control-allow-origin'), 'https://partner.example.com');
+    assert.equal(res.headers.get('access-control-allow-credentials'), 'true');
+  });
+
+  it('answers preflights for listed origins only', async () => {
+    const headers = { 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'x-csrf-token' };
+
+    const allowed = await request('OPTIONS', '/api/login', undefined, { ...headers, Origin: 'https://admin.example.com' });
+    assert.equal(allowed.status, 204);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://admin.example.com');
+
+    const refused = await request('OPTIONS', '/api/login', undefined, { ...headers, Origin: 'https://evil.example' });
+    assert.equal(refused.headers.get('access-control-allow-origin'), null);
+  });
+
+  it('lets a listed origin on the same site make changes with a token from /api/csrf', async () => {
+    await createVerifiedUser();
+    const origin = { Origin: 'https://admin.example.com' };
+    const csrf = await request('GET', '/api/csrf', undefined, origin);
+    assert.equal(csrf.headers.get('access-control-allow-origin'), origin.Origin);
+    assert.equal(csrf.headers.get('access-control-allow-credentials'), 'true');
+
+    const res = await request('POST', '/api/login', { loginId: validUser.user_id, password: validUser.password }, {
+      ...origin,
+      cookie: csrf.headers.get('set-cookie').split(';')[0],
+      'X-CSRF-Token': csrf.body.csrf_token,
+    }, { csrf: false });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('access-control-allow-origin'), origin.Origin);
+    assert.match(res.headers.get('set-cookie'), /^sid=/);
+  });
+
+  it('sends no CORS headers to other origins', async () => {
+    const res = await request('GET', '/api/health/live', undefined, { Origin: 'https://evil.example' });
+
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+  });
+});
+
+describe('members-only pages', () => {
+  before(startServer);
+  after(stopServer);
+
+  it('keeps other spellings of a page behind the login', async () => {
+    for (const url of ['/browse.html', '/%62rowse.html', '/browse%2ehtml', '/admin%2Ehtml', '//account.html', '/x/../history.html']) {
+      const res = await request('GET', url);
+      assert.equal(res.status, 302, url);
+      const location = res.headers.get('location');
+      const final = location === '/login.html' ? res : await request('GET', location);
+      assert.equal(final.headers.get('location'), '/login.html', url);
+      assert.doesNotMatch(final.text, /<html/i, url);
+    }
+  });
+});
+
+describe('CSRF protection', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetState);
+
+  async function csrfPair() {
+    const res = await request('GET', '/api/csrf');
+    return { token: res.body.csrf_token, cookie: res.headers.get('set-cookie').split(';')[0] };
+  }
+
+  const credentials = { loginId: validUser.user_id, password: validUser.password };
+
+  it('issues a token in the body and a signed, HttpOnly, SameSite=Strict cookie', async () => {
+    const res = await request('GET', '/api/csrf');
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.csrf_token, /^[0-9a-f]{64}$/);
+    const cookie = res.headers.get('set-cookie');
+    assert.match(cookie, /^csrf=s%3A/);
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Strict/);
+
+    // The same token again while the cookie lasts, so open tabs keep working
+    const again = await request('GET', '/api/csrf', undefined, { cookie: cookie.split(';')[0] });
+    assert.equal(again.body.csrf_token, res.body.csrf_token);
+    assert.equal(again.headers.get('set-cookie'), null);
+  });
+
+  it('refuses state-changing requests without a matching token', async () => {
+    await createVerifiedUser();
+    const { token, cookie } = await csrfPair();
+    const other = await csrfPair();
+
+    const attempts = [
+      {},
+      { 'X-CSRF-Token': token },
+      { cookie },
+      { cookie, 'X-CSRF-Token': other.token },
+      { cookie: `csrf=${token}`, 'X-CSRF-Token': token }, // unsigned cookie
+    ];
+    for (const headers of attempts) {
+      const res = await request('POST', '/api/login', credentials, headers, { csrf: false });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'csrf_invalid');
+      assert.equal(res.headers.get('set-cookie'), null);
+    }
+  });
+
+  it('refuses a cross-site form post', async () => {
+    await createVerifiedUser();
+
+    const res = await request('POST', '/api/login', undefined, {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    }, { csrf: false });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'csrf_invalid');
+  });
+
+  it('lets requests with the token through and leaves GET requests alone', async () => {
+    await createVerifiedUser();
+    const { token, cookie } = await csrfPair();
+
+    const res = await request('POST', '/api/login', credentials, { cookie, 'X-CSRF-Token': token }, { csrf: false });
+    assert.equal(res.status, 200);
+
+    const session = res.headers.get('set-cookie').split(';')[0];
+    const me = await request('GET', '/api/me', undefined, { cookie: session });
+    assert.equal(me.status, 200);
+  });
+});
+
+describe('browse.js rendering', () => {
+  // Loads browse.js into a sandbox with the fake DOM; returns its global scope and the DOM
+  function loadBrowse() {
+    const dom = createDocument();
+    const context = vm.createContext({
+      document: dom.document,
+      window: { location: { hash: '' }, addEventListener() {} },
+      CSS: { escape: (value) => String(value).replace(/["\\]/g, '\\$&') },
+      // Rating summaries are requested after rendering; no API here
+      fetch: async () => ({ status: 200, json: async () => ({ success: false }) }),
+      console,
+    });
+    vm.runInContext(fs.readFileSync(path.join(PUBLIC_DIR, 'browse.js'), 'utf8'), context);
+    return { context, dom };
+  }
+
+  const movie = { imdb_id: 'tt0000001', title: MALICIOUS_TITLE, year: '<b>2024</b>', poster: MALICIOUS_POSTER };
+
+  it('renders a malicious title and poster as inert text and properties', () => {
+    const { context, dom } = loadBrowse();
+
+    const card = context.createMovieCard(movie);
+
+    assert.deepEqual(dom.markupWrites, []);
+    assert.deepEqual(dom.created.map((el) => el.tagName).filter((tag) => tag === 'IMG' || tag === 'SCRIPT'), ['IMG']);
+    assert.equal(card.querySelector('.movie-title').textContent, MALICIOUS_TITLE);
+    assert.equal(card.querySelector('.movie-title').children.length, 0);
+    assert.equal(card.querySelector('.movie-year').textContent, '<b>2024</b>');
+    const poster = card.querySelector('.movie-poster');
+    assert.equal(poster.src, MALICIOUS_POSTER);
+    assert.equal(poster.alt, MALICIOUS_TITLE);
+    assert.deepEqual(poster.attributes, {});
+  });
+
+  it('displays lists and empty states without writing markup', () => {
+    const { context, dom } = loadBrowse();
+    const container = dom.addElement('results');
+
+    context.displayMovies([movie], 'results');
+    assert.equal(container.children.length, 1);
+    assert.equal(container.children[0].className, 'movie-card');
+
+    context.displayMovies(null, 'results');
+    assert.equal(container.children[0].className, 'movies-empty');
+    assert.match(container.textContent, /unavailable/);
+
+    assert.deepEqual(dom.markupWrites, []);
+  });
+});
@@ -0,0 +1,549 @@
+/**
+ * Repository contract (see store/index.js): both storage backends must behave alike.
+ * The memory store is always checked. The Postgres store is checked only when DATABASE_URL
+ * points at a database these tests may empty, e.g.
+ *   DATABASE_URL=postgres://postgres@localhost:5432/app_test npm test
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const BACKENDS = {
+  memory: {
+    load: () => require('../store/memory'),
+    reset: (store) => store.reset(),
+    close: async () => {},
+  },
+  postgres: {
+    skip: !process.env.DATABASE_URL && 'set DATABASE_URL to run against PostgreSQL',
+    load: () => require('../store/postgres'),
+    // Every table but the migration record and the plans the migrations seed
+    async reset() {
+      const { execute } = require('../db');
+      const [tables] = await execute(
+        `SELECT tablename FROM pg_tables
+          WHERE schemaname = current_schema() AND tablename NOT IN ('schema_migrations', 'plans')`
+      );
+      await execute(`TRUNCATE ${tables.map((row) => `"${row.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`);
+    },
+    close: () => require('../db').pool.end(),
+  },
+};
+
+function later(ms, from = new Date()) {
+  return new Date(from.getTime() + ms);
+}
+
+for (const [name, backend] of Object.entries(BACKENDS)) {
+  describe(`${name} store`, { skip: backend.skip }, () => {
+    let store;
+
+    before(async () => {
+      store = backend.load();
+      await store.init();
+    });
+    after(() => backend.close());
+    beforeEach(() => backend.reset(store));
+
+    let userCount = 0;
+    function createUser(fields = {}) {
+      userCount += 1;
+      return store.users.createUser({
+        user_id: `user_${userCount}`,
+        name: `User ${userCount}`,
+        email: `user${userCount}@example.com`,
+        phone: '+15551234567',
+        password: 'hash',
+        ...fields,
+      });
+    }
+
+    async function createProfile(userId, name = 'Main') {
+      return store.profiles.create({ userId, name, avatar: 'red' });
+    }
+
+    function title(imdbId) {
+      return { imdbId, title: `Title ${imdbId}`, year: '2008', type: 'movie', poster: null };
+    }
+
+    describe('users', () => {
+      it('finds users by id, User ID or email in any case', async () => {
+        const user = await createUser({ user_id: 'jane_doe', email: 'jane@example.com' });
+
+        assert.equal(user.role, 'member');
+        assert.equal(user.email_verified_at, null);
+        assert.equal((await store.users.findById(user.id)).user_id, 'jane_doe');
+        assert.equal((await store.users.findByLoginId('jane_doe')).id, user.id);
+        assert.equal((await store.users.findByLoginId('Jane@Example.COM')).id, user.id);
+        assert.equal(await store.users.findByLoginId('JANE_DOE'), null);
+        assert.equal(await store.users.findById(user.id + 1000), null);
+      });
+
+      it('refuses duplicate User IDs and emails with the constraint name', async () => {
+        await createUser({ user_id: 'jane_doe', email: 'jane@example.com' });
+
+        await assert.rejects(createUser({ user_id: 'jane_doe' }), { code: '23505', constraint: 'users_user_id_key' });
+        await assert.rejects(createUser({ email: 'JANE@example.com' }), { code: '23505', constraint: 'users_email_key' });
+
+        const other = await createUser();
+        await assert.rejects(store.users.changeEmail(other.id, 'Jane@Example.com'), { code: '23505' });
+        await store.users.changeEmail(other.id, 'new@example.com');
+        const changed = await store.users.findById(other.id);
+        assert.equal(changed.email, 'new@example.com');
+        assert.ok(changed.email_verified_at);
+      });
+
+      it('updates profile fields, password, role and the disabled flag', async () => {
+        const user = await createUser({ password: null });
+        assert.equal(user.password, null);
+
+        const updated = await store.users.updateProfile(user.id, { name: 'Renamed', pending_email: 'next@example.com' });
+        assert.equal(updated.name, 'Renamed');
+        assert.equal(updated.pending_email, 'next@example.com');
+        assert.equal(updated.phone, '+15551234567');
+        await store.users.updatePassword(user.id, 'new-hash');
+        assert.equal((await store.users.findById(user.id)).password, 'new-hash');
+        assert.equal((await store.users.setRole(user.id, 'admin')).role, 'admin');
+
+        const disabled = await store.users.setDisabled(user.id, true);
+        assert.ok(disabled.disabled_at);
+        const again = await store.users.setDisabled(user.id, true);
+        assert.equal(again.disabled_at.getTime(), disabled.disabled_at.getTime());
+        assert.equal((await store.users.setDisabled(user.id, false)).disabled_at, null);
+      });
+
+      it('searches by part of the User ID, name or email, newest first', async () => {
+        const first = await createUser({ user_id: 'alice', name: 'Alice Smith', email: 'alice@example.com' });
+        await createUser({ user_id: 'bob', name: 'Bob Jones', email: 'bob@smith.example' });
+        await createUser({ user_id: 'carol', name: 'Carol King', email: 'carol@example.com' });
+        await store.users.setDisabled(first.id, true);
+
+        const smiths = await store.users.search({ q: 'SMITH', limit: 10, offset: 0 });
+        assert.equal(smiths.total, 2);
+        assert.deepEqual(smiths.users.map((user) => user.user_id), ['bob', 'alice']);
+
+        const page = await store.users.search({ limit: 1, offset: 1 });
+        assert.equal(page.total, 3);
+        assert.deepEqual(page.users.map((user) => user.user_id), ['bob']);
+        assert.deepEqual((await store.users.search({ status: 'disabled', limit: 10, offset: 0 })).users.map((user) => user.user_id), ['alice']);
+        assert.equal((await store.users.search({ status: 'active', limit: 10, offset: 0 })).total, 2);
+      });
+
+      it('turns two-factor on and off and accepts each time step once', async () => {
+        const user = await createUser();
+
+        await store.users.setMfaSecret(user.id, 'SECRET');
+        assert.equal((await store.users.findById(user.id)).mfa_enabled_at, null);
+        await store.users.enableMfa(user.id, 100);
+        const enabled = await store.users.findById(user.id);
+        assert.equal(enabled.mfa_secret, 'SECRET');
+        assert.ok(enabled.mfa_enabled_at);
+
+        assert.equal(await store.users.useMfaStep(user.id, 100), false);
+        assert.equal(await store.users.useMfaStep(user.id, 101), true);
+        assert.equal(await store.users.useMfaStep(user.id, 101), false);
+
+        await store.users.disableMfa(user.id);
+        const disabled = await store.users.findById(user.id);
+        assert.equal(disabled.mfa_secret, null);
+        assert.equal(disabled.mfa_enabled_at, null);
+      });
+
+      it('deletes a user with everything that belongs to them', async () => {
+        const user = await createUser();
+        const profile = await createProfile(user.id);
+        await store.sessions.create({ tokenHash: 'a'.repeat(64), userId: user.id, expiresAt: later(HOUR_MS) });
+        await store.watchlist.add({ userId: user.id, profileId: profile.id, ...title('tt0000001') });
+        await store.ratings.set({ userId: user.id, profileId: profile.id, ...title('tt0000001'), stars: 4, review: null });
+        await store.mfaRecoveryCodes.replace(user.id, ['b'.repeat(64)]);
+        await store.userIdentities.link({ userId: user.id, provider: 'mock', subject: 'sub-1' });
+        await store.erasureRequests.request({ userId: user.id, tokenHash: 'c'.repeat(64), expiresAt: later(HOUR_MS) });
+        await store.privacyLog.record({ userId: user.id, event: 'data.export' });
+
+        await store.users.deleteUser(user.id);
+
+        assert.equal(await store.users.findById(user.id), null);
+        assert.equal(await store.sessions.findWithUser('a'.repeat(64)), null);
+        assert.deepEqual(await store.profiles.listByUserId(user.id), []);
+        assert.deepEqual(await store.watchlist.list(profile.id), []);
+        assert.deepEqual(await store.ratings.summaries(['tt0000001']), []);
+        assert.equal(await store.mfaRecoveryCodes.count(user.id), 0);
+        assert.equal(await store.userIdentities.find('mock', 'sub-1'), null);
+        assert.equal(await store.erasureRequests.findByUserId(user.id), null);
+        assert.equal((await store.privacyLog.listByUserId(user.id)).length, 1);
+      });
+    });
+
+    describe('sessions', () => {
+      it('joins the session with its user and the time it signed in', async () => {
+        const user = await createUser();
+        const expiresAt = later(HOUR_MS);
+        await store.sessions.create({ tokenHash: 'a'.repeat(64), userId: user.id, expiresAt });
+
+        const session = await store.sessions.findWithUser('a'.repeat(64));
+
+        assert.equal(session.id, user.id);
+        assert.equal(session.user_id, user.user_id);
+        assert.equal(session.profile_id, null);
+        assert.equal(session.expires_at.getTime(), expiresAt.getTime());
+        assert.ok(Math.abs(session.signed_in_at.getTime() - Date.now()) < 60 * 1000);
+        assert.equal(session.password, undefined);
+        assert.equal(await store.sessions.findWithUser('b'.repeat(64)), null);
+      });
+
+      it('remembers the profile and drops it with the profile', async () => {
+        const user = await createUser();
+        const profile = await createProfile(user.id);
+        await store.sessions.create({ tokenHash: 'a'.repeat(64), userId: user.id, expiresAt: later(HOUR_MS) });
+        const { session_id } = await store.sessions.findWithUser('a'.repeat(64));
+
+        await store.sessions.setProfile(session_id, profile.id);
+        assert.equal((await store.sessions.findWithUser('a'.repeat(64))).profile_id, profile.id);
+
+        await store.profiles.deleteById(profile.id);
+        assert.equal((await store.sessions.findWithUser('a'.repeat(64))).profile_id, null);
+      });
+
+      it('deletes sessions one by one or all but the current one', async () => {
+        const user = await createUser();
+        for (const token of ['a', 'b', 'c']) {
+          await store.sessions.create({ tokenHash: token.repeat(64), userId: user.id, expiresAt: later(HOUR_MS) });
+        }
+        const current = await store.sessions.findWithUser('a'.repeat(64));
+
+        await store.sessions.deleteByTokenHash('b'.repeat(64));
+        assert.equal((await store.sessions.listByUserId(user.id)).length, 2);
+        await store.sessions.deleteByUserId(user.id, current.session_id);
+        assert.equal((await store.sessions.listByUserId(user.id)).length, 1);
+        await store.sessions.deleteById(current.session_id);
+        assert.deepEqual(await store.sessions.listByUserId(user.id), []);
+      });
+    });
+
+    describe('profiles', () => {
+      it('lists profiles in creation order and keeps names unique per account', async () => {
+        const user = await createUser();
+        const other = await createUser();
+        await createProfile(user.id, 'Main');
+        await store.profiles.create({ userId: user.id, name: 'Kids', avatar: 'green', isKids: true, pinHash: 'pin' });
+        await createProfile(other.id, 'Main');
+
+        const profiles = await store.profiles.listByUserId(user.id);
+        assert.deepEqual(profiles.map((profile) => [profile.name, profile.is_kids, profile.pin_hash]), [
+          ['Main', false, null],
+          ['Kids', true, 'pin'],
+        ]);
+        await assert.rejects(createProfile(user.id, 'Kids'), { code: '23505' });
+
+        const updated = await store.profiles.update(profiles[1].id, { name: 'Little ones', pin_hash: null });
+        assert.equal(updated.name, 'Little ones');
+        assert.equal(updated.pin_hash, null);
+        assert.equal(updated.is_kids, true);
+        assert.equal((await store.profiles.findById(profiles[1].id)).name, 'Little ones');
+        assert.equal(await store.profiles.update(profiles[1].id + 1000, { name: 'Nobody' }), null);
+      });
+
+      it('deletes a profile with its lists, ratings and history', async () => {
+        const user = await createUser();
+        const profile = await createProfile(user.id);
+        await store.watchlist.add({ userId: user.id, profileId: profile.id, ...title('tt0000001') });
+        await store.viewingHistory.record({
+          userId: user.id, profileId: profile.id, ...title('tt0000001'), progressSeconds: 10, durationSeconds: 100,
+        });
+
+        await store.profiles.deleteById(profile.id);
+
+        assert.equal(await store.profiles.findById(profile.id), null);
+        assert.deepEqual(await store.watchlist.list(profile.id), []);
+        assert.deepEqual(await store.viewingHistory.list(profile.id), []);
+      });
+    });
+
+    describe('single-use tokens', () => {
+      it('keeps one token per user and hands each out once', async () => {
+        const user = await createUser();
+        const expiresAt = later(HOUR_MS);
+        await store.emailVerificationTokens.replace({ tokenHash: 'a'.repeat(64), userId: user.id, expiresAt });
+        await store.emailVerificationTokens.replace({
+          tokenHash: 'b'.repeat(64), userId: user.id, expiresAt, email: 'new@example.com',
+        });
+
+        assert.equal(await store.emailVerificationTokens.find('a'.repeat(64)), null);
+        const found = await store.emailVerificationTokens.find('b'.repeat(64));
+        assert.equal(found.user_id, user.id);
+        assert.equal(found.email, 'new@example.com');
+        assert.equal(found.expires_at.getTime(), expiresAt.getTime());
+        assert.equal((await store.emailVerificationTokens.consume('b'.repeat(64))).user_id, user.id);
+        assert.equal(await store.emailVerificationTokens.consume('b'.repeat(64)), null);
+      });
+
+      it('stores whether a two-factor challenge should be remembered', async () => {
+        const user = await createUser();
+        await store.mfaChallenges.replace({ tokenHash: 'a'.repeat(64), userId: user.id, expiresAt: later(HOUR_MS), remember: true });
+        await store.passwordResetTokens.replace({ tokenHash: 'b'.repeat(64), userId: user.id, expiresAt: later(HOUR_MS) });
+
+        assert.equal((await store.mfaChallenges.consume('a'.repeat(64))).remember, true);
+        assert.equal((await store.passwordResetTokens.consume('b'.repeat(64))).user_id, user.id);
+      });
+
+      it('uses up recovery codes one at a time', async () => {
+        const user = await createUser();
+        await store.mfaRecoveryCodes.replace(user.id, ['a'.repeat(64), 'b'.repeat(64)]);
+
+        assert.equal(await store.mfaRecoveryCodes.consume(user.id, 'a'.repeat(64)), true);
+        assert.equal(await store.mfaRecoveryCodes.consume(user.id, 'a'.repeat(64)), false);
+        assert.equal(await store.mfaRecoveryCodes.count(user.id), 1);
+        await store.mfaRecoveryCodes.replace(user.id, ['c'.repeat(64)]);
+        assert.equal(await store.mfaRecoveryCodes.consume(user.id, 'b'.repeat(64)), false);
+      });
+    });
+
+    describe('sign-in providers', () => {
+      it('links a provider account to one user only', async () => {
+        const user = await createUser();
+        const other = await createUser();
+
+        const identity = await store.userIdentities.link({ userId: user.id, provider: 'mock', subject: 'sub-1', email: 'a@example.com' });
+        assert.equal(identity.user_id, user.id);
+        await assert.rejects(store.userIdentities.link({ userId: other.id, provider: 'mock', subject: 'sub-1' }), { code: '23505' });
+
+        assert.equal((await store.userIdentities.find('mock', 'sub-1')).email, 'a@example.com');
+        assert.deepEqual((await store.userIdentities.listByUserId(user.id)).map((row) => row.subject), ['sub-1']);
+      });
+    });
+
+    describe('plans and subscriptions', () => {
+      it('lists the seeded plans, cheapest first', async () => {
+        assert.deepEqual((await store.plans.list()).map((plan) => plan.id), ['basic', 'standard', 'premium']);
+        assert.equal((await store.plans.findById('premium')).screens, 4);
+        assert.equal(await store.plans.findById('platinum'), null);
+      });
+
+      it('starts, updates and renews a subscription only from the expected period end', async () => {
+        const user = await createUser();
+        const periodEnd = later(HOUR_MS);
+        const started = await store.subscriptions.start({
+          userId: user.id, planId: 'basic', currentPeriodEnd: periodEnd, paymentProvider: 'fake',
+          paymentMethodId: 'pm_1', cardBrand: 'visa', cardLast4: '4242',
+        });
+        assert.equal(started.status, 'active');
+        assert.equal(started.cancel_at_period_end, false);
+
+        const canceling = await store.subscriptions.update(user.id, { cancel_at_period_end: true });
+        assert.equal(canceling.cancel_at_period_end, true);
+
+        assert.equal(await store.subscriptions.renew(user.id, later(1, periodEnd), later(2 * HOUR_MS)), null);
+        const renewed = await store.subscriptions.renew(user.id, periodEnd, later(2 * HOUR_MS, periodEnd));
+        assert.equal(renewed.current_period_end.getTime(), periodEnd.getTime() + 2 * HOUR_MS);
+
+        const restarted = await store.subscriptions.start({
+          userId: user.id, planId: 'premium', currentPeriodEnd: periodEnd, paymentProvider: 'fake', paymentMethodId: 'pm_2',
+        });
+        assert.equal(restarted.plan_id, 'premium');
+        assert.equal(restarted.cancel_at_period_end, false);
+        assert.equal(restarted.card_last4, null);
+        assert.equal(await store.subscriptions.update(user.id + 1000, { status: 'canceled' }), null);
+      });
+    });
+
+    describe('login attempts', () => {
+      it('counts failures within the window and locks, then starts over', async () => {
+        const now = new Date();
+        const windowStart = later(-HOUR_MS, now);
+
+        assert.equal(await store.loginAttempts.recordFailure('account:1', now, windowStart), 1);
+        assert.equal(await store.loginAttempts.recordFailure('account:1', later(1000, now), windowStart), 2);
+        await store.loginAttempts.lock('account:1', later(HOUR_MS, now));
+        const [row] = await store.loginAttempts.findMany(['account:1', 'account:2']);
+        assert.equal(row.failures, 2);
+        assert.equal(row.locked_until.getTime(), now.getTime() + HOUR_MS);
+
+        // Once the lock is over, counting starts again
+        const afterLock = later(2 * HOUR_MS, now);
+        assert.equal(await store.loginAttempts.recordFailure('account:1', afterLock, later(-HOUR_MS, afterLock)), 1);
+        await store.loginAttempts.clear('account:1');
+        assert.deepEqual(await store.loginAttempts.findMany(['account:1']), []);
+      });
+    });
+
+    describe('lists, ratings and history', () => {
+      it('keeps one My List entry per title, newest first', async () => {
+        const user = await createUser();
+        const profile = await createProfile(user.id);
+        await store.watchlist.add({ userId: user.id, profileId: profile.id, ...title('tt0000001') });
+        await store.watchlist.add({ userId: user.id, profileId: profile.id, ...title('tt0000002') });
+        await store.watchlist.add({ userId: user.id, profileId: profile.id, ...title('tt0000001') });
+
+        assert.deepEqual((await store.watchlist.list(profile.id)).map((item) => item.imdb_id), ['tt0000002', 'tt0000001']);
+        assert.equal(await store.watchlist.remove(profile.id, 'tt0000001'), true);
+        assert.equal(await store.watchlist.remove(profile.id, 'tt0000001'), false);
+      });
+
+      it('replaces ratings and summarizes them per title', async () => {
+        const user = await createUser();
+        const [jane, john, kim] = [await createProfile(user.id, 'Jane'), await createProfile(user.id, 'John'), await createProfile(user.id, 'Kim')];
+        const rate = (profile, imdbId, stars, review = null) =>
+          store.ratings.set({ userId: user.id, profileId: profile.id, ...title(imdbId), stars, review });
+        await rate(jane, 'tt0000001', 2);
+        await rate(jane, 'tt0000001', 5, 'Great');
+        await rate(john, 'tt0000001', 4);
+        await rate(kim, 'tt0000001', 4);
+        await rate(jane, 'tt0000002', 3);
+
+        assert.equal((await store.ratings.find(jane.id, 'tt0000001')).stars, 5);
+        assert.deepEqual((await store.ratings.listByProfile(jane.id)).map((rating) => rating.imdb_id), ['tt0000002', 'tt0000001']);
+        assert.deepEqual(await store.ratings.summaries(['tt0000001', 'tt0000003']), [{ imdb_id: 'tt0000001', average: 4.3, count: 3 }]);
+        assert.deepEqual(await store.ratings.reviews('tt0000001', 5).then((rows) => rows.map(({ author, review }) => [author, review])), [['Jane', 'Great']]);
+        assert.deepEqual((await store.ratings.topRated({ minCount: 1, limit: 5 })).map((row) => [row.imdb_id, row.average, row.count]), [
+          ['tt0000001', 4.3, 3],
+          ['tt0000002', 3, 1],
+        ]);
+        assert.deepEqual((await store.ratings.topRated({ minCount: 2, limit: 5 })).map((row) => row.imdb_id), ['tt0000001']);
+
+        assert.equal(await store.ratings.remove(jane.id, 'tt0000001'), true);
+        assert.equal(await store.ratings.remove(jane.id, 'tt0000001'), false);
+      });
+
+      it('keeps one history entry per title with the latest position', async () => {
+        const user = await createUser();
+        const profile = await createProfile(user.id);
+        const watch = (imdbId, progressSeconds) => store.viewingHistory.record({
+          userId: user.id, profileId: profile.id, ...title(imdbId), progressSeconds, durationSeconds: 100,
+        });
+        await watch('tt0000001', 10);
+        await watch('tt0000002', 20);
+        await sleep(5); // the memory store's clock counts milliseconds
+        await watch('tt0000001', 30);
+
+        const history = await store.viewingHistory.list(profile.id);
+        assert.deepEqual(history.map((item) => [item.imdb_id, item.progress_seconds]), [['tt0000001', 30], ['tt0000002', 20]]);
+        assert.equal(await store.viewingHistory.remove(profile.id, 'tt0000002'), true);
+        assert.equal(await store.viewingHistory.clear(profile.id), 1);
+        assert.equal(await store.viewingHistory.clear(profile.id), 0);
+      });
+    });
+
+    describe('audit and privacy logs', () => {
+      it('lists audit entries newest first and anonymizes them for an erased user', async () => {
+        const admin = await createUser({ user_id: 'root' });
+        const target = await createUser({ user_id: 'target' });
+        await store.adminAudit.record({ adminId: admin.id, adminUserId: 'root', action: 'user.disable', targetId: target.id, targetUserId: 'target' });
+        await store.adminAudit.record({
+          adminId: admin.id, adminUserId: 'root', action: 'user.enable', targetId: target.id, targetUserId: 'target',
+          details: { email: 'target@example.com' },
+        });
+
+        const { entries, total } = await store.adminAudit.list({ targetId: target.id, limit: 1 });
+        assert.equal(total, 2);
+        assert.equal(entries[0].action, 'user.enable');
+        assert.deepEqual(entries[0].details, { email: 'target@example.com' });
+        assert.equal((await store.adminAudit.list({ limit: 10, offset: 1 })).entries[0].action, 'user.disable');
+
+        await store.adminAudit.anonymize(target.id);
+        await store.adminAudit.anonymize(admin.id);
+        await store.users.deleteUser(admin.id);
+        const anonymous = (await store.adminAudit.list({ limit: 10 })).entries;
+        assert.deepEqual(anonymous.map((entry) => [entry.admin_id, entry.admin_user_id, entry.target_user_id, entry.details]), [
+          [null, '[erased]', null, null],
+          [null, '[erased]', null, null],
+        ]);
+      });
+
+      it('takes an erasure request from pending to scheduled to due', async () => {
+        const user = await createUser();
+        const now = new Date();
+        await store.erasureRequests.request({ userId: user.id, tokenHash: 'a'.repeat(64), expiresAt: later(HOUR_MS, now) });
+        await store.erasureRequests.request({ userId: user.id, tokenHash: 'b'.repeat(64), expiresAt: later(HOUR_MS, now) });
+
+        assert.equal(await store.erasureRequests.schedule('a'.repeat(64), now, later(HOUR_MS, now)), null);
+        const scheduled = await store.erasureRequests.schedule('b'.repeat(64), now, later(HOUR_MS, now));
+        assert.equal(scheduled.status, 'scheduled');
+        assert.equal(await store.erasureRequests.schedule('b'.repeat(64), now, later(HOUR_MS, now)), null);
+
+        assert.deepEqual(await store.erasureRequests.listDue(now), []);
+        assert.deepEqual((await store.erasureRequests.listDue(later(2 * HOUR_MS, now))).map((row) => row.user_id), [user.id]);
+        assert.equal(await store.erasureRequests.cancel(user.id), true);
+        assert.equal(await store.erasureRequests.cancel(user.id), false);
+      });
+
+      it('drops only pending requests whose link expired', async () => {
+        const user = await createUser();
+        const now = new Date();
+        await store.erasureRequests.request({ userId: user.id, tokenHash: 'a'.repeat(64), expiresAt: later(-1000, now) });
+
+        assert.equal(await store.erasureRequests.schedule('a'.repeat(64), now, later(HOUR_MS, now)), null);
+        assert.deepEqual((await store.erasureRequests.deleteExpired(now)).map((row) => row.user_id), [user.id]);
+        assert.equal(await store.erasureRequests.findByUserId(user.id), null);
+      });
+
+      it('keeps the privacy log in order', async () => {
+        await store.privacyLog.record({ userId: 7, event: 'erasure.requested' });
+        await store.privacyLog.record({ userId: 7, event: 'erasure.completed', details: { reason: 'account_deleted' } });
+
+        const log = await store.privacyLog.listByUserId(7);
+        assert.deepEqual(log.map((entry) => [entry.event, entry.details]), [
+          ['erasure.requested', null],
+          ['erasure.completed', { reason: 'account_deleted' }],
+        ]);
+      });
+    });
+
+    describe('OMDB cache', () => {
+      it('stores copies and replaces entries', async () => {
+        const payload = { Search: [{ imdbID: 'tt0000001' }] };
+        await store.omdbCache.set('search:a', payload, later(HOUR_MS));
+        payload.Search.length = 0;
+        await store.omdbCache.set('search:b', { Response: 'False' }, later(HOUR_MS));
+        await store.omdbCache.set('search:b', { Response: 'True' }, later(HOUR_MS));
+
+        assert.deepEqual((await store.omdbCache.get('search:a')).payload, { Search: [{ imdbID: 'tt0000001' }] });
+        assert.deepEqual((await store.omdbCache.get('search:b')).payload, { Response: 'True' });
+        assert.equal(await store.omdbCache.get('search:c'), null);
+      });
+
+      it('deletes entries that expired before a given time', async () => {
+        const now = new Date();
+        await store.omdbCache.set('search:a', {}, later(-2 * HOUR_MS, now));
+        await store.omdbCache.set('search:b', {}, later(-HOUR_MS / 2, now));
+
+        assert.equal(await store.omdbCache.deleteExpired(later(-HOUR_MS, now)), 1);
+        assert.equal(await store.omdbCache.get('search:a'), null);
+        assert.ok(await store.omdbCache.get('search:b'));
+      });
+    });
+
+    if (name === 'postgres') {
+      describe('migrations', () => {
+        it('refuses to make emails case-insensitive while accounts differ only in case', async () => {
+          const { pool } = require('../db');
+          const { loadMigrations, migrateUp, migrateDown } = require('../migrate');
+          const throughEmailCase = loadMigrations().filter((migration) => migration.version <= 17);
+          const client = await pool.connect();
+          try {
+            await migrateDown(client, 1, throughEmailCase);
+            const insert = 'INSERT INTO users (user_id, name, email, phone) VALUES ($1, $2, $3, $4) RETURNING id';
+            await client.query(insert, ['jane_doe', 'Jane', 'Jane@Example.com', '+15551234567']);
+            const { rows: [twin] } = await client.query(insert, ['jane_two', 'Jane', 'jane@example.COM', '+15551234567']);
+            await client.query(insert, ['john_doe', 'John', 'John@Example.com', '+15551234567']);
+
+            await assert.rejects(migrateUp(client, throughEmailCase), /email_case_insensitive .*user ids 1, 2\)/);
+
+            await client.query('DELETE FROM users WHERE id = $1', [twin.id]);
+            assert.deepEqual(await migrateUp(client, throughEmailCase), [17]);
+            assert.equal((await store.users.findByLoginId('JOHN@example.com')).email, 'john@example.com');
+            assert.equal((await store.users.findById(1)).email, 'jane@example.com');
+          } finally {
+            // Leave the schema migrated for the other tests, whatever happened above
+            await client.query('DELETE FROM users');
+            await migrateUp(client);
+            client.release();
+          }
+        });
+      });
+    }
+  });
+}
@@ -0,0 +1,140 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, startServer, stopServer, resetState, request, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+const { SUBSCRIPTION_PERIOD_DAYS } = require('../subscriptions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function card(number) {
+  return { card_number: number, exp_month: 12, exp_year: new Date().getFullYear() + 3, cvc: '123' };
+}
+
+describe('plans and subscriptions', () => {
+  let cookie;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetState();
+    await createVerifiedUser();
+    cookie = await login();
+  });
+
+  async function checkout(planId, number) {
+    return request('POST', '/api/subscription', { plan_id: planId, ...card(number) }, { cookie });
+  }
+
+  // Moves the end of the paid period into the past, as if it ran out
+  async function endPeriod() {
+    const user = await store.users.findByLoginId('jane_doe');
+    await store.subscriptions.update(user.id, { current_period_end: new Date(Date.now() - 1000) });
+    return user;
+  }
+
+  it('lists the plans without a session', async () => {
+    const res = await request('GET', '/api/plans');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.plans.map((plan) => [plan.id, plan.price_cents, plan.screens, plan.quality]), [
+      ['basic', 699, 1, '720p'],
+      ['standard', 1549, 2, '1080p'],
+      ['premium', 2299, 4, '4K + HDR'],
+    ]);
+  });
+
+  it('starts a subscription at checkout and keeps only the last four digits', async () => {
+    assert.deepEqual((await request('GET', '/api/subscription', undefined, { cookie })).body.subscription, null);
+
+    const res = await checkout('standard', '4242 4242 4242 4242');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.subscription.plan.id, 'standard');
+    assert.equal(res.body.subscription.status, 'active');
+    assert.equal(res.body.subscription.card_last4, '4242');
+    assert.equal(res.body.subscription.card_brand, 'visa');
+    const periodDays = (new Date(res.body.subscription.current_period_end) - Date.now()) / DAY_MS;
+    assert.ok(Math.abs(periodDays - SUBSCRIPTION_PERIOD_DAYS) < 1);
+
+    const user = await store.users.findByLoginId('jane_doe');
+    const stored = await store.subscriptions.findByUserId(user.id);
+    assert.equal(stored.payment_provider, 'fake');
+    assert.doesNotMatch(JSON.stringify(stored), /4242424242424242/);
+
+    const current = await request('GET', '/api/subscription', undefined, { cookie });
+    assert.equal(current.body.active, true);
+    assert.equal((await checkout('premium', '4242424242424242')).body.code, 'already_subscribed');
+  });
+
+  it('validates the plan and card and reports declined cards', async () => {
+    const invalid = await request('POST', '/api/subscription', {
+      plan_id: 'platinum', card_number: '4242 4242 4242 4241', exp_month: 1, exp_year: 2001, cvc: '1',
+    }, { cookie });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.errors).sort(), ['card_number', 'cvc', 'expiry', 'plan_id']);
+
+    const declined = await checkout('basic', '4000 0000 0000 0002');
+    assert.equal(declined.status, 402);
+    assert.equal(declined.body.code, 'payment_declined');
+    assert.equal((await request('GET', '/api/subscription', undefined, { cookie })).body.subscription, null);
+  });
+
+  it('keeps browsing behind an active subscription', async () => {
+    const page = await request('GET', '/browse.html', undefined, { cookie });
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/plans.html');
+
+    const home = await request('GET', '/api/home', undefined, { cookie });
+    assert.equal(home.status, 402);
+    assert.equal(home.body.code, 'subscription_required');
+
+    await subscribe(cookie);
+    assert.equal((await request('GET', '/browse.html', undefined, { cookie })).headers.get('location'), '/profiles.html');
+    assert.equal((await request('GET', '/api/home', undefined, { cookie })).status, 200);
+  });
+
+  it('cancels at the end of the period and resumes before it', async () => {
+    assert.equal((await request('POST', '/api/subscription/cancel', {}, { cookie })).body.code, 'subscription_inactive');
+    await subscribe(cookie);
+
+    const cancel = await request('POST', '/api/subscription/cancel', {}, { cookie });
+    assert.equal(cancel.status, 200);
+    assert.equal(cancel.body.subscription.status, 'active');
+    assert.equal(cancel.body.subscription.cancel_at_period_end, true);
+
+    const resume = await request('POST', '/api/subscription/resume', {}, { cookie });
+    assert.equal(resume.status, 200);
+    assert.equal(resume.body.subscription.cancel_at_period_end, false);
+  });
+
+  it('renews an ended period with a new charge', async () => {
+    await subscribe(cookie);
+    await endPeriod();
+
+    const res = await request('GET', '/api/subscription', undefined, { cookie });
+
+    assert.equal(res.body.active, true);
+    const periodDays = (new Date(res.body.subscription.current_period_end) - Date.now()) / DAY_MS;
+    assert.ok(Math.abs(periodDays - SUBSCRIPTION_PERIOD_DAYS) < 1);
+  });
+
+  it('ends canceled subscriptions and marks declined renewals past due', async () => {
+    await subscribe(cookie);
+    await request('POST', '/api/subscription/cancel', {}, { cookie });
+    await endPeriod();
+
+    const canceled = await request('GET', '/api/subscription', undefined, { cookie });
+    assert.equal(canceled.body.subscription.status, 'canceled');
+    assert.equal(canceled.body.active, false);
+    assert.equal((await request('POST', '/api/subscription/resume', {}, { cookie })).status, 409);
+
+    // Checking out again restarts it; this card pays now but declines the renewal
+    assert.equal((await checkout('basic', '4000 0000 0000 0341')).status, 200);
+    await endPeriod();
+
+    const pastDue = await request('GET', '/api/subscription', undefined, { cookie });
+    assert.equal(pastDue.body.subscription.status, 'past_due');
+    assert.equal((await request('GET', '/api/home', undefined, { cookie })).status, 402);
+  });
+});
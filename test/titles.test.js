@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, startServer, stopServer, resetState, request, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+const { API_KEY, startOmdbServer } = require('./fixtures/omdbServer');
+const { CACHE_KEEP_DAYS, clearMemoryCache } = require('../omdb');
+
+describe('/api/titles', () => {
+  let omdb;
+  let cookie;
+
+  async function get(path) {
+    return request('GET', path, undefined, { cookie });
+  }
+
+  before(async () => {
+    omdb = await startOmdbServer();
+    process.env.OMDB_BASE_URL = omdb.url;
+    process.env.OMDB_API_KEY = API_KEY;
+    await startServer();
+  });
+  after(async () => {
+    await stopServer();
+    await omdb.close();
+  });
+  beforeEach(async () => {
+    resetState();
+    omdb.requests = 0;
+    omdb.failing = false;
+    await createVerifiedUser();
+    cookie = await login();
+    await subscribe(cookie);
+  });
+
+  it('requires a session', async () => {
+    const res = await request('GET', '/api/titles/search?q=iron');
+
+    assert.equal(res.status, 401);
+    assert.equal(omdb.requests, 0);
+  });
+
+  it('searches through the proxy without exposing the key', async () => {
+    const res = await get('/api/titles/search?q=iron&type=movie');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total_results, 1);
+    assert.deepEqual(res.body.results[0], {
+      imdb_id: 'tt0371746',
+      title: 'Iron Man',
+      year: '2008',
+      type: 'movie',
+      poster: 'https://example.com/iron-man.jpg',
+    });
+    assert.doesNotMatch(JSON.stringify(res.body), new RegExp(API_KEY));
+  });
+
+  it('returns an empty list when nothing matches', async () => {
+    const res = await get('/api/titles/search?q=nothing+like+this');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results, []);
+  });
+
+  it('pages through results until total_results is reached', async () => {
+    const first = await get('/api/titles/search?q=saga');
+    assert.equal(first.body.total_results, 25);
+    assert.equal(first.body.results.length, 10);
+    assert.equal(first.body.has_more, true);
+
+    const last = await get('/api/titles/search?q=saga&page=3');
+    assert.equal(last.body.page, 3);
+    assert.equal(last.body.results.length, 5);
+    assert.equal(last.body.has_more, false);
+  });
+
+  it('filters by type and year', async () => {
+    const series = await get('/api/titles/search?q=saga&type=series');
+    assert.equal(series.body.total_results, 5);
+    assert.ok(series.body.results.every((title) => title.type === 'series'));
+
+    const year = await get('/api/titles/search?q=saga&year=2010');
+    assert.deepEqual(year.body.results.map((title) => title.title), ['Space Saga 10']);
+  });
+
+  it('validates search input', async () => {
+    const res = await get('/api/titles/search?q=a&type=game&year=99&page=0');
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.errors).sort(), ['page', 'q', 'type', 'year']);
+    assert.equal(omdb.requests, 0);
+  });
+
+  it('looks up a title by IMDb ID with normalized fields', async () => {
+    const res = await get('/api/titles/tt0848228');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title.title, 'The Avengers');
+    assert.equal(res.body.title.poster, null);
+    assert.deepEqual(res.body.title.genres, ['Action', 'Sci-Fi']);
+    assert.equal(res.body.title.imdb_rating, 8);
+    assert.equal(res.body.title.imdb_votes, 1400000);
+    assert.equal(res.body.title.metascore, 69);
+    assert.deepEqual(res.body.title.ratings[1], { source: 'Rotten Tomatoes', value: '91%' });
+  });
+
+  it('answers 404 for unknown and 400 for malformed IDs', async () => {
+    assert.equal((await get('/api/titles/tt9999999')).status, 404);
+    assert.equal((await get('/api/titles/not-an-id')).status, 400);
+  });
+
+  it('serves repeated lookups from the in-process cache', async () => {
+    await get('/api/titles/search?q=iron');
+    await get('/api/titles/search?q=IRON');
+
+    assert.equal(omdb.requests, 1);
+  });
+
+  it('shares cached responses through the database', async () => {
+    await get('/api/titles/tt0371746');
+    clearMemoryCache(); // as if another serverless instance answered
+
+    const res = await get('/api/titles/tt0371746');
+
+    assert.equal(res.status, 200);
+    assert.equal(omdb.requests, 1);
+  });
+
+  it('serves an expired copy while OMDB is failing', async () => {
+    await get('/api/titles/tt0371746');
+    await store.omdbCache.set('title:tt0371746', (await store.omdbCache.get('title:tt0371746')).payload, new Date(0));
+    clearMemoryCache();
+    omdb.failing = true;
+
+    const res = await get('/api/titles/tt0371746');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.stale, true);
+    assert.equal(res.body.title.title, 'Iron Man');
+  });
+
+  it('answers 503 when OMDB is failing and nothing is cached', async () => {
+    omdb.failing = true;
+
+    const res = await get('/api/titles/search?q=iron');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, 'titles_unavailable');
+  });
+
+  it('purges cache entries that expired more than OMDB_CACHE_KEEP_DAYS ago', async () => {
+    const dayMs = 24 * 60 * 60 * 1000;
+    await store.omdbCache.set('search:old', { Response: 'True' }, new Date(Date.now() - (CACHE_KEEP_DAYS + 1) * dayMs));
+    await store.omdbCache.set('search:fallback', { Response: 'True' }, new Date(Date.now() - dayMs));
+    await store.omdbCache.set('search:fresh', { Response: 'True' }, new Date(Date.now() + dayMs));
+    process.env.CRON_SECRET = 'test-cron-secret';
+    try {
+      assert.equal((await request('GET', '/api/jobs/purge-omdb-cache')).status, 401);
+
+      const res = await request('GET', '/api/jobs/purge-omdb-cache', undefined, { Authorization: 'Bearer test-cron-secret' });
+
+      assert.deepEqual(res.body, { success: true, deleted: 1 });
+    } finally {
+      delete process.env.CRON_SECRET;
+    }
+    assert.equal(await store.omdbCache.get('search:old'), null);
+    assert.ok(await store.omdbCache.get('search:fallback'));
+    assert.ok(await store.omdbCache.get('search:fresh'));
+  });
+});
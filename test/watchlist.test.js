@@ -0,0 +1,112 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  store, startServer, stopServer, resetState, request, createVerifiedUser, login, subscribe,
+} = require('./helpers');
+const { API_KEY, startOmdbServer } = require('./fixtures/omdbServer');
+
+describe('/api/watchlist', () => {
+  let omdb;
+  let cookie;
+
+  async function selectProfile(name) {
+    const { body } = await request('GET', '/api/profiles', undefined, { cookie });
+    let profile = body.profiles.find((p) => p.name === name);
+    if (!profile) profile = (await request('POST', '/api/profiles', { name }, { cookie })).body.profile;
+    await request('POST', `/api/profiles/${profile.id}/select`, {}, { cookie });
+    return profile;
+  }
+
+  async function list() {
+    return (await request('GET', '/api/watchlist', undefined, { cookie })).body.items;
+  }
+
+  before(async () => {
+    omdb = await startOmdbServer();
+    process.env.OMDB_BASE_URL = omdb.url;
+    process.env.OMDB_API_KEY = API_KEY;
+    await startServer();
+  });
+  after(async () => {
+    await stopServer();
+    await omdb.close();
+  });
+  beforeEach(async () => {
+    resetState();
+    omdb.failing = false;
+    await createVerifiedUser();
+    cookie = await login();
+    await subscribe(cookie);
+    await selectProfile('Jane');
+  });
+
+  it('needs an active subscription', async () => {
+    const user = await store.users.findByLoginId('jane_doe');
+    await store.subscriptions.update(user.id, { status: 'canceled' });
+
+    const res = await request('GET', '/api/watchlist', undefined, { cookie });
+
+    assert.equal(res.status, 402);
+    assert.equal(res.body.code, 'subscription_required');
+  });
+
+  it('needs a selected profile', async () => {
+    const other = await login();
+
+    const res = await request('GET', '/api/watchlist', undefined, { cookie: other });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'profile_required');
+  });
+
+  it('adds titles with an OMDB snapshot, newest first', async () => {
+    const first = await request('POST', '/api/watchlist', { imdb_id: 'tt0371746' }, { cookie });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.item.title, 'Iron Man');
+    assert.equal(first.body.item.poster, 'https://example.com/iron-man.jpg');
+    await request('POST', '/api/watchlist', { imdb_id: 'tt0848228' }, { cookie });
+
+    const items = await list();
+
+    assert.deepEqual(items.map((item) => item.imdb_id), ['tt0848228', 'tt0371746']);
+  });
+
+  it('treats adding twice and removing twice as no-ops', async () => {
+    await request('POST', '/api/watchlist', { imdb_id: 'tt0371746' }, { cookie });
+    const again = await request('POST', '/api/watchlist', { imdb_id: 'tt0371746' }, { cookie });
+    assert.equal(again.status, 201);
+    assert.equal((await list()).length, 1);
+
+    const removed = await request('DELETE', '/api/watchlist/tt0371746', undefined, { cookie });
+    assert.equal(removed.body.removed, true);
+    const missing = await request('DELETE', '/api/watchlist/tt0371746', undefined, { cookie });
+    assert.equal(missing.status, 200);
+    assert.equal(missing.body.removed, false);
+    assert.deepEqual(await list(), []);
+  });
+
+  it('rejects malformed and unknown IDs', async () => {
+    assert.equal((await request('POST', '/api/watchlist', { imdb_id: 'nope' }, { cookie })).status, 400);
+    assert.equal((await request('POST', '/api/watchlist', { imdb_id: 'tt9999999' }, { cookie })).status, 404);
+    assert.equal((await request('DELETE', '/api/watchlist/nope', undefined, { cookie })).status, 400);
+  });
+
+  it('answers 503 when the title cannot be looked up', async () => {
+    omdb.failing = true;
+
+    const res = await request('POST', '/api/watchlist', { imdb_id: 'tt0371746' }, { cookie });
+
+    assert.equal(res.status, 503);
+    assert.deepEqual(await list(), []);
+  });
+
+  it('keeps a separate list per profile', async () => {
+    await request('POST', '/api/watchlist', { imdb_id: 'tt0371746' }, { cookie });
+
+    await selectProfile('Kids');
+    assert.deepEqual(await list(), []);
+
+    await selectProfile('Jane');
+    assert.equal((await list()).length, 1);
+  });
+});
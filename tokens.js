@@ -0,0 +1,16 @@
+/**
+ * tokens.js - Random tokens for cookies and emailed links
+ * Only the SHA-256 hash of a token is ever stored, so a leaked table dump
+ * cannot be replayed.
+ */
+const crypto = require('crypto');
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,142 @@
+/**
+ * validation.js - Server-side validation for registration input
+ * Each validator returns { value } with the normalized value, or { error } with
+ * a message that the register form shows next to the matching input.
+ */
+
+const USER_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{2,29}$/;
+
+// RFC 5322 dot-atom local part and RFC 1035 host labels (with a TLD of 2+ letters).
+// Quoted local parts and IP-literal domains are valid RFC but not accepted here.
+const EMAIL_LOCAL_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const EMAIL_LABEL_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const EMAIL_TLD_PATTERN = /^[A-Za-z]{2,63}$/;
+
+// E.164: "+", country code starting 1-9, at most 15 digits in total
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const NAME_MAX_LENGTH = 100;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_BYTES = 72; // bcrypt ignores anything past 72 bytes
+
+function asString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function validateUserId(input) {
+  const value = asString(input);
+  if (!value) return { error: 'User ID is required.' };
+  if (value.length < 3 || value.length > 30) {
+    return { error: 'User ID must be 3-30 characters.' };
+  }
+  if (!USER_ID_PATTERN.test(value)) {
+    return { error: 'User ID may only use letters, numbers, "_", "." and "-", and must start with a letter or number.' };
+  }
+  return { value };
+}
+
+function validateName(input) {
+  const value = asString(input).replace(/\s+/g, ' ');
+  if (!value) return { error: 'Name is required.' };
+  if (value.length < 2) return { error: 'Name must be at least 2 characters.' };
+  if (value.length > NAME_MAX_LENGTH) {
+    return { error: `Name must be at most ${NAME_MAX_LENGTH} characters.` };
+  }
+  return { value };
+}
+
+function validateEmail(input) {
+  const value = asString(input);
+  if (!value) return { error: 'Email is required.' };
+  if (value.length > 254) return { error: 'Email is too long.' };
+
+  const at = value.lastIndexOf('@');
+  const local = value.slice(0, at);
+  const domain = value.slice(at + 1);
+  const labels = domain.split('.');
+
+  const valid = at > 0
+    && local.length <= 64
+    && EMAIL_LOCAL_PATTERN.test(local)
+    && labels.length >= 2
+    && labels.every((label) => EMAIL_LABEL_PATTERN.test(label))
+    && EMAIL_TLD_PATTERN.test(labels[labels.length - 1]);
+
+  if (!valid) return { error: 'Enter a valid email address.' };
+
+  // Stored and compared in lower case, so Jane@Example.com and jane@example.com are one account
+  return { value: value.toLowerCase() };
+}
+
+/**
+ * Normalizes a phone number to E.164. Spaces, dashes, dots and parentheses are
+ * dropped and a leading "00" international prefix becomes "+".
+ */
+function validatePhone(input) {
+  const raw = asString(input);
+  if (!raw) return { error: 'Phone is required.' };
+
+  let value = raw.replace(/[\s().-]/g, '');
+  if (value.startsWith('00')) value = '+' + value.slice(2);
+
+  if (!value.startsWith('+')) {
+    return { error: 'Include your country code, e.g. +1 555 123 4567.' };
+  }
+  if (!E164_PATTERN.test(value)) {
+    return { error: 'Enter a valid phone number in international format.' };
+  }
+  return { value };
+}
+
+/**
+ * Password policy: 8+ characters (72 bytes max for bcrypt) with upper- and
+ * lower-case letters and a digit, and not containing the User ID.
+ */
+function validatePassword(input, userId) {
+  const value = typeof input === 'string' ? input : '';
+  if (!value) return { error: 'Password is required.' };
+  if (value.length < PASSWORD_MIN_LENGTH) {
+    return { error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters.` };
+  }
+  if (Buffer.byteLength(value, 'utf8') > PASSWORD_MAX_BYTES) {
+    return { error: 'Password is too long.' };
+  }
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d/.test(value)) {
+    return { error: 'Password must include upper- and lower-case letters and a number.' };
+  }
+  if (userId && value.toLowerCase().includes(userId.toLowerCase())) {
+    return { error: 'Password must not contain your User ID.' };
+  }
+  return { value };
+}
+
+/**
+ * Validates the /api/register body.
+ * Returns { values, errors } where errors is keyed by field name and empty when valid.
+ */
+function validateRegistration(body = {}) {
+  const results = {
+    user_id: validateUserId(body.user_id),
+    name: validateName(body.name),
+    email: validateEmail(body.email),
+    phone: validatePhone(body.phone),
+  };
+  results.password = validatePassword(body.password, results.user_id.value);
+
+  const values = {};
+  const errors = {};
+  for (const [field, result] of Object.entries(results)) {
+    if (result.error) errors[field] = result.error;
+    else values[field] = result.value;
+  }
+  return { values, errors };
+}
+
+module.exports = {
+  validateRegistration,
+  validateUserId,
+  validateName,
+  validateEmail,
+  validatePhone,
+  validatePassword,
+};
@@ -0,0 +1,55 @@
+/**
+ * verification.js - Single-use, expiring email verification tokens
+ * The emailed link carries the raw token; the emailVerificationTokens repository stores its hash.
+ */
+const store = require('./store');
+const { generateToken, hashToken } = require('./tokens');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10);
+
+/**
+ * Issues a new token verifying `email` for the user, replacing any earlier unused ones.
+ * Returns the raw token to put in the link.
+ */
+async function createEmailVerificationToken(userId, email) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  await store.emailVerificationTokens.replace({ tokenHash: hashToken(token), userId, expiresAt, email });
+  return token;
+}
+
+/**
+ * Consumes a token and deletes it. A token for the user's current email marks it verified;
+ * a token for another address (an email change from the account page) switches to it.
+ * Returns { userId, emailChanged }, or null if the token is unknown or expired, or the
+ * new address has been taken by another account in the meantime.
+ */
+async function consumeEmailVerificationToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const row = await store.emailVerificationTokens.consume(hashToken(token));
+  if (!row || new Date(row.expires_at) <= new Date()) return null;
+
+  const user = await store.users.findById(row.user_id);
+  if (!user) return null;
+
+  if (row.email && row.email !== user.email) {
+    try {
+      await store.users.changeEmail(user.id, row.email);
+    } catch (err) {
+      if (err.code === '23505') return null;
+      throw err;
+    }
+    return { userId: user.id, emailChanged: true };
+  }
+
+  await store.users.markEmailVerified(user.id);
+  return { userId: user.id, emailChanged: false };
+}
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  createEmailVerificationToken,
+  consumeEmailVerificationToken,
+};